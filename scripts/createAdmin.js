@@ -26,6 +26,7 @@ const createAdminUser = async () => {
       email: 'admin@upscholer.com',
       password: 'admin123456', // This will be hashed by the pre-save hook
       role: 'admin',
+      adminScopes: ['full'],
       isApproved: true
     });
 
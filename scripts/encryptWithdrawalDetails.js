@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const { getProfile, saveProfile, describeDestination, maskVpa } = require('../src/services/payoutProfileService');
+
+/**
+ * Move the plaintext bank details and UPI ids copied onto past withdrawals
+ * into encrypted payout profiles, then strip them from the withdrawals.
+ * Pending withdrawals are pointed at the profile so they can still be paid.
+ * Needs FIELD_ENCRYPTION_KEY. Safe to run more than once.
+ *
+ *   node scripts/encryptWithdrawalDetails.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const withdrawals = await Transaction.find({
+      category: 'withdrawal',
+      $or: [
+        { 'metadata.bankDetails.accountNumber': { $exists: true } },
+        { 'metadata.upiId': { $exists: true } }
+      ]
+    }).sort({ createdAt: -1 });
+
+    console.log(`Found ${withdrawals.length} withdrawals with plaintext payout details`);
+
+    for (const withdrawal of withdrawals) {
+      const { bankDetails, upiId } = withdrawal.metadata;
+      const trainer = await User.findById(withdrawal.user);
+
+      // Newest withdrawal first, so a trainer without a profile gets their latest details
+      let profile = trainer ? await getProfile(trainer._id) : null;
+      if (trainer && !profile && !dryRun) {
+        try {
+          profile = await saveProfile(trainer, {
+            preferredMethod: upiId ? 'upi' : 'bank_account',
+            accountHolderName: bankDetails ? bankDetails.accountHolderName : undefined,
+            bankAccount: bankDetails,
+            upiId
+          });
+          console.log(`Created payout profile for ${trainer.email}`);
+        } catch (error) {
+          console.error(`Could not create a profile for ${trainer.email}: ${error.message}`);
+        }
+      }
+
+      const payoutMethod = upiId ? 'upi' : 'bank_account';
+      const set = {
+        'metadata.payoutMethod': payoutMethod,
+        'metadata.payoutDestination': upiId
+          ? { method: 'upi', upiId: maskVpa(upiId) }
+          : {
+            method: 'bank_account',
+            accountHolderName: bankDetails.accountHolderName,
+            accountNumberLast4: bankDetails.accountNumberLast4 || String(bankDetails.accountNumber).slice(-4),
+            ifscCode: bankDetails.ifscCode,
+            bankName: bankDetails.bankName || 'Not provided'
+          }
+      };
+
+      if (withdrawal.status === 'pending') {
+        if (!profile) {
+          console.error(`Skipping pending withdrawal ${withdrawal._id}: no payout profile to pay it to`);
+          continue;
+        }
+        set['metadata.payoutProfile'] = profile._id;
+        set['metadata.payoutDestination'] = describeDestination(profile, profile.preferredMethod);
+        set['metadata.payoutMethod'] = profile.preferredMethod;
+      }
+
+      if (dryRun) {
+        console.log(`Would strip payout details from withdrawal ${withdrawal._id} (${withdrawal.status})`);
+        continue;
+      }
+
+      await Transaction.updateOne({ _id: withdrawal._id }, {
+        $set: set,
+        $unset: { 'metadata.bankDetails': '', 'metadata.upiId': '' }
+      });
+    }
+
+    console.log('Withdrawal payout details migrated!');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating withdrawal details:', error);
+    process.exit(1);
+  }
+};
+
+run();
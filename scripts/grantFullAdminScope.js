@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../src/models/User');
+
+/**
+ * Give the 'full' scope to admins that had full access only because they had
+ * no scopes and no individual permissions. Without it they now have none.
+ * Run once when deploying the explicit full-admin scope. Safe to run more
+ * than once, but only before any sub-admin's scopes are cleared on purpose.
+ *
+ *   node scripts/grantFullAdminScope.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const filter = {
+      role: 'admin',
+      $and: [
+        { $or: [{ adminScopes: { $exists: false } }, { adminScopes: { $size: 0 } }] },
+        { $or: [{ permissions: { $exists: false } }, { permissions: { $size: 0 } }] }
+      ]
+    };
+
+    const admins = await User.find(filter).select('email');
+    admins.forEach(admin => console.log(`${dryRun ? 'Would grant' : 'Granting'} full scope to ${admin.email}`));
+
+    if (!dryRun && admins.length > 0) {
+      await User.updateMany({ _id: { $in: admins.map(admin => admin._id) } }, { $set: { adminScopes: ['full'] } });
+    }
+
+    console.log(dryRun ? `${admins.length} admin(s) would be updated` : `${admins.length} admin(s) updated`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error granting full admin scope:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,72 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Minimal local stand-in for the Razorpay orders API, for trying payment
+ * reconciliation without real orders.
+ *
+ *   node scripts/razorpayStandIn.js fixtures.json [--port=4010]
+ *   RAZORPAY_API_URL=http://localhost:4010 node scripts/reconcilePayments.js
+ *
+ * The fixture file is re-read on every request and looks like:
+ *   { "orders": { "order_abc": { "status": "paid", "amount": 25000,
+ *       "payments": [{ "id": "pay_1", "status": "captured", "amount": 25000, "method": "upi" }] } } }
+ *
+ * Tests require this file and call createStandIn with their own loader.
+ */
+const notFound = (res) => res.status(400).json({
+  error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' }
+});
+
+/**
+ * Express app serving the orders returned by loadOrders()
+ * @param {function} loadOrders - () => { [orderId]: order } in the fixture format
+ */
+const createStandIn = (loadOrders) => {
+  const app = express();
+
+  app.get('/v1/orders/:id', (req, res) => {
+    const order = loadOrders()[req.params.id];
+    if (!order) return notFound(res);
+
+    const { payments, ...fields } = order;
+    res.json({ id: req.params.id, entity: 'order', currency: 'INR', ...fields });
+  });
+
+  app.get('/v1/orders/:id/payments', (req, res) => {
+    const order = loadOrders()[req.params.id];
+    if (!order) return notFound(res);
+
+    const items = (order.payments || []).map(payment => ({
+      entity: 'payment',
+      order_id: req.params.id,
+      currency: 'INR',
+      ...payment
+    }));
+    res.json({ entity: 'collection', count: items.length, items });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const fixturePath = process.argv[2];
+  const portArg = process.argv.find(a => a.startsWith('--port='));
+  const port = portArg ? Number(portArg.split('=')[1]) : 4010;
+
+  if (!fixturePath) {
+    console.error('Usage: node scripts/razorpayStandIn.js <fixtures.json> [--port=4010]');
+    process.exit(1);
+  }
+
+  const loadOrders = () => JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8')).orders || {};
+
+  createStandIn(loadOrders).listen(port, () => {
+    console.log(`Razorpay stand-in listening on http://localhost:${port} (fixtures: ${fixturePath})`);
+  });
+}
+
+module.exports = {
+  createStandIn
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { reconcilePayments } = require('../src/services/reconciliationService');
+const { registerInvoiceJobs } = require('../src/services/invoiceService');
+const jobQueue = require('../src/services/jobQueue');
+
+/**
+ * Check stale UpCoin payments against Razorpay.
+ *
+ *   node scripts/reconcilePayments.js [--dry-run] [--older-than=30] [--limit=100]
+ *
+ * Set RAZORPAY_API_URL to run against a local stand-in (scripts/razorpayStandIn.js).
+ */
+const getArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) : undefined;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Payments settled here get their invoices like ones settled by the server
+    registerInvoiceJobs();
+
+    const summary = await reconcilePayments({
+      trigger: 'script',
+      dryRun: process.argv.includes('--dry-run'),
+      olderThanMinutes: getArg('older-than'),
+      limit: getArg('limit')
+    });
+
+    summary.results.forEach(result => {
+      console.log(`${result.orderId}: ${result.outcome} - ${result.detail}`);
+    });
+    console.log(`Checked ${summary.checked}: ${summary.settled} settled, ${summary.failed} failed, ${summary.mismatched} mismatched, ${summary.waiting} waiting, ${summary.errored} errors`);
+
+    // Issue the invoices before exiting; their emails wait in the outbox for the server
+    await jobQueue.processQueue();
+    const { failed, retried } = jobQueue.getStats();
+    if (failed + retried > 0) {
+      console.warn(`${failed + retried} invoice job(s) failed; check the log above`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(summary.errored > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error reconciling payments:', error);
+    process.exit(1);
+  }
+};
+
+run();
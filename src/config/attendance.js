@@ -0,0 +1,8 @@
+require('dotenv').config();
+
+// Share of the lecture's duration a student must be present in the meeting to count as attended
+const ATTENDANCE_MIN_PRESENCE_PERCENT = Number(process.env.ATTENDANCE_MIN_PRESENCE_PERCENT || 50);
+
+module.exports = {
+  ATTENDANCE_MIN_PRESENCE_PERCENT
+};
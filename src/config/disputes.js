@@ -0,0 +1,18 @@
+require('dotenv').config();
+const { EARNINGS_DISPUTE_WINDOW_HOURS } = require('./earnings');
+
+// Students can dispute an enrollment from the lecture's start until this long
+// after it ends. Keep it within the earnings hold so the trainer's share is
+// still held when a dispute comes in.
+const DISPUTE_FILING_WINDOW_HOURS = Number(process.env.DISPUTE_FILING_WINDOW_HOURS || EARNINGS_DISPUTE_WINDOW_HOURS);
+
+// Hours the trainer has to respond before the dispute goes to an admin anyway
+const DISPUTE_RESPONSE_HOURS = Number(process.env.DISPUTE_RESPONSE_HOURS || 48);
+
+const DISPUTE_REASONS = ['trainer_no_show', 'poor_quality', 'technical_issues', 'not_as_described', 'other'];
+
+module.exports = {
+  DISPUTE_FILING_WINDOW_HOURS,
+  DISPUTE_RESPONSE_HOURS,
+  DISPUTE_REASONS
+};
@@ -0,0 +1,9 @@
+require('dotenv').config();
+
+// Trainer earnings stay on hold until this long after the lecture is completed,
+// so students can still raise a dispute before the trainer can withdraw them
+const EARNINGS_DISPUTE_WINDOW_HOURS = Number(process.env.EARNINGS_DISPUTE_WINDOW_HOURS || 72);
+
+module.exports = {
+  EARNINGS_DISPUTE_WINDOW_HOURS
+};
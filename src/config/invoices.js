@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+// The platform as it appears on tax invoices
+const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'Upscholar',
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  gstin: process.env.INVOICE_SELLER_GSTIN || '',
+  state: process.env.INVOICE_SELLER_STATE || 'Karnataka',
+  stateCode: process.env.INVOICE_SELLER_STATE_CODE || '29'
+};
+
+// GST rate (percent) on UpCoin purchases and platform fees; prices already include it
+const GST_RATE = Number(process.env.GST_RATE || 18);
+
+// SAC codes printed on invoice lines
+const SAC_CODES = {
+  upcoin_purchase: process.env.SAC_UPCOIN_PURCHASE || '999293',
+  platform_fee: process.env.SAC_PLATFORM_FEE || '998599'
+};
+
+// Number prefixes; each runs its own sequence per financial year, e.g. UPC/2627/000001
+const INVOICE_PREFIXES = {
+  upcoin_purchase: 'UPC',
+  platform_fee: 'UPF',
+  earnings_statement: 'EST'
+};
+
+module.exports = {
+  INVOICE_SELLER,
+  GST_RATE,
+  SAC_CODES,
+  INVOICE_PREFIXES
+};
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const path = require('path');
+
+// How mail leaves the platform: 'smtp', 'ses' (Amazon SES or an SES-compatible
+// API) or 'file', which writes messages to disk and the console for testing
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'smtp';
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER || 'noreply@upscholar.com';
+
+// SMTP. Without SMTP_HOST the well-known EMAIL_SERVICE (Gmail by default) is used.
+const SMTP = {
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  service: process.env.EMAIL_SERVICE || 'gmail',
+  user: process.env.SMTP_USER || process.env.EMAIL_USER,
+  pass: process.env.SMTP_PASS || process.env.EMAIL_PASS || process.env.EMAIL_PASSWORD
+};
+
+// SES v2 API. SES_ENDPOINT points the transport at an SES-compatible service.
+const SES = {
+  region: process.env.SES_REGION || process.env.AWS_REGION || 'ap-south-1',
+  accessKeyId: process.env.SES_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.SES_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+  endpoint: process.env.SES_ENDPOINT,
+  configurationSet: process.env.SES_CONFIGURATION_SET
+};
+
+// Where the file transport writes .eml files; empty only logs to the console
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR !== undefined
+  ? process.env.MAIL_FILE_DIR
+  : path.join(__dirname, '../../storage/mail');
+
+// Outbox: attempts per message before it is dead-lettered, and the first retry
+// delay, doubled after every failed attempt
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const MAIL_RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE_SECONDS || 60);
+
+// Sent messages are removed from the outbox after this many days
+const MAIL_OUTBOX_RETENTION_DAYS = Number(process.env.MAIL_OUTBOX_RETENTION_DAYS || 30);
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  SMTP,
+  SES,
+  MAIL_FILE_DIR,
+  MAIL_MAX_ATTEMPTS,
+  MAIL_RETRY_BASE_SECONDS,
+  MAIL_OUTBOX_RETENTION_DAYS
+};
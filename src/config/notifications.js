@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Ways a notification can reach a user
+const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+/**
+ * Every notification type with the channels it uses until the user changes
+ * their preferences. Types that replaced an existing email keep email on.
+ */
+const NOTIFICATION_TYPES = {
+  lecture_approved: { label: 'Your lecture was approved', defaults: { in_app: true, email: true } },
+  lecture_rejected: { label: 'Your lecture was rejected', defaults: { in_app: true, email: true } },
+  new_enrollment: { label: 'A student enrolled in your lecture', defaults: { in_app: true, email: false } },
+  enrollment_confirmed: { label: 'Your enrollment is confirmed', defaults: { in_app: true, email: false } },
+  waitlist_promoted: { label: 'You got a seat from the waitlist', defaults: { in_app: true, email: true } },
+  meeting_started: { label: 'A lecture you enrolled in has started', defaults: { in_app: true, email: true } },
+  new_review: { label: 'A student reviewed your lecture', defaults: { in_app: true, email: false } },
+  withdrawal_update: { label: 'Your withdrawal status changed', defaults: { in_app: true, email: true } }
+};
+
+// Notifications are deleted this long after they are created
+const NOTIFICATION_RETENTION_DAYS = Number(process.env.NOTIFICATION_RETENTION_DAYS || 90);
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_RETENTION_DAYS
+};
@@ -0,0 +1,61 @@
+require('dotenv').config();
+
+// Ways a one-time password can reach the user
+const OTP_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Channel used when the client does not ask for one
+const OTP_DEFAULT_CHANNEL = OTP_CHANNELS.includes(process.env.OTP_DEFAULT_CHANNEL)
+  ? process.env.OTP_DEFAULT_CHANNEL
+  : 'email';
+
+// Send the code by email when SMS or WhatsApp delivery fails
+const OTP_EMAIL_FALLBACK = process.env.OTP_EMAIL_FALLBACK !== 'false';
+
+// Minutes an OTP stays valid
+const OTP_EXPIRY_MINUTES = 10;
+
+// Minutes a verified code can still be used to finish registering
+const OTP_VERIFIED_TTL_MINUTES = 30;
+
+// Seconds before another code can be sent for the same account and purpose,
+// whichever IP address asks
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+
+// Wrong codes allowed for one account and purpose within the window before
+// verification is refused until the window ends
+const OTP_MAX_FAILED_VERIFICATIONS = Number(process.env.OTP_MAX_FAILED_VERIFICATIONS || 10);
+const OTP_FAILURE_WINDOW_MINUTES = Number(process.env.OTP_FAILURE_WINDOW_MINUTES || 60);
+
+// Dialing code added to the 10-digit mobile numbers users register with
+const OTP_MOBILE_COUNTRY_CODE = process.env.OTP_MOBILE_COUNTRY_CODE || '+91';
+
+// Who delivers SMS and WhatsApp messages: 'twilio', or 'stub' which keeps
+// them in memory for local testing and is refused in production. Unset means
+// there is no SMS or WhatsApp channel and every code goes by email.
+const MESSAGING_PROVIDER = process.env.MESSAGING_PROVIDER || null;
+
+// Twilio Messages API. WhatsApp messages outside a user-started conversation
+// need an approved template; set its Content SID and the OTP is passed as {{1}}.
+const TWILIO = {
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  smsFrom: process.env.TWILIO_SMS_FROM,
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+  whatsappFrom: process.env.TWILIO_WHATSAPP_FROM,
+  whatsappContentSid: process.env.TWILIO_WHATSAPP_CONTENT_SID,
+  apiUrl: process.env.TWILIO_API_URL || 'https://api.twilio.com'
+};
+
+module.exports = {
+  OTP_CHANNELS,
+  OTP_DEFAULT_CHANNEL,
+  OTP_EMAIL_FALLBACK,
+  OTP_EXPIRY_MINUTES,
+  OTP_VERIFIED_TTL_MINUTES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_FAILED_VERIFICATIONS,
+  OTP_FAILURE_WINDOW_MINUTES,
+  OTP_MOBILE_COUNTRY_CODE,
+  MESSAGING_PROVIDER,
+  TWILIO
+};
@@ -0,0 +1,32 @@
+require('dotenv').config();
+
+// Which payout provider sends withdrawals: 'razorpayx' or 'mock' for local
+// testing. There is no default: payouts fail until one is chosen, and 'mock'
+// is refused in production since it reports payouts as paid without paying.
+const PAYOUT_PROVIDER = process.env.PAYOUT_PROVIDER;
+
+// RazorpayX current account the payouts are made from
+const RAZORPAYX_ACCOUNT_NUMBER = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+const RAZORPAYX_API_URL = process.env.RAZORPAYX_API_URL || 'https://api.razorpay.com';
+
+// Secret for the X-Razorpay-Signature header on payout webhooks
+const PAYOUT_WEBHOOK_SECRET = process.env.PAYOUT_WEBHOOK_SECRET;
+
+// Seconds before the mock provider reports a payout as processed or failed
+const MOCK_PAYOUT_DELAY_SECONDS = Number(process.env.MOCK_PAYOUT_DELAY_SECONDS || 5);
+
+// Require a successful penny-drop check before bank withdrawals
+const PAYOUT_REQUIRE_VERIFIED_ACCOUNT = process.env.PAYOUT_REQUIRE_VERIFIED_ACCOUNT === 'true';
+
+// IFSC directory used to check codes and fill in the bank name; empty disables the lookup
+const IFSC_LOOKUP_URL = process.env.IFSC_LOOKUP_URL !== undefined ? process.env.IFSC_LOOKUP_URL : 'https://ifsc.razorpay.com';
+
+module.exports = {
+  PAYOUT_PROVIDER,
+  RAZORPAYX_ACCOUNT_NUMBER,
+  RAZORPAYX_API_URL,
+  PAYOUT_WEBHOOK_SECRET,
+  MOCK_PAYOUT_DELAY_SECONDS,
+  PAYOUT_REQUIRE_VERIFIED_ACCOUNT,
+  IFSC_LOOKUP_URL
+};
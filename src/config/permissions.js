@@ -0,0 +1,95 @@
+// Fine-grained permissions checked by requirePermission()
+const PERMISSIONS = {
+  STATS_READ: 'stats:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  LECTURES_READ: 'lectures:read',
+  LECTURES_MODERATE: 'lectures:moderate',
+  LECTURES_MANAGE: 'lectures:manage',
+  WITHDRAWALS_READ: 'withdrawals:read',
+  WITHDRAWALS_APPROVE: 'withdrawals:approve',
+  LEDGER_READ: 'ledger:read',
+  PAYMENTS_RECONCILE: 'payments:reconcile',
+  COUPONS_MANAGE: 'coupons:manage',
+  SETTINGS_MANAGE: 'settings:manage',
+  SUPPORT_MANAGE: 'support:manage',
+  DISPUTES_RESOLVE: 'disputes:resolve',
+  EMAILS_MANAGE: 'emails:manage',
+  ADMINS_MANAGE: 'admins:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Scopes for admins. An admin gets the permissions of their scopes plus
+ * anything listed in user.permissions, and nothing without either; full
+ * access is the explicit 'full' scope.
+ */
+const ADMIN_SCOPES = {
+  full: ALL_PERMISSIONS,
+  finance: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.WITHDRAWALS_READ,
+    PERMISSIONS.WITHDRAWALS_APPROVE,
+    PERMISSIONS.LEDGER_READ,
+    PERMISSIONS.PAYMENTS_RECONCILE,
+    PERMISSIONS.COUPONS_MANAGE,
+    PERMISSIONS.SETTINGS_MANAGE,
+    PERMISSIONS.DISPUTES_RESOLVE
+  ],
+  content_moderation: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.LECTURES_READ,
+    PERMISSIONS.LECTURES_MODERATE,
+    PERMISSIONS.LECTURES_MANAGE
+  ],
+  user_management: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE
+  ],
+  support: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.LECTURES_READ,
+    PERMISSIONS.WITHDRAWALS_READ,
+    PERMISSIONS.SUPPORT_MANAGE,
+    PERMISSIONS.DISPUTES_RESOLVE,
+    PERMISSIONS.EMAILS_MANAGE
+  ]
+};
+
+/**
+ * Resolve the permissions a user holds
+ * @param {object} user - User document
+ * @returns {Array} - Permission strings
+ */
+const getPermissions = (user) => {
+  if (!user || user.role !== 'admin') {
+    return [];
+  }
+
+  const scopes = user.adminScopes || [];
+  const granted = new Set(user.permissions || []);
+  scopes.forEach(scope => (ADMIN_SCOPES[scope] || []).forEach(p => granted.add(p)));
+  return [...granted];
+};
+
+/**
+ * Check a single permission. "withdrawals:*" style grants cover every action
+ * on that resource.
+ */
+const hasPermission = (user, permission) => {
+  const [resource] = permission.split(':');
+  const granted = getPermissions(user);
+  return granted.includes(permission) || granted.includes(`${resource}:*`);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_SCOPES,
+  ALL_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
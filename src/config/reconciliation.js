@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+// Payments still created/pending this long after the order are checked against Razorpay
+const RECONCILE_AFTER_MINUTES = Number(process.env.RECONCILE_AFTER_MINUTES || 30);
+
+// An unpaid order older than this is given up on and marked failed
+const RECONCILE_EXPIRE_HOURS = Number(process.env.RECONCILE_EXPIRE_HOURS || 24);
+
+// How often the scheduler runs the reconciliation job
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES || 60);
+
+// Payments checked per run, oldest first
+const RECONCILE_BATCH_SIZE = Number(process.env.RECONCILE_BATCH_SIZE || 100);
+
+// Point reconciliation at a local Razorpay stand-in instead of api.razorpay.com
+const RAZORPAY_API_URL = process.env.RAZORPAY_API_URL || null;
+
+module.exports = {
+  RECONCILE_AFTER_MINUTES,
+  RECONCILE_EXPIRE_HOURS,
+  RECONCILE_INTERVAL_MINUTES,
+  RECONCILE_BATCH_SIZE,
+  RAZORPAY_API_URL
+};
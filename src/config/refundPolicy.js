@@ -0,0 +1,31 @@
+require('dotenv').config();
+
+// Students get everything back when they unenroll at least this long before the start
+const FULL_REFUND_CUTOFF_HOURS = Number(process.env.REFUND_FULL_CUTOFF_HOURS || 2);
+
+/**
+ * Partial refunds inside the full-refund cutoff, as "hours:percentage" pairs.
+ * e.g. REFUND_PARTIAL_TIERS="1:50,0.5:25" refunds 50% up to 1 hour before the
+ * start and 25% up to 30 minutes before. Leave empty to block late unenrollment.
+ */
+const parseTiers = (value) => {
+  if (!value) return [];
+  return value.split(',')
+    .map(pair => {
+      const [hours, percentage] = pair.split(':').map(Number);
+      return { minHoursBefore: hours, percentage };
+    })
+    .filter(tier => !isNaN(tier.minHoursBefore) && !isNaN(tier.percentage))
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+};
+
+const PARTIAL_REFUND_TIERS = parseTiers(process.env.REFUND_PARTIAL_TIERS);
+
+// Refund reasons that always return the full price
+const FULL_REFUND_REASONS = ['lecture_cancelled'];
+
+module.exports = {
+  FULL_REFUND_CUTOFF_HOURS,
+  PARTIAL_REFUND_TIERS,
+  FULL_REFUND_REASONS
+};
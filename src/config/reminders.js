@@ -0,0 +1,18 @@
+require('dotenv').config();
+
+/**
+ * Minutes before a lecture's start at which reminders go out, e.g.
+ * LECTURE_REMINDER_OFFSETS="1440,15" sends one a day before and one 15 minutes before.
+ */
+const parseOffsets = (value) => {
+  return value.split(',')
+    .map(Number)
+    .filter(minutes => !isNaN(minutes) && minutes > 0)
+    .sort((a, b) => a - b);
+};
+
+const LECTURE_REMINDER_OFFSETS = parseOffsets(process.env.LECTURE_REMINDER_OFFSETS || '1440,15');
+
+module.exports = {
+  LECTURE_REMINDER_OFFSETS
+};
@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// How often the lecture lifecycle scheduler scans for work
+const SCHEDULER_INTERVAL_SECONDS = Number(process.env.SCHEDULER_INTERVAL_SECONDS || 60);
+
+// A live lecture is completed automatically this long after its scheduled end
+const AUTO_COMPLETE_GRACE_MINUTES = Number(process.env.AUTO_COMPLETE_GRACE_MINUTES || 30);
+
+// A scheduled lecture not started this long after its start time is flagged as a trainer no-show
+const NO_SHOW_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES || 15);
+
+module.exports = {
+  SCHEDULER_INTERVAL_SECONDS,
+  AUTO_COMPLETE_GRACE_MINUTES,
+  NO_SHOW_GRACE_MINUTES
+};
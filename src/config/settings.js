@@ -0,0 +1,75 @@
+require('dotenv').config();
+const {
+  UPCOIN_PACKAGES,
+  JOINING_BONUS,
+  COURSE_CREATION_COST,
+  PLATFORM_FEE_PERCENTAGE
+} = require('./razorpay');
+
+// How long a process keeps a setting before reading it again. Admin changes
+// made on this process apply immediately; other instances catch up within this.
+const SETTINGS_CACHE_SECONDS = parseInt(process.env.SETTINGS_CACHE_SECONDS || '30', 10);
+
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+const validatePackages = (packages) => {
+  if (!Array.isArray(packages) || packages.length === 0) {
+    return 'Packages must be a non-empty list';
+  }
+
+  const ids = new Set();
+  for (const pkg of packages) {
+    if (!pkg || typeof pkg.id !== 'string' || !pkg.id.trim()) {
+      return 'Every package needs an id';
+    }
+    if (ids.has(pkg.id)) {
+      return `Duplicate package id "${pkg.id}"`;
+    }
+    ids.add(pkg.id);
+
+    if (!isWholeNumber(pkg.upcoins, 1, 1000000) || !isWholeNumber(pkg.bonusCoins || 0, 0, 1000000)) {
+      return `Package "${pkg.id}" needs whole upcoins and bonusCoins`;
+    }
+    if (!isWholeNumber(pkg.price, 1, 1000000)) {
+      return `Package "${pkg.id}" needs a whole rupee price of at least 1`;
+    }
+    if (pkg.totalCoins !== undefined && pkg.totalCoins !== pkg.upcoins + (pkg.bonusCoins || 0)) {
+      return `Package "${pkg.id}" totalCoins must equal upcoins + bonusCoins`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Settings admins can change at runtime. `default` is used until a value is
+ * stored; `trainerOverride` settings can also be set per trainer.
+ */
+const SETTING_DEFINITIONS = {
+  upcoin_packages: {
+    description: 'UpCoin packages offered for purchase',
+    default: UPCOIN_PACKAGES,
+    validate: validatePackages
+  },
+  joining_bonus: {
+    description: 'UpCoins credited to every new account',
+    default: JOINING_BONUS,
+    validate: (value) => (isWholeNumber(value, 0, 100000) ? null : 'Joining bonus must be a whole number between 0 and 100000')
+  },
+  course_creation_cost: {
+    description: 'UpCoins charged to trainers for creating a lecture (lectures are currently free)',
+    default: COURSE_CREATION_COST,
+    validate: (value) => (isWholeNumber(value, 0, 100000) ? null : 'Course creation cost must be a whole number between 0 and 100000')
+  },
+  platform_fee_percentage: {
+    description: 'Percentage of each enrollment kept by the platform',
+    default: PLATFORM_FEE_PERCENTAGE,
+    trainerOverride: true,
+    validate: (value) => (typeof value === 'number' && value >= 0 && value <= 100 ? null : 'Platform fee must be between 0 and 100')
+  }
+};
+
+module.exports = {
+  SETTINGS_CACHE_SECONDS,
+  SETTING_DEFINITIONS
+};
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Hours to the first staff reply and to resolution, by ticket priority. The
+// resolution clock stops while a ticket waits on the user.
+const SUPPORT_SLA_HOURS = {
+  urgent: { firstResponse: 1, resolution: 8 },
+  high: { firstResponse: 4, resolution: 24 },
+  normal: { firstResponse: 12, resolution: 72 },
+  low: { firstResponse: 24, resolution: 120 }
+};
+
+// Resolved tickets with no reply from the user are closed after this many days
+const SUPPORT_AUTO_CLOSE_DAYS = Number(process.env.SUPPORT_AUTO_CLOSE_DAYS || 7);
+
+// Where replies to unassigned tickets and SLA breaches are sent
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'support@upscholar.com';
+
+// Attachments per message and their size
+const SUPPORT_MAX_ATTACHMENTS = 5;
+const SUPPORT_MAX_ATTACHMENT_MB = Number(process.env.SUPPORT_MAX_ATTACHMENT_MB || 5);
+
+module.exports = {
+  SUPPORT_SLA_HOURS,
+  SUPPORT_AUTO_CLOSE_DAYS,
+  SUPPORT_EMAIL,
+  SUPPORT_MAX_ATTACHMENTS,
+  SUPPORT_MAX_ATTACHMENT_MB
+};
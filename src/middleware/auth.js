@@ -1,11 +1,61 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { hasPermission } = require('../config/permissions');
 require('dotenv').config();
 
 // Get JWT secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Verify an access token and make sure its session is still active.
+ * Shared by the HTTP middleware and the socket gateway.
+ * @returns {object} - { decoded } or { error: { status, message, code } }
+ */
+const verifyAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return { error: { status: 401, message: 'Token has expired', code: 'TOKEN_EXPIRED' } };
+        }
+        return { error: { status: 401, message: 'Token is not valid' } };
+    }
+
+    // Tokens are tied to a session so logout and revocation take effect immediately
+    if (!decoded.sid || !decoded.user) {
+        return { error: { status: 401, message: 'Token is not valid' } };
+    }
+
+    const active = await AuthSession.exists({
+        _id: decoded.sid,
+        user: decoded.user.id,
+        revokedAt: null
+    });
+    if (!active) {
+        return { error: { status: 401, message: 'Session has been revoked', code: 'SESSION_REVOKED' } };
+    }
+
+    return { decoded };
+};
+
+// Reason an account may not act, or null when it is in good standing
+const getAccountRestriction = (user) => {
+    if (user.status === 'suspended') {
+        return 'Your account has been suspended';
+    }
+    if (user.status === 'rejected' || user.isApproved === false) {
+        return 'Your account is not approved yet';
+    }
+    return null;
+};
+
 // Middleware to authenticate token
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
     // Get token from header
     const token = req.header('x-auth-token');
 
@@ -15,20 +65,92 @@ const auth = (req, res, next) => {
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const { decoded, error } = await verifyAccessToken(token);
+        if (error) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
 
         // Add user from payload
         req.user = decoded.user;
+        req.sessionId = decoded.sid;
+        next();
+    } catch (err) {
+        console.error('Error checking session:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Load the authenticated user once per request and reject accounts that may not act.
+// Must run after auth; the user document ends up on req.currentUser.
+const loadUser = async (req, res, next) => {
+    if (req.currentUser) {
+        return next();
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(401).json({ message: 'User not found' });
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            return res.status(403).json({
+                message: restriction,
+                reason: user.status === 'suspended' ? user.suspensionReason : undefined
+            });
+        }
+
+        req.currentUser = user;
         next();
     } catch (err) {
-        res.status(401).json({ message: 'Token is not valid' });
+        console.error('Error loading user:', err.message);
+        res.status(500).json({ message: 'Server error' });
     }
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ user: { id: userId } }, JWT_SECRET, { expiresIn: '24h' });
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Allow only the given roles, e.g. requireRole('trainer') or requireRole('trainer', 'admin')
+const requireRole = (...roles) => [
+    loadUser,
+    (req, res, next) => {
+        if (!roles.includes(req.currentUser.role)) {
+            return res.status(403).json({
+                message: `Access denied. ${roles.map(capitalize).join(' or ')} only.`
+            });
+        }
+        next();
+    }
+];
+
+// Require every listed permission, e.g. requirePermission('withdrawals:approve')
+const requirePermission = (...permissions) => [
+    loadUser,
+    (req, res, next) => {
+        const missing = permissions.filter(p => !hasPermission(req.currentUser, p));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                message: 'Access denied. Insufficient permissions.',
+                missing
+            });
+        }
+        next();
+    }
+];
+
+// Generate JWT access token for a session
+const generateToken = (userId, sessionId) => {
+    return jwt.sign({ user: { id: userId.toString() }, sid: sessionId.toString() }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
-module.exports = { auth, generateToken };
\ No newline at end of file
+module.exports = {
+    auth,
+    loadUser,
+    requireRole,
+    requirePermission,
+    generateToken,
+    verifyAccessToken,
+    getAccountRestriction,
+    ACCESS_TOKEN_TTL
+};
\ No newline at end of file
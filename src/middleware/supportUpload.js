@@ -0,0 +1,76 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { SUPPORT_MAX_ATTACHMENTS, SUPPORT_MAX_ATTACHMENT_MB } = require('../config/support');
+
+// Support attachments can hold payment screenshots and bank details, so they
+// are kept out of the public /uploads directory and served through the API
+const supportDir = path.join(__dirname, '../../storage/support');
+if (!fs.existsSync(supportDir)) {
+  fs.mkdirSync(supportDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, supportDir);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+// Screenshots, PDFs and plain text
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain'
+  ];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only images, PDF and text files can be attached'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: SUPPORT_MAX_ATTACHMENT_MB * 1024 * 1024,
+    files: SUPPORT_MAX_ATTACHMENTS
+  }
+});
+
+/**
+ * Accept up to the maximum number of "attachments" files, answering 400 for
+ * files that are too large, too many or of the wrong type
+ */
+const supportAttachments = (req, res, next) => {
+  upload.array('attachments', SUPPORT_MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+/**
+ * Delete uploaded files that did not end up on a message
+ */
+const discardUploads = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+const attachmentPath = (storedName) => path.join(supportDir, path.basename(storedName));
+
+module.exports = {
+  supportAttachments,
+  discardUploads,
+  attachmentPath
+};
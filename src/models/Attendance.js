@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One connection to the meeting. A student with two tabs open has two
+// overlapping intervals; presence counts their union.
+const IntervalSchema = new mongoose.Schema({
+  connectionId: {
+    type: String,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    required: true
+  },
+  leftAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const AttendanceSchema = new mongoose.Schema({
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  intervals: [IntervalSchema],
+  presenceSeconds: {
+    type: Number,
+    default: 0
+  },
+  attended: {
+    type: Boolean,
+    default: false
+  },
+  attendedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AttendanceSchema.index({ lecture: 1, student: 1 }, { unique: true });
+
+/**
+ * Seconds of presence, counting overlapping intervals once.
+ * Open intervals are counted up to `until`.
+ */
+AttendanceSchema.methods.calculatePresence = function(until = new Date()) {
+  const ranges = this.intervals
+    .map(i => [i.joinedAt.getTime(), (i.leftAt || until).getTime()])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  ranges.forEach(([start, end]) => {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else {
+      current[1] = Math.max(current[1], end);
+    }
+  });
+  if (current) total += current[1] - current[0];
+
+  return Math.floor(total / 1000);
+};
+
+const Attendance = mongoose.model('Attendance', AttendanceSchema);
+
+module.exports = Attendance;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One login on one device. Holds the hash of the current refresh token, which
+// is rotated on every refresh.
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out; seeing it again means the token leaked
+  previousTokenHash: {
+    type: String
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete expired sessions
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'password_changed', 'password_reset', 'account_suspended', 'refresh_token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+AuthSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+
+module.exports = AuthSession;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Admin-managed promo code. Discounts are funded by the platform (the
+// promotions ledger account), so trainers are paid the full lecture price.
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  // Percent off, or UpCoins (enrollments) / rupees (packages) off
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  appliesTo: {
+    type: String,
+    enum: ['enrollment', 'package', 'all'],
+    default: 'all'
+  },
+  // Optional scoping; empty lists mean "any"
+  categories: [{
+    type: String
+  }],
+  trainers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  packages: [{
+    type: String
+  }],
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CouponSchema.path('discountValue').validate(function(value) {
+  return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+const Coupon = mongoose.model('Coupon', CouponSchema);
+
+module.exports = Coupon;
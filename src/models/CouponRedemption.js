@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon. Per-user limits count these.
+const CouponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  context: {
+    type: String,
+    enum: ['enrollment', 'package'],
+    required: true
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  originalAmount: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  finalAmount: {
+    type: Number,
+    required: true
+  },
+  // A package order holds its coupon use from checkout; the reservation is
+  // redeemed when the payment completes and released if it fails
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed'],
+    default: 'redeemed'
+  }
+}, {
+  timestamps: true
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+// A payment can only redeem its coupon once, however often it is verified
+CouponRedemptionSchema.index({ payment: 1 }, { unique: true, partialFilterExpression: { payment: { $exists: true } } });
+
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+
+module.exports = CouponRedemption;
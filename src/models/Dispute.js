@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { DISPUTE_REASONS } = require('../config/disputes');
+
+// A student's dispute of one lecture enrollment. The trainer responds, then an
+// admin refunds the enrollment in full or in part, or rejects the dispute.
+const DisputeSchema = new mongoose.Schema({
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The disputed enrollment charge
+  chargeTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: DISPUTE_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_trainer', 'under_review', 'refunded', 'partially_refunded', 'rejected', 'withdrawn'],
+    default: 'awaiting_trainer'
+  },
+  // The trainer's share of the enrollment, frozen while the dispute is open
+  earningsHold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EarningsHold'
+  },
+  respondBy: {
+    type: Date,
+    required: true
+  },
+  trainerResponse: {
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    respondedAt: Date,
+    // Set when the response deadline passed without a reply
+    missedAt: Date
+  },
+  resolution: {
+    decision: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'rejected']
+    },
+    percentage: Number,
+    refundAmount: Number,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    refundTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  withdrawnAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+DisputeSchema.index({ chargeTransaction: 1 }, { unique: true });
+DisputeSchema.index({ student: 1, createdAt: -1 });
+DisputeSchema.index({ trainer: 1, createdAt: -1 });
+DisputeSchema.index({ status: 1, respondBy: 1 });
+
+const Dispute = mongoose.model('Dispute', DisputeSchema);
+
+module.exports = Dispute;
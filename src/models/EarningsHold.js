@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A trainer's share of one enrollment, held in the platform's held-earnings
+// account until the lecture is completed and the dispute window has passed
+const EarningsHoldSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The student's enrollment charge
+  chargeTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  // Still held; goes down when the student is refunded before release
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  originalAmount: {
+    type: Number,
+    required: true
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  grossAmount: {
+    type: Number
+  },
+  platformFee: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['held', 'released', 'reversed'],
+    default: 'held'
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Set while the student's dispute of the enrollment is open; the hold is not
+  // released until the dispute is decided
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  }
+}, {
+  timestamps: true
+});
+
+EarningsHoldSchema.index({ chargeTransaction: 1 }, { unique: true });
+EarningsHoldSchema.index({ trainer: 1, status: 1, createdAt: -1 });
+EarningsHoldSchema.index({ status: 1, lecture: 1 });
+
+const EarningsHold = mongoose.model('EarningsHold', EarningsHoldSchema);
+
+module.exports = EarningsHold;
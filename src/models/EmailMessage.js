@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { MAIL_OUTBOX_RETENTION_DAYS } = require('../config/mail');
+
+// An outgoing email in the outbox. Bodies and attachments are cleared once the
+// message is sent; sensitive templates (OTPs, reset links, temporary
+// passwords) never have them stored at all.
+const EmailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  from: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  // Template name, for finding messages of one kind in the admin view
+  template: {
+    type: String
+  },
+  attachments: [{
+    _id: false,
+    filename: { type: String, required: true },
+    content: { type: Buffer, required: true },
+    contentType: { type: String }
+  }],
+  // queued -> sending -> sent, or back to retrying after a failure; dead once
+  // attempts run out or the failure is permanent
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'retrying', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String
+  },
+  transport: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailMessageSchema.index({ to: 1, createdAt: -1 });
+EmailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: MAIL_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 });
+
+const EmailMessage = mongoose.model('EmailMessage', EmailMessageSchema);
+
+module.exports = EmailMessage;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const PartySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  address: String,
+  gstin: String,
+  state: String,
+  stateCode: String
+}, { _id: false });
+
+const InvoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sac: String,
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  // Taxable value in rupees, before GST
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A numbered document issued to a user: a tax invoice for an UpCoin purchase
+// or a month's platform fees, or a trainer's monthly earnings statement
+const InvoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['upcoin_purchase', 'platform_fee', 'earnings_statement'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Month covered by statements and platform fee invoices
+  period: {
+    start: Date,
+    end: Date
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: PartySchema,
+  buyer: PartySchema,
+  items: [InvoiceItemSchema],
+  // Rupees; totalAmount includes GST
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  gst: {
+    rate: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Earnings statements: summary totals and the month's entries
+  statement: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  emailedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+InvoiceSchema.index({ number: 1 }, { unique: true });
+InvoiceSchema.index({ user: 1, type: 1, issuedAt: -1 });
+InvoiceSchema.index({ payment: 1 }, { unique: true, partialFilterExpression: { payment: { $exists: true } } });
+InvoiceSchema.index(
+  { user: 1, type: 1, 'period.start': 1 },
+  { unique: true, partialFilterExpression: { 'period.start': { $exists: true } } }
+);
+
+const Invoice = mongoose.model('Invoice', InvoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Last number issued in one invoice series, e.g. _id 'UPC/2627'. Incremented in
+// the same transaction that creates the invoice, so numbers have no gaps.
+const InvoiceSequenceSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const InvoiceSequence = mongoose.model('InvoiceSequence', InvoiceSequenceSchema);
+
+module.exports = InvoiceSequence;
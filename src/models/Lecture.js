@@ -66,6 +66,14 @@ const LectureSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    // Set when the lecture is one occurrence of a recurring series
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LectureSeries'
+    },
+    seriesIndex: {
+        type: Number
+    },
     price: {
         type: Number,
         required: true,
@@ -115,7 +123,7 @@ const LectureSchema = new mongoose.Schema({
     }],
     status: {
         type: String,
-        enum: ['pending', 'scheduled', 'live', 'completed', 'cancelled'],
+        enum: ['pending', 'scheduled', 'live', 'completed', 'cancelled', 'no_show'],
         default: 'pending'
     },
     // Admin approval tracking
@@ -137,6 +145,57 @@ const LectureSchema = new mongoose.Schema({
         type: String,
         maxlength: 500
     },
+    // Cancellation tracking
+    cancelledAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancellationReason: {
+        type: String,
+        maxlength: 500
+    },
+    // Students of a cancelled lecture still waiting for their refund; retried
+    // by the scheduler until the list is empty
+    pendingRefunds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Lifecycle tracking
+    startedAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    autoCompleted: {
+        type: Boolean,
+        default: false
+    },
+    // Set by the scheduler when the trainer never started the lecture; the
+    // lecture stays in no_show status until an admin resolves it
+    noShow: {
+        flaggedAt: {
+            type: Date
+        },
+        reviewedAt: {
+            type: Date
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolution: {
+            type: String,
+            enum: ['cancelled', 'completed', 'dismissed']
+        },
+        note: {
+            type: String,
+            maxlength: 500
+        }
+    },
     meetingLink: {
         type: String,
         trim: true
@@ -210,6 +269,12 @@ LectureSchema.pre('save', function(next) {
     next();
 });
 
+// Check whether a user is the trainer of this lecture (works populated or not)
+LectureSchema.methods.isOwnedBy = function(userId) {
+    const trainerId = this.trainer && this.trainer._id ? this.trainer._id : this.trainer;
+    return !!trainerId && trainerId.toString() === userId.toString();
+};
+
 // Calculate average rating when feedback is updated
 LectureSchema.methods.calculateAverageRating = function() {
     if (this.feedback.length === 0) {
@@ -221,6 +286,23 @@ LectureSchema.methods.calculateAverageRating = function() {
     this.averageRating = Math.round((sum / this.feedback.length) * 10) / 10;
 };
 
+// Enroll a student only if the lecture is still open and has not started, has
+// a free seat and does not already list them. Returns false when the seat could not be taken,
+// so callers inside a transaction can abort it.
+LectureSchema.statics.takeSeat = async function(lectureId, studentId, { session } = {}) {
+    const result = await this.updateOne({
+        _id: lectureId,
+        status: 'scheduled',
+        scheduledAt: { $gt: new Date() },
+        'enrolledStudents.student': { $ne: studentId },
+        $expr: { $lt: [{ $size: '$enrolledStudents' }, '$maxStudents'] }
+    }, {
+        $push: { enrolledStudents: { student: studentId, enrolledAt: new Date() } }
+    }, { session });
+
+    return result.modifiedCount > 0;
+};
+
 // Get enrolled students count
 LectureSchema.virtual('enrolledCount').get(function() {
     return this.enrolledStudents.length;
@@ -240,6 +322,12 @@ LectureSchema.virtual('canBeCancelled').get(function() {
     return hoursDiff >= 24 && this.status === 'scheduled';
 });
 
+// When the lecture is scheduled to end
+LectureSchema.virtual('endsAt').get(function() {
+    if (!this.scheduledAt) return undefined;
+    return new Date(new Date(this.scheduledAt).getTime() + (this.duration || 0) * 60 * 1000);
+});
+
 // Ensure virtual fields are serialized
 LectureSchema.set('toJSON', { virtuals: true });
 LectureSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Lecture = require('./Lecture');
+
+// How the series repeats, e.g. every Mon/Wed/Fri at 18:00 IST for 8 weeks.
+// Times are wall-clock times at utcOffset; see utils/recurrence.
+const RecurrenceSchema = new mongoose.Schema({
+  daysOfWeek: {
+    type: [Number], // 0 = Sunday ... 6 = Saturday
+    required: true
+  },
+  time: {
+    type: String, // HH:MM
+    required: true
+  },
+  utcOffset: {
+    type: String,
+    default: '+05:30'
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  weeks: {
+    type: Number
+  },
+  occurrences: {
+    type: Number
+  }
+}, { _id: false });
+
+// A course of recurring lectures. Each occurrence is a normal Lecture with
+// `series` set; the series holds the shared details and the bundle price.
+const LectureSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Lecture.schema.path('category').enumValues
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Price of a single occurrence when bought on its own
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  // Price of the whole series, prorated for students who join part-way
+  bundlePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true,
+    min: 15,
+    max: 480
+  },
+  maxStudents: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1000,
+    default: 50
+  },
+  meetingLink: {
+    type: String,
+    trim: true
+  },
+  recurrence: {
+    type: RecurrenceSchema,
+    required: true
+  },
+  totalOccurrences: {
+    type: Number,
+    required: true
+  },
+  enrolledStudents: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  approvedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: {
+    type: Date
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+LectureSeriesSchema.index({ trainer: 1, status: 1 });
+
+LectureSeriesSchema.methods.isOwnedBy = function(userId) {
+  const trainerId = this.trainer && this.trainer._id ? this.trainer._id : this.trainer;
+  return !!trainerId && trainerId.toString() === userId.toString();
+};
+
+LectureSeriesSchema.methods.isEnrolled = function(userId) {
+  return this.enrolledStudents.some(e => e.student && e.student.toString() === userId.toString());
+};
+
+const LectureSeries = mongoose.model('LectureSeries', LectureSeriesSchema);
+
+module.exports = LectureSeries;
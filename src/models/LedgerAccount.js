@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Platform-side accounts of the UpCoin ledger. User wallets live on
+// User.walletBalance; these hold the other side of every posting so that the
+// sum of all wallet and system balances is always zero.
+const LedgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  balance: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const LedgerAccount = mongoose.model('LedgerAccount', LedgerAccountSchema);
+
+module.exports = LedgerAccount;
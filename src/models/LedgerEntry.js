@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const LedgerLineSchema = new mongoose.Schema({
+  // Either a user wallet or a system account (see LedgerAccount)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  account: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount must be positive']
+  },
+  balanceBefore: {
+    type: Number
+  },
+  balanceAfter: {
+    type: Number
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, { _id: false });
+
+// One balanced posting: the credit lines always sum to the debit lines
+const LedgerEntrySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Set by callers that may retry the same movement (webhooks, workers)
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  relatedLecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture'
+  },
+  lines: {
+    type: [LedgerLineSchema],
+    validate: {
+      validator: function(lines) {
+        return lines && lines.length >= 2;
+      },
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+LedgerEntrySchema.index({ 'lines.user': 1, createdAt: -1 });
+LedgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+LedgerEntrySchema.index({ reference: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+
+module.exports = LedgerEntry;
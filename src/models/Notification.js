@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_RETENTION_DAYS } = require('../config/notifications');
+
+// An in-app notification shown in the user's notification center
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true
+  },
+  // Frontend path to open, e.g. /lectures/<id>
+  link: {
+    type: String
+  },
+  // Ids the frontend may need, e.g. { lectureId }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
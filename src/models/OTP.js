@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { OTP_CHANNELS } = require('../config/otp');
 
 const OTPSchema = new mongoose.Schema({
   email: {
@@ -23,15 +24,32 @@ const OTPSchema = new mongoose.Schema({
     enum: ['registration', 'login', 'password_reset'],
     default: 'registration'
   },
+  // Where the code was actually delivered, after any fallback to email
+  channel: {
+    type: String,
+    enum: OTP_CHANNELS,
+    default: 'email'
+  },
   ipAddress: {
     type: String,
     required: true,
     index: true
   },
+  // Used up: either checked or replaced by a newer code
   verified: {
     type: Boolean,
     default: false
   },
+  // Set only when the code was entered correctly. Registration reads the
+  // channel and mobile of such a record to know what was proven.
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -51,6 +69,7 @@ const OTPSchema = new mongoose.Schema({
 // Index for faster lookups
 OTPSchema.index({ email: 1, verified: 1 });
 OTPSchema.index({ ipAddress: 1, createdAt: -1 });
+OTPSchema.index({ email: 1, purpose: 1, createdAt: -1 });
 
 const OTP = mongoose.model('OTP', OTPSchema);
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Wrong codes entered for one account and purpose, across every code and IP
+// address. Verification is refused once too many pile up within the window.
+const OTPThrottleSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'login', 'password_reset'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+  // End of the window; the record is removed after it
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+OTPThrottleSchema.index({ email: 1, purpose: 1 }, { unique: true });
+
+const OTPThrottle = mongoose.model('OTPThrottle', OTPThrottleSchema);
+
+module.exports = OTPThrottle;
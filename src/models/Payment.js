@@ -44,9 +44,25 @@ const PaymentSchema = new mongoose.Schema({
     type: String,
     default: 'INR'
   },
+  // Promo code applied at checkout; amount is already discounted
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String
+    },
+    originalAmount: {
+      type: Number
+    },
+    discount: {
+      type: Number
+    }
+  },
   status: {
     type: String,
-    enum: ['created', 'pending', 'success', 'failed', 'refunded'],
+    enum: ['created', 'pending', 'success', 'failed', 'partially_refunded', 'refunded'],
     default: 'created',
     index: true
   },
@@ -62,6 +78,43 @@ const PaymentSchema = new mongoose.Schema({
     type: Object,
     default: {}
   },
+  // Last check against Razorpay for a payment that never completed; a
+  // mismatch stays flagged until an admin reviews it
+  reconciliation: {
+    checkedAt: {
+      type: Date,
+      default: null
+    },
+    razorpayStatus: {
+      type: String
+    },
+    outcome: {
+      type: String,
+      enum: ['settled', 'failed', 'mismatch', 'waiting']
+    },
+    issue: {
+      type: String
+    },
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolution: {
+      type: String,
+      enum: ['failed', 'dismissed']
+    },
+    note: {
+      type: String
+    }
+  },
   ipAddress: {
     type: String,
     default: null
@@ -83,6 +136,7 @@ const PaymentSchema = new mongoose.Schema({
 
 // Index for faster queries
 PaymentSchema.index({ user: 1, status: 1, createdAt: -1 });
+PaymentSchema.index({ 'reconciliation.flaggedAt': -1 });
 
 // Method to mark payment as successful
 PaymentSchema.methods.markAsSuccess = async function(paymentId, signature, method) {
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Money sent to a trainer through the payout provider for one withdrawal
+const PayoutSchema = new mongoose.Schema({
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPayoutId: {
+    type: String
+  },
+  // Rupees; 1 UpCoin = ₹1
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  mode: {
+    type: String,
+    enum: ['UPI', 'IMPS', 'NEFT'],
+    required: true
+  },
+  // created: not yet accepted by the provider (safe to retry)
+  status: {
+    type: String,
+    enum: ['created', 'queued', 'pending', 'processing', 'processed', 'reversed', 'failed', 'rejected', 'cancelled'],
+    default: 'created'
+  },
+  failureReason: {
+    type: String
+  },
+  utr: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusHistory: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    source: String
+  }],
+  processedAt: {
+    type: Date
+  },
+  refundedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  // Webhooks and the approval request can update the same payout at once
+  optimisticConcurrency: true
+});
+
+PayoutSchema.index({ withdrawal: 1 }, { unique: true });
+PayoutSchema.index(
+  { provider: 1, providerPayoutId: 1 },
+  { unique: true, partialFilterExpression: { providerPayoutId: { $type: 'string' } } }
+);
+PayoutSchema.index({ status: 1, createdAt: -1 });
+
+const Payout = mongoose.model('Payout', PayoutSchema);
+
+module.exports = Payout;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Where a trainer's withdrawals are paid. Account numbers and UPI ids are
+// stored encrypted (utils/encryption); only masked forms leave the server.
+const PayoutProfileSchema = new mongoose.Schema({
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  preferredMethod: {
+    type: String,
+    enum: ['upi', 'bank_account'],
+    required: true
+  },
+  accountHolderName: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  bankAccount: {
+    accountNumberEncrypted: {
+      type: String
+    },
+    last4: {
+      type: String
+    },
+    ifscCode: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    // Bank and branch come only from the IFSC directory, never from the trainer
+    bankName: {
+      type: String
+    },
+    branch: {
+      type: String
+    },
+    // 'unchecked' when the directory was disabled or unreachable and only the
+    // code's format was validated
+    ifscCheck: {
+      type: String,
+      enum: ['verified', 'unchecked']
+    }
+  },
+  upi: {
+    vpaEncrypted: {
+      type: String
+    },
+    masked: {
+      type: String
+    }
+  },
+  // Penny-drop check of the bank account
+  verification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'verified', 'failed'],
+      default: 'unverified'
+    },
+    provider: {
+      type: String
+    },
+    reference: {
+      type: String
+    },
+    nameAtBank: {
+      type: String
+    },
+    failureReason: {
+      type: String
+    },
+    requestedAt: {
+      type: Date
+    },
+    verifiedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+PayoutProfileSchema.index({ 'verification.reference': 1 }, { sparse: true });
+
+// Never send the encrypted fields to clients
+PayoutProfileSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.bankAccount) delete ret.bankAccount.accountNumberEncrypted;
+    if (ret.upi) delete ret.upi.vpaEncrypted;
+    return ret;
+  }
+});
+
+PayoutProfileSchema.methods.hasBankAccount = function() {
+  return Boolean(this.bankAccount && this.bankAccount.accountNumberEncrypted);
+};
+
+PayoutProfileSchema.methods.hasUpi = function() {
+  return Boolean(this.upi && this.upi.vpaEncrypted);
+};
+
+const PayoutProfile = mongoose.model('PayoutProfile', PayoutProfileSchema);
+
+module.exports = PayoutProfile;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Summary of one payment reconciliation pass, for the admin report
+const ReconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'script', 'admin'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  },
+  checked: {
+    type: Number,
+    default: 0
+  },
+  settled: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  mismatched: {
+    type: Number,
+    default: 0
+  },
+  waiting: {
+    type: Number,
+    default: 0
+  },
+  // Payments that could not be checked, e.g. Razorpay was unreachable
+  errored: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    orderId: String,
+    outcome: String,
+    detail: String
+  }]
+}, {
+  timestamps: true
+});
+
+ReconciliationRunSchema.index({ startedAt: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', ReconciliationRunSchema);
+
+module.exports = ReconciliationRun;
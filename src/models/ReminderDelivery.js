@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One reminder to one recipient. The unique index is what keeps reminders
+// from going out twice, including across restarts.
+const ReminderDeliverySchema = new mongoose.Schema({
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ReminderDeliverySchema.index({ lecture: 1, recipient: 1, offsetMinutes: 1 }, { unique: true });
+
+const ReminderDelivery = mongoose.model('ReminderDelivery', ReminderDeliverySchema);
+
+module.exports = ReminderDelivery;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A stored value for one of the settings in config/settings.js. Documents
+// with `trainer` set are per-trainer overrides of the platform-wide value.
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+SettingSchema.index({ key: 1, trainer: 1 }, { unique: true });
+
+const Setting = mongoose.model('Setting', SettingSchema);
+
+module.exports = Setting;
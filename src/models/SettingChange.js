@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Audit trail of setting changes. A null newValue means the stored value was
+// removed and the default (or platform-wide value) applies again.
+const SettingChangeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  trainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+SettingChangeSchema.index({ key: 1, trainer: 1, createdAt: -1 });
+
+const SettingChange = mongoose.model('SettingChange', SettingChangeSchema);
+
+module.exports = SettingChange;
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  // Name on disk under the private support storage directory
+  storedName: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number
+});
+
+const MessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromStaff: {
+    type: Boolean,
+    default: false
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 10000
+  },
+  // Staff-only notes, never shown or emailed to the user
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  attachments: [AttachmentSchema]
+}, {
+  timestamps: true
+});
+
+// A support request from a student or trainer, optionally about a lecture,
+// payment or withdrawal, with its message thread and SLA timers
+const SupportTicketSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  category: {
+    type: String,
+    enum: ['lecture', 'payment', 'withdrawal', 'account', 'other'],
+    default: 'other'
+  },
+  relatedLecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture'
+  },
+  relatedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  relatedWithdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'waiting_on_user', 'resolved', 'closed'],
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  messages: [MessageSchema],
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  sla: {
+    firstResponseDueAt: Date,
+    firstRespondedAt: Date,
+    resolutionDueAt: Date,
+    // Set while the ticket waits on the user; the resolution clock is stopped
+    pausedAt: Date,
+    // Time spent waiting on the user so far, added to the resolution deadline
+    pausedMs: {
+      type: Number,
+      default: 0
+    },
+    firstResponseBreachedAt: Date,
+    resolutionBreachedAt: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+SupportTicketSchema.index({ user: 1, createdAt: -1 });
+SupportTicketSchema.index({ status: 1, priority: 1, createdAt: 1 });
+SupportTicketSchema.index({ assignedTo: 1, status: 1 });
+SupportTicketSchema.index({ status: 1, 'sla.firstResponseDueAt': 1 });
+SupportTicketSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+// Short reference for emails and the support desk, e.g. #5F3A9C21
+SupportTicketSchema.virtual('reference').get(function() {
+  return `#${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+SupportTicketSchema.set('toJSON', { virtuals: true });
+
+const SupportTicket = mongoose.model('SupportTicket', SupportTicketSchema);
+
+module.exports = SupportTicket;
@@ -50,13 +50,17 @@ const TransactionSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'paylater'],
+    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'paylater', 'bank_transfer', 'other'],
     default: 'wallet'
   },
   paymentReference: {
     type: String, // External payment system reference
     trim: true
   },
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
   balanceBefore: {
     type: Number,
     required: true
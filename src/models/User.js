@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ADMIN_SCOPES } = require('../config/permissions');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -52,6 +53,11 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the mobile number received a verification code by SMS or WhatsApp
+  mobileVerified: {
+    type: Boolean,
+    default: false
+  },
   registrationIP: {
     type: String,
     required: false,
@@ -130,6 +136,19 @@ const UserSchema = new mongoose.Schema({
       return this.role !== 'trainer'; // Auto-approve students, trainers need approval
     }
   },
+  // Admin scoping (see config/permissions.js); 'full' grants everything and
+  // an admin with no scopes or permissions can do nothing
+  adminScopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(ADMIN_SCOPES)
+    }],
+    default: undefined
+  },
+  permissions: {
+    type: [String],
+    default: undefined
+  },
   tempPassword: {
     type: String, // Temporary password for trainers
     required: false
@@ -159,6 +178,12 @@ const UserSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Total spent cannot be negative']
   },
+  // Per-type channel overrides, e.g. { new_review: { email: true } }.
+  // Types not listed use the defaults in config/notifications.
+  notificationPreferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   // Suspension fields
   suspensionReason: {
     type: String,
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A student queued for a seat in a full lecture. Entries are served oldest
+// first; finished entries are kept so students can see why they were skipped.
+const WaitlistEntrySchema = new mongoose.Schema({
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lecture',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'promoted', 'skipped', 'left', 'expired'],
+    default: 'waiting'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  promotedAt: {
+    type: Date
+  },
+  amountCharged: {
+    type: Number
+  },
+  skippedAt: {
+    type: Date
+  },
+  skipReason: {
+    type: String,
+    enum: ['insufficient_funds', 'account_restricted', 'already_enrolled']
+  },
+  // Human-readable explanation shown to the student
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistEntrySchema.index({ lecture: 1, status: 1, joinedAt: 1 });
+// A student can only wait once per lecture at a time
+WaitlistEntrySchema.index(
+  { lecture: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
+
+module.exports = WaitlistEntry;
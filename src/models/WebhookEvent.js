@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A webhook delivery, keyed by the provider's event id so retries and
+// duplicate deliveries are only processed once.
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // What the handler did, e.g. { paymentId, credited: true }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+module.exports = WebhookEvent;
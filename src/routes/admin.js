@@ -1,23 +1,38 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Lecture = require('../models/Lecture');
+const LectureSeries = require('../models/LectureSeries');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
 const Transaction = require('../models/Transaction');
-const { auth } = require('../middleware/auth');
-const { sendEmail } = require('../services/emailService');
+const Payment = require('../models/Payment');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const Payout = require('../models/Payout');
+const Invoice = require('../models/Invoice');
+const EmailMessage = require('../models/EmailMessage');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ADMIN_SCOPES, ALL_PERMISSIONS, getPermissions } = require('../config/permissions');
+const { sendEmail, emailTemplates, retryMessage, SENSITIVE_TEMPLATES } = require('../services/emailService');
+const { notifyInBackground } = require('../services/notificationService');
+const ledger = require('../services/ledgerService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { cancelLecture } = require('../services/cancellationService');
+const jobQueue = require('../services/jobQueue');
+const settings = require('../services/settingsService');
+const statements = require('../services/statementService');
+const { reconcilePayments } = require('../services/reconciliationService');
+const { PayoutError, startPayout, cancelUnsentPayout } = require('../services/payoutService');
+const { PayoutProfileError } = require('../services/payoutProfileService');
 
 /**
  * @route   GET /api/admin/stats/overview
  * @desc    Get admin dashboard overview statistics
  * @access  Private (Admin only)
  */
-router.get('/stats/overview', auth, async(req, res) => {
+router.get('/stats/overview', auth, requirePermission(PERMISSIONS.STATS_READ), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
-
         // Get current date for time-based queries
         const now = new Date();
         const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
@@ -165,13 +180,8 @@ router.get('/stats/overview', auth, async(req, res) => {
  * @desc    Get recent platform activity
  * @access  Private (Admin only)
  */
-router.get('/stats/recent-activity', auth, async(req, res) => {
+router.get('/stats/recent-activity', auth, requirePermission(PERMISSIONS.STATS_READ), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
-
         const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
         // Get recent users
@@ -243,13 +253,8 @@ router.get('/stats/recent-activity', auth, async(req, res) => {
  * @desc    Get items pending approval
  * @access  Private (Admin only)
  */
-router.get('/stats/pending-approvals', auth, async(req, res) => {
+router.get('/stats/pending-approvals', auth, requirePermission(PERMISSIONS.STATS_READ), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
-
         // Get pending trainer approvals
         const pendingTrainers = await User.find({
             role: 'trainer',
@@ -301,13 +306,8 @@ router.get('/stats/pending-approvals', auth, async(req, res) => {
  * @desc    Get all withdrawal requests
  * @access  Private (Admin only)
  */
-router.get('/withdrawals', auth, async(req, res) => {
+router.get('/withdrawals', auth, requirePermission(PERMISSIONS.WITHDRAWALS_READ), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
-
         const { status } = req.query;
         const filter = { category: 'withdrawal' };
 
@@ -319,9 +319,16 @@ router.get('/withdrawals', auth, async(req, res) => {
             .populate('user', 'firstName lastName email')
             .sort({ createdAt: -1 });
 
+        const payouts = await Payout.find({ withdrawal: { $in: withdrawals.map(w => w._id) } })
+            .select('withdrawal provider providerPayoutId status failureReason utr processedAt');
+        const payoutFor = new Map(payouts.map(p => [p.withdrawal.toString(), p]));
+
         res.json({
             success: true,
-            withdrawals
+            withdrawals: withdrawals.map(withdrawal => ({
+                ...withdrawal.toObject(),
+                payout: payoutFor.get(withdrawal._id.toString()) || null
+            }))
         });
     } catch (err) {
         console.error('Error fetching withdrawals:', err.message);
@@ -331,43 +338,51 @@ router.get('/withdrawals', auth, async(req, res) => {
 
 /**
  * @route   PUT /api/admin/withdrawals/:id/approve
- * @desc    Approve a withdrawal request
+ * @desc    Approve a withdrawal and send it through the payout provider
  * @access  Private (Admin only)
  */
-router.put('/withdrawals/:id/approve', auth, async(req, res) => {
+router.put('/withdrawals/:id/approve', auth, requirePermission(PERMISSIONS.WITHDRAWALS_APPROVE), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const user = req.currentUser;
 
         const withdrawal = await Transaction.findById(req.params.id);
         if (!withdrawal) {
             return res.status(404).json({ message: 'Withdrawal request not found' });
         }
 
-        if (withdrawal.category !== 'withdrawal') {
-            return res.status(400).json({ message: 'Invalid transaction type' });
-        }
-
-        if (withdrawal.status !== 'pending') {
-            return res.status(400).json({ message: 'Withdrawal already processed' });
-        }
+        // Completion (or a refund if the payout fails) follows from provider webhooks
+        const payout = await startPayout(withdrawal, user);
 
-        withdrawal.status = 'completed';
-        withdrawal.metadata.approvedBy = user._id;
-        withdrawal.metadata.approvedAt = new Date();
-        await withdrawal.save();
+        console.log(`Admin ${user.email} approved withdrawal ${withdrawal._id} for ₹${withdrawal.realMoneyAmount}; payout ${payout.status}`);
 
-        console.log(`Admin ${user.email} approved withdrawal ${withdrawal._id} for ₹${withdrawal.realMoneyAmount}`);
+        const refused = ['rejected', 'failed'].includes(payout.status);
+        if (!refused) {
+            notifyInBackground(withdrawal.user, {
+                type: 'withdrawal_update',
+                title: 'Withdrawal approved',
+                body: `Your withdrawal of ₹${payout.amount} was approved and is on its way to your account.`,
+                link: '/trainer/wallet',
+                data: { withdrawalId: withdrawal._id, status: 'approved' }
+            });
+        }
 
         res.json({
-            success: true,
-            message: 'Withdrawal approved successfully',
-            withdrawal
+            success: !refused,
+            message: refused
+                ? `Payout was refused by the provider (${payout.failureReason}). The amount has been refunded to the trainer.`
+                : 'Withdrawal approved and payout initiated',
+            withdrawal: await Transaction.findById(withdrawal._id),
+            payout
         });
     } catch (err) {
         console.error('Error approving withdrawal:', err.message);
+        if (err instanceof PayoutProfileError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        if (err instanceof PayoutError) {
+            const status = err.code === 'PROVIDER_UNAVAILABLE' ? 502 : 400;
+            return res.status(status).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -377,12 +392,9 @@ router.put('/withdrawals/:id/approve', auth, async(req, res) => {
  * @desc    Reject a withdrawal request and refund
  * @access  Private (Admin only)
  */
-router.put('/withdrawals/:id/reject', auth, async(req, res) => {
+router.put('/withdrawals/:id/reject', auth, requirePermission(PERMISSIONS.WITHDRAWALS_APPROVE), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const user = req.currentUser;
 
         const { reason } = req.body;
         if (!reason) {
@@ -402,41 +414,31 @@ router.put('/withdrawals/:id/reject', auth, async(req, res) => {
             return res.status(400).json({ message: 'Withdrawal already processed' });
         }
 
-        // Refund the amount to trainer's wallet
-        const trainer = await User.findById(withdrawal.user);
-        trainer.walletBalance += withdrawal.amount;
-        await trainer.save();
-
-        // Update withdrawal status
-        withdrawal.status = 'failed';
-        withdrawal.metadata.rejectedBy = user._id;
-        withdrawal.metadata.rejectedAt = new Date();
-        withdrawal.metadata.rejectionReason = reason;
-        await withdrawal.save();
-
-        // Create refund transaction
-        const refundTransaction = new Transaction({
-            user: trainer._id,
-            type: 'credit',
-            amount: withdrawal.amount,
-            realMoneyAmount: 0,
-            currency: 'INR',
-            description: `Withdrawal refund - ${reason}`,
-            category: 'refund',
-            status: 'completed',
-            paymentMethod: 'wallet',
-            reference: `refund_${withdrawal._id}`,
-            balanceBefore: trainer.walletBalance - withdrawal.amount,
-            balanceAfter: trainer.walletBalance,
-            metadata: {
-                originalWithdrawal: withdrawal._id,
-                reason: reason
-            }
+        // Money already handed to the payout provider can't be taken back here
+        await cancelUnsentPayout(withdrawal._id);
+
+        // Return the amount to the trainer's wallet and close the withdrawal together
+        const { transaction: refundTransaction } = await ledger.withTransaction(async(session) => {
+            withdrawal.status = 'failed';
+            withdrawal.metadata.rejectedBy = user._id;
+            withdrawal.metadata.rejectedAt = new Date();
+            withdrawal.metadata.rejectionReason = reason;
+            withdrawal.markModified('metadata');
+            await withdrawal.save({ session });
+
+            return ledger.refundWithdrawal({ withdrawal, reason }, { session });
         });
-        await refundTransaction.save();
 
         console.log(`Admin ${user.email} rejected withdrawal ${withdrawal._id} and refunded ₹${withdrawal.realMoneyAmount}`);
 
+        notifyInBackground(withdrawal.user, {
+            type: 'withdrawal_update',
+            title: 'Withdrawal rejected',
+            body: `Your withdrawal of ${withdrawal.amount} UpCoins was rejected and the amount is back in your wallet. Reason: ${reason}`,
+            link: '/trainer/wallet',
+            data: { withdrawalId: withdrawal._id, status: 'rejected' }
+        });
+
         res.json({
             success: true,
             message: 'Withdrawal rejected and amount refunded',
@@ -445,6 +447,224 @@ router.put('/withdrawals/:id/reject', auth, async(req, res) => {
         });
     } catch (err) {
         console.error('Error rejecting withdrawal:', err.message);
+        if (err instanceof PayoutError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/ledger/accounts
+ * @desc    Get platform ledger account balances
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/accounts', auth, requirePermission(PERMISSIONS.LEDGER_READ), async(req, res) => {
+    try {
+        const accounts = await ledger.getSystemBalances();
+
+        res.json({
+            success: true,
+            accounts
+        });
+    } catch (err) {
+        console.error('Error fetching ledger accounts:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/transactions/export/:format (csv or pdf)
+ * @desc    Export transactions across the platform (?from=&to=, optional user, type, category, status);
+ *          filtered to one user it includes their opening and closing balances
+ * @access  Private (Admin with ledger:read)
+ */
+router.get('/transactions/export/:format', auth, requirePermission(PERMISSIONS.LEDGER_READ), async(req, res) => {
+    try {
+        const { format } = req.params;
+        if (!['csv', 'pdf'].includes(format)) {
+            return res.status(404).json({ message: 'Unknown export format' });
+        }
+
+        const statement = await statements.buildPlatformStatement(req.query);
+
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+            'Content-Disposition': `attachment; filename="${statements.fileNameFor(statement, format)}"`
+        });
+        res.send(format === 'csv' ? statements.toCsv(statement) : statements.toPdf(statement));
+    } catch (err) {
+        if (err instanceof statements.StatementError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        console.error('Error exporting transactions:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/invoices
+ * @desc    List issued invoices and statements (?type=, ?user=, ?financialYear=)
+ * @access  Private (Admin with ledger:read)
+ */
+router.get('/invoices', auth, requirePermission(PERMISSIONS.LEDGER_READ), async(req, res) => {
+    try {
+        const { type, user, financialYear, page = 1, limit = 50 } = req.query;
+        const filter = {};
+        if (type) filter.type = type;
+        if (user && mongoose.Types.ObjectId.isValid(user)) filter.user = user;
+        if (financialYear) filter.financialYear = financialYear;
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .populate('user', 'firstname lastname email role')
+                .select('-statement.entries -seller')
+                .sort({ issuedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Invoice.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching invoices:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/payments/reconciliation
+ * @desc    Reconciliation report: recent runs and payments flagged as mismatched
+ * @access  Private (Admin with payments:reconcile)
+ */
+router.get('/payments/reconciliation', auth, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async(req, res) => {
+    try {
+        const { reviewed } = req.query;
+        const filter = { 'reconciliation.flaggedAt': { $ne: null } };
+        if (reviewed === 'true') filter['reconciliation.reviewedAt'] = { $ne: null };
+        if (reviewed !== 'true' && reviewed !== 'all') {
+            filter['reconciliation.reviewedAt'] = null;
+            filter['reconciliation.outcome'] = 'mismatch';
+        }
+
+        const [flagged, runs] = await Promise.all([
+            Payment.find(filter)
+                .populate('user', 'firstname lastname email')
+                .select('-razorpaySignature -userAgent -ipAddress')
+                .sort({ 'reconciliation.flaggedAt': -1 }),
+            ReconciliationRun.find()
+                .select('-results')
+                .sort({ startedAt: -1 })
+                .limit(10)
+        ]);
+
+        res.json({
+            success: true,
+            flagged,
+            runs
+        });
+    } catch (err) {
+        console.error('Error fetching reconciliation report:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/admin/payments/reconciliation/run
+ * @desc    Run payment reconciliation now (dryRun: true only reports)
+ * @access  Private (Admin with payments:reconcile)
+ */
+router.post('/payments/reconciliation/run', auth, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const summary = await reconcilePayments({
+            trigger: 'admin',
+            triggeredBy: adminUser._id,
+            dryRun: req.body.dryRun === true
+        });
+
+        console.log(`Admin ${adminUser.email} ran payment reconciliation: ${summary.checked} checked`);
+
+        res.json({
+            success: true,
+            run: summary
+        });
+    } catch (err) {
+        console.error('Error running reconciliation:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/payments/:id/reconciliation
+ * @desc    Resolve a flagged payment: mark it failed or dismiss the flag
+ * @access  Private (Admin with payments:reconcile)
+ */
+router.put('/payments/:id/reconciliation', auth, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+        const { resolution, note } = req.body;
+
+        if (!['failed', 'dismissed'].includes(resolution)) {
+            return res.status(400).json({ message: 'Resolution must be failed or dismissed' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+
+        if (!payment.reconciliation || !payment.reconciliation.flaggedAt) {
+            return res.status(400).json({ message: 'Payment is not flagged by reconciliation' });
+        }
+
+        if (payment.reconciliation.reviewedAt) {
+            return res.status(400).json({ message: 'Payment has already been reviewed' });
+        }
+
+        if (resolution === 'failed') {
+            if (!['created', 'pending'].includes(payment.status)) {
+                return res.status(400).json({ message: `Payment is already ${payment.status}` });
+            }
+            payment.status = 'failed';
+            payment.failureReason = note || payment.reconciliation.issue;
+            payment.completedAt = new Date();
+        }
+
+        // Reviewed payments are left out of later reconciliation runs
+        payment.reconciliation.reviewedAt = new Date();
+        payment.reconciliation.reviewedBy = adminUser._id;
+        payment.reconciliation.resolution = resolution;
+        payment.reconciliation.note = note;
+        await payment.save();
+
+        console.log(`Admin ${adminUser.email} resolved reconciliation flag on payment ${payment._id}: ${resolution}`);
+
+        res.json({
+            success: true,
+            message: `Reconciliation flag resolved: ${resolution}`,
+            payment: {
+                id: payment._id,
+                status: payment.status,
+                reconciliation: payment.reconciliation
+            }
+        });
+    } catch (err) {
+        console.error('Error resolving reconciliation flag:', err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -454,12 +674,9 @@ router.put('/withdrawals/:id/reject', auth, async(req, res) => {
  * @desc    Suspend a user account
  * @access  Private (Admin only)
  */
-router.post('/users/:userId/suspend', auth, async(req, res) => {
+router.post('/users/:userId/suspend', auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const adminUser = req.currentUser;
 
         const { reason } = req.body;
         if (!reason || !reason.trim()) {
@@ -486,41 +703,18 @@ router.post('/users/:userId/suspend', auth, async(req, res) => {
         user.suspendedBy = adminUser._id;
         await user.save();
 
+        // End every session so the suspension takes effect immediately
+        const revokedSessions = await revokeAllSessions(user._id, 'account_suspended');
+
         // Send email notification
         try {
-            await sendEmail(user.email, {
-                subject: 'Account Suspension Notification - Upscholar',
-                html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #dc2626;">Account Suspension Notification</h2>
-            <p>Dear ${user.firstname} ${user.lastname},</p>
-            <p>We regret to inform you that your Upscholar account has been suspended.</p>
-            
-            <div style="background-color: #fee2e2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0;">
-              <h3 style="margin-top: 0; color: #991b1b;">Reason for Suspension:</h3>
-              <p style="margin-bottom: 0;">${reason}</p>
-            </div>
-            
-            <h3>What this means:</h3>
-            <ul>
-              <li>You will not be able to log in to your account</li>
-              <li>Your access to all platform features has been temporarily disabled</li>
-              <li>Your data remains secure and will not be deleted</li>
-            </ul>
-            
-            <p>If you believe this is a mistake or would like to appeal this decision, please contact us.</p>
-            
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-            <p style="color: #6b7280; font-size: 14px;">Best regards,<br>Upscholar Admin Team</p>
-          </div>
-        `
-            });
+            await sendEmail(user.email, emailTemplates.accountSuspended(user, reason));
         } catch (emailError) {
             console.error('Error sending suspension email:', emailError);
             // Continue even if email fails
         }
 
-        console.log(`Admin ${adminUser.email} suspended user ${user.email}`);
+        console.log(`Admin ${adminUser.email} suspended user ${user.email} (${revokedSessions} sessions revoked)`);
 
         res.json({
             success: true,
@@ -542,12 +736,9 @@ router.post('/users/:userId/suspend', auth, async(req, res) => {
  * @desc    Activate a suspended user account
  * @access  Private (Admin only)
  */
-router.post('/users/:userId/activate', auth, async(req, res) => {
+router.post('/users/:userId/activate', auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const adminUser = req.currentUser;
 
         const user = await User.findById(req.params.userId);
         if (!user) {
@@ -570,37 +761,7 @@ router.post('/users/:userId/activate', auth, async(req, res) => {
 
         // Send email notification
         try {
-            await sendEmail(user.email, {
-                subject: 'Account Reactivated - Welcome Back to Upscholar',
-                html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #16a34a;">Account Reactivated - Welcome Back!</h2>
-            <p>Dear ${user.firstname} ${user.lastname},</p>
-            <p>Good news! Your Upscholar account has been reactivated.</p>
-            
-            <div style="background-color: #dcfce7; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0;">
-              <h3 style="margin-top: 0; color: #15803d;">You can now:</h3>
-              <ul style="margin-bottom: 0;">
-                <li>Log in to your account</li>
-                <li>Access all platform features</li>
-                <li>Resume your ${user.role === 'trainer' ? 'teaching' : 'learning'} activities</li>
-              </ul>
-            </div>
-            
-            <p>If you have any questions, please don't hesitate to contact us.</p>
-            
-            <p style="margin-top: 30px;">
-              <a href="${process.env.FRONTEND_URL || 'http://localhost:8080'}/login" 
-                 style="background-color: #16a34a; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                Log In Now
-              </a>
-            </p>
-            
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-            <p style="color: #6b7280; font-size: 14px;">Welcome back!<br>Upscholar Team</p>
-          </div>
-        `
-            });
+            await sendEmail(user.email, emailTemplates.accountReactivated(user));
         } catch (emailError) {
             console.error('Error sending activation email:', emailError);
             // Continue even if email fails
@@ -624,101 +785,758 @@ router.post('/users/:userId/activate', auth, async(req, res) => {
 });
 
 /**
- * @route   GET /api/admin/lectures
- * @desc    Get all lectures for admin management
- * @access  Private (Admin only)
+ * @route   PUT /api/admin/users/:userId/permissions
+ * @desc    Set an admin's scopes and individual permissions (the 'full' scope grants everything)
+ * @access  Private (Admin with admins:manage)
  */
-router.get('/lectures', auth, async(req, res) => {
+router.put('/users/:userId/permissions', auth, requirePermission(PERMISSIONS.ADMINS_MANAGE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
+        const adminUser = req.currentUser;
+        const { adminScopes = [], permissions = [] } = req.body;
+
+        if (!Array.isArray(adminScopes) || !Array.isArray(permissions)) {
+            return res.status(400).json({ message: 'adminScopes and permissions must be arrays' });
         }
 
-        const lectures = await Lecture.find()
-            .populate('trainer', 'firstname lastname email avatar')
-            .populate('enrolledStudents', 'firstname lastname email')
-            .sort({ createdAt: -1 });
+        const unknownScopes = adminScopes.filter(scope => !ADMIN_SCOPES[scope]);
+        const unknownPermissions = permissions.filter(p => !ALL_PERMISSIONS.includes(p) && !/^[a-z_]+:\*$/.test(p));
+        if (unknownScopes.length > 0 || unknownPermissions.length > 0) {
+            return res.status(400).json({
+                message: 'Unknown scopes or permissions',
+                unknownScopes,
+                unknownPermissions,
+                availableScopes: Object.keys(ADMIN_SCOPES),
+                availablePermissions: ALL_PERMISSIONS
+            });
+        }
 
-        const formattedLectures = lectures.map(lecture => ({
-            id: lecture._id,
-            title: lecture.title,
-            description: lecture.description,
-            trainer: {
-                id: lecture.trainer._id,
-                name: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
-                email: lecture.trainer.email,
-                avatar: lecture.trainer.avatar
-            },
-            scheduledAt: lecture.scheduledAt,
-            duration: lecture.duration,
-            price: lecture.price,
-            maxStudents: lecture.maxStudents,
-            enrolledStudents: lecture.enrolledStudents.map(student => ({
-                id: student._id,
-                name: `${student.firstname} ${student.lastname}`,
-                email: student.email
-            })),
-            category: lecture.category,
-            tags: lecture.tags || [],
-            status: lecture.status,
-            thumbnail: lecture.thumbnail,
-            materials: lecture.materials || [],
-            meetingLink: lecture.meetingLink,
-            recordingUrl: lecture.recordingUrl,
-            createdAt: lecture.createdAt,
-            approvedAt: lecture.approvedAt,
-            approvedBy: lecture.approvedBy,
-            rejectedAt: lecture.rejectedAt,
-            rejectedBy: lecture.rejectedBy,
-            rejectionReason: lecture.rejectionReason
-        }));
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
 
-        res.json(formattedLectures);
+        if (user.role !== 'admin') {
+            return res.status(400).json({ message: 'Permissions can only be assigned to admin users' });
+        }
+
+        if (user._id.equals(adminUser._id)) {
+            return res.status(400).json({ message: 'You cannot change your own permissions' });
+        }
+
+        user.adminScopes = adminScopes.length > 0 ? adminScopes : undefined;
+        user.permissions = permissions.length > 0 ? permissions : undefined;
+        await user.save();
+
+        console.log(`Admin ${adminUser.email} set permissions for ${user.email}: scopes=[${adminScopes.join(', ')}] permissions=[${permissions.join(', ')}]`);
+
+        res.json({
+            success: true,
+            message: 'Permissions updated successfully',
+            user: {
+                id: user._id,
+                email: user.email,
+                adminScopes: user.adminScopes || [],
+                permissions: getPermissions(user)
+            }
+        });
     } catch (err) {
-        console.error('Error fetching lectures:', err.message);
+        console.error('Error updating admin permissions:', err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 /**
- * @route   GET /api/admin/lectures/:id
- * @desc    Get single lecture details for admin
- * @access  Private (Admin only)
+ * @route   GET /api/admin/settings
+ * @desc    Get all pricing settings with current values and trainer overrides
+ * @access  Private (Admin with settings:manage)
+ */
+router.get('/settings', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
+    try {
+        res.json({ success: true, settings: await settings.listSettings() });
+    } catch (err) {
+        console.error('Error fetching settings:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/settings/:key
+ * @desc    Change a setting (body: { value, reason })
+ * @access  Private (Admin with settings:manage)
  */
-router.get('/lectures/:id', auth, async(req, res) => {
+router.put('/settings/:key', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
+        const adminUser = req.currentUser;
+        const { value, reason } = req.body;
+
+        if (value === undefined) {
+            return res.status(400).json({ message: 'Value is required' });
         }
 
-        const lecture = await Lecture.findById(req.params.id)
-            .populate('trainer', 'firstname lastname email avatar bio expertise experience')
-            .populate('enrolledStudents', 'firstname lastname email avatar')
-            .populate('approvedBy', 'firstname lastname email')
-            .populate('rejectedBy', 'firstname lastname email');
+        const stored = await settings.updateSetting(req.params.key, value, {
+            changedBy: adminUser._id,
+            reason
+        });
 
-        if (!lecture) {
-            return res.status(404).json({ message: 'Lecture not found' });
+        console.log(`Admin ${adminUser.email} changed setting ${req.params.key}`);
+
+        res.json({ success: true, message: 'Setting updated successfully', key: req.params.key, value: stored });
+    } catch (err) {
+        if (err instanceof settings.SettingsError) {
+            return res.status(err.code === 'UNKNOWN_SETTING' ? 404 : 400).json({ message: err.message });
         }
+        console.error('Error updating setting:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        // Get feedback for completed lectures
-        let feedback = [];
-        if (lecture.status === 'completed') {
-            const Feedback = require('../models/Feedback');
-            feedback = await Feedback.find({ lecture: lecture._id })
-                .populate('student', 'firstname lastname email avatar')
-                .sort({ createdAt: -1 });
+/**
+ * @route   DELETE /api/admin/settings/:key
+ * @desc    Reset a setting to its default
+ * @access  Private (Admin with settings:manage)
+ */
+router.delete('/settings/:key', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const reset = await settings.resetSetting(req.params.key, {
+            changedBy: adminUser._id,
+            reason: req.body && req.body.reason
+        });
+
+        console.log(`Admin ${adminUser.email} reset setting ${req.params.key}`);
+
+        res.json({
+            success: true,
+            message: reset ? 'Setting reset to default' : 'Setting was already using its default',
+            key: req.params.key,
+            value: await settings.getSetting(req.params.key)
+        });
+    } catch (err) {
+        if (err instanceof settings.SettingsError) {
+            return res.status(404).json({ message: err.message });
         }
+        console.error('Error resetting setting:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        const formattedLecture = {
-            id: lecture._id,
-            title: lecture.title,
-            description: lecture.description,
-            trainer: {
-                id: lecture.trainer._id,
-                name: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
+/**
+ * @route   GET /api/admin/settings/:key/history
+ * @desc    Get the change history of a setting (optionally ?trainerId=)
+ * @access  Private (Admin with settings:manage)
+ */
+router.get('/settings/:key/history', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
+    try {
+        const { trainerId, limit = 50 } = req.query;
+
+        const history = await settings.getHistory(req.params.key, {
+            trainerId,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+
+        res.json({ success: true, key: req.params.key, history });
+    } catch (err) {
+        if (err instanceof settings.SettingsError) {
+            return res.status(404).json({ message: err.message });
+        }
+        console.error('Error fetching setting history:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/settings/:key/trainers/:trainerId
+ * @desc    Override a setting for one trainer (body: { value, reason })
+ * @access  Private (Admin with settings:manage)
+ */
+router.put('/settings/:key/trainers/:trainerId', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+        const { value, reason } = req.body;
+
+        if (value === undefined) {
+            return res.status(400).json({ message: 'Value is required' });
+        }
+
+        const trainer = await User.findById(req.params.trainerId).select('role email');
+        if (!trainer || trainer.role !== 'trainer') {
+            return res.status(404).json({ message: 'Trainer not found' });
+        }
+
+        const stored = await settings.updateSetting(req.params.key, value, {
+            changedBy: adminUser._id,
+            reason,
+            trainerId: trainer._id
+        });
+
+        console.log(`Admin ${adminUser.email} set ${req.params.key} override for trainer ${trainer.email}`);
+
+        res.json({
+            success: true,
+            message: 'Trainer override saved',
+            key: req.params.key,
+            trainerId: trainer._id,
+            value: stored
+        });
+    } catch (err) {
+        if (err instanceof settings.SettingsError) {
+            return res.status(err.code === 'UNKNOWN_SETTING' ? 404 : 400).json({ message: err.message });
+        }
+        console.error('Error saving trainer override:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/settings/:key/trainers/:trainerId
+ * @desc    Remove a trainer's override so the platform value applies
+ * @access  Private (Admin with settings:manage)
+ */
+router.delete('/settings/:key/trainers/:trainerId', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        if (!mongoose.isValidObjectId(req.params.trainerId)) {
+            return res.status(404).json({ message: 'Trainer not found' });
+        }
+
+        const removed = await settings.resetSetting(req.params.key, {
+            changedBy: adminUser._id,
+            reason: req.body && req.body.reason,
+            trainerId: req.params.trainerId
+        });
+
+        if (!removed) {
+            return res.status(404).json({ message: 'No override set for this trainer' });
+        }
+
+        console.log(`Admin ${adminUser.email} removed ${req.params.key} override for trainer ${req.params.trainerId}`);
+
+        res.json({ success: true, message: 'Trainer override removed' });
+    } catch (err) {
+        if (err instanceof settings.SettingsError) {
+            return res.status(404).json({ message: err.message });
+        }
+        console.error('Error removing trainer override:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Coupon fields an admin may set
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minAmount',
+    'appliesTo', 'categories', 'trainers', 'packages', 'usageLimit', 'perUserLimit',
+    'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickCouponFields = (body) => {
+    const fields = {};
+    COUPON_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    List coupons
+ * @access  Private (Admin with coupons:manage)
+ */
+router.get('/coupons', auth, requirePermission(PERMISSIONS.COUPONS_MANAGE), async(req, res) => {
+    try {
+        const { active, search } = req.query;
+
+        const query = {};
+        if (active !== undefined) {
+            query.isActive = active === 'true';
+        }
+        if (search) {
+            query.code = { $regex: search, $options: 'i' };
+        }
+
+        const coupons = await Coupon.find(query)
+            .populate('createdBy', 'firstname lastname email')
+            .sort({ createdAt: -1 });
+
+        res.json({ success: true, coupons });
+    } catch (err) {
+        console.error('Error fetching coupons:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon
+ * @access  Private (Admin with coupons:manage)
+ */
+router.post('/coupons', auth, requirePermission(PERMISSIONS.COUPONS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const coupon = new Coupon({
+            ...pickCouponFields(req.body),
+            createdBy: adminUser._id
+        });
+        await coupon.save();
+
+        console.log(`Admin ${adminUser.email} created coupon ${coupon.code}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            coupon
+        });
+    } catch (err) {
+        console.error('Error creating coupon:', err.message);
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(error => error.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with this code already exists' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update a coupon
+ * @access  Private (Admin with coupons:manage)
+ */
+router.put('/coupons/:id', auth, requirePermission(PERMISSIONS.COUPONS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        const fields = pickCouponFields(req.body);
+
+        // Redeemed codes appear on past transactions, so they stay as they are
+        if (fields.code && fields.code.toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+            return res.status(400).json({ message: 'Cannot change the code of a coupon that has been used' });
+        }
+
+        coupon.set(fields);
+        await coupon.save();
+
+        console.log(`Admin ${adminUser.email} updated coupon ${coupon.code}`);
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            coupon
+        });
+    } catch (err) {
+        console.error('Error updating coupon:', err.message);
+        if (err.name === 'ValidationError') {
+            const errors = Object.values(err.errors).map(error => error.message);
+            return res.status(400).json({ message: 'Validation failed', errors });
+        }
+        if (err.code === 11000) {
+            return res.status(400).json({ message: 'A coupon with this code already exists' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Deactivate a coupon (kept for redemption history)
+ * @access  Private (Admin with coupons:manage)
+ */
+router.delete('/coupons/:id', auth, requirePermission(PERMISSIONS.COUPONS_MANAGE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const coupon = await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+        if (!coupon) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        console.log(`Admin ${adminUser.email} deactivated coupon ${coupon.code}`);
+
+        res.json({ success: true, message: 'Coupon deactivated successfully', coupon });
+    } catch (err) {
+        console.error('Error deactivating coupon:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @desc    List redemptions of a coupon
+ * @access  Private (Admin with coupons:manage)
+ */
+router.get('/coupons/:id/redemptions', auth, requirePermission(PERMISSIONS.COUPONS_MANAGE), async(req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        if (!mongoose.isValidObjectId(req.params.id) || !(await Coupon.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'Coupon not found' });
+        }
+
+        const query = { coupon: req.params.id };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const redemptions = await CouponRedemption.find(query)
+            .populate('user', 'firstname lastname email')
+            .populate('lecture', 'title')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await CouponRedemption.countDocuments(query);
+        // Uses reserved by unpaid orders are listed but not counted as given
+        const totals = await CouponRedemption.aggregate([
+            { $match: { coupon: new mongoose.Types.ObjectId(req.params.id), status: { $ne: 'reserved' } } },
+            { $group: { _id: '$context', count: { $sum: 1 }, discount: { $sum: '$discount' } } }
+        ]);
+
+        res.json({
+            success: true,
+            redemptions,
+            totals,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching coupon redemptions:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/lectures
+ * @desc    Get all lectures for admin management
+ * @access  Private (Admin only)
+ */
+router.get('/lectures', auth, requirePermission(PERMISSIONS.LECTURES_READ), async(req, res) => {
+    try {
+        const lectures = await Lecture.find()
+            .populate('trainer', 'firstname lastname email avatar')
+            .populate('enrolledStudents', 'firstname lastname email')
+            .sort({ createdAt: -1 });
+
+        const formattedLectures = lectures.map(lecture => ({
+            id: lecture._id,
+            title: lecture.title,
+            description: lecture.description,
+            trainer: {
+                id: lecture.trainer._id,
+                name: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
+                email: lecture.trainer.email,
+                avatar: lecture.trainer.avatar
+            },
+            scheduledAt: lecture.scheduledAt,
+            duration: lecture.duration,
+            price: lecture.price,
+            maxStudents: lecture.maxStudents,
+            enrolledStudents: lecture.enrolledStudents.map(student => ({
+                id: student._id,
+                name: `${student.firstname} ${student.lastname}`,
+                email: student.email
+            })),
+            category: lecture.category,
+            tags: lecture.tags || [],
+            status: lecture.status,
+            thumbnail: lecture.thumbnail,
+            materials: lecture.materials || [],
+            meetingLink: lecture.meetingLink,
+            recordingUrl: lecture.recordingUrl,
+            createdAt: lecture.createdAt,
+            approvedAt: lecture.approvedAt,
+            approvedBy: lecture.approvedBy,
+            rejectedAt: lecture.rejectedAt,
+            rejectedBy: lecture.rejectedBy,
+            rejectionReason: lecture.rejectionReason
+        }));
+
+        res.json(formattedLectures);
+    } catch (err) {
+        console.error('Error fetching lectures:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/lectures/no-shows
+ * @desc    Lectures flagged because the trainer never started them
+ * @access  Private (Admin with lectures:read)
+ */
+router.get('/lectures/no-shows', auth, requirePermission(PERMISSIONS.LECTURES_READ), async(req, res) => {
+    try {
+        const { reviewed } = req.query;
+        const filter = { 'noShow.flaggedAt': { $ne: null } };
+        if (reviewed === 'true') filter['noShow.reviewedAt'] = { $ne: null };
+        if (reviewed !== 'true' && reviewed !== 'all') filter['noShow.reviewedAt'] = null;
+
+        const lectures = await Lecture.find(filter)
+            .populate('trainer', 'firstname lastname email')
+            .select('title trainer scheduledAt duration status enrolledStudents startedAt noShow')
+            .sort({ 'noShow.flaggedAt': -1 });
+
+        res.json({
+            success: true,
+            lectures: lectures.map(lecture => ({
+                id: lecture._id,
+                title: lecture.title,
+                trainer: lecture.trainer ? {
+                    id: lecture.trainer._id,
+                    name: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
+                    email: lecture.trainer.email
+                } : null,
+                scheduledAt: lecture.scheduledAt,
+                duration: lecture.duration,
+                status: lecture.status,
+                enrolledCount: lecture.enrolledStudents.length,
+                startedAt: lecture.startedAt,
+                noShow: lecture.noShow
+            }))
+        });
+    } catch (err) {
+        console.error('Error fetching no-show lectures:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/lectures/:id/no-show
+ * @desc    Resolve a no-show flag: cancel (refunds students), complete, or dismiss
+ *          once the trainer has started the lecture late
+ * @access  Private (Admin with lectures:moderate)
+ */
+router.put('/lectures/:id/no-show', auth, requirePermission(PERMISSIONS.LECTURES_MODERATE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+        const { resolution, note } = req.body;
+
+        if (!['cancelled', 'completed', 'dismissed'].includes(resolution)) {
+            return res.status(400).json({ message: 'Resolution must be cancelled, completed or dismissed' });
+        }
+
+        const lecture = await Lecture.findById(req.params.id);
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        if (!lecture.noShow || !lecture.noShow.flaggedAt) {
+            return res.status(400).json({ message: 'Lecture is not flagged as a no-show' });
+        }
+
+        if (lecture.noShow.reviewedAt) {
+            return res.status(400).json({ message: 'No-show has already been reviewed' });
+        }
+
+        if (resolution !== 'dismissed' && ['completed', 'cancelled'].includes(lecture.status)) {
+            return res.status(400).json({ message: `Lecture is already ${lecture.status}` });
+        }
+
+        if (resolution === 'dismissed' && lecture.status === 'no_show') {
+            return res.status(400).json({ message: 'A lecture that never started must be cancelled or completed' });
+        }
+
+        lecture.noShow.reviewedAt = new Date();
+        lecture.noShow.reviewedBy = adminUser._id;
+        lecture.noShow.resolution = resolution;
+        lecture.noShow.note = note;
+
+        let refunds;
+        if (resolution === 'cancelled') {
+            ({ refunds } = await cancelLecture(lecture, {
+                cancelledBy: adminUser._id,
+                reason: note || 'The trainer did not start the lecture'
+            }));
+        } else {
+            if (resolution === 'completed') {
+                lecture.status = 'completed';
+                lecture.completedAt = new Date();
+            }
+            await lecture.save();
+        }
+
+        console.log(`Admin ${adminUser.email} resolved no-show for lecture ${lecture._id}: ${resolution}`);
+
+        res.json({
+            success: true,
+            message: `No-show resolved: ${resolution}`,
+            lecture: {
+                id: lecture._id,
+                status: lecture.status,
+                noShow: lecture.noShow
+            },
+            ...(refunds ? { refunds } : {})
+        });
+    } catch (err) {
+        console.error('Error resolving no-show:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Background job queue status
+ * @access  Private (Admin with stats:read)
+ */
+router.get('/jobs', auth, requirePermission(PERMISSIONS.STATS_READ), (req, res) => {
+    res.json({
+        success: true,
+        queue: jobQueue.getStats()
+    });
+});
+
+/**
+ * @route   GET /api/admin/emails
+ * @desc    Outbox messages, newest first, with counts per status (?status=dead, ?to=, ?template=)
+ * @access  Private (Admin with emails:manage)
+ */
+router.get('/emails', auth, requirePermission(PERMISSIONS.EMAILS_MANAGE), async(req, res) => {
+    try {
+        const { status, to, template, page = 1, limit = 50 } = req.query;
+        const filter = {};
+        if (status) filter.status = status;
+        if (to) filter.to = to.toLowerCase();
+        if (template) filter.template = template;
+
+        const [emails, total, counts] = await Promise.all([
+            EmailMessage.find(filter)
+                .select('-html -text -attachments.content')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            EmailMessage.countDocuments(filter),
+            EmailMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            emails,
+            counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching outbox:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/emails/:id
+ * @desc    One outbox message, with its body until it has been sent. Bodies of
+ *          sensitive templates are never returned.
+ * @access  Private (Admin with emails:manage)
+ */
+router.get('/emails/:id', auth, requirePermission(PERMISSIONS.EMAILS_MANAGE), async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+
+        const email = await EmailMessage.findById(req.params.id).select('-attachments.content');
+        if (!email) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+
+        // Covers messages queued before sensitive bodies stopped being stored
+        if (SENSITIVE_TEMPLATES.has(email.template)) {
+            email.html = undefined;
+            email.text = undefined;
+        }
+
+        res.json({
+            success: true,
+            email
+        });
+    } catch (err) {
+        console.error('Error fetching email:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/admin/emails/:id/retry
+ * @desc    Send a dead-lettered (or retrying) message again
+ * @access  Private (Admin with emails:manage)
+ */
+router.post('/emails/:id/retry', auth, requirePermission(PERMISSIONS.EMAILS_MANAGE), async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Email not found' });
+        }
+
+        const email = await retryMessage(req.params.id);
+        if (!email) {
+            const exists = await EmailMessage.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ message: 'Only dead or retrying emails without credentials in them can be retried' })
+                : res.status(404).json({ message: 'Email not found' });
+        }
+
+        console.log(`Admin ${req.currentUser.email} requeued email ${email._id} to ${email.to}`);
+
+        res.json({
+            success: true,
+            message: 'Email queued for delivery',
+            email: {
+                id: email._id,
+                to: email.to,
+                subject: email.subject,
+                status: email.status
+            }
+        });
+    } catch (err) {
+        console.error('Error retrying email:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/admin/lectures/:id
+ * @desc    Get single lecture details for admin
+ * @access  Private (Admin only)
+ */
+router.get('/lectures/:id', auth, requirePermission(PERMISSIONS.LECTURES_READ), async(req, res) => {
+    try {
+        const lecture = await Lecture.findById(req.params.id)
+            .populate('trainer', 'firstname lastname email avatar bio expertise experience')
+            .populate('enrolledStudents', 'firstname lastname email avatar')
+            .populate('approvedBy', 'firstname lastname email')
+            .populate('rejectedBy', 'firstname lastname email');
+
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        // Get feedback for completed lectures
+        let feedback = [];
+        if (lecture.status === 'completed') {
+            const Feedback = require('../models/Feedback');
+            feedback = await Feedback.find({ lecture: lecture._id })
+                .populate('student', 'firstname lastname email avatar')
+                .sort({ createdAt: -1 });
+        }
+
+        const formattedLecture = {
+            id: lecture._id,
+            title: lecture.title,
+            description: lecture.description,
+            trainer: {
+                id: lecture.trainer._id,
+                name: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
                 email: lecture.trainer.email,
                 avatar: lecture.trainer.avatar,
                 bio: lecture.trainer.bio || '',
@@ -782,12 +1600,9 @@ router.get('/lectures/:id', auth, async(req, res) => {
  * @desc    Approve a pending lecture
  * @access  Private (Admin only)
  */
-router.put('/lectures/:id/approve', auth, async(req, res) => {
+router.put('/lectures/:id/approve', auth, requirePermission(PERMISSIONS.LECTURES_MODERATE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const adminUser = req.currentUser;
 
         const lecture = await Lecture.findById(req.params.id).populate('trainer', 'firstname lastname email');
         if (!lecture) {
@@ -804,40 +1619,16 @@ router.put('/lectures/:id/approve', auth, async(req, res) => {
         lecture.approvedBy = adminUser._id;
         await lecture.save();
 
-        // Send email notification to trainer
-        try {
-            await sendEmail(lecture.trainer.email, {
-                subject: 'Lecture Approved - Upscholar',
-                html: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #16a34a;">Lecture Approved!</h2>
-                        <p>Dear ${lecture.trainer.firstname} ${lecture.trainer.lastname},</p>
-                        <p>Great news! Your lecture has been approved by our admin team.</p>
-                        
-                        <div style="background-color: #dcfce7; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0;">
-                            <h3 style="margin-top: 0; color: #15803d;">Lecture Details:</h3>
-                            <p><strong>Title:</strong> ${lecture.title}</p>
-                            <p><strong>Scheduled:</strong> ${new Date(lecture.scheduledAt).toLocaleString()}</p>
-                            <p><strong>Price:</strong> ${lecture.price} UpCoins</p>
-                        </div>
-                        
-                        <p>Your lecture is now live and students can enroll!</p>
-                        
-                        <p style="margin-top: 30px;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:8080'}/trainer/manage-lectures" 
-                               style="background-color: #16a34a; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                                View Your Lectures
-                            </a>
-                        </p>
-                        
-                        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-                        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>Upscholar Team</p>
-                    </div>
-                `
-            });
-        } catch (emailError) {
-            console.error('Error sending approval email:', emailError);
-        }
+        // Notify the trainer in-app and, by default, by email
+        notifyInBackground(lecture.trainer, {
+            type: 'lecture_approved',
+            title: 'Lecture approved',
+            body: `"${lecture.title}" is now live and students can enroll.`,
+            link: '/trainer/manage-lectures',
+            data: { lectureId: lecture._id }
+        }, {
+            email: emailTemplates.lectureApproved(lecture.trainer, lecture)
+        });
 
         console.log(`Admin ${adminUser.email} approved lecture ${lecture._id}: ${lecture.title}`);
 
@@ -862,12 +1653,9 @@ router.put('/lectures/:id/approve', auth, async(req, res) => {
  * @desc    Reject a pending lecture
  * @access  Private (Admin only)
  */
-router.put('/lectures/:id/reject', auth, async(req, res) => {
+router.put('/lectures/:id/reject', auth, requirePermission(PERMISSIONS.LECTURES_MODERATE), async(req, res) => {
     try {
-        const adminUser = await User.findById(req.user.id);
-        if (adminUser.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
+        const adminUser = req.currentUser;
 
         const lecture = await Lecture.findById(req.params.id).populate('trainer', 'firstname lastname email');
         if (!lecture) {
@@ -887,32 +1675,16 @@ router.put('/lectures/:id/reject', auth, async(req, res) => {
         lecture.rejectionReason = reason || 'Not specified';
         await lecture.save();
 
-        // Send email notification to trainer
-        try {
-            await sendEmail(lecture.trainer.email, {
-                subject: 'Lecture Rejected - Upscholar',
-                html: `
-                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                        <h2 style="color: #dc2626;">Lecture Rejected</h2>
-                        <p>Dear ${lecture.trainer.firstname} ${lecture.trainer.lastname},</p>
-                        <p>We regret to inform you that your lecture has been rejected by our admin team.</p>
-                        
-                        <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 15px; margin: 20px 0;">
-                            <h3 style="margin-top: 0; color: #b91c1c;">Lecture Details:</h3>
-                            <p><strong>Title:</strong> ${lecture.title}</p>
-                            <p><strong>Rejection Reason:</strong> ${lecture.rejectionReason}</p>
-                        </div>
-                        
-                        <p>Please review the rejection reason and feel free to create a new lecture that meets our guidelines.</p>
-                        
-                        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-                        <p style="color: #6b7280; font-size: 14px;">Best regards,<br>Upscholar Team</p>
-                    </div>
-                `
-            });
-        } catch (emailError) {
-            console.error('Error sending rejection email:', emailError);
-        }
+        // Notify the trainer in-app and, by default, by email
+        notifyInBackground(lecture.trainer, {
+            type: 'lecture_rejected',
+            title: 'Lecture rejected',
+            body: `"${lecture.title}" was not approved. Reason: ${lecture.rejectionReason}`,
+            link: '/trainer/manage-lectures',
+            data: { lectureId: lecture._id }
+        }, {
+            email: emailTemplates.lectureRejected(lecture.trainer, lecture)
+        });
 
         console.log(`Admin ${adminUser.email} rejected lecture ${lecture._id}: ${lecture.title}`);
 
@@ -933,4 +1705,116 @@ router.put('/lectures/:id/reject', auth, async(req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   PUT /api/admin/series/:id/approve
+ * @desc    Approve a pending series and schedule all of its lectures
+ * @access  Private (Admin only)
+ */
+router.put('/series/:id/approve', auth, requirePermission(PERMISSIONS.LECTURES_MODERATE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const series = await LectureSeries.findById(req.params.id).populate('trainer', 'firstname lastname email');
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        if (series.status !== 'pending') {
+            return res.status(400).json({ message: 'Series is not in pending status' });
+        }
+
+        const now = new Date();
+        series.status = 'active';
+        series.approvedAt = now;
+        series.approvedBy = adminUser._id;
+        await series.save();
+
+        // Occurrences that already went by while pending stay pending
+        const result = await Lecture.updateMany(
+            { series: series._id, status: 'pending', scheduledAt: { $gt: now } },
+            { $set: { status: 'scheduled', approvedAt: now, approvedBy: adminUser._id } }
+        );
+
+        try {
+            await sendEmail(series.trainer.email, emailTemplates.seriesApproved(series.trainer, series, result.modifiedCount));
+        } catch (emailError) {
+            console.error('Error sending series approval email:', emailError);
+        }
+
+        console.log(`Admin ${adminUser.email} approved series ${series._id}: ${series.title}`);
+
+        res.json({
+            success: true,
+            message: 'Series approved successfully',
+            series: {
+                id: series._id,
+                title: series.title,
+                status: series.status,
+                approvedAt: series.approvedAt
+            },
+            lecturesScheduled: result.modifiedCount
+        });
+    } catch (err) {
+        console.error('Error approving series:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/admin/series/:id/reject
+ * @desc    Reject a pending series and all of its lectures
+ * @access  Private (Admin only)
+ */
+router.put('/series/:id/reject', auth, requirePermission(PERMISSIONS.LECTURES_MODERATE), async(req, res) => {
+    try {
+        const adminUser = req.currentUser;
+
+        const series = await LectureSeries.findById(req.params.id).populate('trainer', 'firstname lastname email');
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        if (series.status !== 'pending') {
+            return res.status(400).json({ message: 'Series is not in pending status' });
+        }
+
+        const now = new Date();
+        const reason = req.body.reason || 'Not specified';
+
+        series.status = 'rejected';
+        series.rejectedAt = now;
+        series.rejectedBy = adminUser._id;
+        series.rejectionReason = reason;
+        await series.save();
+
+        await Lecture.updateMany(
+            { series: series._id, status: 'pending' },
+            { $set: { status: 'cancelled', rejectedAt: now, rejectedBy: adminUser._id, rejectionReason: reason } }
+        );
+
+        try {
+            await sendEmail(series.trainer.email, emailTemplates.seriesRejected(series.trainer, series, reason));
+        } catch (emailError) {
+            console.error('Error sending series rejection email:', emailError);
+        }
+
+        console.log(`Admin ${adminUser.email} rejected series ${series._id}: ${series.title}`);
+
+        res.json({
+            success: true,
+            message: 'Series rejected successfully',
+            series: {
+                id: series._id,
+                title: series.title,
+                status: series.status,
+                rejectedAt: series.rejectedAt,
+                rejectionReason: series.rejectionReason
+            }
+        });
+    } catch (err) {
+        console.error('Error rejecting series:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
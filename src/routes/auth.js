@@ -1,13 +1,17 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
-const { auth, generateToken } = require("../middleware/auth");
+const { auth, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, getPermissions } = require("../config/permissions");
 const upload = require("../middleware/upload");
 const { sendEmail, emailTemplates } = require("../services/emailService");
 const { generateTempPassword } = require("../utils/passwordGenerator");
-const { JOINING_BONUS } = require("../config/razorpay");
-const { sendOTP, verifyOTP, checkIPRegistration, getClientIP } = require("../services/otpService");
+const { getSetting } = require("../services/settingsService");
+const { sendOTP, verifyOTP, consumeVerifiedOTP, checkIPRegistration, getClientIP } = require("../services/otpService");
+const { OTP_EXPIRY_MINUTES } = require("../config/otp");
+const { creditJoiningBonus } = require("../services/ledgerService");
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions, listSessions } = require("../services/sessionService");
 const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 
@@ -30,17 +34,78 @@ router.options("/register", handleOptions);
 router.options("/login", handleOptions);
 router.options("/send-otp", handleOptions);
 router.options("/verify-otp", handleOptions);
+router.options("/login/send-otp", handleOptions);
+router.options("/login/verify-otp", handleOptions);
 router.options("/forgot-password", handleOptions);
 router.options("/reset-password", handleOptions);
+router.options("/reset-password-otp", handleOptions);
+
+/**
+ * Channel to send an existing user's login or reset code on. SMS and WhatsApp
+ * only go to a mobile number that was itself verified; otherwise email.
+ */
+const resolveUserChannel = (user, channel) => {
+    if (!channel || channel === "email") return "email";
+    return user.mobile && user.mobileVerified ? channel : "email";
+};
+
+// Why an account may not log in yet, as { status, body }, or null
+const getLoginRestriction = (user) => {
+    if (user.role === "trainer" && !user.isApproved) {
+        return {
+            status: 403,
+            body: {
+                message: "Your trainer account is still pending approval. Please wait for admin approval.",
+                status: user.status,
+            },
+        };
+    }
+    if (user.status === "suspended") {
+        return {
+            status: 403,
+            body: {
+                message: "Your account has been suspended. Please contact support.",
+                status: user.status,
+            },
+        };
+    }
+    return null;
+};
+
+// User data returned with a new login session
+const buildLoginUser = (user) => {
+    const userResponse = {
+        id: user.id,
+        name: user.name,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        email: user.email,
+        role: user.role,
+        createdAt: user.createdAt,
+        isApproved: user.isApproved,
+        status: user.status,
+    };
+
+    // Add trainer-specific fields to response if user is a trainer
+    if (user.role === "trainer") {
+        userResponse.resume = user.resume;
+        userResponse.demoVideoUrl = user.demoVideoUrl;
+        userResponse.expertise = user.expertise;
+        userResponse.experience = user.experience;
+        userResponse.bio = user.bio;
+    }
+
+    return userResponse;
+};
 
 /**
  * @route   POST /api/auth/send-otp
- * @desc    Send OTP to email for verification
+ * @desc    Send a registration OTP by email, SMS or WhatsApp (channel), falling back to email
  * @access  Public
  */
 router.post("/send-otp", async(req, res) => {
     try {
-        const { email, mobile } = req.body;
+        const { email, mobile, channel } = req.body;
 
         // Validate email
         if (!email) {
@@ -86,7 +151,7 @@ router.post("/send-otp", async(req, res) => {
         // }
 
         // Send OTP
-        const result = await sendOTP(email, mobile, ipAddress, 'registration');
+        const result = await sendOTP(email, mobile, ipAddress, 'registration', channel ? { channel } : {});
 
         if (!result.success) {
             return res.status(400).json({ message: result.message });
@@ -95,6 +160,8 @@ router.post("/send-otp", async(req, res) => {
         res.json({
             success: true,
             message: result.message,
+            channel: result.channel,
+            fallback: result.fallback,
             expiresIn: result.expiresIn
         });
     } catch (error) {
@@ -128,7 +195,8 @@ router.post("/verify-otp", async(req, res) => {
 
         res.json({
             success: true,
-            message: result.message
+            message: result.message,
+            channel: result.channel
         });
     } catch (error) {
         console.error("Error in verify-otp route:", error);
@@ -138,7 +206,7 @@ router.post("/verify-otp", async(req, res) => {
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user (requires OTP verification)
+ * @desc    Register a new user (requires a verified OTP; marks the email or mobile verified to match its channel)
  * @access  Public
  */
 router.post("/register", upload.single("resume"), async(req, res) => {
@@ -151,7 +219,6 @@ router.post("/register", upload.single("resume"), async(req, res) => {
             mobile,
             password,
             role,
-            otpVerified, // Flag indicating OTP was verified
             // Trainer-specific fields
             demoVideoUrl,
             expertise,
@@ -187,13 +254,6 @@ router.post("/register", upload.single("resume"), async(req, res) => {
             return res.status(400).json({ message: "Please provide a valid email address" });
         }
 
-        // Check if OTP was verified (frontend should set this after verification)
-        if (!otpVerified) {
-            return res.status(400).json({
-                message: "Email verification required. Please verify your email with OTP first."
-            });
-        }
-
         // Get client IP
         const ipAddress = getClientIP(req);
 
@@ -274,6 +334,19 @@ router.post("/register", upload.single("resume"), async(req, res) => {
             return res.status(400).json({ message: "An account already exists with this mobile number" });
         }
 
+        // The OTP proves the email, or the mobile number it was texted to
+        const verified = await consumeVerifiedOTP(email, ipAddress, "registration");
+        if (!verified) {
+            return res.status(400).json({
+                message: "Verification required. Please verify your email or mobile number with an OTP first."
+            });
+        }
+        if (verified.channel !== "email" && verified.mobile !== mobile) {
+            return res.status(400).json({
+                message: "The OTP was sent to a different mobile number. Please verify the number you are registering with."
+            });
+        }
+
         // Create user data object
         const userData = {
             name,
@@ -282,8 +355,12 @@ router.post("/register", upload.single("resume"), async(req, res) => {
             email: email.toLowerCase(),
             mobile,
             role: role || "student",
-            emailVerified: true, // OTP verified
-            registrationIP: ipAddress
+            emailVerified: verified.channel === "email",
+            mobileVerified: verified.channel !== "email",
+            registrationIP: ipAddress,
+            // Wallets start empty; UpCoins only arrive through the ledger
+            walletBalance: 0,
+            totalEarned: 0
         };
 
         // Add password for students only
@@ -310,38 +387,18 @@ router.post("/register", upload.single("resume"), async(req, res) => {
         await user.save();
 
         // Give joining bonus to all new users
-        if (JOINING_BONUS > 0) {
-            user.walletBalance = JOINING_BONUS;
-            user.totalEarned = JOINING_BONUS;
-            await user.save();
-
-            // Create transaction record for joining bonus
-            const bonusTransaction = new Transaction({
-                user: user._id,
-                type: 'credit',
-                amount: JOINING_BONUS,
-                realMoneyAmount: 0,
-                currency: 'INR',
-                description: `Welcome bonus - ${JOINING_BONUS} UpCoins`,
-                category: 'joining_bonus',
-                status: 'completed',
-                paymentMethod: 'wallet',
-                reference: `joining_bonus_${user._id}`,
-                balanceBefore: 0,
-                balanceAfter: JOINING_BONUS,
-                metadata: {
-                    bonusType: 'registration',
-                    userId: user._id
-                }
-            });
-            await bonusTransaction.save();
+        const joiningBonus = await getSetting("joining_bonus");
+        if (joiningBonus > 0) {
+            const { transaction: bonusTransaction } = await creditJoiningBonus(user, joiningBonus);
+            user.walletBalance = bonusTransaction.balanceAfter;
+            user.totalEarned = joiningBonus;
 
-            console.log(`Joining bonus of ${JOINING_BONUS} UpCoins credited to user: ${user.email}`);
+            console.log(`Joining bonus of ${joiningBonus} UpCoins credited to user: ${user.email}`);
         }
 
         // For students, generate JWT token and return login response
         if (role === "student") {
-            const token = generateToken(user.id);
+            const tokens = await createSession(user, req);
 
             const userResponse = {
                 id: user.id,
@@ -358,9 +415,9 @@ router.post("/register", upload.single("resume"), async(req, res) => {
             };
 
             return res.status(201).json({
-                token,
+                ...tokens,
                 user: userResponse,
-                message: `Account created successfully! You received ${JOINING_BONUS} UpCoins as a welcome bonus!`,
+                message: `Account created successfully! You received ${joiningBonus} UpCoins as a welcome bonus!`,
             });
         }
 
@@ -423,46 +480,196 @@ router.post("/login", async(req, res) => {
             return res.status(400).json({ message: "Invalid credentials" });
         }
 
-        // Generate JWT token
-        const token = generateToken(user.id);
+        // Check if trainer is approved and the account is not suspended
+        const restriction = getLoginRestriction(user);
+        if (restriction) {
+            return res.status(restriction.status).json(restriction.body);
+        }
 
-        // Check if trainer is approved
-        if (user.role === "trainer" && !user.isApproved) {
-            return res.status(403).json({
-                message: "Your trainer account is still pending approval. Please wait for admin approval.",
-                status: user.status,
-            });
+        // Start a session for this device
+        const tokens = await createSession(user, req);
+
+        // Return tokens and user data
+        res.json({
+            ...tokens,
+            user: buildLoginUser(user),
+        });
+    } catch (err) {
+        console.error("Error in login route:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   POST /api/auth/login/send-otp
+ * @desc    Send a login code by email, SMS or WhatsApp (channel), falling back to email.
+ *          SMS and WhatsApp need a verified mobile number.
+ * @access  Public
+ */
+router.post("/login/send-otp", async(req, res) => {
+    try {
+        const { email, channel } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
         }
 
-        // Prepare user response data
-        const userResponse = {
-            id: user.id,
-            name: user.name,
-            firstname: user.firstname,
-            lastname: user.lastname,
-            email: user.email,
-            role: user.role,
-            createdAt: user.createdAt,
-            isApproved: user.isApproved,
-            status: user.status,
+        // Same answer whether or not the account exists or the code went out
+        const genericResponse = {
+            success: true,
+            message: "If an account exists with this email, a login code has been sent.",
+            expiresIn: OTP_EXPIRY_MINUTES * 60,
         };
 
-        // Add trainer-specific fields to response if user is a trainer
-        if (user.role === "trainer") {
-            userResponse.resume = user.resume;
-            userResponse.demoVideoUrl = user.demoVideoUrl;
-            userResponse.expertise = user.expertise;
-            userResponse.experience = user.experience;
-            userResponse.bio = user.bio;
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        const result = await sendOTP(user.email, user.mobile, getClientIP(req), "login", {
+            channel: resolveUserChannel(user, channel),
+        });
+        if (!result.success) {
+            console.warn(`Login code for ${user.email} not sent:`, result.message);
+        }
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("Error in login send-otp route:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   POST /api/auth/login/verify-otp
+ * @desc    Log in with a code from /login/send-otp
+ * @access  Public
+ */
+router.post("/login/verify-otp", async(req, res) => {
+    try {
+        const { email, otp } = req.body;
+
+        if (!email || !otp) {
+            return res.status(400).json({ message: "Email and OTP are required" });
+        }
+
+        const result = await verifyOTP(email, otp, getClientIP(req), "login");
+        if (!result.success) {
+            return res.status(400).json({ message: result.message });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid credentials" });
+        }
+
+        const restriction = getLoginRestriction(user);
+        if (restriction) {
+            return res.status(restriction.status).json(restriction.body);
         }
 
-        // Return token and user data
+        const tokens = await createSession(user, req);
+
         res.json({
-            token,
-            user: userResponse,
+            ...tokens,
+            user: buildLoginUser(user),
         });
     } catch (err) {
-        console.error("Error in login route:", err.message);
+        console.error("Error in login verify-otp route:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ */
+router.post("/refresh", async(req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req);
+        if (!result.success) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        res.json(result.tokens);
+    } catch (err) {
+        console.error("Error refreshing token:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out of the current session
+ * @access  Private
+ */
+router.post("/logout", auth, async(req, res) => {
+    try {
+        await revokeSession(req.sessionId, "logout", req.user.id);
+        res.json({ success: true, message: "Logged out successfully" });
+    } catch (err) {
+        console.error("Error logging out:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get("/sessions", auth, async(req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === req.sessionId,
+            })),
+        });
+    } catch (err) {
+        console.error("Error fetching sessions:", err.message);
+        res.status(500).json({ message: "Server error" });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions (log out a device)
+ * @access  Private
+ */
+router.delete("/sessions/:id", auth, async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        const revoked = await revokeSession(req.params.id, "revoked_by_user", req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        res.json({
+            success: true,
+            message: "Session revoked successfully",
+            current: req.params.id === req.sessionId,
+        });
+    } catch (err) {
+        console.error("Error revoking session:", err.message);
         res.status(500).json({ message: "Server error" });
     }
 });
@@ -481,7 +688,8 @@ router.get("/me", auth, async(req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
-        res.json(user);
+        // Effective permissions let the admin UI hide what a sub-admin cannot do
+        res.json({ ...user.toObject(), permissions: getPermissions(user) });
     } catch (err) {
         console.error("Error in get user route:", err.message);
         res.status(500).json({ message: "Server error" });
@@ -493,15 +701,8 @@ router.get("/me", auth, async(req, res) => {
  * @desc    Get all users
  * @access  Private (Admin only)
  */
-router.get("/users", auth, async(req, res) => {
+router.get("/users", auth, requirePermission(PERMISSIONS.USERS_READ), async(req, res) => {
     try {
-        // TEMPORARILY DISABLED AUTHENTICATION FOR TESTING
-        // const currentUser = await User.findById(req.user.id);
-        // TEMPORARILY DISABLED ADMIN CHECK FOR TESTING
-        // if (currentUser.role !== "admin") {
-        //     return res.status(403).json({ message: "Access denied. Admin only." });
-        // }
-
         const users = await User.find().select("-password");
         res.json(users);
     } catch (err) {
@@ -515,14 +716,8 @@ router.get("/users", auth, async(req, res) => {
  * @desc    Get user statistics
  * @access  Private (Admin only)
  */
-router.get("/users/stats", auth, async(req, res) => {
+router.get("/users/stats", auth, requirePermission(PERMISSIONS.USERS_READ), async(req, res) => {
     try {
-        const currentUser = await User.findById(req.user.id);
-        // TEMPORARILY DISABLED ADMIN CHECK FOR TESTING
-        // if (currentUser.role !== "admin") {
-        //     return res.status(403).json({ message: "Access denied. Admin only." });
-        // }
-
         const [
             totalUsers,
             students,
@@ -559,9 +754,9 @@ router.get("/users/stats", auth, async(req, res) => {
 /**
  * @route   GET /api/auth/users/search
  * @desc    Search users by name
- * @access  Private
+ * @access  Private (Admin with users:read)
  */
-router.get("/users/search", auth, async(req, res) => {
+router.get("/users/search", auth, requirePermission(PERMISSIONS.USERS_READ), async(req, res) => {
     try {
         const { name } = req.query;
         if (!name) {
@@ -586,14 +781,8 @@ router.get("/users/search", auth, async(req, res) => {
  * @desc    Get all pending trainer applications
  * @access  Private (Admin only)
  */
-router.get("/trainers/pending", auth, async(req, res) => {
+router.get("/trainers/pending", auth, requirePermission(PERMISSIONS.USERS_READ), async(req, res) => {
     try {
-        const currentUser = await User.findById(req.user.id);
-        // TEMPORARILY DISABLED ADMIN CHECK FOR TESTING
-        // if (currentUser.role !== "admin") {
-        //     return res.status(403).json({ message: "Access denied. Admin only." });
-        // }
-
         const pendingTrainers = await User.find({
             role: "trainer",
             status: "pending",
@@ -611,18 +800,9 @@ router.get("/trainers/pending", auth, async(req, res) => {
  * @desc    Approve a trainer application
  * @access  Private (Admin only)
  */
-router.post("/trainers/:id/approve", async(req, res) => {
-    console.log('DEBUG: Approval endpoint hit with ID:', req.params.id);
+router.post("/trainers/:id/approve", auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
     try {
-        // TEMPORARILY DISABLED AUTHENTICATION FOR TESTING
-        // const currentUser = await User.findById(req.user.id);
-        // if (currentUser.role !== "admin") {
-        //     return res.status(403).json({ message: "Access denied. Admin only." });
-        // }
-
-        console.log('DEBUG: Looking for trainer with ID:', req.params.id);
         const trainer = await User.findById(req.params.id);
-        console.log('DEBUG: Trainer found:', trainer ? 'Yes' : 'No');
         if (!trainer) {
             return res.status(404).json({ message: "Trainer not found" });
         }
@@ -684,15 +864,8 @@ router.post("/trainers/:id/approve", async(req, res) => {
  * @desc    Reject a trainer application
  * @access  Private (Admin only)
  */
-router.post("/trainers/:id/reject", async(req, res) => {
+router.post("/trainers/:id/reject", auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
     try {
-        // TEMPORARILY DISABLED AUTHENTICATION FOR TESTING
-        // const currentUser = await User.findById(req.user.id);
-        // TEMPORARILY DISABLED ADMIN CHECK FOR TESTING
-        // if (currentUser.role !== "admin") {
-        //     return res.status(403).json({ message: "Access denied. Admin only." });
-        // }
-
         const { reason } = req.body;
         const trainer = await User.findById(req.params.id);
 
@@ -755,13 +928,8 @@ router.post("/trainers/:id/reject", async(req, res) => {
  * @desc    Update user status (suspend/activate)
  * @access  Private (Admin only)
  */
-router.put("/users/:id/status", auth, async(req, res) => {
+router.put("/users/:id/status", auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
     try {
-        const currentUser = await User.findById(req.user.id);
-        if (currentUser.role !== "admin") {
-            return res.status(403).json({ message: "Access denied. Admin only." });
-        }
-
         const { status } = req.body;
         const user = await User.findById(req.params.id);
 
@@ -778,6 +946,10 @@ router.put("/users/:id/status", auth, async(req, res) => {
         user.isApproved = status === "approved";
         await user.save();
 
+        if (status !== "approved") {
+            await revokeAllSessions(user._id, "account_suspended");
+        }
+
         res.json({
             message: `User ${status} successfully`,
             user: {
@@ -799,13 +971,8 @@ router.put("/users/:id/status", auth, async(req, res) => {
  * @desc    Get filtered users
  * @access  Private (Admin only)
  */
-router.get("/users/filter", auth, async(req, res) => {
+router.get("/users/filter", auth, requirePermission(PERMISSIONS.USERS_READ), async(req, res) => {
     try {
-        const currentUser = await User.findById(req.user.id);
-        if (currentUser.role !== "admin") {
-            return res.status(403).json({ message: "Access denied. Admin only." });
-        }
-
         const { role, status, search } = req.query;
         let query = {};
 
@@ -839,14 +1006,44 @@ router.get("/users/filter", auth, async(req, res) => {
     }
 });
 
+/**
+ * Set a new password after a reset link or code was checked, log out every
+ * device and confirm by email
+ */
+const applyPasswordReset = async (user, password) => {
+    // Set new password (will be hashed by pre-save hook)
+    user.password = password;
+
+    // Clear reset token fields
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+
+    await user.save();
+
+    // Anyone holding an old session has to log in with the new password
+    await revokeAllSessions(user._id, "password_reset");
+
+    console.log('Password reset successful for:', user.email);
+
+    // Send confirmation email
+    try {
+        await sendEmail(user.email, emailTemplates.passwordChanged(user.name, { afterReset: true }));
+        console.log('Password change confirmation email sent');
+    } catch (emailError) {
+        console.error('Error sending confirmation email:', emailError);
+        // Don't fail the request if email fails
+    }
+};
+
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Request password reset email
+ * @desc    Request a password reset: a link by email, or with channel sms/whatsapp a
+ *          code for /reset-password-otp sent to the verified mobile (email otherwise)
  * @access  Public
  */
 router.post("/forgot-password", async(req, res) => {
     try {
-        const { email } = req.body;
+        const { email, channel } = req.body;
 
         if (!email) {
             return res.status(400).json({ message: "Email is required" });
@@ -855,14 +1052,32 @@ router.post("/forgot-password", async(req, res) => {
         // Find user by email
         const user = await User.findOne({ email: email.toLowerCase() });
 
-        // Always return success message for security (don't reveal if email exists)
+        // Always return the same answer for security (don't reveal if email
+        // exists, or whether the code could be sent)
+        const codeResponse = {
+            success: true,
+            message: "If an account exists with this email, you will receive a password reset code.",
+            expiresIn: OTP_EXPIRY_MINUTES * 60,
+        };
+
         if (!user) {
-            return res.json({
+            return res.json(channel && channel !== "email" ? codeResponse : {
                 success: true,
                 message: "If an account exists with this email, you will receive a password reset link.",
             });
         }
 
+        if (channel && channel !== "email") {
+            const result = await sendOTP(user.email, user.mobile, getClientIP(req), "password_reset", {
+                channel: resolveUserChannel(user, channel),
+            });
+            if (!result.success) {
+                console.warn(`Password reset code for ${user.email} not sent:`, result.message);
+            }
+
+            return res.json(codeResponse);
+        }
+
         // Generate reset token
         const resetToken = crypto.randomBytes(32).toString("hex");
         const resetTokenHash = crypto
@@ -878,50 +1093,9 @@ router.post("/forgot-password", async(req, res) => {
         // Create reset URL
         const resetUrl = `http://localhost:8080/reset-password/${resetToken}`;
 
-        // Send email
-        const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px 8px 0 0;">
-          <h2 style="color: #333; margin: 0;">Password Reset Request</h2>
-        </div>
-        <div style="background-color: #ffffff; padding: 30px; border: 1px solid #e0e0e0;">
-          <p style="color: #333; line-height: 1.6;">Hello ${user.name},</p>
-          <p style="color: #333; line-height: 1.6;">
-            You requested to reset your password for your Upscholar account. Click the button below to reset your password:
-          </p>
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${resetUrl}" 
-               style="background-color: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-              Reset Password
-            </a>
-          </div>
-          <p style="color: #666; line-height: 1.6; font-size: 14px;">
-            Or copy and paste this link into your browser:
-          </p>
-          <p style="color: #4F46E5; word-break: break-all; font-size: 14px;">
-            ${resetUrl}
-          </p>
-          <p style="color: #666; line-height: 1.6; font-size: 14px; margin-top: 30px;">
-            <strong>This link will expire in 1 hour.</strong>
-          </p>
-          <p style="color: #666; line-height: 1.6; font-size: 14px;">
-            If you didn't request this password reset, please ignore this email and your password will remain unchanged.
-          </p>
-        </div>
-        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center;">
-          <p style="color: #666; font-size: 12px; margin: 0;">
-            This email was sent from Upscholar Learning Platform
-          </p>
-        </div>
-      </div>
-    `;
-
         // Send email using the email service
         try {
-            const emailResult = await sendEmail(user.email, {
-                subject: "Password Reset Request - Upscholar",
-                html: emailHtml,
-            });
+            const emailResult = await sendEmail(user.email, emailTemplates.passwordReset(user.name, resetUrl));
 
             console.log('Password reset email sent:', emailResult);
         } catch (emailError) {
@@ -978,58 +1152,53 @@ router.post("/reset-password/:token", async(req, res) => {
 
         console.log('User found for password reset:', user.email);
 
-        // Set new password (will be hashed by pre-save hook)
-        user.password = password;
+        await applyPasswordReset(user, password);
 
-        // Clear reset token fields
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpires = undefined;
+        res.json({
+            success: true,
+            message: "Password has been reset successfully. You can now log in with your new password.",
+        });
+    } catch (err) {
+        console.error("Error in reset password:", err.message);
+        res.status(500).json({ message: "Error resetting password. Please try again." });
+    }
+});
 
-        await user.save();
+/**
+ * @route   POST /api/auth/reset-password-otp
+ * @desc    Reset password with a code sent by /forgot-password
+ * @access  Public
+ */
+router.post("/reset-password-otp", async(req, res) => {
+    try {
+        const { email, otp, password } = req.body;
 
-        console.log('Password reset successful for:', user.email);
+        if (!email || !otp || !password) {
+            return res.status(400).json({ message: "Email, OTP and password are required" });
+        }
 
-        // Send confirmation email
-        const confirmationHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px 8px 0 0;">
-          <h2 style="color: #333; margin: 0;">Password Changed Successfully</h2>
-        </div>
-        <div style="background-color: #ffffff; padding: 30px; border: 1px solid #e0e0e0;">
-          <p style="color: #333; line-height: 1.6;">Hello ${user.name},</p>
-          <p style="color: #333; line-height: 1.6;">
-            Your password has been successfully changed. You can now log in with your new password.
-          </p>
-          <p style="color: #666; line-height: 1.6; font-size: 14px; margin-top: 30px;">
-            If you didn't make this change, please contact our support team immediately.
-          </p>
-        </div>
-        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center;">
-          <p style="color: #666; font-size: 12px; margin: 0;">
-            This email was sent from Upscholar Learning Platform
-          </p>
-        </div>
-      </div>
-    `;
+        if (password.length < 6) {
+            return res.status(400).json({ message: "Password must be at least 6 characters long" });
+        }
 
-        // Send confirmation email
-        try {
-            await sendEmail(user.email, {
-                subject: "Password Changed - Upscholar",
-                html: confirmationHtml,
-            });
-            console.log('Password change confirmation email sent');
-        } catch (emailError) {
-            console.error('Error sending confirmation email:', emailError);
-            // Don't fail the request if email fails
+        const result = await verifyOTP(email, otp, getClientIP(req), "password_reset");
+        if (!result.success) {
+            return res.status(400).json({ message: result.message });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired OTP. Please request a new one." });
         }
 
+        await applyPasswordReset(user, password);
+
         res.json({
             success: true,
             message: "Password has been reset successfully. You can now log in with your new password.",
         });
     } catch (err) {
-        console.error("Error in reset password:", err.message);
+        console.error("Error in reset password with OTP:", err.message);
         res.status(500).json({ message: "Error resetting password. Please try again." });
     }
 });
@@ -1067,37 +1236,15 @@ router.post("/change-password", auth, async(req, res) => {
         user.password = newPassword;
         await user.save();
 
-        console.log('Password changed successfully for:', user.email);
+        // Log out every device, then start a fresh session for this one
+        await revokeAllSessions(user._id, "password_changed");
+        const tokens = await createSession(user, req);
 
-        // Send confirmation email
-        const confirmationHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px 8px 0 0;">
-          <h2 style="color: #333; margin: 0;">Password Changed Successfully</h2>
-        </div>
-        <div style="background-color: #ffffff; padding: 30px; border: 1px solid #e0e0e0;">
-          <p style="color: #333; line-height: 1.6;">Hello ${user.name},</p>
-          <p style="color: #333; line-height: 1.6;">
-            Your password has been successfully changed.
-          </p>
-          <p style="color: #666; line-height: 1.6; font-size: 14px; margin-top: 30px;">
-            If you didn't make this change, please contact our support team immediately.
-          </p>
-        </div>
-        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center;">
-          <p style="color: #666; font-size: 12px; margin: 0;">
-            This email was sent from Upscholar Learning Platform
-          </p>
-        </div>
-      </div>
-    `;
+        console.log('Password changed successfully for:', user.email);
 
         // Send confirmation email
         try {
-            await sendEmail(user.email, {
-                subject: "Password Changed - Upscholar",
-                html: confirmationHtml,
-            });
+            await sendEmail(user.email, emailTemplates.passwordChanged(user.name));
             console.log('Password change confirmation email sent');
         } catch (emailError) {
             console.error('Error sending confirmation email:', emailError);
@@ -1105,7 +1252,8 @@ router.post("/change-password", auth, async(req, res) => {
 
         res.json({
             success: true,
-            message: "Password changed successfully",
+            message: "Password changed successfully. Other devices have been logged out.",
+            ...tokens,
         });
     } catch (err) {
         console.error("Error changing password:", err.message);
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const Lecture = require('../models/Lecture');
+const { auth } = require('../middleware/auth');
+const { CouponError, applyCoupon } = require('../services/couponService');
+const { findPackage } = require('../services/settingsService');
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Preview a coupon on a lecture (lectureId) or UpCoin package (packageId)
+ * @access  Private
+ */
+router.post('/validate', auth, async(req, res) => {
+    try {
+        const { code, lectureId, packageId } = req.body;
+
+        if (!code || (!lectureId && !packageId)) {
+            return res.status(400).json({ message: 'Coupon code and a lecture or package are required' });
+        }
+
+        let target;
+        if (lectureId) {
+            const lecture = await Lecture.findById(lectureId).select('title category trainer price');
+            if (!lecture) {
+                return res.status(404).json({ message: 'Lecture not found' });
+            }
+            target = { context: 'enrollment', lecture, amount: lecture.price };
+        } else {
+            const selectedPackage = await findPackage(packageId);
+            if (!selectedPackage) {
+                return res.status(400).json({ message: 'Invalid package selected' });
+            }
+            target = { context: 'package', packageId, amount: selectedPackage.price };
+        }
+
+        const { coupon, discount, finalAmount } = await applyCoupon(code, {
+            userId: req.user.id,
+            minFinalAmount: 1,
+            ...target
+        });
+
+        res.json({
+            success: true,
+            coupon: {
+                code: coupon.code,
+                description: coupon.description,
+                discountType: coupon.discountType,
+                discountValue: coupon.discountValue
+            },
+            originalAmount: target.amount,
+            discount,
+            finalAmount
+        });
+    } catch (err) {
+        if (err instanceof CouponError) {
+            return res.status(400).json({ success: false, message: err.message, code: err.code });
+        }
+        console.error('Error validating coupon:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
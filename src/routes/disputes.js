@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../models/Dispute');
+const { auth, loadUser, requireRole, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+    DisputeError,
+    fileDispute,
+    getDispute,
+    respondToDispute,
+    withdrawDispute,
+    resolveDispute
+} = require('../services/disputeService');
+
+const ERROR_STATUS = {
+    NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    NOT_ENROLLED: 403,
+    ALREADY_DISPUTED: 409,
+    ALREADY_RESPONDED: 409,
+    DISPUTE_CLOSED: 409
+};
+
+const sendDisputeError = (res, err) => {
+    return res.status(ERROR_STATUS[err.code] || 400).json({ message: err.message, code: err.code });
+};
+
+const populateDispute = (dispute) => dispute.populate([
+    { path: 'lecture', select: 'title scheduledAt duration status completedAt' },
+    { path: 'student', select: 'firstname lastname email' },
+    { path: 'trainer', select: 'firstname lastname email' },
+    { path: 'resolution.decidedBy', select: 'firstname lastname' }
+]);
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Dispute an enrollment (lectureId, reason, description)
+ * @access  Private (Student)
+ */
+router.post('/', auth, requireRole('student'), async(req, res) => {
+    try {
+        const dispute = await fileDispute(req.currentUser, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Dispute filed. The trainer has been asked to respond and an admin will review it.',
+            dispute
+        });
+    } catch (err) {
+        if (err instanceof DisputeError) {
+            return sendDisputeError(res, err);
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid dispute', errors: Object.values(err.errors).map(e => e.message) });
+        }
+        console.error('Error filing dispute:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Disputes the current user filed (students) or that were filed against them (trainers) (?status=)
+ * @access  Private
+ */
+router.get('/', auth, loadUser, async(req, res) => {
+    try {
+        const filter = req.currentUser.role === 'trainer'
+            ? { trainer: req.currentUser._id }
+            : { student: req.currentUser._id };
+        if (req.query.status && req.query.status !== 'all') {
+            filter.status = req.query.status;
+        }
+
+        const disputes = await Dispute.find(filter)
+            .populate('lecture', 'title scheduledAt')
+            .populate(req.currentUser.role === 'trainer' ? 'student' : 'trainer', 'firstname lastname')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            disputes
+        });
+    } catch (err) {
+        console.error('Error fetching disputes:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/disputes/queue
+ * @desc    Open disputes for admin review (?status=awaiting_trainer|under_review|all)
+ * @access  Private (Admin with disputes:resolve)
+ */
+router.get('/queue', auth, requirePermission(PERMISSIONS.DISPUTES_RESOLVE), async(req, res) => {
+    try {
+        const { status, page = 1, limit = 50 } = req.query;
+
+        const filter = {};
+        if (status !== 'all') {
+            filter.status = status || { $in: ['awaiting_trainer', 'under_review'] };
+        }
+
+        const [disputes, total] = await Promise.all([
+            Dispute.find(filter)
+                .populate('lecture', 'title scheduledAt')
+                .populate('student', 'firstname lastname email')
+                .populate('trainer', 'firstname lastname email')
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Dispute.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            disputes,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching dispute queue:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Get a dispute
+ * @access  Private (the student, the trainer or an admin with disputes:resolve)
+ */
+router.get('/:id', auth, loadUser, async(req, res) => {
+    try {
+        const dispute = await getDispute(req.params.id, req.currentUser);
+        await populateDispute(dispute);
+
+        res.json({
+            success: true,
+            dispute
+        });
+    } catch (err) {
+        if (err instanceof DisputeError) {
+            return sendDisputeError(res, err);
+        }
+        console.error('Error fetching dispute:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/disputes/:id/response
+ * @desc    Trainer's response to a dispute (body)
+ * @access  Private (Trainer)
+ */
+router.post('/:id/response', auth, requireRole('trainer'), async(req, res) => {
+    try {
+        const dispute = await getDispute(req.params.id, req.currentUser);
+        await respondToDispute(dispute, req.currentUser, req.body);
+
+        res.json({
+            success: true,
+            message: 'Response submitted. An admin will review the dispute.',
+            dispute
+        });
+    } catch (err) {
+        if (err instanceof DisputeError) {
+            return sendDisputeError(res, err);
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid response', errors: Object.values(err.errors).map(e => e.message) });
+        }
+        console.error('Error responding to dispute:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/disputes/:id/withdraw
+ * @desc    Withdraw an open dispute
+ * @access  Private (Student)
+ */
+router.post('/:id/withdraw', auth, requireRole('student'), async(req, res) => {
+    try {
+        const dispute = await getDispute(req.params.id, req.currentUser);
+        await withdrawDispute(dispute, req.currentUser);
+
+        res.json({
+            success: true,
+            message: 'Dispute withdrawn',
+            dispute
+        });
+    } catch (err) {
+        if (err instanceof DisputeError) {
+            return sendDisputeError(res, err);
+        }
+        console.error('Error withdrawing dispute:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/disputes/:id/resolve
+ * @desc    Decide a dispute (decision: full_refund | partial_refund | rejected, percentage, note)
+ * @access  Private (Admin with disputes:resolve)
+ */
+router.put('/:id/resolve', auth, requirePermission(PERMISSIONS.DISPUTES_RESOLVE), async(req, res) => {
+    try {
+        const found = await getDispute(req.params.id, req.currentUser);
+        const { dispute, refund } = await resolveDispute(found, req.currentUser, req.body);
+        await populateDispute(dispute);
+
+        res.json({
+            success: true,
+            message: refund && refund.refunded
+                ? `Dispute decided. ${refund.refundAmount} UpCoins refunded to the student.`
+                : 'Dispute decided',
+            dispute
+        });
+    } catch (err) {
+        if (err instanceof DisputeError) {
+            return sendDisputeError(res, err);
+        }
+        console.error('Error resolving dispute:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
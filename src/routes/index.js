@@ -26,6 +26,9 @@ router.use('/auth', require('./auth'));
 // Lectures routes
 router.use('/lectures', require('./lectures'));
 
+// Lecture series routes
+router.use('/series', require('./series'));
+
 // Wallet routes
 router.use('/wallet', require('./wallet'));
 
@@ -38,6 +41,21 @@ router.use('/trainer', require('./trainer'));
 // Payment routes
 router.use('/payment', require('./payment'));
 
+// Invoices and earnings statements
+router.use('/invoices', require('./invoices'));
+
+// Payout provider webhooks
+router.use('/payouts', require('./payouts'));
+
+// Coupon routes
+router.use('/coupons', require('./coupons'));
+
+// Enrollment disputes
+router.use('/disputes', require('./disputes'));
+
+// In-app notifications
+router.use('/notifications', require('./notifications'));
+
 // Support routes
 router.use('/support', require('./support'));
 
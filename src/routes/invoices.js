@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { auth, loadUser, requireRole } = require('../middleware/auth');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const {
+    InvoiceError,
+    issuePurchaseInvoice,
+    issueMonthlyDocuments,
+    renderPdf,
+    fileNameFor
+} = require('../services/invoiceService');
+
+const sendPdf = (res, invoice) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${fileNameFor(invoice)}"`
+    });
+    res.send(renderPdf(invoice));
+};
+
+const sendInvoiceError = (res, err) => {
+    const status = err.code === 'NOT_A_TRAINER' ? 403 : 400;
+    return res.status(status).json({ message: err.message, code: err.code });
+};
+
+/**
+ * @route   GET /api/invoices
+ * @desc    List the current user's invoices and statements (?type=upcoin_purchase|platform_fee|earnings_statement)
+ * @access  Private
+ */
+router.get('/', auth, async(req, res) => {
+    try {
+        const { type, page = 1, limit = 20 } = req.query;
+        const filter = { user: req.user.id };
+        if (type) filter.type = type;
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .select('-statement.entries -seller')
+                .sort({ issuedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Invoice.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching invoices:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/invoices/payments/:paymentId/pdf
+ * @desc    Download the tax invoice for an UpCoin purchase
+ * @access  Private (buyer)
+ */
+router.get('/payments/:paymentId/pdf', auth, async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.paymentId)) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+
+        const payment = await Payment.findOne({ _id: req.params.paymentId, user: req.user.id });
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+
+        const invoice = await issuePurchaseInvoice(payment);
+        sendPdf(res, invoice);
+    } catch (err) {
+        if (err instanceof InvoiceError) {
+            return sendInvoiceError(res, err);
+        }
+        console.error('Error downloading purchase invoice:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/invoices/statements/:year/:month
+ * @desc    Get a finished month's earnings statement and platform fee invoice (issued on first request)
+ * @access  Private (Trainer only)
+ */
+router.get('/statements/:year/:month', auth, requireRole('trainer'), async(req, res) => {
+    try {
+        const { statement, feeInvoice } = await issueMonthlyDocuments(
+            req.user.id,
+            Number(req.params.year),
+            Number(req.params.month)
+        );
+
+        res.json({
+            success: true,
+            statement,
+            feeInvoice
+        });
+    } catch (err) {
+        if (err instanceof InvoiceError) {
+            return sendInvoiceError(res, err);
+        }
+        console.error('Error fetching earnings statement:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/invoices/statements/:year/:month/pdf
+ * @desc    Download a finished month's earnings statement
+ * @access  Private (Trainer only)
+ */
+router.get('/statements/:year/:month/pdf', auth, requireRole('trainer'), async(req, res) => {
+    try {
+        const { statement } = await issueMonthlyDocuments(
+            req.user.id,
+            Number(req.params.year),
+            Number(req.params.month)
+        );
+
+        sendPdf(res, statement);
+    } catch (err) {
+        if (err instanceof InvoiceError) {
+            return sendInvoiceError(res, err);
+        }
+        console.error('Error downloading earnings statement:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/invoices/:id/pdf
+ * @desc    Download an invoice or statement
+ * @access  Private (owner, or admin with ledger:read)
+ */
+router.get('/:id/pdf', auth, loadUser, async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        const allowed = invoice && (
+            invoice.user.toString() === req.user.id ||
+            hasPermission(req.currentUser, PERMISSIONS.LEDGER_READ)
+        );
+        if (!allowed) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        sendPdf(res, invoice);
+    } catch (err) {
+        console.error('Error downloading invoice:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
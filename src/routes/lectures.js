@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Lecture = require('../models/Lecture');
-const User = require('../models/User');
-const Transaction = require('../models/Transaction');
-const { auth } = require('../middleware/auth');
-const { PLATFORM_FEE_PERCENTAGE } = require('../config/razorpay');
-const { sendEmail } = require('../services/emailService');
+const { auth, loadUser, requireRole, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { getPlatformFeePercentage } = require('../services/settingsService');
+const { notifyMany, notifyInBackground } = require('../services/notificationService');
+const { emailTemplates } = require('../services/emailService');
+const ledger = require('../services/ledgerService');
+const { FULL_REFUND_CUTOFF_HOURS } = require('../config/refundPolicy');
+const { getRefundPolicy, refundEnrollment } = require('../services/refundService');
+const { cancelLecture, checkCanCancel } = require('../services/cancellationService');
+const { closeLecture: closeAttendance, getAttendanceReport } = require('../services/attendanceService');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { CouponError, applyCoupon, recordRedemption } = require('../services/couponService');
+const {
+    WaitlistError,
+    countWaiting,
+    getPosition,
+    joinWaitlist,
+    leaveWaitlist,
+    schedulePromotion
+} = require('../services/waitlistService');
 
 /**
  * @route   GET /api/lectures
@@ -107,12 +122,9 @@ router.get('/:id', async(req, res) => {
  * @desc    Create a new lecture
  * @access  Private (Trainer only)
  */
-router.post('/', auth, async(req, res) => {
+router.post('/', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer' || !user.isApproved) {
-            return res.status(403).json({ message: 'Access denied. Approved trainers only.' });
-        }
+        const user = req.currentUser;
 
         // No UC requirement for creating lectures - they are free for trainers
 
@@ -188,17 +200,17 @@ router.post('/', auth, async(req, res) => {
  * @desc    Update a lecture
  * @access  Private (Trainer who created it or Admin)
  */
-router.put('/:id', auth, async(req, res) => {
+router.put('/:id', auth, requireRole('trainer', 'admin'), async(req, res) => {
     try {
         const lecture = await Lecture.findById(req.params.id);
         if (!lecture) {
             return res.status(404).json({ message: 'Lecture not found' });
         }
 
-        const user = await User.findById(req.user.id);
+        const user = req.currentUser;
 
         // Check if user can update this lecture
-        if (user.role !== 'admin' && lecture.trainer.toString() !== req.user.id) {
+        if (!lecture.isOwnedBy(user._id) && !hasPermission(user, PERMISSIONS.LECTURES_MANAGE)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -218,9 +230,28 @@ router.put('/:id', auth, async(req, res) => {
             maxStudents,
             meetingLink,
             materials,
-            status
+            status,
+            cancellationReason
         } = req.body;
 
+        // Its students were refunded when it was cancelled, so it stays cancelled
+        if (lecture.status === 'cancelled' && status && status !== 'cancelled') {
+            return res.status(400).json({ message: 'A cancelled lecture cannot be reopened' });
+        }
+
+        // A no-show waits for an admin to cancel or complete it
+        if (lecture.status === 'no_show' && status === 'scheduled') {
+            return res.status(400).json({ message: 'A lecture flagged as a no-show cannot be rescheduled' });
+        }
+
+        const isCancelling = status === 'cancelled' && lecture.status !== 'cancelled';
+        if (isCancelling) {
+            const check = checkCanCancel(lecture, user);
+            if (!check.allowed) {
+                return res.status(check.status).json({ message: check.message });
+            }
+        }
+
         // Update fields
         if (title) lecture.title = title;
         if (description) lecture.description = description;
@@ -235,19 +266,35 @@ router.put('/:id', auth, async(req, res) => {
             }
             lecture.scheduledAt = scheduledTime;
         }
+        const seatsAdded = maxStudents && parseInt(maxStudents) > lecture.maxStudents;
         if (maxStudents) lecture.maxStudents = parseInt(maxStudents);
         if (meetingLink) lecture.meetingLink = meetingLink;
         if (materials) lecture.materials = materials;
-        if (status && ['scheduled', 'cancelled'].includes(status)) {
+        if (status === 'scheduled') {
             lecture.status = status;
         }
 
         await lecture.save();
+
+        // Cancelling a lecture refunds and notifies every enrolled student
+        let refunds = [];
+        if (isCancelling) {
+            ({ refunds } = await cancelLecture(lecture, {
+                cancelledBy: user._id,
+                reason: cancellationReason || 'Cancelled by the trainer'
+            }));
+        }
+
+        if (seatsAdded && lecture.status === 'scheduled') {
+            schedulePromotion(lecture._id);
+        }
+
         await lecture.populate('trainer', 'firstname lastname email avatar');
 
         res.json({
             message: 'Lecture updated successfully',
-            lecture
+            lecture,
+            ...(isCancelling ? { refunds } : {})
         });
     } catch (err) {
         console.error('Error updating lecture:', err.message);
@@ -269,17 +316,17 @@ router.put('/:id', auth, async(req, res) => {
  * @desc    Delete a lecture
  * @access  Private (Trainer who created it or Admin)
  */
-router.delete('/:id', auth, async(req, res) => {
+router.delete('/:id', auth, requireRole('trainer', 'admin'), async(req, res) => {
     try {
         const lecture = await Lecture.findById(req.params.id);
         if (!lecture) {
             return res.status(404).json({ message: 'Lecture not found' });
         }
 
-        const user = await User.findById(req.user.id);
+        const user = req.currentUser;
 
         // Check if user can delete this lecture
-        if (user.role !== 'admin' && lecture.trainer.toString() !== req.user.id) {
+        if (!lecture.isOwnedBy(user._id) && !hasPermission(user, PERMISSIONS.LECTURES_MANAGE)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -301,17 +348,67 @@ router.delete('/:id', auth, async(req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/lectures/:id/cancel
+ * @desc    Cancel a lecture, refund and notify enrolled students
+ * @access  Private (Trainer who created it or Admin)
+ */
+router.post('/:id/cancel', auth, requireRole('trainer', 'admin'), async(req, res) => {
+    try {
+        const reason = (req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ message: 'Cancellation reason is required' });
+        }
+        if (reason.length > 500) {
+            return res.status(400).json({ message: 'Cancellation reason cannot exceed 500 characters' });
+        }
+
+        const lecture = await Lecture.findById(req.params.id);
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        const user = req.currentUser;
+
+        const check = checkCanCancel(lecture, user);
+        if (!check.allowed) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        const { refunds, notified, pending } = await cancelLecture(lecture, {
+            cancelledBy: user._id,
+            reason
+        });
+
+        res.json({
+            success: true,
+            message: `Lecture cancelled. ${notified} students notified.`,
+            lecture: {
+                id: lecture._id,
+                title: lecture.title,
+                status: lecture.status,
+                cancelledAt: lecture.cancelledAt,
+                cancelledBy: lecture.cancelledBy,
+                cancellationReason: lecture.cancellationReason
+            },
+            refunds,
+            // Failed refunds are retried in the background
+            pendingRefunds: pending
+        });
+    } catch (err) {
+        console.error('Error cancelling lecture:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 /**
  * @route   POST /api/lectures/:id/enroll
  * @desc    Enroll in a lecture
  * @access  Private (Student only)
  */
-router.post('/:id/enroll', auth, async(req, res) => {
+router.post('/:id/enroll', auth, requireRole('student'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'student') {
-            return res.status(403).json({ message: 'Access denied. Students only.' });
-        }
+        const user = req.currentUser;
 
         const lecture = await Lecture.findById(req.params.id).populate('trainer');
         if (!lecture) {
@@ -323,8 +420,18 @@ router.post('/:id/enroll', auth, async(req, res) => {
             return res.status(400).json({ message: 'Lecture is not available for enrollment' });
         }
 
-        if (lecture.isFull) {
-            return res.status(400).json({ message: 'Lecture is full' });
+        if (lecture.scheduledAt <= new Date()) {
+            return res.status(400).json({ message: 'Lecture has already started' });
+        }
+
+        // Seats that free up belong to the waitlist first
+        const waiting = await countWaiting(lecture._id);
+        if (lecture.isFull || lecture.enrolledStudents.length + waiting >= lecture.maxStudents) {
+            return res.status(400).json({
+                message: 'Lecture is full. You can join the waitlist instead.',
+                waitlistAvailable: true,
+                waiting
+            });
         }
 
         // Check if already enrolled
@@ -336,106 +443,110 @@ router.post('/:id/enroll', auth, async(req, res) => {
             return res.status(400).json({ message: 'Already enrolled in this lecture' });
         }
 
+        // Apply a promo code if one was given
+        const { couponCode } = req.body;
+        let coupon = null;
+        let discount = 0;
+        if (couponCode) {
+            ({ coupon, discount } = await applyCoupon(couponCode, {
+                userId: user._id,
+                context: 'enrollment',
+                lecture,
+                amount: lecture.price,
+                minFinalAmount: 1
+            }));
+        }
+        const amountDue = lecture.price - discount;
+
         // Check if student has enough UpCoins
-        if (user.walletBalance < lecture.price) {
+        if (user.walletBalance < amountDue) {
             return res.status(400).json({
-                message: `Insufficient UpCoins. Required: ${lecture.price}, Current: ${user.walletBalance}`,
-                required: lecture.price,
+                message: `Insufficient UpCoins. Required: ${amountDue}, Current: ${user.walletBalance}`,
+                required: amountDue,
                 current: user.walletBalance
             });
         }
 
-        // Calculate platform fee and trainer earnings
-        const platformFee = Math.floor((lecture.price * PLATFORM_FEE_PERCENTAGE) / 100);
-        const trainerEarnings = lecture.price - platformFee;
-
-        // Deduct UpCoins from student
-        const studentBalanceBefore = user.walletBalance;
-        user.walletBalance -= lecture.price;
-        user.totalSpent += lecture.price;
-        await user.save();
-
-        // Create student transaction
-        const studentTransaction = new Transaction({
-            user: user._id,
-            type: 'debit',
-            amount: lecture.price,
-            realMoneyAmount: 0,
-            currency: 'INR',
-            description: `Enrolled in "${lecture.title}"`,
-            category: 'lecture_enrollment',
-            status: 'completed',
-            paymentMethod: 'wallet',
-            reference: `enrollment_${lecture._id}`,
-            relatedLecture: lecture._id,
-            balanceBefore: studentBalanceBefore,
-            balanceAfter: user.walletBalance,
-            metadata: {
-                lectureTitle: lecture.title,
-                trainerId: lecture.trainer._id,
-                platformFee: platformFee
+        // Charge the student, hold the trainer's share, take the platform fee
+        // and record the enrollment in one transaction
+        const feePercentage = await getPlatformFeePercentage(lecture.trainer);
+        const charge = await ledger.withTransaction(async(session) => {
+            const result = await ledger.chargeEnrollment({
+                student: user,
+                lecture,
+                discount,
+                feePercentage,
+                metadata: coupon ? { couponCode: coupon.code, couponId: coupon._id } : {}
+            }, { session });
+
+            if (coupon) {
+                await recordRedemption({
+                    coupon,
+                    user: user._id,
+                    context: 'enrollment',
+                    lecture: lecture._id,
+                    transaction: result.studentTransaction._id,
+                    originalAmount: lecture.price,
+                    discount
+                }, { session });
             }
-        });
-        await studentTransaction.save();
-
-        // Credit trainer's wallet
-        const trainer = await User.findById(lecture.trainer._id);
-        const trainerBalanceBefore = trainer.walletBalance;
-        trainer.walletBalance += trainerEarnings;
-        trainer.totalEarned += trainerEarnings;
-        await trainer.save();
-
-        // Create trainer transaction
-        const trainerTransaction = new Transaction({
-            user: trainer._id,
-            type: 'credit',
-            amount: trainerEarnings,
-            realMoneyAmount: 0,
-            currency: 'INR',
-            description: `Earnings from "${lecture.title}" (${PLATFORM_FEE_PERCENTAGE}% platform fee deducted)`,
-            category: 'lecture_enrollment',
-            status: 'completed',
-            paymentMethod: 'wallet',
-            reference: `earnings_${lecture._id}`,
-            relatedLecture: lecture._id,
-            balanceBefore: trainerBalanceBefore,
-            balanceAfter: trainer.walletBalance,
-            metadata: {
-                lectureTitle: lecture.title,
-                studentId: user._id,
-                studentName: `${user.firstname} ${user.lastname}`,
-                platformFee: platformFee,
-                grossAmount: lecture.price,
-                netAmount: trainerEarnings
-            }
-        });
-        await trainerTransaction.save();
 
-        // Add student to enrolled list
-        await Lecture.updateOne({ _id: req.params.id }, {
-            $push: {
-                enrolledStudents: {
-                    student: req.user.id,
-                    enrolledAt: new Date()
-                }
+            // A concurrent enroll may have taken the seat or enrolled this
+            // student already; throwing rolls the charge back
+            if (!await Lecture.takeSeat(lecture._id, user._id, { session })) {
+                throw new WaitlistError('NO_SEAT', 'The last seat was taken, or you are already enrolled in this lecture');
             }
+
+            return result;
         });
 
+        const { platformFee, trainerEarnings, amountPaid } = charge;
+        user.walletBalance = charge.studentTransaction.balanceAfter;
+
         // Get updated lecture for response
         const updatedLecture = await Lecture.findById(req.params.id);
 
-        console.log(`Student ${user.email} enrolled in "${lecture.title}". Paid: ${lecture.price} UC. Trainer earned: ${trainerEarnings} UC (${platformFee} UC platform fee)`);
+        console.log(`Student ${user.email} enrolled in "${lecture.title}". Paid: ${amountPaid} UC${coupon ? ` (coupon ${coupon.code}, -${discount} UC)` : ''}. Trainer earned: ${trainerEarnings} UC (${platformFee} UC platform fee)`);
+
+        notifyInBackground(user, {
+            type: 'enrollment_confirmed',
+            title: 'Enrollment confirmed',
+            body: `You're enrolled in "${lecture.title}" on ${new Date(lecture.scheduledAt).toLocaleString()}. ${amountPaid} UpCoins were paid from your wallet.`,
+            link: `/lectures/${lecture._id}`,
+            data: { lectureId: lecture._id }
+        });
+        notifyInBackground(lecture.trainer, {
+            type: 'new_enrollment',
+            title: 'New enrollment',
+            body: `${user.firstname} ${user.lastname} enrolled in "${lecture.title}" (${updatedLecture.enrolledStudents.length}/${lecture.maxStudents} seats taken).`,
+            link: '/trainer/manage-lectures',
+            data: { lectureId: lecture._id, studentId: user._id }
+        });
 
         res.json({
             message: 'Successfully enrolled in lecture',
             enrolledCount: updatedLecture.enrolledStudents.length,
             walletBalance: user.walletBalance,
-            amountPaid: lecture.price,
+            amountPaid,
+            ...(coupon ? { coupon: { code: coupon.code, discount } } : {}),
             trainerEarned: trainerEarnings,
             platformFee: platformFee
         });
     } catch (err) {
         console.error('Error enrolling in lecture:', err.message);
+        if (err instanceof WaitlistError && err.code === 'NO_SEAT') {
+            return res.status(409).json({ message: err.message, code: err.code, waitlistAvailable: true });
+        }
+        if (err instanceof CouponError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        if (err instanceof ledger.LedgerError && err.code === 'INSUFFICIENT_FUNDS') {
+            return res.status(400).json({
+                message: err.message,
+                required: err.details.required,
+                current: err.details.current
+            });
+        }
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -445,38 +556,61 @@ router.post('/:id/enroll', auth, async(req, res) => {
  * @desc    Unenroll from a lecture
  * @access  Private (Student only)
  */
-router.delete('/:id/enroll', auth, async(req, res) => {
+router.delete('/:id/enroll', auth, requireRole('student'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'student') {
-            return res.status(403).json({ message: 'Access denied. Students only.' });
-        }
+        const user = req.currentUser;
 
         const lecture = await Lecture.findById(req.params.id);
         if (!lecture) {
             return res.status(404).json({ message: 'Lecture not found' });
         }
 
-        // Check if lecture can be unenrolled from (at least 2 hours before)
-        const now = new Date();
-        const scheduledTime = new Date(lecture.scheduledAt);
-        const timeDiff = scheduledTime.getTime() - now.getTime();
-        const hoursDiff = timeDiff / (1000 * 3600);
+        const isEnrolled = lecture.enrolledStudents.some(
+            enrollment => enrollment.student.toString() === req.user.id
+        );
 
-        if (hoursDiff < 2) {
-            return res.status(400).json({ message: 'Cannot unenroll less than 2 hours before lecture' });
+        if (!isEnrolled) {
+            return res.status(400).json({ message: 'You are not enrolled in this lecture' });
         }
 
-        // Remove student from enrolled list
-        lecture.enrolledStudents = lecture.enrolledStudents.filter(
-            enrollment => enrollment.student.toString() !== req.user.id
-        );
+        // Full refund before the cutoff, partial refunds inside it if configured
+        const policy = getRefundPolicy(lecture);
 
-        await lecture.save();
+        if (policy.percentage === 0) {
+            return res.status(400).json({ message: `Cannot unenroll less than ${FULL_REFUND_CUTOFF_HOURS} hours before lecture` });
+        }
+
+        // Refund and remove the student from the enrolled list together
+        const refund = await ledger.withTransaction(async(session) => {
+            const result = await refundEnrollment({
+                lecture,
+                studentId: user._id,
+                reason: 'unenrolled'
+            }, { session });
+
+            await Lecture.updateOne({ _id: lecture._id }, {
+                $pull: { enrolledStudents: { student: user._id } }
+            }, { session });
+
+            return result;
+        });
+
+        // Offer the freed seat to the waitlist
+        schedulePromotion(lecture._id);
+
+        const updatedLecture = await Lecture.findById(lecture._id).select('enrolledStudents');
 
         res.json({
-            message: 'Successfully unenrolled from lecture',
-            enrolledCount: lecture.enrolledStudents.length
+            message: refund.refunded ?
+                `Successfully unenrolled from lecture. ${refund.refundAmount} UpCoins refunded.` :
+                'Successfully unenrolled from lecture',
+            enrolledCount: updatedLecture.enrolledStudents.length,
+            refund: {
+                amount: refund.refundAmount,
+                percentage: refund.percentage,
+                policy: refund.policy
+            },
+            walletBalance: refund.transaction ? refund.transaction.balanceAfter : user.walletBalance
         });
     } catch (err) {
         console.error('Error unenrolling from lecture:', err.message);
@@ -484,6 +618,108 @@ router.delete('/:id/enroll', auth, async(req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/lectures/:id/waitlist
+ * @desc    Join the waitlist of a full lecture
+ * @access  Private (Student only)
+ */
+router.post('/:id/waitlist', auth, requireRole('student'), async(req, res) => {
+    try {
+        const user = req.currentUser;
+
+        const lecture = await Lecture.findById(req.params.id);
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        const { entry, position } = await joinWaitlist(lecture, user);
+
+        // Warn now rather than when a seat opens up
+        const lowBalance = user.walletBalance < lecture.price;
+
+        res.status(201).json({
+            message: `Added to the waitlist at position ${position}. You will be enrolled and charged ${lecture.price} UpCoins automatically when a seat opens up.`,
+            position,
+            joinedAt: entry.joinedAt,
+            ...(lowBalance ? { warning: `Your balance (${user.walletBalance} UC) is below the lecture price. Top up before a seat opens or you will be skipped.` } : {})
+        });
+    } catch (err) {
+        console.error('Error joining waitlist:', err.message);
+        if (err instanceof WaitlistError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/lectures/:id/waitlist
+ * @desc    Leave the waitlist of a lecture
+ * @access  Private (Student only)
+ */
+router.delete('/:id/waitlist', auth, requireRole('student'), async(req, res) => {
+    try {
+        const left = await leaveWaitlist(req.params.id, req.user.id);
+        if (!left) {
+            return res.status(400).json({ message: 'You are not on the waitlist for this lecture' });
+        }
+
+        res.json({ message: 'Removed from the waitlist' });
+    } catch (err) {
+        console.error('Error leaving waitlist:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/lectures/:id/waitlist
+ * @desc    Get the waitlist (trainer/admin) or your own waitlist status (student)
+ * @access  Private
+ */
+router.get('/:id/waitlist', auth, loadUser, async(req, res) => {
+    try {
+        const user = req.currentUser;
+
+        const lecture = await Lecture.findById(req.params.id).select('trainer title maxStudents enrolledStudents');
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        if (lecture.isOwnedBy(user._id) || hasPermission(user, PERMISSIONS.LECTURES_READ)) {
+            const entries = await WaitlistEntry.find({ lecture: lecture._id })
+                .populate('student', 'firstname lastname email')
+                .sort({ joinedAt: 1 });
+
+            return res.json({
+                lectureId: lecture._id,
+                title: lecture.title,
+                seatsTaken: lecture.enrolledStudents.length,
+                maxStudents: lecture.maxStudents,
+                waiting: entries.filter(e => e.status === 'waiting').length,
+                entries
+            });
+        }
+
+        const entry = await WaitlistEntry.findOne({ lecture: lecture._id, student: user._id })
+            .sort({ joinedAt: -1 });
+        if (!entry) {
+            return res.status(404).json({ message: 'You are not on the waitlist for this lecture' });
+        }
+
+        res.json({
+            status: entry.status,
+            position: entry.status === 'waiting' ? await getPosition(entry) : null,
+            joinedAt: entry.joinedAt,
+            promotedAt: entry.promotedAt,
+            skipReason: entry.skipReason,
+            note: entry.note
+        });
+    } catch (err) {
+        console.error('Error fetching waitlist:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 /**
  * @route   GET /api/lectures/trainer/:trainerId
  * @desc    Get lectures by trainer
@@ -510,9 +746,9 @@ router.get('/trainer/:trainerId', async(req, res) => {
  * @desc    Get current user's lectures (trainer) or enrolled lectures (student)
  * @access  Private
  */
-router.get('/my/lectures', auth, async(req, res) => {
+router.get('/my/lectures', auth, loadUser, async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = req.currentUser;
         let lectures;
 
         if (user.role === 'trainer') {
@@ -543,12 +779,9 @@ router.get('/my/lectures', auth, async(req, res) => {
  * @desc    Submit a review for a lecture
  * @access  Private (Student only)
  */
-router.post('/:id/review', auth, async(req, res) => {
+router.post('/:id/review', auth, requireRole('student'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'student') {
-            return res.status(403).json({ message: 'Access denied. Students only.' });
-        }
+        const user = req.currentUser;
 
         const { rating, comment } = req.body;
 
@@ -610,6 +843,16 @@ router.post('/:id/review', auth, async(req, res) => {
             averageRating: lecture.averageRating
         });
 
+        if (existingReviewIndex === -1) {
+            notifyInBackground(lecture.trainer, {
+                type: 'new_review',
+                title: 'New review',
+                body: `${user.firstname} ${user.lastname} rated "${lecture.title}" ${reviewData.rating}/5${reviewData.comment ? `: "${reviewData.comment}"` : '.'}`,
+                link: '/trainer/manage-lectures',
+                data: { lectureId: lecture._id, rating: reviewData.rating }
+            });
+        }
+
         res.json({
             message: existingReviewIndex !== -1 ? 'Review updated successfully' : 'Review submitted successfully',
             review: reviewData,
@@ -626,17 +869,17 @@ router.post('/:id/review', auth, async(req, res) => {
  * @desc    Mark a lecture as completed
  * @access  Private (Trainer who created it or Admin)
  */
-router.patch('/:id/complete', auth, async(req, res) => {
+router.patch('/:id/complete', auth, requireRole('trainer', 'admin'), async(req, res) => {
     try {
         const lecture = await Lecture.findById(req.params.id);
         if (!lecture) {
             return res.status(404).json({ message: 'Lecture not found' });
         }
 
-        const user = await User.findById(req.user.id);
+        const user = req.currentUser;
 
         // Check if user can complete this lecture
-        if (user.role !== 'admin' && lecture.trainer.toString() !== req.user.id) {
+        if (!lecture.isOwnedBy(user._id) && !hasPermission(user, PERMISSIONS.LECTURES_MANAGE)) {
             return res.status(403).json({ message: 'Access denied' });
         }
 
@@ -649,12 +892,23 @@ router.patch('/:id/complete', auth, async(req, res) => {
             return res.status(400).json({ message: 'Cannot complete a cancelled lecture' });
         }
 
+        // Completing starts the trainer's earnings release, so the lecture must
+        // have actually started or at least be over
+        const hasEnded = lecture.status === 'scheduled' && lecture.endsAt <= new Date();
+        if (lecture.status !== 'live' && !hasEnded) {
+            return res.status(400).json({ message: 'Lecture can only be completed once it has started or its scheduled time is over' });
+        }
+
         // Update lecture status to completed
         await Lecture.updateOne({ _id: req.params.id }, {
             status: 'completed',
+            completedAt: new Date(),
             updatedAt: new Date()
         });
 
+        // Students still in the meeting are counted up to now
+        await closeAttendance(lecture._id);
+
         // Get updated lecture
         const updatedLecture = await Lecture.findById(req.params.id)
             .populate('trainer', 'firstname lastname email avatar');
@@ -669,6 +923,51 @@ router.patch('/:id/complete', auth, async(req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/lectures/:id/attendance
+ * @desc    Attendance report (trainer/admin see every student, students see their own)
+ * @access  Private (Trainer who created it, Admin, or enrolled Student)
+ */
+router.get('/:id/attendance', auth, loadUser, async(req, res) => {
+    try {
+        const lecture = await Lecture.findById(req.params.id)
+            .select('title scheduledAt duration status trainer enrolledStudents')
+            .populate('enrolledStudents.student', 'firstname lastname email');
+        if (!lecture) {
+            return res.status(404).json({ message: 'Lecture not found' });
+        }
+
+        const user = req.currentUser;
+        const canSeeAll = lecture.isOwnedBy(user._id) || hasPermission(user, PERMISSIONS.LECTURES_READ);
+
+        if (!canSeeAll) {
+            const enrolled = lecture.enrolledStudents.some(e =>
+                e.student && e.student._id.toString() === user._id.toString()
+            );
+            if (!enrolled) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+        }
+
+        const report = await getAttendanceReport(lecture, canSeeAll ? {} : { studentId: user._id });
+
+        res.json({
+            success: true,
+            lecture: {
+                id: lecture._id,
+                title: lecture.title,
+                scheduledAt: lecture.scheduledAt,
+                duration: lecture.duration,
+                status: lecture.status
+            },
+            ...report
+        });
+    } catch (err) {
+        console.error('Error fetching attendance:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 /**
  * @route   GET /api/lectures/:id/reviews
  * @desc    Get reviews for a specific lecture
@@ -720,13 +1019,8 @@ router.get('/:id/reviews', async(req, res) => {
  * @desc    Get lecture statistics
  * @access  Private (Admin only)
  */
-router.get('/stats/overview', auth, async(req, res) => {
+router.get('/stats/overview', auth, requirePermission(PERMISSIONS.STATS_READ), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'admin') {
-            return res.status(403).json({ message: 'Access denied. Admin only.' });
-        }
-
         const [
             totalLectures,
             scheduledLectures,
@@ -767,7 +1061,7 @@ router.get('/stats/overview', auth, async(req, res) => {
  * @desc    Start meeting and notify enrolled students (Using GetStream.io Video)
  * @access  Private (Trainer who created it)
  */
-router.post('/:id/start-meeting', auth, async(req, res) => {
+router.post('/:id/start-meeting', auth, requireRole('trainer'), async(req, res) => {
     try {
         const lecture = await Lecture.findById(req.params.id).populate('trainer', 'firstname lastname email');
 
@@ -782,10 +1076,17 @@ router.post('/:id/start-meeting', auth, async(req, res) => {
 
         // Update lecture status to live
         lecture.status = 'live';
+        if (!lecture.startedAt) lecture.startedAt = new Date();
         const meetingLink = `${process.env.FRONTEND_URL}/meeting/${lecture._id}`;
         lecture.meetingLink = meetingLink;
         await lecture.save();
 
+        // Students already waiting in the meeting room count from now
+        const { startMeetingAttendance } = require('../socket/meetingSocket');
+        startMeetingAttendance(lecture._id).catch(err => {
+            console.error('Error starting meeting attendance:', err.message);
+        });
+
         // Create Stream call if Stream is configured
         try {
             const streamService = require('../services/streamService');
@@ -806,46 +1107,23 @@ router.post('/:id/start-meeting', auth, async(req, res) => {
         const studentIds = lecture.enrolledStudents.map(enrollment => 
             enrollment.student ? enrollment.student : enrollment
         );
-        
-        const enrolledStudents = await User.find({
-            _id: { $in: studentIds }
-        });
 
-        // Send email notifications to all enrolled students
-        const emailPromises = enrolledStudents.map(student => {
-            const emailTemplate = {
-                subject: `Live Lecture Started: ${lecture.title}`,
-                html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">Live Lecture Started!</h2>
-            <p>Hi ${student.firstname},</p>
-            <p>The lecture "<strong>${lecture.title}</strong>" has started!</p>
-            <p><strong>Trainer:</strong> ${lecture.trainer.firstname} ${lecture.trainer.lastname}</p>
-            
-            <div style="margin: 30px 0; text-align: center;">
-              <a href="${meetingLink}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">Join Meeting Now</a>
-            </div>
-            
-            <p style="color: #6b7280; font-size: 14px;">Or copy this link: <br><code style="background-color: #f3f4f6; padding: 4px 8px; border-radius: 4px;">${meetingLink}</code></p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            <p>Best regards,<br><strong>Upscholar Team</strong></p>
-          </div>
-        `
-            };
-
-            return sendEmail(student.email, emailTemplate).catch(err => {
-                console.error(`Failed to send email to ${student.email}:`, err);
-            });
+        // Notify enrolled students in-app and, unless they turned it off, by email
+        const notifiedCount = await notifyMany(studentIds, {
+            type: 'meeting_started',
+            title: 'Live lecture started',
+            body: `"${lecture.title}" with ${lecture.trainer.firstname} ${lecture.trainer.lastname} has started. Join now!`,
+            link: `/meeting/${lecture._id}`,
+            data: { lectureId: lecture._id }
+        }, {
+            email: (student) => emailTemplates.meetingStarted(student.firstname, lecture, meetingLink)
         });
 
-        await Promise.all(emailPromises);
-
-        console.log(`Meeting started for lecture: ${lecture.title}. Notified ${enrolledStudents.length} students. Using GetStream.io Video.`);
+        console.log(`Meeting started for lecture: ${lecture.title}. Notified ${notifiedCount} students. Using GetStream.io Video.`);
 
         res.json({
             success: true,
-            message: `Meeting started! ${enrolledStudents.length} students notified.`,
+            message: `Meeting started! ${notifiedCount} students notified.`,
             meetingLink,
             lecture,
             videoProvider: 'getstream'
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { auth, loadUser } = require('../middleware/auth');
+const {
+    NotificationError,
+    getPreferences,
+    updatePreferences,
+    unreadCount,
+    markRead
+} = require('../services/notificationService');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications, newest first (?unread=true, ?type=)
+ * @access  Private
+ */
+router.get('/', auth, async(req, res) => {
+    try {
+        const { unread, type, page = 1, limit = 20 } = req.query;
+
+        const filter = { user: req.user.id };
+        if (unread === 'true') filter.readAt = null;
+        if (type) filter.type = type;
+
+        const [notifications, total, unreadTotal] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            Notification.countDocuments(filter),
+            unreadCount(req.user.id)
+        ]);
+
+        res.json({
+            success: true,
+            notifications,
+            unreadCount: unreadTotal,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching notifications:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', auth, async(req, res) => {
+    try {
+        res.json({
+            success: true,
+            unreadCount: await unreadCount(req.user.id)
+        });
+    } catch (err) {
+        console.error('Error fetching unread notification count:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get the channels used for each notification type
+ * @access  Private
+ */
+router.get('/preferences', auth, loadUser, async(req, res) => {
+    try {
+        res.json({
+            success: true,
+            preferences: getPreferences(req.currentUser)
+        });
+    } catch (err) {
+        console.error('Error fetching notification preferences:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Change channels per notification type, e.g. { "new_review": { "email": true } }
+ * @access  Private
+ */
+router.put('/preferences', auth, loadUser, async(req, res) => {
+    try {
+        const preferences = await updatePreferences(req.currentUser, req.body.preferences || req.body);
+
+        res.json({
+            success: true,
+            message: 'Notification preferences updated',
+            preferences
+        });
+    } catch (err) {
+        if (err instanceof NotificationError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        console.error('Error updating notification preferences:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/notifications/read
+ * @desc    Mark notifications read (ids: [...], or all: true)
+ * @access  Private
+ */
+router.put('/read', auth, async(req, res) => {
+    try {
+        const count = await markRead(req.user.id, req.body.all === true ? 'all' : req.body.ids);
+
+        res.json({
+            success: true,
+            unreadCount: count
+        });
+    } catch (err) {
+        if (err instanceof NotificationError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
+        console.error('Error marking notifications read:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one notification read
+ * @access  Private
+ */
+router.put('/:id/read', auth, async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        const count = await markRead(req.user.id, [notification._id]);
+        notification.readAt = notification.readAt || new Date();
+
+        res.json({
+            success: true,
+            notification,
+            unreadCount: count
+        });
+    } catch (err) {
+        console.error('Error marking notification read:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', auth, async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        const deleted = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+        if (!deleted) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification deleted',
+            unreadCount: await unreadCount(req.user.id)
+        });
+    } catch (err) {
+        console.error('Error deleting notification:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
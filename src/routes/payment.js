@@ -3,21 +3,24 @@ const router = express.Router();
 const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { auth } = require('../middleware/auth');
-const { razorpayInstance, UPCOIN_PACKAGES } = require('../config/razorpay');
+const { razorpayInstance } = require('../config/razorpay');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
+const { CouponError, applyCoupon, recordRedemption, releaseReservation } = require('../services/couponService');
+const ledger = require('../services/ledgerService');
+const { getUpcoinPackages, findPackage } = require('../services/settingsService');
+const { PaymentError, completePayment, verifyWebhookSignature, handleWebhookEvent } = require('../services/paymentService');
 
 /**
  * @route   GET /api/payment/packages
  * @desc    Get all available UpCoin packages
  * @access  Public
  */
-router.get('/packages', (req, res) => {
+router.get('/packages', async(req, res) => {
     try {
         res.json({
             success: true,
-            packages: UPCOIN_PACKAGES
+            packages: await getUpcoinPackages()
         });
     } catch (err) {
         console.error('Error fetching packages:', err.message);
@@ -31,15 +34,17 @@ router.get('/packages', (req, res) => {
  * @access  Private
  */
 router.post('/create-order', auth, async(req, res) => {
+    // Set while a coupon is reserved for an order that has not been saved yet
+    let unsavedReservation = null;
     try {
-        const { packageId } = req.body;
+        const { packageId, couponCode } = req.body;
 
         if (!packageId) {
             return res.status(400).json({ message: 'Package ID is required' });
         }
 
         // Find the package
-        const selectedPackage = UPCOIN_PACKAGES.find(pkg => pkg.id === packageId);
+        const selectedPackage = await findPackage(packageId);
         if (!selectedPackage) {
             return res.status(400).json({ message: 'Invalid package selected' });
         }
@@ -50,12 +55,41 @@ router.post('/create-order', auth, async(req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
+        // Apply a promo code to the rupee price; Razorpay needs at least ₹1
+        let coupon = null;
+        let discount = 0;
+        if (couponCode) {
+            ({ coupon, discount } = await applyCoupon(couponCode, {
+                userId: user._id,
+                context: 'package',
+                packageId: selectedPackage.id,
+                amount: selectedPackage.price,
+                minFinalAmount: 1
+            }));
+        }
+        const amountDue = selectedPackage.price - discount;
+        const paymentId = new mongoose.Types.ObjectId();
+
+        // Hold the coupon use against its cap until the order is paid, or
+        // released when it fails or expires
+        if (coupon) {
+            await ledger.withTransaction(session => recordRedemption({
+                coupon,
+                user: user._id,
+                context: 'package',
+                payment: paymentId,
+                originalAmount: selectedPackage.price,
+                discount
+            }, { session, reserved: true }));
+            unsavedReservation = paymentId;
+        }
+
         // Generate unique order ID
         const orderId = `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
 
         // Create Razorpay order
         const options = {
-            amount: selectedPackage.price * 100, // Amount in paise (₹1 = 100 paise)
+            amount: amountDue * 100, // Amount in paise (₹1 = 100 paise)
             currency: 'INR',
             receipt: orderId,
             notes: {
@@ -63,7 +97,8 @@ router.post('/create-order', auth, async(req, res) => {
                 packageId: selectedPackage.id,
                 upcoins: selectedPackage.upcoins,
                 userEmail: user.email,
-                userName: user.name
+                userName: user.name,
+                ...(coupon ? { couponCode: coupon.code } : {})
             }
         };
 
@@ -71,23 +106,34 @@ router.post('/create-order', auth, async(req, res) => {
 
         // Save payment record in database
         const payment = new Payment({
+            _id: paymentId,
             user: user._id,
             orderId: orderId,
             razorpayOrderId: razorpayOrder.id,
             packageId: selectedPackage.id,
             upcoins: selectedPackage.upcoins,
-            amount: selectedPackage.price,
+            amount: amountDue,
             currency: 'INR',
+            coupon: coupon ? {
+                coupon: coupon._id,
+                code: coupon.code,
+                originalAmount: selectedPackage.price,
+                discount
+            } : undefined,
             status: 'created',
             ipAddress: req.ip,
             userAgent: req.get('user-agent'),
             metadata: {
                 packageDescription: selectedPackage.description,
-                discount: selectedPackage.discount
+                discount: selectedPackage.discount,
+                // Packages can change before the payment completes
+                bonusCoins: selectedPackage.bonusCoins,
+                totalCoins: selectedPackage.totalCoins
             }
         });
 
         await payment.save();
+        unsavedReservation = null;
 
         res.json({
             success: true,
@@ -97,12 +143,21 @@ router.post('/create-order', auth, async(req, res) => {
                 amount: razorpayOrder.amount,
                 currency: razorpayOrder.currency,
                 packageId: selectedPackage.id,
-                upcoins: selectedPackage.upcoins
+                upcoins: selectedPackage.upcoins,
+                ...(coupon ? { coupon: { code: coupon.code, discount, originalAmount: selectedPackage.price } } : {})
             },
             key: process.env.RAZORPAY_KEY_ID
         });
     } catch (err) {
         console.error('Error creating order:', err.message);
+        if (unsavedReservation) {
+            await releaseReservation(unsavedReservation).catch(releaseError => {
+                console.error('Error releasing coupon reservation:', releaseError.message);
+            });
+        }
+        if (err instanceof CouponError) {
+            return res.status(400).json({ message: err.message, code: err.code });
+        }
         res.status(500).json({
             message: 'Failed to create order',
             error: err.message
@@ -138,6 +193,14 @@ router.post('/verify', auth, async(req, res) => {
             return res.status(404).json({ message: 'Payment record not found' });
         }
 
+        // The signature only proves some order was paid; it has to be this one
+        if (razorpay_order_id !== payment.razorpayOrderId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment verification failed. Order does not match this payment.'
+            });
+        }
+
         // Verify payment signature
         const generatedSignature = crypto
             .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
@@ -147,6 +210,7 @@ router.post('/verify', auth, async(req, res) => {
         if (generatedSignature !== razorpay_signature) {
             // Mark payment as failed
             await payment.markAsFailed('Invalid signature');
+            await releaseReservation(payment._id);
             return res.status(400).json({
                 success: false,
                 message: 'Payment verification failed. Invalid signature.'
@@ -162,51 +226,16 @@ router.post('/verify', auth, async(req, res) => {
             console.error('Error fetching payment details:', error.message);
         }
 
-        // Mark payment as successful
-        await payment.markAsSuccess(razorpay_payment_id, razorpay_signature, paymentMethod);
-
-        // Find the package to get bonus coins
-        const selectedPackage = UPCOIN_PACKAGES.find(pkg => pkg.id === payment.packageId);
-        const totalCoins = selectedPackage ? selectedPackage.totalCoins : payment.upcoins;
-        const bonusCoins = selectedPackage ? selectedPackage.bonusCoins : 0;
+        // Mark payment as successful and credit UpCoins (including bonus) together.
+        // The webhook may have credited it already; that is not an error here.
+        const { totalCoins, bonusCoins } = await completePayment(payment, {
+            razorpayOrderId: razorpay_order_id,
+            razorpayPaymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+            paymentMethod
+        });
 
-        // Credit UpCoins (including bonus) to user's wallet
         const user = await User.findById(req.user.id);
-        user.walletBalance += totalCoins;
-        user.totalEarned += totalCoins;
-        await user.save();
-
-        // Create transaction record
-        const bonusDescription = bonusCoins > 0 
-            ? `Purchased ${payment.upcoins} UpCoins + ${bonusCoins} bonus for ₹${payment.amount}`
-            : `Purchased ${totalCoins} UpCoins for ₹${payment.amount}`;
-        
-        const transaction = new Transaction({
-            user: user._id,
-            type: 'credit',
-            amount: totalCoins,
-            realMoneyAmount: payment.amount,
-            currency: payment.currency,
-            description: bonusDescription,
-            category: 'upcoin_purchase',
-            status: 'completed',
-            paymentMethod: paymentMethod,
-            reference: razorpay_payment_id,
-            balanceBefore: user.walletBalance - totalCoins,
-            balanceAfter: user.walletBalance,
-            metadata: {
-                paymentId: payment._id,
-                razorpayPaymentId: razorpay_payment_id,
-                razorpayOrderId: razorpay_order_id,
-                packageId: payment.packageId,
-                baseCoins: payment.upcoins,
-                bonusCoins: bonusCoins,
-                totalCoins: totalCoins,
-                amountPaid: payment.amount,
-                currency: payment.currency
-            }
-        });
-        await transaction.save();
 
         const successMessage = bonusCoins > 0
             ? `Successfully purchased ${payment.upcoins} + ${bonusCoins} bonus UpCoins!`
@@ -230,6 +259,9 @@ router.post('/verify', auth, async(req, res) => {
         });
     } catch (err) {
         console.error('Error verifying payment:', err.message);
+        if (err instanceof PaymentError) {
+            return res.status(400).json({ success: false, message: err.message, code: err.code });
+        }
         res.status(500).json({
             message: 'Payment verification failed',
             error: err.message
@@ -332,54 +364,31 @@ router.get('/stats', auth, async(req, res) => {
 
 /**
  * @route   POST /api/payment/webhook
- * @desc    Handle Razorpay webhooks
+ * @desc    Handle Razorpay webhooks (payment.captured, order.paid, payment.failed, refund.processed)
  * @access  Public (but verified)
  */
-router.post('/webhook', express.raw({ type: 'application/json' }), async(req, res) => {
+router.post('/webhook', async(req, res) => {
     try {
-        const signature = req.headers['x-razorpay-signature'];
-        const body = req.body.toString();
-
-        // Verify webhook signature
-        const expectedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || '')
-            .update(body)
-            .digest('hex');
+        // server.js keeps this route's body raw so the signature matches
+        const body = Buffer.isBuffer(req.body) ? req.body.toString() : '';
 
-        if (signature !== expectedSignature) {
+        if (!verifyWebhookSignature(body, req.headers['x-razorpay-signature'])) {
             return res.status(400).json({ message: 'Invalid signature' });
         }
 
         const event = JSON.parse(body);
+        const result = await handleWebhookEvent(event, req.headers['x-razorpay-event-id']);
 
-        // Handle different webhook events
-        switch (event.event) {
-            case 'payment.captured':
-                // Payment was successful
-                console.log('Payment captured:', event.payload.payment.entity.id);
-                break;
-
-            case 'payment.failed':
-                // Payment failed
-                const failedPayment = await Payment.findOne({
-                    razorpayOrderId: event.payload.payment.entity.order_id
-                });
-                if (failedPayment) {
-                    await failedPayment.markAsFailed(
-                        event.payload.payment.entity.error_description || 'Payment failed'
-                    );
-                }
-                break;
-
-            default:
-                console.log('Unhandled webhook event:', event.event);
+        if (result.duplicate) {
+            console.log('Duplicate webhook event ignored:', event.event);
         }
 
         res.json({ success: true });
     } catch (err) {
+        // A non-2xx response makes Razorpay retry the event
         console.error('Webhook error:', err.message);
         res.status(500).json({ message: 'Webhook processing failed' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { getPayoutProvider } = require('../services/payoutProviders');
+const { handlePayoutWebhook } = require('../services/payoutService');
+
+/**
+ * @route   POST /api/payouts/webhook
+ * @desc    Payout status updates from the payout provider (payout.processed, payout.failed, payout.reversed, ...)
+ * @access  Public (but verified)
+ */
+router.post('/webhook', async(req, res) => {
+    try {
+        // server.js keeps this route's body raw so the signature matches
+        const body = Buffer.isBuffer(req.body) ? req.body.toString() : '';
+
+        if (!getPayoutProvider().verifyWebhook(body, req.headers)) {
+            return res.status(400).json({ message: 'Invalid signature' });
+        }
+
+        const event = JSON.parse(body);
+        const result = await handlePayoutWebhook(event, req.headers['x-razorpay-event-id']);
+
+        if (result.duplicate) {
+            console.log('Duplicate payout webhook ignored:', event.event);
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        // A non-2xx response makes the provider retry the event
+        console.error('Payout webhook error:', err.message);
+        res.status(500).json({ message: 'Webhook processing failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,410 @@
+const express = require('express');
+const router = express.Router();
+const Lecture = require('../models/Lecture');
+const LectureSeries = require('../models/LectureSeries');
+const { auth, loadUser, requireRole } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { getPlatformFeePercentage } = require('../services/settingsService');
+const ledger = require('../services/ledgerService');
+const { notifyInBackground } = require('../services/notificationService');
+const {
+    SeriesError,
+    createSeries,
+    updateSeries,
+    cancelSeries,
+    quoteEnrollment,
+    enrollInSeries
+} = require('../services/seriesService');
+const { validateRule } = require('../utils/recurrence');
+
+const sendValidationError = (err, res) => {
+    const errors = Object.values(err.errors).map(error => error.message);
+    return res.status(400).json({
+        message: 'Validation failed',
+        errors
+    });
+};
+
+/**
+ * @route   GET /api/series
+ * @desc    Get active lecture series (with filters)
+ * @access  Public
+ */
+router.get('/', async(req, res) => {
+    try {
+        const { category, trainer, search, page = 1, limit = 20 } = req.query;
+
+        const query = { status: 'active' };
+
+        if (category && category !== 'all') {
+            query.category = category;
+        }
+
+        if (trainer) {
+            query.trainer = trainer;
+        }
+
+        if (search) {
+            query.$or = [
+                { title: { $regex: search, $options: 'i' } },
+                { description: { $regex: search, $options: 'i' } },
+                { tags: { $in: [new RegExp(search, 'i')] } }
+            ];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const series = await LectureSeries.find(query)
+            .populate('trainer', 'firstname lastname email avatar')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await LectureSeries.countDocuments(query);
+
+        res.json({
+            series,
+            pagination: {
+                current: parseInt(page),
+                pages: Math.ceil(total / parseInt(limit)),
+                total,
+                limit: parseInt(limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching series:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/series/my/series
+ * @desc    Get current user's series (trainer) or enrolled series (student)
+ * @access  Private
+ */
+router.get('/my/series', auth, loadUser, async(req, res) => {
+    try {
+        const user = req.currentUser;
+        let query;
+
+        if (user.role === 'trainer') {
+            query = { trainer: req.user.id };
+        } else if (user.role === 'student') {
+            query = { 'enrolledStudents.student': req.user.id };
+        } else {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        const series = await LectureSeries.find(query)
+            .populate('trainer', 'firstname lastname email avatar')
+            .sort({ createdAt: -1 });
+
+        res.json(series);
+    } catch (err) {
+        console.error('Error fetching user series:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/series/:id
+ * @desc    Get a series with its lectures
+ * @access  Public
+ */
+router.get('/:id', async(req, res) => {
+    try {
+        const series = await LectureSeries.findById(req.params.id)
+            .populate('trainer', 'firstname lastname email avatar bio expertise');
+
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        const lectures = await Lecture.find({ series: series._id })
+            .select('title scheduledAt duration status seriesIndex price maxStudents enrolledStudents')
+            .sort({ scheduledAt: 1 });
+
+        const upcoming = lectures.filter(l => l.status === 'scheduled' && l.scheduledAt > new Date());
+
+        res.json({
+            series,
+            lectures,
+            upcomingCount: upcoming.length
+        });
+    } catch (err) {
+        console.error('Error fetching series:', err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/series
+ * @desc    Create a recurring series and generate its lectures
+ * @access  Private (Trainer only)
+ */
+router.post('/', auth, requireRole('trainer'), async(req, res) => {
+    try {
+        const user = req.currentUser;
+
+        const {
+            title,
+            description,
+            category,
+            tags,
+            price,
+            bundlePrice,
+            duration,
+            maxStudents,
+            meetingLink,
+            recurrence
+        } = req.body;
+
+        if (!title || !description || !category || price === undefined || bundlePrice === undefined || !duration || !recurrence) {
+            return res.status(400).json({ message: 'Please provide all required fields' });
+        }
+
+        const rule = {
+            daysOfWeek: recurrence.daysOfWeek,
+            time: recurrence.time,
+            utcOffset: recurrence.utcOffset || '+05:30',
+            startDate: recurrence.startDate,
+            weeks: recurrence.weeks !== undefined ? parseInt(recurrence.weeks) : undefined,
+            occurrences: recurrence.occurrences !== undefined ? parseInt(recurrence.occurrences) : undefined
+        };
+
+        const ruleErrors = validateRule(rule);
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({ message: 'Invalid recurrence', errors: ruleErrors });
+        }
+
+        // Series are free for trainers, like single lectures
+        const { series, lectures } = await createSeries({
+            title,
+            description,
+            category,
+            tags: tags || [],
+            price: parseFloat(price),
+            bundlePrice: parseFloat(bundlePrice),
+            duration: parseInt(duration),
+            maxStudents: parseInt(maxStudents) || 50,
+            meetingLink,
+            recurrence: rule
+        }, user);
+
+        console.log(`Series "${series.title}" with ${lectures.length} lectures created by ${user.email}. Pending admin approval.`);
+
+        res.status(201).json({
+            message: `Series created with ${lectures.length} lectures! It will be reviewed by admin before going live.`,
+            series,
+            lectures
+        });
+    } catch (err) {
+        console.error('Error creating series:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return sendValidationError(err, res);
+        }
+        if (err instanceof SeriesError) {
+            return res.status(400).json({ message: err.message });
+        }
+
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/series/:id
+ * @desc    Update a series and all of its future lectures
+ * @access  Private (Trainer who created it or Admin)
+ */
+router.put('/:id', auth, requireRole('trainer', 'admin'), async(req, res) => {
+    try {
+        const series = await LectureSeries.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        const user = req.currentUser;
+
+        if (!series.isOwnedBy(user._id) && !hasPermission(user, PERMISSIONS.LECTURES_MANAGE)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (series.status === 'cancelled' || series.status === 'rejected') {
+            return res.status(400).json({ message: `Cannot update a ${series.status} series` });
+        }
+
+        const {
+            title,
+            description,
+            category,
+            tags,
+            price,
+            bundlePrice,
+            duration,
+            maxStudents,
+            meetingLink,
+            time
+        } = req.body;
+
+        if (time && validateRule({ ...series.recurrence.toObject(), time }).length > 0) {
+            return res.status(400).json({ message: 'time must be in HH:MM (24-hour) format' });
+        }
+
+        const updates = {};
+        if (title) updates.title = title;
+        if (description) updates.description = description;
+        if (category) updates.category = category;
+        if (tags) updates.tags = tags;
+        if (price !== undefined) updates.price = parseFloat(price);
+        if (bundlePrice !== undefined) updates.bundlePrice = parseFloat(bundlePrice);
+        if (duration) updates.duration = parseInt(duration);
+        if (maxStudents) updates.maxStudents = parseInt(maxStudents);
+        if (meetingLink) updates.meetingLink = meetingLink;
+        if (time) updates.time = time;
+
+        const updated = await updateSeries(series, updates);
+
+        res.json({
+            message: `Series updated. ${updated} upcoming lectures changed.`,
+            series,
+            lecturesUpdated: updated
+        });
+    } catch (err) {
+        console.error('Error updating series:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return sendValidationError(err, res);
+        }
+        if (err instanceof SeriesError) {
+            return res.status(400).json({ message: err.message });
+        }
+
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/series/:id/cancel
+ * @desc    Cancel a series and its future lectures, refunding enrolled students
+ * @access  Private (Trainer who created it or Admin)
+ */
+router.post('/:id/cancel', auth, requireRole('trainer', 'admin'), async(req, res) => {
+    try {
+        const reason = (req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).json({ message: 'Cancellation reason is required' });
+        }
+        if (reason.length > 500) {
+            return res.status(400).json({ message: 'Cancellation reason cannot exceed 500 characters' });
+        }
+
+        const series = await LectureSeries.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        const user = req.currentUser;
+
+        if (!series.isOwnedBy(user._id) && !hasPermission(user, PERMISSIONS.LECTURES_MANAGE)) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({ message: 'Series is already cancelled' });
+        }
+
+        const { cancelled, skipped, refunds } = await cancelSeries(series, { user, reason });
+
+        res.json({
+            success: true,
+            message: `Series cancelled. ${cancelled.length} upcoming lectures cancelled.`,
+            series: {
+                id: series._id,
+                title: series.title,
+                status: series.status,
+                cancelledAt: series.cancelledAt,
+                cancellationReason: series.cancellationReason
+            },
+            cancelled,
+            skipped,
+            refunds
+        });
+    } catch (err) {
+        console.error('Error cancelling series:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/series/:id/enroll
+ * @desc    Enroll in every remaining lecture of a series at the bundle price
+ * @access  Private (Student only)
+ */
+router.post('/:id/enroll', auth, requireRole('student'), async(req, res) => {
+    try {
+        const user = req.currentUser;
+
+        const series = await LectureSeries.findById(req.params.id);
+        if (!series) {
+            return res.status(404).json({ message: 'Series not found' });
+        }
+
+        if (series.status !== 'active') {
+            return res.status(400).json({ message: 'Series is not available for enrollment' });
+        }
+
+        if (series.isEnrolled(req.user.id)) {
+            return res.status(400).json({ message: 'Already enrolled in this series' });
+        }
+
+        const quote = await quoteEnrollment(series, req.user.id);
+        if (user.walletBalance < quote.amount) {
+            return res.status(400).json({
+                message: `Insufficient UpCoins. Required: ${quote.amount}, Current: ${user.walletBalance}`,
+                required: quote.amount,
+                current: user.walletBalance
+            });
+        }
+
+        const feePercentage = await getPlatformFeePercentage(series.trainer);
+        const result = await enrollInSeries(series, user, { feePercentage });
+
+        console.log(`Student ${user.email} enrolled in series "${series.title}" (${result.lectures.length} lectures). Paid: ${result.amount} UC`);
+
+        notifyInBackground(user, {
+            type: 'enrollment_confirmed',
+            title: 'Enrollment confirmed',
+            body: `You're enrolled in ${result.lectures.length} sessions of "${series.title}". ${result.amount} UpCoins were paid from your wallet.`,
+            link: `/series/${series._id}`,
+            data: { seriesId: series._id, lectureIds: result.lectures }
+        });
+        notifyInBackground(series.trainer, {
+            type: 'new_enrollment',
+            title: 'New series enrollment',
+            body: `${user.firstname} ${user.lastname} enrolled in ${result.lectures.length} sessions of "${series.title}".`,
+            link: '/trainer/manage-lectures',
+            data: { seriesId: series._id, studentId: user._id }
+        });
+
+        res.json({
+            message: `Successfully enrolled in ${result.lectures.length} lectures`,
+            amountPaid: result.amount,
+            lectures: result.lectures,
+            walletBalance: result.walletBalance
+        });
+    } catch (err) {
+        console.error('Error enrolling in series:', err.message);
+        if (err instanceof SeriesError) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err instanceof ledger.LedgerError && err.code === 'INSUFFICIENT_FUNDS') {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,281 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const SupportTicket = require('../models/SupportTicket');
+const { auth, loadUser, requirePermission } = require('../middleware/auth');
+const { supportAttachments, discardUploads, attachmentPath } = require('../middleware/supportUpload');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+    SupportError,
+    openTicket,
+    getTicket,
+    viewFor,
+    addMessage,
+    setStatus,
+    assignTicket,
+    setPriority,
+    findAttachment
+} = require('../services/supportService');
 
-// Support routes placeholder
-// TODO: Implement support ticket routes
+const ERROR_STATUS = {
+    NOT_FOUND: 404,
+    FORBIDDEN: 403,
+    TICKET_CLOSED: 409
+};
 
-router.get('/', (req, res) => {
-    res.json({ message: 'Support routes - coming soon' });
+const sendSupportError = (res, err) => {
+    return res.status(ERROR_STATUS[err.code] || 400).json({ message: err.message, code: err.code });
+};
+
+/**
+ * @route   POST /api/support/tickets
+ * @desc    Open a support ticket (multipart: subject, body, category, priority,
+ *          lectureId | paymentId | withdrawalId, attachments[])
+ * @access  Private
+ */
+router.post('/tickets', auth, loadUser, supportAttachments, async(req, res) => {
+    try {
+        const ticket = await openTicket(req.currentUser, req.body, req.files);
+
+        res.status(201).json({
+            success: true,
+            message: 'Ticket opened. Our support team will get back to you soon.',
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        discardUploads(req.files);
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid ticket', errors: Object.values(err.errors).map(e => e.message) });
+        }
+        console.error('Error opening support ticket:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/support/tickets
+ * @desc    List the current user's tickets (?status=)
+ * @access  Private
+ */
+router.get('/tickets', auth, async(req, res) => {
+    try {
+        const filter = { user: req.user.id };
+        if (req.query.status && req.query.status !== 'all') {
+            filter.status = req.query.status;
+        }
+
+        const tickets = await SupportTicket.find(filter)
+            .select('-messages')
+            .sort({ lastMessageAt: -1 });
+
+        res.json({
+            success: true,
+            tickets
+        });
+    } catch (err) {
+        console.error('Error fetching support tickets:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/support/queue
+ * @desc    Support desk queue (?status=, ?priority=, ?assignedTo=me|none|<id>, ?breached=true)
+ * @access  Private (Admin with support:manage)
+ */
+router.get('/queue', auth, requirePermission(PERMISSIONS.SUPPORT_MANAGE), async(req, res) => {
+    try {
+        const { status, priority, assignedTo, breached, page = 1, limit = 50 } = req.query;
+
+        const filter = {};
+        filter.status = status && status !== 'all' ? status : { $in: ['open', 'in_progress', 'waiting_on_user'] };
+        if (priority) filter.priority = priority;
+        if (assignedTo === 'me') filter.assignedTo = req.currentUser._id;
+        if (assignedTo === 'none') filter.assignedTo = null;
+        if (assignedTo && mongoose.Types.ObjectId.isValid(assignedTo)) filter.assignedTo = assignedTo;
+        if (breached === 'true') {
+            filter.$or = [
+                { 'sla.firstResponseBreachedAt': { $ne: null } },
+                { 'sla.resolutionBreachedAt': { $ne: null } }
+            ];
+        }
+
+        const [tickets, total] = await Promise.all([
+            SupportTicket.find(filter)
+                .populate('user', 'firstname lastname email role')
+                .populate('assignedTo', 'firstname lastname email')
+                .select('-messages')
+                .sort({ 'sla.resolutionDueAt': 1 })
+                .skip((page - 1) * limit)
+                .limit(Number(limit)),
+            SupportTicket.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            tickets,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching support queue:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/support/tickets/:id
+ * @desc    Get a ticket with its message thread
+ * @access  Private (ticket owner or support admin)
+ */
+router.get('/tickets/:id', auth, loadUser, async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        await ticket.populate([
+            { path: 'messages.author', select: 'firstname lastname role' },
+            { path: 'assignedTo', select: 'firstname lastname' },
+            { path: 'relatedLecture', select: 'title scheduledAt status' },
+            { path: 'relatedPayment', select: 'orderId amount status createdAt' },
+            { path: 'relatedWithdrawal', select: 'amount status createdAt' }
+        ]);
+
+        res.json({
+            success: true,
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error fetching support ticket:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/support/tickets/:id/messages
+ * @desc    Reply on a ticket (multipart: body, attachments[]; support admins may send internal: true notes)
+ * @access  Private (ticket owner or support admin)
+ */
+router.post('/tickets/:id/messages', auth, loadUser, supportAttachments, async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        await addMessage(ticket, req.currentUser, req.body, req.files);
+
+        res.status(201).json({
+            success: true,
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        discardUploads(req.files);
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error replying to support ticket:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/support/tickets/:id/messages/:messageId/attachments/:attachmentId
+ * @desc    Download a message attachment
+ * @access  Private (ticket owner or support admin)
+ */
+router.get('/tickets/:id/messages/:messageId/attachments/:attachmentId', auth, loadUser, async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        const attachment = findAttachment(ticket, req.currentUser, req.params.messageId, req.params.attachmentId);
+
+        res.download(attachmentPath(attachment.storedName), attachment.filename, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ message: 'Attachment not found' });
+            }
+        });
+    } catch (err) {
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error downloading support attachment:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/support/tickets/:id/status
+ * @desc    Change a ticket's status (users can close their own tickets)
+ * @access  Private (ticket owner or support admin)
+ */
+router.put('/tickets/:id/status', auth, loadUser, async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        await setStatus(ticket, req.currentUser, req.body.status);
+
+        res.json({
+            success: true,
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error updating support ticket status:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/support/tickets/:id/assign
+ * @desc    Assign a ticket to a support admin (assigneeId: null to unassign)
+ * @access  Private (Admin with support:manage)
+ */
+router.put('/tickets/:id/assign', auth, requirePermission(PERMISSIONS.SUPPORT_MANAGE), async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        await assignTicket(ticket, req.body.assigneeId);
+
+        console.log(`Admin ${req.currentUser.email} assigned ticket ${ticket.reference} to ${ticket.assignedTo || 'nobody'}`);
+
+        res.json({
+            success: true,
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error assigning support ticket:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   PUT /api/support/tickets/:id/priority
+ * @desc    Change a ticket's priority; its SLA deadlines are recalculated
+ * @access  Private (Admin with support:manage)
+ */
+router.put('/tickets/:id/priority', auth, requirePermission(PERMISSIONS.SUPPORT_MANAGE), async(req, res) => {
+    try {
+        const ticket = await getTicket(req.params.id, req.currentUser);
+        await setPriority(ticket, req.body.priority);
+
+        res.json({
+            success: true,
+            ticket: viewFor(ticket, req.currentUser)
+        });
+    } catch (err) {
+        if (err instanceof SupportError) {
+            return sendSupportError(res, err);
+        }
+        console.error('Error updating support ticket priority:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,8 +3,11 @@ const router = express.Router();
 const User = require('../models/User');
 const Lecture = require('../models/Lecture');
 const Transaction = require('../models/Transaction');
-const { auth } = require('../middleware/auth');
-const nodemailer = require('nodemailer');
+const { auth, requireRole } = require('../middleware/auth');
+const { createSession, revokeAllSessions } = require('../services/sessionService');
+const { getPendingEarnings } = require('../services/earningsService');
+const { sendEmail, emailTemplates } = require('../services/emailService');
+const { MAIL_FROM } = require('../config/mail');
 const bcrypt = require('bcrypt');
 
 /**
@@ -12,12 +15,9 @@ const bcrypt = require('bcrypt');
  * @desc    Get trainer dashboard statistics
  * @access  Private (Trainer only)
  */
-router.get('/stats/dashboard', auth, async(req, res) => {
+router.get('/stats/dashboard', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         // Get current date for time-based queries
         const now = new Date();
@@ -31,8 +31,9 @@ router.get('/stats/dashboard', auth, async(req, res) => {
         // Get earnings this month and last month
         const thisMonthEarnings = await Transaction.aggregate([{
                 $match: {
-                    recipient: user._id,
-                    type: 'lecture_payment',
+                    user: user._id,
+                    type: 'credit',
+                    category: 'lecture_enrollment',
                     createdAt: { $gte: thisMonthStart }
                 }
             },
@@ -49,8 +50,9 @@ router.get('/stats/dashboard', auth, async(req, res) => {
 
         const lastMonthEarnings = await Transaction.aggregate([{
                 $match: {
-                    recipient: user._id,
-                    type: 'lecture_payment',
+                    user: user._id,
+                    type: 'credit',
+                    category: 'lecture_enrollment',
                     createdAt: { $gte: lastMonthStart, $lte: lastMonthEnd }
                 }
             },
@@ -66,14 +68,16 @@ router.get('/stats/dashboard', auth, async(req, res) => {
         const lastMonthTotal = lastMonthEarnings[0] ?.total || 0;
         const earningsGrowth = lastMonthTotal > 0 ? ((thisMonthTotal - lastMonthTotal) / lastMonthTotal) * 100 : 100;
 
-        // Recent earnings
+        // Recent earnings released to the wallet, and those still on hold
         const recentEarnings = await Transaction.find({
-                recipient: user._id,
-                type: 'lecture_payment'
+                user: user._id,
+                type: 'credit',
+                category: 'lecture_enrollment'
             })
-            .populate('metadata.lecture', 'title')
+            .populate('relatedLecture', 'title')
             .sort({ createdAt: -1 })
             .limit(5);
+        const pending = await getPendingEarnings(user._id);
 
         // Lecture statistics
         const [
@@ -149,14 +153,17 @@ router.get('/stats/dashboard', auth, async(req, res) => {
         const dashboardStats = {
             earnings: {
                 total: totalEarnings,
+                available: user.walletBalance,
+                pending: pending.pendingEarnings,
+                nextReleaseAt: pending.nextReleaseAt,
                 thisMonth: thisMonthTotal,
                 lastMonth: lastMonthTotal,
                 growth: Math.round(earningsGrowth),
                 recentEarnings: recentEarnings.map(earning => ({
                     date: earning.createdAt.toISOString().split('T')[0],
                     amount: earning.amount,
-                    lecture: earning.metadata?.lecture?.title || 'Unknown Lecture',
-                    lectureId: earning.metadata?.lecture?._id || null
+                    lecture: earning.relatedLecture?.title || 'Unknown Lecture',
+                    lectureId: earning.relatedLecture?._id || null
                 }))
             },
             lectures: {
@@ -201,12 +208,9 @@ router.get('/stats/dashboard', auth, async(req, res) => {
  * @desc    Get trainer's upcoming lectures
  * @access  Private (Trainer only)
  */
-router.get('/lectures/upcoming', auth, async(req, res) => {
+router.get('/lectures/upcoming', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         const upcomingLectures = await Lecture.find({
                 trainer: user._id,
@@ -236,30 +240,42 @@ router.get('/lectures/upcoming', auth, async(req, res) => {
 
 /**
  * @route   GET /api/trainer/earnings/recent
- * @desc    Get trainer's recent earnings
+ * @desc    Get trainer's recent earnings, both released and still on hold
  * @access  Private (Trainer only)
  */
-router.get('/earnings/recent', auth, async(req, res) => {
+router.get('/earnings/recent', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
-        const recentEarnings = await Transaction.find({
-                recipient: user._id,
-                type: 'lecture_payment'
+        const [released, pending] = await Promise.all([
+            Transaction.find({
+                user: user._id,
+                type: 'credit',
+                category: 'lecture_enrollment'
             })
-            .populate('metadata.lecture', 'title')
+            .populate('relatedLecture', 'title')
             .sort({ createdAt: -1 })
-            .limit(10);
+            .limit(10),
+            getPendingEarnings(user._id)
+        ]);
 
-        const formattedEarnings = recentEarnings.map(earning => ({
-            date: earning.createdAt.toISOString().split('T')[0],
-            amount: earning.amount,
-            lecture: earning.metadata ?.lecture ?.title || 'Unknown Lecture',
-            lectureId: earning.metadata ?.lecture ?._id || null
-        }));
+        const formattedEarnings = [
+            ...pending.holds.map(hold => ({
+                date: hold.heldSince.toISOString().split('T')[0],
+                amount: hold.amount,
+                lecture: hold.lecture ?.title || 'Unknown Lecture',
+                lectureId: hold.lecture ?._id || null,
+                status: 'pending',
+                releaseAt: hold.releaseAt
+            })),
+            ...released.map(earning => ({
+                date: earning.createdAt.toISOString().split('T')[0],
+                amount: earning.amount,
+                lecture: earning.relatedLecture ?.title || 'Unknown Lecture',
+                lectureId: earning.relatedLecture ?._id || null,
+                status: 'available'
+            }))
+        ].slice(0, 10);
 
         res.json(formattedEarnings);
     } catch (err) {
@@ -273,12 +289,9 @@ router.get('/earnings/recent', auth, async(req, res) => {
  * @desc    Get trainer's student analytics
  * @access  Private (Trainer only)
  */
-router.get('/analytics/students', auth, async(req, res) => {
+router.get('/analytics/students', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
@@ -343,12 +356,9 @@ router.get('/analytics/students', auth, async(req, res) => {
  * @desc    Get trainer's performance metrics
  * @access  Private (Trainer only)
  */
-router.get('/analytics/performance', auth, async(req, res) => {
+router.get('/analytics/performance', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         // Performance metrics
         const performanceStats = await Lecture.aggregate([
@@ -423,12 +433,9 @@ router.get('/analytics/performance', auth, async(req, res) => {
  * @desc    Get all students enrolled in trainer's lectures with progress
  * @access  Private (Trainer only)
  */
-router.get('/students', auth, async(req, res) => {
+router.get('/students', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         // Get all lectures by this trainer
         const lectures = await Lecture.find({ trainer: user._id })
@@ -529,12 +536,9 @@ router.get('/students', auth, async(req, res) => {
  * @desc    Get course-wise student statistics for trainer
  * @access  Private (Trainer only)
  */
-router.get('/students/course-stats', auth, async(req, res) => {
+router.get('/students/course-stats', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         // Get course statistics grouped by lecture title
         const courseStats = await Lecture.aggregate([
@@ -605,12 +609,9 @@ router.get('/students/course-stats', auth, async(req, res) => {
  * @desc    Send email to a student
  * @access  Private (Trainer only)
  */
-router.post('/students/send-email', auth, async(req, res) => {
+router.post('/students/send-email', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
+        const user = req.currentUser;
 
         const { studentId, subject, content } = req.body;
 
@@ -635,43 +636,16 @@ router.post('/students/send-email', auth, async(req, res) => {
             return res.status(403).json({ message: 'You can only send emails to your enrolled students' });
         }
 
-        // Create email transporter
-        const transporter = nodemailer.createTransport({
-            service: process.env.EMAIL_SERVICE || 'gmail',
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS || process.env.EMAIL_PASSWORD
-            }
-        });
-
-        // Email options
-        const mailOptions = {
-            from: `${user.name} <${process.env.EMAIL_USER}>`,
-            to: student.email,
-            subject: subject,
-            html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px 8px 0 0;">
-            <h2 style="color: #333; margin: 0;">Message from ${user.name}</h2>
-            <p style="color: #666; margin: 5px 0 0 0;">Your Trainer on Upscholar</p>
-          </div>
-          <div style="background-color: #ffffff; padding: 30px; border: 1px solid #e0e0e0;">
-            <div style="white-space: pre-wrap; color: #333; line-height: 1.6;">
-              ${content}
-            </div>
-          </div>
-          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 0 0 8px 8px; text-align: center;">
-            <p style="color: #666; font-size: 12px; margin: 0;">
-              This email was sent from Upscholar Learning Platform
-            </p>
-          </div>
-        </div>
-      `,
-            text: content
-        };
-
-        // Send email
-        await transporter.sendMail(mailOptions);
+        // Goes out from the platform address under the trainer's name
+        const result = await sendEmail(
+            student.email,
+            emailTemplates.trainerMessage(user.name, subject, content),
+            { from: `${user.name} <${MAIL_FROM}>` }
+        );
+        if (!result.success) {
+            console.error('Error queueing email to student:', result.error);
+            return res.status(500).json({ message: 'Failed to send email. Please try again.' });
+        }
 
         res.json({
             success: true,
@@ -680,14 +654,6 @@ router.post('/students/send-email', auth, async(req, res) => {
         });
     } catch (err) {
         console.error('Error sending email:', err.message);
-
-        // Check if it's an email configuration error
-        if (err.message.includes('auth') || err.message.includes('credentials')) {
-            return res.status(500).json({
-                message: 'Email service not configured. Please contact administrator.'
-            });
-        }
-
         res.status(500).json({ message: 'Failed to send email. Please try again.' });
     }
 });
@@ -697,13 +663,8 @@ router.post('/students/send-email', auth, async(req, res) => {
  * @desc    Get trainer profile details
  * @access  Private (Trainer only)
  */
-router.get('/profile', auth, async(req, res) => {
+router.get('/profile', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
-
         // Get trainer profile with all details
         const trainer = await User.findById(req.user.id).select('-password');
 
@@ -748,13 +709,9 @@ router.get('/profile', auth, async(req, res) => {
  * @desc    Update trainer profile
  * @access  Private (Trainer only)
  */
-router.put('/profile', auth, async(req, res) => {
+router.put('/profile', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
-
+        const user = req.currentUser;
         const { firstname, lastname, bio, demoVideoUrl, expertise } = req.body;
 
         // Build update object
@@ -768,8 +725,7 @@ router.put('/profile', auth, async(req, res) => {
 
         // Update name if first or last name changed
         if (firstname || lastname) {
-            const currentUser = await User.findById(req.user.id);
-            updateFields.name = `${firstname || currentUser.firstname} ${lastname || currentUser.lastname}`;
+            updateFields.name = `${firstname || user.firstname} ${lastname || user.lastname}`;
         }
 
         const updatedTrainer = await User.findByIdAndUpdate(
@@ -791,13 +747,9 @@ router.put('/profile', auth, async(req, res) => {
  * @desc    Change trainer password
  * @access  Private (Trainer only)
  */
-router.put('/change-password', auth, async(req, res) => {
+router.put('/change-password', auth, requireRole('trainer'), async(req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (user.role !== 'trainer') {
-            return res.status(403).json({ message: 'Access denied. Trainer only.' });
-        }
-
+        const trainer = req.currentUser;
         const { currentPassword, newPassword } = req.body;
 
         // Validate input
@@ -810,9 +762,6 @@ router.put('/change-password', auth, async(req, res) => {
             return res.status(400).json({ message: 'New password must be at least 6 characters long' });
         }
 
-        // Get user with password
-        const trainer = await User.findById(req.user.id);
-
         // Check if user has a password (some trainers might not have one initially)
         if (!trainer.password) {
             return res.status(400).json({
@@ -830,9 +779,14 @@ router.put('/change-password', auth, async(req, res) => {
         trainer.password = newPassword;
         await trainer.save();
 
+        // Log out every device, then start a fresh session for this one
+        await revokeAllSessions(trainer._id, 'password_changed');
+        const tokens = await createSession(trainer, req);
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully. Other devices have been logged out.',
+            ...tokens
         });
     } catch (err) {
         console.error('Error changing password:', err.message);
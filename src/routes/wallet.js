@@ -3,8 +3,24 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
-const Lecture = require('../models/Lecture');
-const { auth } = require('../middleware/auth');
+const { auth, requireRole } = require('../middleware/auth');
+const ledger = require('../services/ledgerService');
+const { getPendingEarnings } = require('../services/earningsService');
+const {
+  StatementError,
+  buildUserStatement,
+  toCsv,
+  toPdf,
+  fileNameFor
+} = require('../services/statementService');
+const {
+  PayoutProfileError,
+  getProfile,
+  saveProfile,
+  startVerification,
+  describeDestination
+} = require('../services/payoutProfileService');
+const { PAYOUT_REQUIRE_VERIFIED_ACCOUNT } = require('../config/payouts');
 
 /**
  * @route   GET /api/wallet/balance
@@ -110,256 +126,62 @@ router.get('/transactions', auth, async (req, res) => {
   }
 });
 
-/**
- * @route   POST /api/wallet/add-funds
- * @desc    REMOVED - Insecure endpoint. Use /api/payment/create-order instead
- * @access  Private
- */
-// SECURITY: This endpoint has been removed to prevent unauthorized UpCoin manipulation
-// Users can only add UpCoins through Razorpay payment verification
-// See /api/payment/create-order and /api/payment/verify for secure payment flow
+const FORMATS = {
+  json: null,
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
 
 /**
- * @route   POST /api/wallet/pay
- * @desc    Process payment for lecture enrollment
+ * @route   GET /api/wallet/statement[/csv|/pdf]
+ * @desc    Wallet statement for a date range (?from=&to=, optional type, category, status)
+ *          with opening and closing balances, as JSON or a CSV/PDF download
  * @access  Private
  */
-router.post('/pay', auth, async (req, res) => {
+router.get(['/statement', '/statement/:format'], auth, async (req, res) => {
   try {
-    const { lectureId, amount } = req.body;
-
-    if (!lectureId || !amount || amount <= 0) {
-      return res.status(400).json({ message: 'Invalid payment data' });
-    }
-
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Get lecture details - don't populate trainer to avoid issues
-    const lecture = await Lecture.findById(lectureId);
-    if (!lecture) {
-      return res.status(404).json({ message: 'Lecture not found' });
-    }
-
-    // Validate lecture has required fields
-    if (!lecture.title || lecture.price === undefined || lecture.price === null) {
-      console.error('Lecture missing required fields:', { 
-        id: lectureId,
-        title: lecture.title, 
-        price: lecture.price 
-      });
-      return res.status(400).json({ message: 'Lecture data is invalid' });
-    }
-    
-    console.log('Lecture found:', {
-      id: lecture._id,
-      title: lecture.title,
-      price: lecture.price,
-      trainer: lecture.trainer
-    });
-
-    const currentBalance = user.walletBalance || 0;
-    if (currentBalance < amount) {
-      return res.status(400).json({ message: 'Insufficient balance' });
-    }
-
-    // Verify amount matches lecture price (convert both to numbers for comparison)
-    const lecturePrice = Number(lecture.price);
-    const paymentAmount = Number(amount);
-    
-    if (paymentAmount !== lecturePrice) {
-      return res.status(400).json({ 
-        message: `Payment amount (${paymentAmount}) does not match lecture price (${lecturePrice})` 
-      });
-    }
-
-    // Calculate new balance - ensure both are numbers
-    const numBalance = Number(currentBalance);
-    const numAmount = Number(amount);
-    const balanceAfter = numBalance - numAmount;
-    
-    // Ensure balance doesn't go negative (shouldn't happen due to check above, but safety check)
-    if (isNaN(balanceAfter) || balanceAfter < 0) {
-      return res.status(400).json({ 
-        message: `Insufficient balance. Current: ${currentBalance}, Required: ${amount}` 
-      });
-    }
-    
-    // Ensure all numeric values are valid
-    if (isNaN(numBalance) || isNaN(numAmount) || numAmount <= 0) {
-      return res.status(400).json({ 
-        message: 'Invalid payment amount or balance' 
-      });
-    }
-
-    // Get trainer ID - handle both ObjectId and string
-    let trainerId = lecture.trainer;
-    
-    // Convert trainer to string for metadata if it exists
-    if (trainerId) {
-      if (typeof trainerId === 'object' && trainerId._id) {
-        trainerId = trainerId._id.toString();
-      } else if (typeof trainerId === 'object') {
-        trainerId = trainerId.toString();
-      } else if (typeof trainerId === 'string') {
-        // Keep as string
-      } else {
-        trainerId = String(trainerId);
-      }
+    const format = req.params.format || 'json';
+    if (!(format in FORMATS)) {
+      return res.status(404).json({ message: 'Unknown statement format' });
     }
 
-    // Prepare metadata - only include fields that exist
-    const metadata = {
-      lectureTitle: String(lecture.title || 'Unknown Lecture')
-    };
-    if (trainerId) {
-      metadata.trainerId = String(trainerId);
-    }
-    
-    console.log('Transaction metadata:', metadata);
-
-    // Create transaction record
-    const transactionData = {
-      user: req.user.id,
-      type: 'debit',
-      amount: Number(amount),
-      realMoneyAmount: 0,
-      currency: 'INR',
-      description: String(`Enrolled in "${lecture.title}"`),
-      category: 'lecture_enrollment',
-      status: 'completed',
-      paymentMethod: 'wallet',
-      reference: String(`enrollment_${lectureId}`),
-      relatedLecture: lectureId,
-      balanceBefore: Number(currentBalance),
-      balanceAfter: Number(balanceAfter),
-      metadata: metadata
-    };
-    
-    console.log('Creating transaction with data:', JSON.stringify(transactionData, null, 2));
-    
-    const transaction = new Transaction(transactionData);
+    const statement = await buildUserStatement({ userId: req.user.id, ...req.query });
 
-    // Save transaction - Mongoose will validate and convert ObjectIds automatically
-    await transaction.save();
-    console.log('Transaction saved successfully:', transaction._id);
-
-    // Update user's balance - ensure values are valid numbers
-    const newBalance = Number(balanceAfter);
-    const newTotalSpent = Number((user.totalSpent || 0) + Number(amount));
-    
-    if (isNaN(newBalance) || newBalance < 0) {
-      // Rollback transaction if balance would be invalid
-      await Transaction.deleteOne({ _id: transaction._id });
-      return res.status(400).json({ 
-        message: 'Invalid balance calculation' 
-      });
-    }
-    
-    // Use updateOne to update wallet balance without triggering full model validation
-    // This prevents issues with required fields like 'mobile' for existing users
-    try {
-      const updateResult = await User.updateOne(
-        { _id: req.user.id },
-        { 
-          $set: {
-            walletBalance: newBalance,
-            totalSpent: newTotalSpent
-          }
-        }
-      );
-      
-      if (updateResult.matchedCount === 0) {
-        // Rollback transaction if user not found
-        await Transaction.deleteOne({ _id: transaction._id });
-        return res.status(404).json({ 
-          message: 'User not found' 
-        });
-      }
-      
-      console.log('User balance updated successfully:', {
-        oldBalance: currentBalance,
-        newBalance: newBalance,
-        amountSpent: amount
-      });
-      
-      // Update user object for response
-      user.walletBalance = newBalance;
-      user.totalSpent = newTotalSpent;
-    } catch (updateError) {
-      // Rollback transaction if update fails
-      console.error('Error updating user balance:', updateError);
-      await Transaction.deleteOne({ _id: transaction._id }).catch(e => {
-        console.error('Error rolling back transaction:', e);
-      });
-      throw updateError;
+    if (format === 'json') {
+      return res.json({ success: true, statement });
     }
 
-    res.json({
-      message: 'Payment processed successfully',
-      transaction: {
-        id: transaction._id,
-        type: transaction.type,
-        amount: transaction.amount,
-        description: transaction.description,
-        status: transaction.status,
-        createdAt: transaction.createdAt
-      },
-      newBalance: user.walletBalance
+    res.set({
+      'Content-Type': FORMATS[format],
+      'Content-Disposition': `attachment; filename="${fileNameFor(statement, format)}"`
     });
+    res.send(format === 'csv' ? toCsv(statement) : toPdf(statement));
   } catch (err) {
-    console.error('\n========== PAYMENT ERROR ==========');
-    console.error('Error name:', err.name);
-    console.error('Error message:', err.message);
-    console.error('Error code:', err.code || 'N/A');
-    
-    // Handle Mongoose validation errors
-    if (err.name === 'ValidationError' && err.errors) {
-      console.error('Validation errors:', JSON.stringify(err.errors, null, 2));
-      const validationErrors = Object.keys(err.errors).map(key => ({
-        field: key,
-        message: err.errors[key].message
-      }));
-      console.error('===================================\n');
-      return res.status(400).json({ 
-        message: 'Transaction validation failed',
-        errors: validationErrors
-      });
+    if (err instanceof StatementError) {
+      return res.status(400).json({ message: err.message, code: err.code });
     }
-    
-    // Handle other Mongoose errors
-    if (err.name === 'CastError') {
-      console.error('Cast error details:', {
-        kind: err.kind,
-        value: err.value,
-        path: err.path
-      });
-      console.error('===================================\n');
-      return res.status(400).json({ 
-        message: `Invalid ${err.path}: ${err.value}`
-      });
-    }
-    
-    console.error('Full error object:', JSON.stringify(err, Object.getOwnPropertyNames(err), 2));
-    console.error('Error stack:', err.stack);
-    console.error('===================================\n');
-    
-    // Always return detailed error for debugging - change this to check NODE_ENV if needed
-    const isDevelopment = !process.env.NODE_ENV || process.env.NODE_ENV === 'development';
-    
-    res.status(500).json({ 
-      message: isDevelopment ? (err.message || 'An error occurred while processing payment') : 'An error occurred while processing payment',
-      ...(isDevelopment ? { 
-        details: err.message,
-        name: err.name,
-        code: err.code
-      } : {})
-    });
+    console.error('Error building wallet statement:', err.message);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
+/**
+ * @route   POST /api/wallet/add-funds
+ * @desc    REMOVED - Insecure endpoint. Use /api/payment/create-order instead
+ * @access  Private
+ */
+// SECURITY: This endpoint has been removed to prevent unauthorized UpCoin manipulation
+// Users can only add UpCoins through Razorpay payment verification
+// See /api/payment/create-order and /api/payment/verify for secure payment flow
+
+/**
+ * @route   POST /api/wallet/pay
+ * @desc    REMOVED - Charged for a lecture without enrolling. Use /api/lectures/:id/enroll instead
+ * @access  Private
+ */
+// The enroll route charges the student and takes the seat in one transaction,
+// after checking the lecture is open, not already joined and not full
+
 /**
  * @route   GET /api/wallet/stats
  * @desc    Get wallet statistics
@@ -460,19 +282,104 @@ router.get('/stats', auth, async (req, res) => {
 });
 
 /**
- * @route   POST /api/wallet/withdraw
- * @desc    Request withdrawal (Trainers only, 1 UpCoin = ₹1)
+ * @route   GET /api/wallet/payout-profile
+ * @desc    Get the trainer's payout details (masked)
  * @access  Private (Trainer only)
  */
-router.post('/withdraw', auth, async (req, res) => {
+router.get('/payout-profile', auth, requireRole('trainer'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (user.role !== 'trainer') {
-      return res.status(403).json({ message: 'Only trainers can withdraw funds' });
+    const profile = await getProfile(req.user.id);
+
+    res.json({
+      success: true,
+      profile,
+      requiresVerification: PAYOUT_REQUIRE_VERIFIED_ACCOUNT
+    });
+  } catch (err) {
+    console.error('Error fetching payout profile:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/wallet/payout-profile
+ * @desc    Save payout details: bank account (accountNumber, ifscCode) and/or UPI ID
+ * @access  Private (Trainer only)
+ */
+router.put('/payout-profile', auth, requireRole('trainer'), async (req, res) => {
+  try {
+    const { preferredMethod, accountHolderName, bankAccount, upiId } = req.body;
+
+    if (preferredMethod && !['upi', 'bank_account'].includes(preferredMethod)) {
+      return res.status(400).json({ message: 'preferredMethod must be upi or bank_account' });
     }
 
-    const { amount, bankDetails, upiId } = req.body;
+    if (!bankAccount && upiId === undefined && !preferredMethod && accountHolderName === undefined) {
+      return res.status(400).json({ message: 'Please provide bank details or a UPI ID' });
+    }
+
+    const profile = await saveProfile(req.currentUser, { preferredMethod, accountHolderName, bankAccount, upiId });
+
+    console.log(`Payout profile updated by ${req.currentUser.email}`);
+
+    res.json({
+      success: true,
+      message: 'Payout details saved',
+      profile
+    });
+  } catch (err) {
+    console.error('Error saving payout profile:', err.message);
+    if (err instanceof PayoutProfileError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/wallet/payout-profile/verify
+ * @desc    Verify the saved bank account with a penny drop (₹1 deposit)
+ * @access  Private (Trainer only)
+ */
+router.post('/payout-profile/verify', auth, requireRole('trainer'), async (req, res) => {
+  try {
+    const profile = await getProfile(req.user.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Add your payout details first' });
+    }
+
+    await startVerification(profile, req.currentUser);
+
+    res.json({
+      success: true,
+      message: profile.verification.status === 'pending'
+        ? 'Verification started. We will confirm once the bank responds.'
+        : `Bank account ${profile.verification.status}`,
+      verification: profile.verification
+    });
+  } catch (err) {
+    console.error('Error verifying payout profile:', err.message);
+    if (err instanceof PayoutProfileError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/wallet/withdraw
+ * @desc    Request withdrawal to the saved payout profile (Trainers only, 1 UpCoin = ₹1)
+ * @access  Private (Trainer only)
+ */
+router.post('/withdraw', auth, requireRole('trainer'), async (req, res) => {
+  try {
+    const user = req.currentUser;
+
+    const { amount, method, bankDetails, upiId } = req.body;
 
     // Validate amount
     if (!amount || amount <= 0) {
@@ -496,64 +403,60 @@ router.post('/withdraw', auth, async (req, res) => {
       });
     }
 
-    // Validate bank details (at least one payment method required)
+    // Older clients still send details with each request; save them to the profile
     const hasBankDetails = bankDetails && bankDetails.accountNumber && bankDetails.ifscCode && bankDetails.accountHolderName;
     const hasUpiId = upiId && upiId.trim().length > 0;
+    if (hasBankDetails || hasUpiId) {
+      await saveProfile(user, {
+        preferredMethod: hasUpiId ? 'upi' : 'bank_account',
+        accountHolderName: hasBankDetails ? bankDetails.accountHolderName : undefined,
+        bankAccount: hasBankDetails ? bankDetails : undefined,
+        upiId: hasUpiId ? upiId : undefined
+      });
+    }
 
-    if (!hasBankDetails && !hasUpiId) {
+    const profile = await getProfile(user._id);
+    if (!profile) {
       return res.status(400).json({ 
-        message: 'Please provide either bank details or UPI ID' 
+        message: 'Please add your bank details or UPI ID before withdrawing' 
       });
     }
 
-    // Deduct amount from wallet
-    const balanceBefore = user.walletBalance;
-    user.walletBalance -= amount;
-    await user.save();
+    const payoutMethod = method || profile.preferredMethod;
+    if (!['upi', 'bank_account'].includes(payoutMethod)) {
+      return res.status(400).json({ message: 'method must be upi or bank_account' });
+    }
+    if ((payoutMethod === 'upi' && !profile.hasUpi()) || (payoutMethod === 'bank_account' && !profile.hasBankAccount())) {
+      return res.status(400).json({ message: `No ${payoutMethod === 'upi' ? 'UPI ID' : 'bank account'} saved in your payout details` });
+    }
+
+    if (payoutMethod === 'bank_account' && PAYOUT_REQUIRE_VERIFIED_ACCOUNT && profile.verification.status !== 'verified') {
+      return res.status(400).json({ 
+        message: 'Please verify your bank account before withdrawing',
+        verification: profile.verification.status
+      });
+    }
 
-    // Prepare metadata
+    // Reference the profile; only masked details are copied onto the withdrawal
     const metadata = {
       withdrawalAmount: amount,
       conversionRate: 1, // 1 UC = ₹1
       requestedAt: new Date(),
       trainerName: user.firstName ? `${user.firstName} ${user.lastName}` : user.email,
-      trainerEmail: user.email
+      trainerEmail: user.email,
+      payoutProfile: profile._id,
+      payoutMethod,
+      payoutDestination: describeDestination(profile, payoutMethod)
     };
 
-    // Add bank details if provided
-    if (hasBankDetails) {
-      metadata.bankDetails = {
-        accountNumber: bankDetails.accountNumber, // Store full number for admin
-        accountNumberLast4: bankDetails.accountNumber.slice(-4),
-        ifscCode: bankDetails.ifscCode,
-        accountHolderName: bankDetails.accountHolderName,
-        bankName: bankDetails.bankName || 'Not provided'
-      };
-    }
-
-    // Add UPI ID if provided
-    if (hasUpiId) {
-      metadata.upiId = upiId.trim();
-    }
-
-    // Create withdrawal transaction
-    const withdrawalTransaction = new Transaction({
-      user: user._id,
-      type: 'debit',
-      amount: amount,
-      realMoneyAmount: amount, // 1 UpCoin = ₹1
-      currency: 'INR',
-      description: `Withdrawal request for ₹${amount}`,
-      category: 'withdrawal',
-      status: 'pending', // Pending until admin approves
-      paymentMethod: hasUpiId ? 'upi' : 'bank_transfer',
-      reference: `withdrawal_${Date.now()}`,
-      balanceBefore: balanceBefore,
-      balanceAfter: user.walletBalance,
-      metadata: metadata
+    // Move the amount from the wallet into the payouts account
+    const { transaction: withdrawalTransaction } = await ledger.requestWithdrawal({
+      user,
+      amount: Number(amount),
+      paymentMethod: payoutMethod === 'upi' ? 'upi' : 'bank_transfer',
+      metadata
     });
-
-    await withdrawalTransaction.save();
+    user.walletBalance = withdrawalTransaction.balanceAfter;
 
     console.log(`Withdrawal request created: ${user.email} requested ₹${amount} (${amount} UC)`);
 
@@ -565,29 +468,32 @@ router.post('/withdraw', auth, async (req, res) => {
         amount: amount,
         realMoneyAmount: amount,
         status: 'pending',
-        reference: withdrawalTransaction.reference
+        reference: withdrawalTransaction.reference,
+        destination: metadata.payoutDestination
       },
       newBalance: user.walletBalance
     });
 
   } catch (err) {
     console.error('Error processing withdrawal:', err.message);
+    if (err instanceof PayoutProfileError) {
+      return res.status(400).json({ message: err.message, code: err.code });
+    }
+    if (err instanceof ledger.LedgerError && err.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 /**
  * @route   GET /api/wallet/earnings
- * @desc    Get trainer earnings breakdown
+ * @desc    Get trainer earnings breakdown, with earnings still on hold shown as pending
  * @access  Private (Trainer only)
  */
-router.get('/earnings', auth, async (req, res) => {
+router.get('/earnings', auth, requireRole('trainer'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (user.role !== 'trainer') {
-      return res.status(403).json({ message: 'Only trainers can access earnings' });
-    }
+    const user = req.currentUser;
 
     // Get all earnings transactions with student details
     const earningsTransactions = await Transaction.find({
@@ -659,12 +565,19 @@ router.get('/earnings', auth, async (req, res) => {
       pendingCount: totalWithdrawals.find(w => w._id === 'pending')?.count || 0
     };
 
+    // Earnings still on hold until their lectures settle are not in the wallet yet
+    const pending = await getPendingEarnings(req.user.id);
+
     // Available for withdrawal (current balance)
     const availableForWithdrawal = user.walletBalance;
 
     res.json({
       totalEarnings,
       availableForWithdrawal,
+      pendingEarnings: pending.pendingEarnings,
+      pendingEnrollments: pending.pendingEnrollments,
+      nextReleaseAt: pending.nextReleaseAt,
+      pendingHolds: pending.holds,
       totalWithdrawn: withdrawalSummary.completed,
       pendingWithdrawals: withdrawalSummary.pending,
       earningsByMonth,
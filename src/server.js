@@ -68,6 +68,8 @@ app.use(helmet({
     crossOriginOpenerPolicy: { policy: 'same-origin-allow-popups' }
 }));
 app.use(morgan('dev'));
+// Razorpay signs the exact request body, so webhooks must see it unparsed
+app.use(['/api/payment/webhook', '/api/payouts/webhook'], express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -118,6 +120,20 @@ app.use((err, req, res, next) => {
 mongoose.connect(process.env.MONGO_URI)
     .then(() => {
         console.log('Connected to MongoDB to upscholar database');
+
+        // Background lecture lifecycle jobs need the database
+        const { startScheduler } = require('./services/lectureScheduler');
+        require('./services/reminderService').registerReminderJobs();
+        require('./services/waitlistService').registerWaitlistJobs();
+        require('./services/reconciliationService').registerReconciliationJobs();
+        require('./services/payoutService').registerPayoutJobs();
+        require('./services/earningsService').registerEarningsJobs();
+        require('./services/invoiceService').registerInvoiceJobs();
+        require('./services/supportService').registerSupportJobs();
+        require('./services/disputeService').registerDisputeJobs();
+        require('./services/cancellationService').registerCancellationJobs();
+        require('./services/emailService').registerMailJobs();
+        startScheduler();
     })
     .catch((err) => {
         console.error('MongoDB connection error:', err);
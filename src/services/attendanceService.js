@@ -0,0 +1,155 @@
+/**
+ * Attendance Service
+ * Records when students join and leave a live lecture's meeting and marks
+ * them as attended once they reach the minimum presence.
+ */
+
+const Attendance = require('../models/Attendance');
+const Lecture = require('../models/Lecture');
+const { ATTENDANCE_MIN_PRESENCE_PERCENT } = require('../config/attendance');
+
+/**
+ * Seconds of presence needed to count as attended
+ */
+const getRequiredSeconds = (lecture) => {
+  return Math.ceil((lecture.duration * 60 * ATTENDANCE_MIN_PRESENCE_PERCENT) / 100);
+};
+
+/**
+ * Recalculate presence and mark attendance when the threshold is reached
+ */
+const updatePresence = async (attendance, lecture, until = new Date()) => {
+  const presenceSeconds = attendance.calculatePresence(until);
+  const update = { presenceSeconds };
+
+  if (!attendance.attended && presenceSeconds >= getRequiredSeconds(lecture)) {
+    update.attended = true;
+    update.attendedAt = until;
+
+    await Lecture.updateOne(
+      { _id: lecture._id, 'enrolledStudents.student': attendance.student },
+      { $set: { 'enrolledStudents.$.attended': true } }
+    );
+  }
+
+  await Attendance.updateOne({ _id: attendance._id }, { $set: update });
+  return { ...update, attended: update.attended || attendance.attended };
+};
+
+/**
+ * A student's connection joined the meeting
+ * @param {string} lectureId - Lecture ID
+ * @param {string} studentId - Student user ID
+ * @param {string} connectionId - Socket ID of the connection
+ */
+const recordJoin = async (lectureId, studentId, connectionId, at = new Date()) => {
+  await Attendance.updateOne(
+    { lecture: lectureId, student: studentId },
+    { $push: { intervals: { connectionId, joinedAt: at } } },
+    { upsert: true }
+  );
+};
+
+/**
+ * A student's connection left the meeting
+ */
+const recordLeave = async (lectureId, studentId, connectionId, at = new Date()) => {
+  await Attendance.updateOne(
+    { lecture: lectureId, student: studentId },
+    { $set: { 'intervals.$[open].leftAt': at } },
+    { arrayFilters: [{ 'open.connectionId': connectionId, 'open.leftAt': null }] }
+  );
+
+  const [attendance, lecture] = await Promise.all([
+    Attendance.findOne({ lecture: lectureId, student: studentId }),
+    Lecture.findById(lectureId).select('duration')
+  ]);
+  if (!attendance || !lecture) return null;
+
+  return updatePresence(attendance, lecture, at);
+};
+
+/**
+ * Close every open interval of a lecture once it has completed
+ * @returns {number} - Number of students that were still connected
+ */
+const closeLecture = async (lectureId, at = new Date()) => {
+  const lecture = await Lecture.findById(lectureId).select('duration');
+  if (!lecture) return 0;
+
+  const open = await Attendance.find({
+    lecture: lectureId,
+    intervals: { $elemMatch: { leftAt: null } }
+  });
+
+  for (const attendance of open) {
+    attendance.intervals.forEach(interval => {
+      if (!interval.leftAt) interval.leftAt = at;
+    });
+    await Attendance.updateOne({ _id: attendance._id }, { $set: { intervals: attendance.intervals } });
+    await updatePresence(attendance, lecture, at);
+  }
+
+  return open.length;
+};
+
+/**
+ * Attendance report for a lecture
+ * @param {object} lecture - Lecture document with enrolledStudents populated
+ * @param {object} options - { studentId } limits the report to one student
+ * @returns {object} - { summary, students }
+ */
+const getAttendanceReport = async (lecture, { studentId } = {}) => {
+  const filter = { lecture: lecture._id };
+  if (studentId) filter.student = studentId;
+
+  const records = await Attendance.find(filter);
+  const byStudent = new Map(records.map(r => [r.student.toString(), r]));
+  const now = new Date();
+
+  const enrollments = lecture.enrolledStudents.filter(e => {
+    const id = (e.student && e.student._id) || e.student;
+    return id && (!studentId || id.toString() === studentId.toString());
+  });
+
+  const students = enrollments.map(enrollment => {
+    const student = enrollment.student;
+    const id = (student._id || student).toString();
+    const record = byStudent.get(id);
+    // Open intervals count up to now while the lecture is still running
+    const presenceSeconds = record ? record.calculatePresence(now) : 0;
+
+    return {
+      student: student._id ? {
+        id: student._id,
+        firstname: student.firstname,
+        lastname: student.lastname,
+        email: student.email
+      } : { id: student },
+      enrolledAt: enrollment.enrolledAt,
+      attended: enrollment.attended || (record ? record.attended : false),
+      attendedAt: record ? record.attendedAt : null,
+      presenceMinutes: Math.round(presenceSeconds / 60),
+      isPresent: record ? record.intervals.some(i => !i.leftAt) : false,
+      intervals: record ? record.intervals.map(i => ({ joinedAt: i.joinedAt, leftAt: i.leftAt })) : []
+    };
+  });
+
+  return {
+    summary: {
+      enrolled: lecture.enrolledStudents.length,
+      attended: students.filter(s => s.attended).length,
+      minPresencePercent: ATTENDANCE_MIN_PRESENCE_PERCENT,
+      requiredMinutes: Math.ceil(getRequiredSeconds(lecture) / 60)
+    },
+    students
+  };
+};
+
+module.exports = {
+  getRequiredSeconds,
+  recordJoin,
+  recordLeave,
+  closeLecture,
+  getAttendanceReport
+};
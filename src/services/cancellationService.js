@@ -0,0 +1,179 @@
+/**
+ * Lecture Cancellation Service
+ * Cancels a lecture, refunds every enrolled student in full and lets them
+ * know by email. Students whose refund fails stay on the lecture's pending
+ * list and are retried in the background until every refund has gone through.
+ */
+
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const jobQueue = require('./jobQueue');
+const ledger = require('./ledgerService');
+const { refundEnrollment } = require('./refundService');
+const { registerScanner } = require('./lectureScheduler');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Refund the students still pending on a cancelled lecture and email each one
+ * once their refund has gone through
+ * @param {object} data - { lectureId }
+ * @returns {object} - { refunds, notified, pending }
+ */
+const refundCancelledLecture = async ({ lectureId }) => {
+  const lecture = await Lecture.findById(lectureId);
+  if (!lecture || lecture.status !== 'cancelled' || lecture.pendingRefunds.length === 0) {
+    return { refunds: [], notified: 0, pending: 0 };
+  }
+
+  const refunds = [];
+  for (const studentId of lecture.pendingRefunds) {
+    try {
+      // The student leaves the pending list in the same transaction as their
+      // refund; nothing is left to do if another run already took them off
+      const result = await ledger.withTransaction(async(session) => {
+        const { modifiedCount } = await Lecture.updateOne(
+          { _id: lecture._id, pendingRefunds: studentId },
+          { $pull: { pendingRefunds: studentId } },
+          { session }
+        );
+        if (modifiedCount === 0) return null;
+
+        return refundEnrollment({
+          lecture,
+          studentId,
+          reason: 'lecture_cancelled',
+          percentage: 100,
+          note: lecture.cancellationReason
+        }, { session });
+      });
+      if (result) refunds.push({ studentId, ...result });
+    } catch (error) {
+      console.error(`Failed to refund student ${studentId} for lecture ${lecture._id}:`, error.message);
+      refunds.push({ studentId, refunded: false, refundAmount: 0, error: error.message });
+    }
+  }
+
+  // Only students whose refund went through are told what they got back
+  const refundByStudent = new Map(refunds.filter(r => !r.error).map(r => [r.studentId.toString(), r.refundAmount]));
+  const students = await User.find({ _id: { $in: [...refundByStudent.keys()] } })
+    .select('firstname email');
+
+  const results = await Promise.all(students.map(student => {
+    const template = emailTemplates.lectureCancelled(
+      student.firstname,
+      lecture,
+      lecture.cancellationReason,
+      refundByStudent.get(student._id.toString())
+    );
+    return sendEmail(student.email, template).catch(err => {
+      console.error(`Failed to send cancellation email to ${student.email}:`, err.message);
+      return { success: false };
+    });
+  }));
+
+  const pending = refunds.filter(r => r.error).length;
+  console.log(`Lecture ${lecture._id}: refunded ${refunds.length - pending} of ${refunds.length} students${pending ? `, ${pending} pending` : ''}.`);
+
+  return {
+    refunds,
+    notified: results.filter(r => r.success).length,
+    pending
+  };
+};
+
+// Job handler: fail while refunds are pending so the queue retries with backoff
+const retryCancellationRefunds = async (data) => {
+  const { pending } = await refundCancelledLecture(data);
+  if (pending > 0) {
+    throw new Error(`${pending} refunds still pending for lecture ${data.lectureId}`);
+  }
+};
+
+const scheduleRefundRetry = (lectureId) => {
+  if (!jobQueue.hasHandler('lecture:refund-cancelled')) return;
+  jobQueue.enqueue('lecture:refund-cancelled', { lectureId }, {
+    key: `lecture:refund-cancelled:${lectureId}`
+  });
+};
+
+/**
+ * Cancel a lecture
+ * @param {object} lecture - Lecture document
+ * @param {object} params - { cancelledBy, reason }
+ * @returns {object} - { lecture, refunds, notified, pending }
+ */
+const cancelLecture = async (lecture, { cancelledBy, reason }) => {
+  lecture.status = 'cancelled';
+  lecture.cancelledAt = new Date();
+  lecture.cancelledBy = cancelledBy;
+  lecture.cancellationReason = reason;
+  lecture.pendingRefunds = lecture.enrolledStudents.map(enrollment => enrollment.student);
+  await lecture.save();
+
+  // Anyone who took a seat after the lecture was loaded is refunded too
+  const fresh = await Lecture.findById(lecture._id).select('enrolledStudents');
+  await Lecture.updateOne({ _id: lecture._id }, {
+    $addToSet: { pendingRefunds: { $each: fresh.enrolledStudents.map(enrollment => enrollment.student) } }
+  });
+
+  const { refunds, notified, pending } = await refundCancelledLecture({ lectureId: lecture._id });
+  if (pending > 0) {
+    scheduleRefundRetry(lecture._id);
+  }
+
+  return { lecture, refunds, notified, pending };
+};
+
+/**
+ * Queue a retry for every cancelled lecture with refunds still pending,
+ * including ones left behind by a restart
+ */
+const scanCancellationRefunds = async () => {
+  const lectures = await Lecture.find({
+    status: 'cancelled',
+    'pendingRefunds.0': { $exists: true }
+  }).select('_id');
+
+  lectures.forEach(lecture => scheduleRefundRetry(lecture._id));
+};
+
+/**
+ * Whether a user may cancel a lecture, with the reason when they may not
+ * @returns {object} - { allowed, status, message }
+ */
+const checkCanCancel = (lecture, user) => {
+  const isAdmin = hasPermission(user, PERMISSIONS.LECTURES_MANAGE);
+
+  if (!isAdmin && !lecture.isOwnedBy(user._id)) {
+    return { allowed: false, status: 403, message: 'Access denied' };
+  }
+
+  if (['live', 'completed', 'cancelled'].includes(lecture.status)) {
+    return { allowed: false, status: 400, message: `Cannot cancel a lecture that is ${lecture.status}` };
+  }
+
+  // Trainers must give students at least a day's notice; admins can step in later
+  if (!isAdmin && lecture.status === 'scheduled' && !lecture.canBeCancelled) {
+    return {
+      allowed: false,
+      status: 400,
+      message: 'Lectures can only be cancelled at least 24 hours before they start. Please contact support.'
+    };
+  }
+
+  return { allowed: true };
+};
+
+const registerCancellationJobs = () => {
+  jobQueue.registerHandler('lecture:refund-cancelled', retryCancellationRefunds);
+  registerScanner('cancellation-refunds', scanCancellationRefunds);
+};
+
+module.exports = {
+  cancelLecture,
+  checkCanCancel,
+  refundCancelledLecture,
+  scanCancellationRefunds,
+  registerCancellationJobs
+};
@@ -0,0 +1,183 @@
+/**
+ * Coupon Service
+ * Validates promo codes against what is being bought, works out the discount
+ * and records redemptions. Usage caps are enforced atomically when a coupon
+ * is redeemed, or reserved for a package order awaiting payment; per-user
+ * limits are checked against past redemptions and reservations.
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+class CouponError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CouponError';
+    this.code = code;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Discount a coupon gives on an amount, never more than the amount itself
+ * @param {object} coupon - Coupon document
+ * @param {number} amount - Price before discount
+ * @returns {number} - Discount in whole units
+ */
+const calculateDiscount = (coupon, amount) => {
+  let discount = coupon.discountType === 'percentage'
+    ? Math.floor((amount * coupon.discountValue) / 100)
+    : coupon.discountValue;
+
+  if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return Math.max(0, Math.min(discount, amount));
+};
+
+/**
+ * Whether a coupon can be used on this purchase, as an error or null
+ * @param {object} target - { context: 'enrollment' | 'package', lecture, packageId, amount }
+ */
+const checkApplicable = (coupon, { context, lecture, packageId, amount }, now = new Date()) => {
+  if (!coupon.isActive) {
+    return new CouponError('INACTIVE', 'This coupon is no longer active');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return new CouponError('NOT_STARTED', 'This coupon is not valid yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return new CouponError('EXPIRED', 'This coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return new CouponError('USAGE_LIMIT', 'This coupon has been fully redeemed');
+  }
+  if (coupon.appliesTo !== 'all' && coupon.appliesTo !== context) {
+    return new CouponError('NOT_APPLICABLE', `This coupon cannot be used for ${context === 'package' ? 'UpCoin purchases' : 'lecture enrollments'}`);
+  }
+
+  if (context === 'enrollment') {
+    if (coupon.categories.length > 0 && !coupon.categories.includes(lecture.category)) {
+      return new CouponError('NOT_APPLICABLE', 'This coupon does not apply to this category');
+    }
+    const trainerId = (lecture.trainer._id || lecture.trainer).toString();
+    if (coupon.trainers.length > 0 && !coupon.trainers.some(t => t.toString() === trainerId)) {
+      return new CouponError('NOT_APPLICABLE', 'This coupon does not apply to this trainer');
+    }
+  }
+
+  if (context === 'package' && coupon.packages.length > 0 && !coupon.packages.includes(packageId)) {
+    return new CouponError('NOT_APPLICABLE', 'This coupon does not apply to this package');
+  }
+
+  if (amount < coupon.minAmount) {
+    return new CouponError('MIN_AMOUNT', `This coupon needs a minimum purchase of ${coupon.minAmount}`);
+  }
+
+  return null;
+};
+
+/**
+ * Look up a code and price it for a purchase
+ * @param {string} code - Code as typed by the user
+ * @param {object} target - { userId, context, lecture, packageId, amount, minFinalAmount }
+ *   minFinalAmount keeps the discounted price above a floor (e.g. ₹1 for Razorpay).
+ * @returns {object} - { coupon, discount, finalAmount }
+ */
+const applyCoupon = async (code, { userId, context, lecture, packageId, amount, minFinalAmount = 0 }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) {
+    throw new CouponError('NOT_FOUND', 'Invalid coupon code');
+  }
+
+  const error = checkApplicable(coupon, { context, lecture, packageId, amount });
+  if (error) throw error;
+
+  const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  if (used >= coupon.perUserLimit) {
+    throw new CouponError('USER_LIMIT', 'You have already used this coupon');
+  }
+
+  const discount = Math.min(calculateDiscount(coupon, amount), Math.max(0, amount - minFinalAmount));
+  if (discount <= 0) {
+    throw new CouponError('NOT_APPLICABLE', 'This coupon gives no discount on this purchase');
+  }
+
+  return { coupon, discount, finalAmount: amount - discount };
+};
+
+/**
+ * Record a redemption and count it against the coupon's usage cap. Joins the
+ * caller's session when given.
+ * @param {object} redemption - { coupon, user, context, lecture, payment, transaction, originalAmount, discount }
+ * @param {object} options - { session, enforceLimit, reserved } - enforceLimit: false
+ *   records the use even past the cap (the customer has already paid the
+ *   discounted price); reserved holds it for an order until redeemReservation()
+ * @returns {object} - CouponRedemption document
+ */
+const recordRedemption = async ({ coupon, user, context, lecture, payment, transaction, originalAmount, discount }, { session, enforceLimit = true, reserved = false } = {}) => {
+  const filter = { _id: coupon._id };
+  if (enforceLimit) {
+    filter.$or = [
+      { usageLimit: null },
+      { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+    ];
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+  if (!updated) {
+    throw new CouponError('USAGE_LIMIT', 'This coupon has been fully redeemed');
+  }
+
+  const [doc] = await CouponRedemption.create([{
+    coupon: coupon._id,
+    code: coupon.code,
+    user,
+    context,
+    lecture,
+    payment,
+    transaction,
+    originalAmount,
+    discount,
+    finalAmount: originalAmount - discount,
+    status: reserved ? 'reserved' : 'redeemed'
+  }], { session });
+
+  return doc;
+};
+
+/**
+ * Turn a payment's reserved coupon use into a redemption
+ * @returns {object|null} - The redemption, or null when nothing was reserved
+ */
+const redeemReservation = (paymentId, transaction, { session } = {}) => {
+  return CouponRedemption.findOneAndUpdate(
+    { payment: paymentId, status: 'reserved' },
+    { $set: { status: 'redeemed', transaction } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Give back the coupon use reserved for a payment that failed or expired
+ * @returns {boolean} - Whether a reservation was released
+ */
+const releaseReservation = async (paymentId) => {
+  const reservation = await CouponRedemption.findOneAndDelete({ payment: paymentId, status: 'reserved' });
+  if (!reservation) return false;
+
+  await Coupon.updateOne({ _id: reservation.coupon }, { $inc: { usedCount: -1 } });
+  return true;
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  calculateDiscount,
+  applyCoupon,
+  recordRedemption,
+  redeemReservation,
+  releaseReservation
+};
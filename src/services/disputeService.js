@@ -0,0 +1,365 @@
+/**
+ * Dispute Service
+ * Students dispute an enrollment within a window after the lecture, the
+ * trainer responds, and an admin decides. Refunds go through the enrollment
+ * refund path. While a dispute is open the trainer's held share of the
+ * enrollment is frozen. On a refund the share is released into the trainer's
+ * wallet and the refund is clawed back from it, so both wallets show the
+ * outcome.
+ */
+
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Lecture = require('../models/Lecture');
+const EarningsHold = require('../models/EarningsHold');
+const User = require('../models/User');
+const jobQueue = require('./jobQueue');
+const ledger = require('./ledgerService');
+const { findEnrollmentCharge, refundEnrollment } = require('./refundService');
+const { registerScanner } = require('./lectureScheduler');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const {
+  DISPUTE_FILING_WINDOW_HOURS,
+  DISPUTE_RESPONSE_HOURS,
+  DISPUTE_REASONS
+} = require('../config/disputes');
+
+const HOUR = 60 * 60 * 1000;
+const OPEN_STATUSES = ['awaiting_trainer', 'under_review'];
+const DECISIONS = {
+  full_refund: 'refunded',
+  partial_refund: 'partially_refunded',
+  rejected: 'rejected'
+};
+
+class DisputeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DisputeError';
+    this.code = code;
+  }
+}
+
+const canResolve = (user) => hasPermission(user, PERMISSIONS.DISPUTES_RESOLVE);
+
+/**
+ * Until when an enrollment in the lecture can be disputed
+ */
+const getFilingDeadline = (lecture) => {
+  const endedAt = lecture.completedAt ||
+    new Date(new Date(lecture.scheduledAt).getTime() + lecture.duration * 60 * 1000);
+  return new Date(new Date(endedAt).getTime() + DISPUTE_FILING_WINDOW_HOURS * HOUR);
+};
+
+const disputeLink = (dispute) => `${process.env.FRONTEND_URL || 'http://localhost:8080'}/disputes/${dispute._id}`;
+
+/**
+ * Email the student and the trainer about a dispute
+ * @param {string} event - filed | resolved
+ */
+const notifyParties = async (dispute, event) => {
+  await dispute.populate([
+    { path: 'student', select: 'firstname lastname email' },
+    { path: 'trainer', select: 'firstname lastname email' },
+    { path: 'lecture', select: 'title scheduledAt' }
+  ]);
+
+  const recipients = event === 'filed' ? [dispute.trainer] : [dispute.student, dispute.trainer];
+  for (const user of recipients) {
+    const template = event === 'filed'
+      ? emailTemplates.disputeFiled(user.firstname, dispute, disputeLink(dispute))
+      : emailTemplates.disputeResolved(user.firstname, dispute, {
+        isTrainer: user._id.equals(dispute.trainer._id),
+        link: disputeLink(dispute)
+      });
+    const result = await sendEmail(user.email, template);
+    if (!result.success) {
+      console.error(`Dispute ${event} email for dispute ${dispute._id} failed:`, result.error);
+    }
+  }
+};
+
+const notify = (dispute, event) => {
+  notifyParties(dispute, event).catch(err => {
+    console.error(`Error notifying about dispute ${dispute._id}:`, err.message);
+  });
+};
+
+/**
+ * File a dispute on the student's enrollment in a lecture
+ * @param {object} student - User document
+ * @param {object} details - { lectureId, reason, description }
+ * @returns {object} - The dispute
+ */
+const fileDispute = async (student, { lectureId, reason, description }) => {
+  if (!mongoose.Types.ObjectId.isValid(lectureId)) {
+    throw new DisputeError('NOT_FOUND', 'Lecture not found');
+  }
+  if (!DISPUTE_REASONS.includes(reason)) {
+    throw new DisputeError('INVALID_REASON', `Reason must be one of: ${DISPUTE_REASONS.join(', ')}`);
+  }
+  if (!description || !String(description).trim()) {
+    throw new DisputeError('DESCRIPTION_REQUIRED', 'Please describe what went wrong');
+  }
+
+  const lecture = await Lecture.findById(lectureId).select('title trainer scheduledAt duration status completedAt enrolledStudents.student');
+  if (!lecture) {
+    throw new DisputeError('NOT_FOUND', 'Lecture not found');
+  }
+  if (!lecture.enrolledStudents.some(e => e.student && e.student.equals(student._id))) {
+    throw new DisputeError('NOT_ENROLLED', 'You are not enrolled in this lecture');
+  }
+
+  const now = new Date();
+  if (lecture.status === 'cancelled') {
+    throw new DisputeError('NOT_DISPUTABLE', 'Cancelled lectures are refunded automatically');
+  }
+  if (new Date(lecture.scheduledAt) > now) {
+    throw new DisputeError('NOT_DISPUTABLE', 'A lecture can only be disputed once it has started. Unenroll instead.');
+  }
+  if (now > getFilingDeadline(lecture)) {
+    throw new DisputeError('WINDOW_CLOSED', `Disputes must be filed within ${DISPUTE_FILING_WINDOW_HOURS} hours of the lecture ending`);
+  }
+
+  const dispute = await ledger.withTransaction(async(session) => {
+    const charge = await findEnrollmentCharge(lecture._id, student._id, session);
+    if (!charge) {
+      throw new DisputeError('NO_CHARGE', 'There is no paid enrollment to dispute');
+    }
+
+    const existing = await Dispute.findOne({ chargeTransaction: charge._id }).session(session);
+    if (existing) {
+      throw new DisputeError('ALREADY_DISPUTED', 'You have already disputed this enrollment');
+    }
+
+    const [created] = await Dispute.create([{
+      lecture: lecture._id,
+      student: student._id,
+      trainer: lecture.trainer,
+      chargeTransaction: charge._id,
+      amountPaid: charge.amount,
+      reason,
+      description,
+      respondBy: new Date(now.getTime() + DISPUTE_RESPONSE_HOURS * HOUR)
+    }], { session });
+
+    // Freeze the trainer's share if it has not been released yet
+    const hold = await EarningsHold.findOneAndUpdate(
+      { chargeTransaction: charge._id, status: 'held' },
+      { $set: { dispute: created._id } },
+      { new: true, session }
+    );
+    if (hold) {
+      created.earningsHold = hold._id;
+      await created.save({ session });
+    }
+
+    return created;
+  });
+
+  console.log(`Dispute ${dispute._id} filed by ${student.email} for lecture ${lecture._id}`);
+  notify(dispute, 'filed');
+  return dispute;
+};
+
+/**
+ * Load a dispute the user is a party to, or any dispute for admins who
+ * resolve them
+ */
+const getDispute = async (id, user) => {
+  const dispute = mongoose.Types.ObjectId.isValid(id) ? await Dispute.findById(id) : null;
+  if (!dispute) {
+    throw new DisputeError('NOT_FOUND', 'Dispute not found');
+  }
+
+  const isParty = dispute.student.equals(user._id) || dispute.trainer.equals(user._id);
+  if (!isParty && !canResolve(user)) {
+    throw new DisputeError('NOT_FOUND', 'Dispute not found');
+  }
+  return dispute;
+};
+
+/**
+ * The trainer's side of the story. Moves the dispute to admin review.
+ */
+const respondToDispute = async (dispute, trainer, { body }) => {
+  if (!dispute.trainer.equals(trainer._id)) {
+    throw new DisputeError('FORBIDDEN', 'Only the lecture\'s trainer can respond to this dispute');
+  }
+  if (!OPEN_STATUSES.includes(dispute.status)) {
+    throw new DisputeError('DISPUTE_CLOSED', 'This dispute has already been decided');
+  }
+  if (dispute.trainerResponse && dispute.trainerResponse.respondedAt) {
+    throw new DisputeError('ALREADY_RESPONDED', 'You have already responded to this dispute');
+  }
+  if (!body || !String(body).trim()) {
+    throw new DisputeError('RESPONSE_REQUIRED', 'Response cannot be empty');
+  }
+
+  dispute.trainerResponse.body = body;
+  dispute.trainerResponse.respondedAt = new Date();
+  dispute.status = 'under_review';
+  await dispute.save();
+  return dispute;
+};
+
+/**
+ * Let the dispute's hold be released again
+ */
+const unfreezeHold = async (dispute, session) => {
+  if (!dispute.earningsHold) return;
+
+  await EarningsHold.updateOne(
+    { _id: dispute.earningsHold, dispute: dispute._id },
+    { $unset: { dispute: '' } },
+    { session }
+  );
+};
+
+// The lecture's dispute window may already have passed
+const queueRelease = (dispute) => {
+  if (!dispute.earningsHold) return;
+  jobQueue.enqueue('earnings:release', { lectureId: dispute.lecture }, {
+    key: `earnings:release:${dispute.lecture}`
+  });
+};
+
+/**
+ * The student drops an open dispute
+ */
+const withdrawDispute = async (dispute, student) => {
+  if (!dispute.student.equals(student._id)) {
+    throw new DisputeError('FORBIDDEN', 'Only the student who filed the dispute can withdraw it');
+  }
+  if (!OPEN_STATUSES.includes(dispute.status)) {
+    throw new DisputeError('DISPUTE_CLOSED', 'This dispute has already been decided');
+  }
+
+  await ledger.withTransaction(async(session) => {
+    dispute.status = 'withdrawn';
+    dispute.withdrawnAt = new Date();
+    await dispute.save({ session });
+    await unfreezeHold(dispute, session);
+  });
+
+  queueRelease(dispute);
+  return dispute;
+};
+
+/**
+ * Decide a dispute
+ * @param {object} dispute - Dispute document
+ * @param {object} admin - User document
+ * @param {object} decision - { decision: full_refund | partial_refund | rejected, percentage, note }
+ * @returns {object} - { dispute, refund }
+ */
+const resolveDispute = async (dispute, admin, { decision, percentage, note }) => {
+  if (!DECISIONS[decision]) {
+    throw new DisputeError('INVALID_DECISION', `Decision must be one of: ${Object.keys(DECISIONS).join(', ')}`);
+  }
+  if (!OPEN_STATUSES.includes(dispute.status)) {
+    throw new DisputeError('DISPUTE_CLOSED', 'This dispute has already been decided');
+  }
+
+  let refundPercentage = 0;
+  if (decision === 'full_refund') {
+    refundPercentage = 100;
+  } else if (decision === 'partial_refund') {
+    refundPercentage = Number(percentage);
+    if (!Number.isInteger(refundPercentage) || refundPercentage <= 0 || refundPercentage >= 100) {
+      throw new DisputeError('INVALID_PERCENTAGE', 'A partial refund needs a whole percentage between 1 and 99');
+    }
+  }
+
+  const lecture = await Lecture.findById(dispute.lecture).select('title trainer');
+
+  const { decided, refund } = await ledger.withTransaction(async(session) => {
+    // Re-read inside the transaction so two admins cannot decide it twice
+    const fresh = await Dispute.findOne({ _id: dispute._id, status: { $in: OPEN_STATUSES } }).session(session);
+    if (!fresh) {
+      throw new DisputeError('DISPUTE_CLOSED', 'This dispute has already been decided');
+    }
+
+    await unfreezeHold(fresh, session);
+
+    let result = null;
+    if (refundPercentage > 0) {
+      // Pay the held share out first so the clawback is logged on the trainer's wallet
+      const hold = fresh.earningsHold
+        ? await EarningsHold.findOne({ _id: fresh.earningsHold, status: 'held' }).session(session)
+        : null;
+      if (hold) {
+        if (hold.amount > 0) {
+          const student = await User.findById(fresh.student).select('firstname lastname').session(session);
+          const { transaction } = await ledger.releaseEarnings({
+            hold,
+            lectureTitle: lecture.title,
+            studentName: student ? `${student.firstname} ${student.lastname}` : undefined
+          }, { session });
+          hold.releaseTransaction = transaction && transaction._id;
+        }
+        hold.status = 'released';
+        hold.releasedAt = new Date();
+        await hold.save({ session });
+      }
+
+      result = await refundEnrollment({
+        lecture,
+        studentId: fresh.student,
+        reason: 'dispute',
+        percentage: refundPercentage,
+        note: note || `Dispute ${fresh._id}`
+      }, { session });
+    }
+
+    fresh.status = DECISIONS[decision];
+    fresh.resolution = {
+      decision,
+      percentage: refundPercentage,
+      refundAmount: result ? result.refundAmount : 0,
+      note,
+      decidedBy: admin._id,
+      decidedAt: new Date(),
+      refundTransaction: result && result.transaction ? result.transaction._id : undefined
+    };
+    await fresh.save({ session });
+
+    return { decided: fresh, refund: result };
+  });
+
+  if (decision === 'rejected') {
+    queueRelease(decided);
+  }
+
+  console.log(`Admin ${admin.email} decided dispute ${decided._id}: ${decision}${refund ? ` (${refund.refundAmount} UC refunded)` : ''}`);
+  notify(decided, 'resolved');
+  return { dispute: decided, refund };
+};
+
+/**
+ * Send disputes whose trainer missed the response deadline to admin review
+ */
+const scanDisputes = async (now = new Date()) => {
+  await Dispute.updateMany(
+    { status: 'awaiting_trainer', respondBy: { $lte: now } },
+    { $set: { status: 'under_review', 'trainerResponse.missedAt': now } }
+  );
+};
+
+const registerDisputeJobs = () => {
+  registerScanner('disputes', scanDisputes);
+};
+
+module.exports = {
+  DisputeError,
+  canResolve,
+  getFilingDeadline,
+  fileDispute,
+  getDispute,
+  respondToDispute,
+  withdrawDispute,
+  resolveDispute,
+  scanDisputes,
+  registerDisputeJobs
+};
@@ -0,0 +1,143 @@
+/**
+ * Trainer Earnings Service
+ * Releases trainers' held enrollment earnings into their wallets once a
+ * lecture is completed and its dispute window has passed, and reports what is
+ * still pending. Holds frozen by an open dispute wait for its decision.
+ */
+
+const Lecture = require('../models/Lecture');
+const EarningsHold = require('../models/EarningsHold');
+const jobQueue = require('./jobQueue');
+const ledger = require('./ledgerService');
+const { registerScanner } = require('./lectureScheduler');
+const { EARNINGS_DISPUTE_WINDOW_HOURS } = require('../config/earnings');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * When a lecture's held earnings become available, or null while it has not
+ * been completed
+ */
+const getReleaseTime = (lecture) => {
+  if (!lecture || lecture.status !== 'completed') return null;
+  const completedAt = lecture.completedAt || lecture.scheduledAt;
+  return new Date(new Date(completedAt).getTime() + EARNINGS_DISPUTE_WINDOW_HOURS * HOUR);
+};
+
+/**
+ * Release every held enrollment share for a lecture
+ * @param {object} data - { lectureId }
+ * @returns {object} - { released, amount }
+ */
+const releaseLectureEarnings = async ({ lectureId }) => {
+  const lecture = await Lecture.findById(lectureId).select('title status scheduledAt completedAt');
+  const releaseAt = getReleaseTime(lecture);
+  if (!releaseAt || releaseAt > new Date()) {
+    return { released: 0, amount: 0 };
+  }
+
+  const holds = await EarningsHold.find({ lecture: lectureId, status: 'held', dispute: null })
+    .populate('student', 'firstname lastname')
+    .select('_id student');
+
+  let released = 0;
+  let amount = 0;
+  for (const { _id, student } of holds) {
+    await ledger.withTransaction(async(session) => {
+      // A refund may have reversed the hold, or a dispute frozen it, since it was listed
+      const hold = await EarningsHold.findOne({ _id, status: 'held', dispute: null }).session(session);
+      if (!hold) return;
+
+      if (hold.amount > 0) {
+        const { transaction } = await ledger.releaseEarnings({
+          hold,
+          lectureTitle: lecture.title,
+          studentName: student ? `${student.firstname} ${student.lastname}` : undefined
+        }, { session });
+        hold.releaseTransaction = transaction && transaction._id;
+      }
+
+      hold.status = 'released';
+      hold.releasedAt = new Date();
+      await hold.save({ session });
+
+      released += 1;
+      amount += hold.amount;
+    });
+  }
+
+  if (released > 0) {
+    console.log(`Released ${amount} UC of held earnings for lecture ${lectureId} (${released} enrollments)`);
+  }
+  return { released, amount };
+};
+
+/**
+ * Queue a release for every lecture whose dispute window has passed
+ */
+const scanEarnings = async (now = new Date()) => {
+  const lectureIds = await EarningsHold.distinct('lecture', { status: 'held', dispute: null });
+  if (lectureIds.length === 0) return;
+
+  const cutoff = new Date(now.getTime() - EARNINGS_DISPUTE_WINDOW_HOURS * HOUR);
+  const due = await Lecture.find({
+    _id: { $in: lectureIds },
+    status: 'completed',
+    $or: [
+      { completedAt: { $lte: cutoff } },
+      { completedAt: null, scheduledAt: { $lte: cutoff } }
+    ]
+  }).select('_id');
+
+  due.forEach(lecture => {
+    jobQueue.enqueue('earnings:release', { lectureId: lecture._id }, {
+      key: `earnings:release:${lecture._id}`
+    });
+  });
+};
+
+/**
+ * A trainer's held earnings and when the next of them is released
+ * @returns {object} - { pendingEarnings, pendingEnrollments, nextReleaseAt, holds }
+ */
+const getPendingEarnings = async (trainerId) => {
+  const holds = await EarningsHold.find({ trainer: trainerId, status: 'held', amount: { $gt: 0 } })
+    .populate('lecture', 'title status scheduledAt completedAt')
+    .populate('student', 'firstname lastname')
+    .sort({ createdAt: -1 });
+
+  const releaseTimes = holds
+    .map(hold => getReleaseTime(hold.lecture))
+    .filter(Boolean);
+
+  return {
+    pendingEarnings: holds.reduce((sum, hold) => sum + hold.amount, 0),
+    pendingEnrollments: holds.length,
+    nextReleaseAt: releaseTimes.length > 0 ? new Date(Math.min(...releaseTimes)) : null,
+    holds: holds.map(hold => ({
+      _id: hold._id,
+      amount: hold.amount,
+      grossAmount: hold.grossAmount,
+      platformFee: hold.platformFee,
+      refundedAmount: hold.refundedAmount,
+      disputed: Boolean(hold.dispute),
+      lecture: hold.lecture,
+      student: hold.student,
+      heldSince: hold.createdAt,
+      releaseAt: getReleaseTime(hold.lecture)
+    }))
+  };
+};
+
+const registerEarningsJobs = () => {
+  jobQueue.registerHandler('earnings:release', releaseLectureEarnings);
+  registerScanner('earnings', scanEarnings);
+};
+
+module.exports = {
+  getReleaseTime,
+  releaseLectureEarnings,
+  scanEarnings,
+  getPendingEarnings,
+  registerEarningsJobs
+};
@@ -1,143 +1,482 @@
-const nodemailer = require('nodemailer');
-require('dotenv').config();
+/**
+ * Email Service
+ * Renders templates from templates/email and sends mail through a persisted
+ * outbox: every message is stored first, then delivered by the configured
+ * transport with retries. Messages that keep failing are dead-lettered for
+ * admins to inspect and retry.
+ */
 
-// Create transporter (using Gmail as example - you can change this)
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER || 'your-email@gmail.com',
-        pass: process.env.EMAIL_PASS || 'your-app-password'
-    }
+const EmailMessage = require('../models/EmailMessage');
+const jobQueue = require('./jobQueue');
+const { registerScanner } = require('./lectureScheduler');
+const { getMailTransport } = require('./mailTransports');
+const { renderEmail, htmlToText } = require('../utils/template');
+const {
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_MAX_ATTEMPTS,
+  MAIL_RETRY_BASE_SECONDS
+} = require('../config/mail');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:8080';
+
+// A message still 'sending' after this long was lost to a crash and is retried
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+const SCAN_BATCH_SIZE = 100;
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+// Templates whose bodies carry credentials (OTPs, reset links, temporary
+// passwords). They are sent straight away and their bodies never reach the
+// outbox, so they cannot be read back or retried from the admin view.
+const SENSITIVE_TEMPLATES = new Set(['otpVerification', 'passwordReset', 'trainerApproval']);
+
+// Wording of the OTP email for each OTP purpose
+const OTP_EMAIL_TEXT = {
+  registration: {
+    subject: 'Verify Your Email - Upscholar',
+    heading: 'Email Verification',
+    intro: 'Thank you for registering with Upscholar! To complete your registration, please verify your email address using the OTP below:'
+  },
+  login: {
+    subject: 'Your Login Code - Upscholar',
+    heading: 'Login Code',
+    intro: 'Use the OTP below to log in to your Upscholar account:'
+  },
+  password_reset: {
+    subject: 'Your Password Reset Code - Upscholar',
+    heading: 'Password Reset Code',
+    intro: 'Use the OTP below to reset your Upscholar password:'
+  }
+};
+
+// { subject, template, html, text } for templates/email/<name>
+const fromTemplate = (template, subject, view) => ({
+  subject,
+  template,
+  ...renderEmail(template, view)
 });
 
 // Email templates
 const emailTemplates = {
-        trainerApproval: (trainerName, email, tempPassword) => ({
-            subject: 'Welcome to Upscholar - Your Trainer Account is Approved!',
-            html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2563eb;">Congratulations, ${trainerName}!</h2>
-        <p>We're excited to inform you that your trainer application has been approved!</p>
-        
-        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #1f2937; margin-top: 0;">Your Login Credentials:</h3>
-          <p><strong>Email:</strong> ${email}</p>
-          <p><strong>Temporary Password:</strong> <code style="background-color: #e5e7eb; padding: 4px 8px; border-radius: 4px;">${tempPassword}</code></p>
-        </div>
-        
-        <p><strong>Important:</strong> Please change your password after your first login for security purposes.</p>
-        
-        <p>You can now:</p>
-        <ul>
-          <li>Create and manage your courses</li>
-          <li>Schedule live lectures</li>
-          <li>Interact with students</li>
-          <li>Track your earnings</li>
-        </ul>
-        
-        <p>Welcome to the Upscholar community! We're looking forward to seeing the amazing content you'll create.</p>
-        
-        <p>Best regards,<br>The Upscholar Team</p>
-        
-        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-        <p style="color: #6b7280; font-size: 12px;">
-          If you have any questions, please contact us at support@upscholar.com
-        </p>
-      </div>
-    `
-        }),
-
-        trainerRejection: (trainerName, email, reason) => ({
-            subject: 'Update on Your Upscholar Trainer Application',
-            html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #dc2626;">Application Update</h2>
-        <p>Dear ${trainerName},</p>
-        
-        <p>Thank you for your interest in becoming a trainer on Upscholar. After careful review of your application, we regret to inform you that we cannot approve your trainer account at this time.</p>
-        
-        ${reason ? `<div style="background-color: #fef2f2; padding: 15px; border-left: 4px solid #dc2626; margin: 20px 0;">
-          <p><strong>Reason:</strong> ${reason}</p>
-        </div>` : ''}
-        
-        <p>We encourage you to:</p>
-        <ul>
-          <li>Review our trainer guidelines</li>
-          <li>Enhance your qualifications or experience</li>
-          <li>Reapply in the future</li>
-        </ul>
-        
-        <p>You're still welcome to use Upscholar as a student to learn from our amazing trainers.</p>
-        
-        <p>Thank you for your understanding.</p>
-        
-        <p>Best regards,<br>The Upscholar Team</p>
-        
-        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-        <p style="color: #6b7280; font-size: 12px;">
-          If you have any questions, please contact us at support@upscholar.com
-        </p>
-      </div>
-    `
-        }),
-  otpVerification: (email, otp) => ({
-    subject: 'Verify Your Email - Upscholar',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
-          <h1 style="color: white; margin: 0; font-size: 28px;">Upscholar</h1>
-        </div>
-        <div style="background-color: #ffffff; padding: 40px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 10px 10px;">
-          <h2 style="color: #1f2937; margin-top: 0;">Email Verification</h2>
-          <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
-            Thank you for registering with Upscholar! To complete your registration, please verify your email address using the OTP below:
-          </p>
-          <div style="background-color: #f3f4f6; padding: 30px; border-radius: 8px; text-align: center; margin: 30px 0;">
-            <div style="font-size: 36px; font-weight: bold; color: #667eea; letter-spacing: 8px; font-family: 'Courier New', monospace;">
-              ${otp}
-            </div>
-          </div>
-          <p style="color: #6b7280; font-size: 14px; margin-top: 20px;">
-            <strong>Important:</strong>
-          </p>
-          <ul style="color: #6b7280; font-size: 14px; line-height: 1.8;">
-            <li>This OTP is valid for <strong>10 minutes</strong> only</li>
-            <li>Do not share this OTP with anyone</li>
-            <li>If you didn't request this OTP, please ignore this email</li>
-          </ul>
-          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
-            <p style="color: #9ca3af; font-size: 12px; margin: 0;">
-              This is an automated email. Please do not reply to this message.
-            </p>
-          </div>
-        </div>
-        <div style="text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px;">
-          <p>© 2024 Upscholar. All rights reserved.</p>
-        </div>
-      </div>
-    `
-  })
+  trainerApproval: (trainerName, email, tempPassword) => fromTemplate(
+    'trainerApproval',
+    'Welcome to Upscholar - Your Trainer Account is Approved!',
+    { trainerName, email, tempPassword }
+  ),
+  trainerRejection: (trainerName, email, reason) => fromTemplate(
+    'trainerRejection',
+    'Update on Your Upscholar Trainer Application',
+    { trainerName, reason }
+  ),
+  lectureCancelled: (studentName, lecture, reason, refundAmount) => fromTemplate(
+    'lectureCancelled',
+    `Lecture Cancelled: ${lecture.title}`,
+    {
+      studentName,
+      title: lecture.title,
+      scheduledAt: formatDate(lecture.scheduledAt),
+      reason,
+      refundAmount: refundAmount > 0 ? refundAmount : null,
+      lecturesUrl: `${FRONTEND_URL}/lectures`
+    }
+  ),
+  lectureReminder: (name, lecture, { joinLink, startsIn, isTrainer }) => fromTemplate(
+    'lectureReminder',
+    `Reminder: "${lecture.title}" starts ${startsIn}`,
+    {
+      name,
+      title: lecture.title,
+      scheduledAt: formatDate(lecture.scheduledAt),
+      duration: lecture.duration,
+      joinLink,
+      startsIn,
+      isTrainer
+    }
+  ),
+  waitlistPromoted: (studentName, lecture, amountPaid) => fromTemplate(
+    'waitlistPromoted',
+    `You're in: ${lecture.title}`,
+    {
+      studentName,
+      title: lecture.title,
+      scheduledAt: formatDate(lecture.scheduledAt),
+      amountPaid,
+      lecturesUrl: `${FRONTEND_URL}/lectures`
+    }
+  ),
+  waitlistSkipped: (studentName, lecture, reason) => fromTemplate(
+    'waitlistSkipped',
+    `Waitlist update: ${lecture.title}`,
+    { studentName, title: lecture.title, reason }
+  ),
+  purchaseInvoice: (name, invoice) => fromTemplate(
+    'purchaseInvoice',
+    `Your Upscholar invoice ${invoice.number}`,
+    {
+      name,
+      number: invoice.number,
+      item: invoice.items[0].description,
+      total: invoice.totalAmount.toFixed(2),
+      gst: (invoice.gst.cgst + invoice.gst.sgst + invoice.gst.igst).toFixed(2)
+    }
+  ),
+  earningsStatement: (name, monthLabel, statement, feeInvoice) => fromTemplate(
+    'earningsStatement',
+    `Your Upscholar earnings statement for ${monthLabel}`,
+    {
+      name,
+      monthLabel,
+      feeInvoice: Boolean(feeInvoice),
+      summary: statement.statement.summary
+    }
+  ),
+  supportReply: (name, ticket, message, { authorName, link }) => fromTemplate(
+    'supportReply',
+    `Re: [Ticket ${ticket.reference}] ${ticket.subject}`,
+    {
+      name,
+      authorName,
+      reference: ticket.reference,
+      subject: ticket.subject,
+      body: message.body,
+      attachmentCount: message.attachments.length,
+      link
+    }
+  ),
+  supportSlaBreach: (ticket, kind, link) => fromTemplate(
+    'supportSlaBreach',
+    `SLA missed: [Ticket ${ticket.reference}] ${ticket.subject}`,
+    {
+      reference: ticket.reference,
+      subject: ticket.subject,
+      priority: ticket.priority,
+      deadline: kind === 'first_response' ? 'first response' : 'resolution',
+      dueAt: formatDate(kind === 'first_response' ? ticket.sla.firstResponseDueAt : ticket.sla.resolutionDueAt),
+      status: ticket.status.replace(/_/g, ' '),
+      assigned: Boolean(ticket.assignedTo),
+      link
+    }
+  ),
+  disputeFiled: (trainerName, dispute, link) => fromTemplate(
+    'disputeFiled',
+    `Enrollment disputed: ${dispute.lecture.title}`,
+    {
+      trainerName,
+      studentName: `${dispute.student.firstname} ${dispute.student.lastname}`,
+      title: dispute.lecture.title,
+      reason: dispute.reason.replace(/_/g, ' '),
+      description: dispute.description,
+      respondBy: formatDate(dispute.respondBy),
+      link
+    }
+  ),
+  disputeResolved: (name, dispute, { isTrainer, link }) => fromTemplate(
+    'disputeResolved',
+    `Dispute decided: ${dispute.lecture.title}`,
+    {
+      name,
+      isTrainer,
+      studentName: dispute.student.firstname,
+      title: dispute.lecture.title,
+      decision: dispute.resolution.decision === 'rejected'
+        ? 'Dispute rejected, no refund'
+        : `${dispute.resolution.percentage}% refund`,
+      refundAmount: dispute.resolution.refundAmount > 0 ? dispute.resolution.refundAmount : null,
+      note: dispute.resolution.note,
+      link
+    }
+  ),
+  notification: (name, { title, body, link }) => fromTemplate(
+    'notification',
+    `${title} - Upscholar`,
+    { name, title, body, url: link ? `${FRONTEND_URL}${link}` : null }
+  ),
+  otpVerification: (email, otp, purpose = 'registration') => fromTemplate(
+    'otpVerification',
+    OTP_EMAIL_TEXT[purpose].subject,
+    { otp, ...OTP_EMAIL_TEXT[purpose] }
+  ),
+  passwordReset: (name, resetUrl) => fromTemplate(
+    'passwordReset',
+    'Password Reset Request - Upscholar',
+    { name, resetUrl }
+  ),
+  passwordChanged: (name, { afterReset = false } = {}) => fromTemplate(
+    'passwordChanged',
+    'Password Changed - Upscholar',
+    { name, afterReset }
+  ),
+  accountSuspended: (user, reason) => fromTemplate(
+    'accountSuspended',
+    'Account Suspension Notification - Upscholar',
+    { name: `${user.firstname} ${user.lastname}`, reason }
+  ),
+  accountReactivated: (user) => fromTemplate(
+    'accountReactivated',
+    'Account Reactivated - Welcome Back to Upscholar',
+    {
+      name: `${user.firstname} ${user.lastname}`,
+      activity: user.role === 'trainer' ? 'teaching' : 'learning',
+      loginUrl: `${FRONTEND_URL}/login`
+    }
+  ),
+  lectureApproved: (trainer, lecture) => fromTemplate(
+    'lectureApproved',
+    'Lecture Approved - Upscholar',
+    {
+      name: `${trainer.firstname} ${trainer.lastname}`,
+      title: lecture.title,
+      scheduledAt: formatDate(lecture.scheduledAt),
+      price: lecture.price,
+      lecturesUrl: `${FRONTEND_URL}/trainer/manage-lectures`
+    }
+  ),
+  lectureRejected: (trainer, lecture) => fromTemplate(
+    'lectureRejected',
+    'Lecture Rejected - Upscholar',
+    {
+      name: `${trainer.firstname} ${trainer.lastname}`,
+      title: lecture.title,
+      reason: lecture.rejectionReason
+    }
+  ),
+  seriesApproved: (trainer, series, openedCount) => fromTemplate(
+    'seriesApproved',
+    'Lecture Series Approved - Upscholar',
+    {
+      name: `${trainer.firstname} ${trainer.lastname}`,
+      title: series.title,
+      openedCount,
+      bundlePrice: series.bundlePrice
+    }
+  ),
+  seriesRejected: (trainer, series, reason) => fromTemplate(
+    'seriesRejected',
+    'Lecture Series Rejected - Upscholar',
+    {
+      name: `${trainer.firstname} ${trainer.lastname}`,
+      title: series.title,
+      reason
+    }
+  ),
+  meetingStarted: (name, lecture, meetingLink) => fromTemplate(
+    'meetingStarted',
+    `Live Lecture Started: ${lecture.title}`,
+    {
+      name,
+      title: lecture.title,
+      trainerName: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
+      meetingLink
+    }
+  ),
+  trainerMessage: (trainerName, subject, content) => fromTemplate(
+    'trainerMessage',
+    subject,
+    { trainerName, content }
+  )
+};
+
+const retryDelayMs = (attempts) => MAIL_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Queue a delivery job for a message. Outside the API server no mail jobs
+ * are registered; the message then waits for the server's outbox scan.
+ */
+const scheduleDelivery = (message) => {
+  if (!jobQueue.hasHandler('mail:send')) {
+    return;
+  }
+  jobQueue.enqueue('mail:send', { messageId: message._id }, {
+    runAt: message.nextAttemptAt,
+    key: `mail:send:${message._id}`
+  });
 };
 
-const sendEmail = async (to, template) => {
+/**
+ * Hand a claimed message to the transport and record the outcome
+ * @param {object} message - EmailMessage in 'sending'
+ * @param {object} options - { retry: false } dead-letters on the first failure;
+ *   content supplies { html, text, attachments } for messages whose body is
+ *   not stored
+ */
+const transmit = async (message, { retry = true, content = message } = {}) => {
   try {
-    const mailOptions = {
-      from: process.env.EMAIL_USER || 'noreply@upscholar.com',
-      to: to,
-      subject: template.subject,
-      html: template.html
-    };
+    const result = await getMailTransport().send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: content.html,
+      text: content.text,
+      attachments: content.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+    });
+
+    message.set({
+      status: 'sent',
+      sentAt: new Date(),
+      lockedAt: null,
+      transport: MAIL_TRANSPORT,
+      providerMessageId: result.messageId,
+      lastError: undefined,
+      html: undefined,
+      text: undefined,
+      attachments: []
+    });
+    await message.save();
+    console.log(`Email ${message._id} sent via ${MAIL_TRANSPORT}:`, result.messageId);
+  } catch (error) {
+    const dead = error.permanent || !retry || message.attempts >= message.maxAttempts;
+
+    message.set({
+      status: dead ? 'dead' : 'retrying',
+      lockedAt: null,
+      transport: MAIL_TRANSPORT,
+      lastError: error.message,
+      deadAt: dead ? new Date() : null,
+      nextAttemptAt: dead ? message.nextAttemptAt : new Date(Date.now() + retryDelayMs(message.attempts))
+    });
+    await message.save();
+
+    if (dead) {
+      console.error(`Email ${message._id} to ${message.to} dead-lettered after ${message.attempts} attempt(s):`, error.message);
+    } else {
+      console.warn(`Email ${message._id} attempt ${message.attempts} failed, retrying at ${message.nextAttemptAt.toISOString()}:`, error.message);
+    }
+  }
+
+  return message;
+};
+
+/**
+ * Deliver one outbox message if it is still waiting. Claiming it first means
+ * two workers never send the same message.
+ * @returns {object|null} - The message, or null when it was not waiting
+ */
+const deliverMessage = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['queued', 'retrying'] } },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) {
+    return null;
+  }
+  return transmit(message);
+};
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('Email sent successfully:', result.messageId);
-    return { success: true, messageId: result.messageId };
+/**
+ * Send an email through the outbox
+ * @param {string} to - Recipient address(es)
+ * @param {object} template - { subject, html, text, template, attachments }
+ *   Without text, a plain-text part is derived from the HTML.
+ * @param {object} options - { from, immediate }. immediate sends before
+ *   returning and does not retry, for mail the user is waiting on (OTPs).
+ *   Sensitive templates are always sent immediately.
+ * @returns {object} - { success, queued, messageId } or { success: false, error }
+ */
+const sendEmail = async (to, template, { from, immediate = false } = {}) => {
+  const sensitive = SENSITIVE_TEMPLATES.has(template.template);
+  const sendNow = immediate || sensitive;
+  const content = {
+    html: template.html,
+    text: template.text || htmlToText(template.html),
+    attachments: (template.attachments || []).map(({ filename, content, contentType }) => ({
+      filename,
+      content: Buffer.isBuffer(content) ? content : Buffer.from(content),
+      contentType
+    }))
+  };
+
+  let message;
+  try {
+    message = await EmailMessage.create({
+      to,
+      from: from || MAIL_FROM,
+      subject: template.subject,
+      template: template.template,
+      ...(sensitive ? {} : content),
+      maxAttempts: MAIL_MAX_ATTEMPTS,
+      ...(sendNow ? { status: 'sending', lockedAt: new Date(), attempts: 1 } : {})
+    });
   } catch (error) {
-    console.error('Error sending email:', error);
+    console.error('Error queueing email:', error.message);
     return { success: false, error: error.message };
   }
+
+  if (sendNow) {
+    try {
+      const sent = await transmit(message, { retry: false, content });
+      return sent.status === 'sent'
+        ? { success: true, messageId: sent.providerMessageId }
+        : { success: false, error: sent.lastError };
+    } catch (error) {
+      console.error('Error sending email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  scheduleDelivery(message);
+  return { success: true, queued: true, messageId: message._id.toString() };
+};
+
+/**
+ * Put a dead or retrying message back in the queue for another full round of
+ * attempts. Sensitive messages have no stored body and cannot be retried.
+ * @returns {object|null} - The message, or null if it cannot be retried
+ */
+const retryMessage = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: { $in: ['dead', 'retrying'] }, template: { $nin: [...SENSITIVE_TEMPLATES] } },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), deadAt: null } },
+    { new: true }
+  );
+  if (message) {
+    scheduleDelivery(message);
+  }
+  return message;
+};
+
+/**
+ * Recover messages stuck mid-delivery and queue every message that is due.
+ * Retries are picked up here once their backoff has passed.
+ */
+const scanOutbox = async (now = new Date()) => {
+  const stuck = { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MS) } };
+  const sensitive = { template: { $in: [...SENSITIVE_TEMPLATES] } };
+
+  // A lost sensitive message has no body to resend; the user asks again
+  await EmailMessage.updateMany(
+    { ...stuck, ...sensitive },
+    { $set: { status: 'dead', lockedAt: null, deadAt: now, lastError: 'Interrupted while sending' } }
+  );
+  await EmailMessage.updateMany(
+    { ...stuck, template: { $nin: [...SENSITIVE_TEMPLATES] } },
+    { $set: { status: 'retrying', lockedAt: null, nextAttemptAt: now } }
+  );
+
+  const due = await EmailMessage.find({
+    status: { $in: ['queued', 'retrying'] },
+    nextAttemptAt: { $lte: now }
+  })
+    .select('_id nextAttemptAt')
+    .sort({ nextAttemptAt: 1 })
+    .limit(SCAN_BATCH_SIZE);
+
+  due.forEach(scheduleDelivery);
+};
+
+const registerMailJobs = () => {
+  // The outbox keeps its own attempt count, so the job itself never retries
+  jobQueue.registerHandler('mail:send', ({ messageId }) => deliverMessage(messageId), { maxAttempts: 1 });
+  registerScanner('mail', scanOutbox);
 };
 
 module.exports = {
+  SENSITIVE_TEMPLATES,
   sendEmail,
-  emailTemplates
-};
\ No newline at end of file
+  emailTemplates,
+  deliverMessage,
+  retryMessage,
+  scanOutbox,
+  registerMailJobs
+};
@@ -0,0 +1,579 @@
+/**
+ * Invoice Service
+ * Issues GST tax invoices for UpCoin purchases and trainers' monthly platform
+ * fees, and monthly earnings statements for trainers. Numbers run in gap-free
+ * sequences per document type and financial year. Documents are stored as
+ * data and rendered to PDF when downloaded or emailed.
+ */
+
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const EarningsHold = require('../models/EarningsHold');
+const User = require('../models/User');
+const jobQueue = require('./jobQueue');
+const ledger = require('./ledgerService');
+const { registerScanner } = require('./lectureScheduler');
+const { getPaymentCoins } = require('./paymentService');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { createDocument } = require('../utils/pdf');
+const { INVOICE_SELLER, GST_RATE, SAC_CODES, INVOICE_PREFIXES } = require('../config/invoices');
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+class InvoiceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.code = code;
+  }
+}
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. '2627'
+ */
+const financialYearOf = (date) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${String(startYear).slice(2)}${String(startYear + 1).slice(2)}`;
+};
+
+/**
+ * First and last moment of a calendar month
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ */
+const monthPeriod = (year, month) => ({
+  start: new Date(year, month - 1, 1),
+  end: new Date(year, month, 0, 23, 59, 59, 999)
+});
+
+const monthLabel = (period) => `${MONTH_NAMES[period.start.getMonth()]} ${period.start.getFullYear()}`;
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax. Buyers are not
+ * GST-registered and give no address, so the place of supply is the
+ * platform's state and the tax is split into CGST and SGST.
+ * @param {number} total - Rupees, including GST
+ * @returns {object} - { taxableAmount, gst, totalAmount }
+ */
+const splitGst = (total) => {
+  const totalPaise = Math.round(Number(total) * 100);
+  const taxablePaise = Math.round((totalPaise * 100) / (100 + GST_RATE));
+  const taxPaise = totalPaise - taxablePaise;
+  const cgstPaise = Math.round(taxPaise / 2);
+
+  return {
+    taxableAmount: taxablePaise / 100,
+    gst: {
+      rate: GST_RATE,
+      cgst: cgstPaise / 100,
+      sgst: (taxPaise - cgstPaise) / 100,
+      igst: 0
+    },
+    totalAmount: totalPaise / 100
+  };
+};
+
+/**
+ * Take the next number in a document series, inside the caller's transaction
+ */
+const nextNumber = async (type, issuedAt, session) => {
+  const series = `${INVOICE_PREFIXES[type]}/${financialYearOf(issuedAt)}`;
+  const sequence = await InvoiceSequence.findOneAndUpdate(
+    { _id: series },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return `${series}/${String(sequence.seq).padStart(6, '0')}`;
+};
+
+const buildInvoice = async (fields, session) => {
+  const issuedAt = new Date();
+  const number = await nextNumber(fields.type, issuedAt, session);
+  const [invoice] = await Invoice.create([{
+    ...fields,
+    number,
+    issuedAt,
+    financialYear: financialYearOf(issuedAt),
+    seller: INVOICE_SELLER
+  }], { session });
+  return invoice;
+};
+
+const buyerFor = (user) => ({
+  name: `${user.firstname} ${user.lastname}`,
+  email: user.email
+});
+
+/**
+ * The tax invoice for a completed UpCoin purchase, issued on first request
+ * @param {object} payment - Payment document
+ * @returns {object} - Invoice document
+ */
+const issuePurchaseInvoice = async (payment) => {
+  const existing = await Invoice.findOne({ payment: payment._id });
+  if (existing) return existing;
+
+  if (!['success', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    throw new InvoiceError('NOT_PAID', 'Only completed purchases have an invoice');
+  }
+
+  const user = await User.findById(payment.user).select('firstname lastname email');
+  const { totalCoins, bonusCoins } = await getPaymentCoins(payment);
+  const amounts = splitGst(payment.amount);
+
+  const description = [
+    `${totalCoins} UpCoins${bonusCoins > 0 ? ` (${payment.upcoins} + ${bonusCoins} bonus)` : ''}`,
+    payment.coupon && payment.coupon.code ? `, coupon ${payment.coupon.code} applied` : '',
+    ` - order ${payment.orderId}`
+  ].join('');
+
+  try {
+    return await ledger.withTransaction(session => buildInvoice({
+      type: 'upcoin_purchase',
+      user: payment.user,
+      payment: payment._id,
+      buyer: buyerFor(user),
+      items: [{ description, sac: SAC_CODES.upcoin_purchase, quantity: 1, amount: amounts.taxableAmount }],
+      ...amounts
+    }, session));
+  } catch (error) {
+    // Issued concurrently by the webhook and a download
+    if (error.code === 11000) {
+      return Invoice.findOne({ payment: payment._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gather a trainer's earnings activity for a period
+ * @returns {object} - { summary, entries }
+ */
+const buildEarningsStatement = async (trainerId, period) => {
+  const range = { $gte: period.start, $lte: period.end };
+
+  const [credits, clawbacks, withdrawals, pendingHolds] = await Promise.all([
+    Transaction.find({ user: trainerId, category: 'lecture_enrollment', type: 'credit', createdAt: range })
+      .sort({ createdAt: 1 }),
+    Transaction.find({ user: trainerId, category: 'refund', type: 'debit', createdAt: range })
+      .sort({ createdAt: 1 }),
+    Transaction.find({ user: trainerId, category: 'withdrawal', status: 'completed', createdAt: range })
+      .sort({ createdAt: 1 }),
+    EarningsHold.find({
+      trainer: trainerId,
+      createdAt: { $lte: period.end },
+      amount: { $gt: 0 },
+      $or: [{ status: 'held' }, { releasedAt: { $gt: period.end } }]
+    }).select('amount')
+  ]);
+
+  const entries = [
+    ...credits.map(tx => {
+      const fee = Number((tx.metadata && tx.metadata.platformFee) || 0);
+      return {
+        date: tx.createdAt,
+        kind: 'earning',
+        description: `${(tx.metadata && tx.metadata.lectureTitle) || tx.description}${tx.metadata && tx.metadata.studentName ? ` - ${tx.metadata.studentName}` : ''}`,
+        gross: Number((tx.metadata && tx.metadata.grossAmount) || tx.amount + fee),
+        fee,
+        net: tx.amount
+      };
+    }),
+    ...clawbacks.map(tx => ({
+      date: tx.createdAt,
+      kind: 'refund',
+      description: tx.description,
+      net: -tx.amount
+    })),
+    ...withdrawals.map(tx => ({
+      date: tx.createdAt,
+      kind: 'withdrawal',
+      description: tx.description || 'Withdrawal',
+      net: -tx.amount
+    }))
+  ].sort((a, b) => a.date - b.date);
+
+  const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+  const earnings = entries.filter(e => e.kind === 'earning');
+
+  return {
+    summary: {
+      enrollments: earnings.length,
+      grossEarnings: sum(earnings, e => e.gross),
+      platformFees: sum(earnings, e => e.fee),
+      netEarnings: sum(earnings, e => e.net),
+      refundClawbacks: sum(clawbacks, tx => tx.amount),
+      withdrawals: sum(withdrawals, tx => tx.amount),
+      pendingAtPeriodEnd: sum(pendingHolds, hold => hold.amount)
+    },
+    entries
+  };
+};
+
+/**
+ * A trainer's earnings statement and platform fee invoice for a finished
+ * month, issued on first request. Fees are invoiced in the month the
+ * earnings they were taken from were released.
+ * @param {string} trainerId
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @returns {object} - { statement, feeInvoice } (feeInvoice is null when no fees were charged)
+ */
+const issueMonthlyDocuments = async (trainerId, year, month, { now = new Date() } = {}) => {
+  const period = monthPeriod(year, month);
+  if (Number.isNaN(period.start.getTime()) || month < 1 || month > 12) {
+    throw new InvoiceError('INVALID_PERIOD', 'Invalid month');
+  }
+  if (period.end >= now) {
+    throw new InvoiceError('PERIOD_OPEN', 'Statements are available once the month is over');
+  }
+
+  const find = async () => {
+    const docs = await Invoice.find({
+      user: trainerId,
+      type: { $in: ['earnings_statement', 'platform_fee'] },
+      'period.start': period.start
+    });
+    return {
+      statement: docs.find(doc => doc.type === 'earnings_statement') || null,
+      feeInvoice: docs.find(doc => doc.type === 'platform_fee') || null
+    };
+  };
+
+  const existing = await find();
+  if (existing.statement) return existing;
+
+  const trainer = await User.findById(trainerId).select('firstname lastname email role');
+  if (!trainer || trainer.role !== 'trainer') {
+    throw new InvoiceError('NOT_A_TRAINER', 'Statements are only issued to trainers');
+  }
+
+  const { summary, entries } = await buildEarningsStatement(trainerId, period);
+  const buyer = buyerFor(trainer);
+
+  try {
+    return await ledger.withTransaction(async(session) => {
+      const statement = await buildInvoice({
+        type: 'earnings_statement',
+        user: trainerId,
+        period,
+        buyer,
+        totalAmount: summary.netEarnings,
+        statement: { summary, entries }
+      }, session);
+
+      let feeInvoice = null;
+      if (summary.platformFees > 0) {
+        const amounts = splitGst(summary.platformFees);
+        feeInvoice = await buildInvoice({
+          type: 'platform_fee',
+          user: trainerId,
+          period,
+          buyer,
+          items: [{
+            description: `Platform service fee on ${summary.enrollments} enrollment${summary.enrollments === 1 ? '' : 's'} - ${monthLabel(period)}`,
+            sac: SAC_CODES.platform_fee,
+            quantity: summary.enrollments,
+            amount: amounts.taxableAmount
+          }],
+          ...amounts
+        }, session);
+      }
+
+      return { statement, feeInvoice };
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return find();
+    }
+    throw error;
+  }
+};
+
+const formatAmount = (amount) => {
+  return `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')} ${MONTH_NAMES[d.getMonth()].slice(0, 3)} ${d.getFullYear()}`;
+};
+
+const TITLES = {
+  upcoin_purchase: 'TAX INVOICE',
+  platform_fee: 'TAX INVOICE',
+  earnings_statement: 'EARNINGS STATEMENT'
+};
+
+/**
+ * Render an invoice or statement to PDF
+ * @returns {Buffer} - PDF file contents
+ */
+const renderPdf = (invoice) => {
+  const doc = createDocument({ title: `${TITLES[invoice.type]} ${invoice.number}` });
+  const left = 40;
+  const right = doc.width - 40;
+  let y = 60;
+
+  const ensureRoom = (height) => {
+    if (y + height > doc.height - 60) {
+      doc.addPage();
+      y = 60;
+    }
+  };
+
+  // Header: seller and document details
+  const seller = invoice.seller || {};
+  doc.text(left, y, seller.name, { size: 18, bold: true });
+  doc.text(right, y, TITLES[invoice.type], { size: 14, bold: true, align: 'right' });
+  y += 18;
+  if (seller.address) {
+    doc.text(left, y, seller.address, { size: 9 });
+    y += 12;
+  }
+  if (seller.gstin) {
+    doc.text(left, y, `GSTIN: ${seller.gstin}`, { size: 9 });
+    y += 12;
+  }
+  doc.text(left, y, `State: ${seller.state} (${seller.stateCode})`, { size: 9 });
+
+  let detailY = 78;
+  const detail = (label, value) => {
+    doc.text(right, detailY, `${label}: ${value}`, { size: 9, align: 'right' });
+    detailY += 12;
+  };
+  detail(invoice.type === 'earnings_statement' ? 'Statement No' : 'Invoice No', invoice.number);
+  detail('Date', formatDate(invoice.issuedAt));
+  if (invoice.period && invoice.period.start) {
+    detail('Period', `${formatDate(invoice.period.start)} - ${formatDate(invoice.period.end)}`);
+  }
+  if (invoice.type !== 'earnings_statement') {
+    detail('Place of supply', `${seller.state} (${seller.stateCode})`);
+  }
+
+  y = Math.max(y, detailY) + 20;
+  doc.line(left, y, right, y);
+  y += 18;
+
+  doc.text(left, y, invoice.type === 'earnings_statement' ? 'Trainer' : 'Bill to', { size: 9, bold: true });
+  y += 13;
+  doc.text(left, y, invoice.buyer.name, { size: 10 });
+  y += 12;
+  doc.text(left, y, invoice.buyer.email, { size: 9 });
+  y += 28;
+
+  if (invoice.type === 'earnings_statement') {
+    const { summary, entries } = invoice.statement;
+    const rows = [
+      ['Enrollments', String(summary.enrollments)],
+      ['Gross earnings', formatAmount(summary.grossEarnings)],
+      ['Platform fees', formatAmount(-summary.platformFees)],
+      ['Net earnings released', formatAmount(summary.netEarnings)],
+      ['Refund clawbacks', formatAmount(-summary.refundClawbacks)],
+      ['Withdrawals paid out', formatAmount(summary.withdrawals)],
+      ['Earnings on hold at period end', formatAmount(summary.pendingAtPeriodEnd)]
+    ];
+    rows.forEach(([label, value]) => {
+      doc.text(left, y, label, { size: 10 });
+      doc.text(right, y, value, { size: 10, align: 'right' });
+      y += 15;
+    });
+
+    y += 15;
+    doc.text(left, y, 'Date', { size: 9, bold: true });
+    doc.text(left + 70, y, 'Description', { size: 9, bold: true });
+    doc.text(right - 150, y, 'Gross', { size: 9, bold: true, align: 'right' });
+    doc.text(right - 80, y, 'Fee', { size: 9, bold: true, align: 'right' });
+    doc.text(right, y, 'Net', { size: 9, bold: true, align: 'right' });
+    y += 6;
+    doc.line(left, y, right, y);
+    y += 14;
+
+    if (entries.length === 0) {
+      doc.text(left, y, 'No activity in this period.', { size: 9 });
+      y += 14;
+    }
+    entries.forEach(entry => {
+      ensureRoom(14);
+      doc.text(left, y, formatDate(entry.date), { size: 9 });
+      doc.text(left + 70, y, String(entry.description).slice(0, 55), { size: 9 });
+      if (entry.kind === 'earning') {
+        doc.text(right - 150, y, formatAmount(entry.gross), { size: 9, align: 'right' });
+        doc.text(right - 80, y, formatAmount(entry.fee), { size: 9, align: 'right' });
+      }
+      doc.text(right, y, formatAmount(entry.net), { size: 9, align: 'right' });
+      y += 14;
+    });
+
+    y += 20;
+    ensureRoom(30);
+    doc.text(left, y, 'Amounts are in rupees (1 UpCoin = Rs. 1). This statement is not a tax invoice; platform fees are invoiced separately.', { size: 8 });
+    return doc.toBuffer();
+  }
+
+  // Tax invoice line items
+  doc.text(left, y, '#', { size: 9, bold: true });
+  doc.text(left + 20, y, 'Description', { size: 9, bold: true });
+  doc.text(right - 150, y, 'SAC', { size: 9, bold: true });
+  doc.text(right, y, 'Taxable value', { size: 9, bold: true, align: 'right' });
+  y += 6;
+  doc.line(left, y, right, y);
+  y += 14;
+
+  invoice.items.forEach((item, i) => {
+    ensureRoom(14);
+    doc.text(left, y, String(i + 1), { size: 9 });
+    doc.text(left + 20, y, item.description.slice(0, 70), { size: 9 });
+    doc.text(right - 150, y, item.sac || '', { size: 9 });
+    doc.text(right, y, formatAmount(item.amount), { size: 9, align: 'right' });
+    y += 14;
+  });
+
+  y += 6;
+  doc.line(left, y, right, y);
+  y += 16;
+
+  const halfRate = invoice.gst.rate / 2;
+  const totals = [
+    ['Taxable value', formatAmount(invoice.taxableAmount)],
+    invoice.gst.igst > 0
+      ? [`IGST @ ${invoice.gst.rate}%`, formatAmount(invoice.gst.igst)]
+      : null,
+    invoice.gst.igst > 0 ? null : [`CGST @ ${halfRate}%`, formatAmount(invoice.gst.cgst)],
+    invoice.gst.igst > 0 ? null : [`SGST @ ${halfRate}%`, formatAmount(invoice.gst.sgst)]
+  ].filter(Boolean);
+
+  totals.forEach(([label, value]) => {
+    doc.text(right - 150, y, label, { size: 10 });
+    doc.text(right, y, value, { size: 10, align: 'right' });
+    y += 15;
+  });
+  doc.text(right - 150, y + 4, 'Total', { size: 11, bold: true });
+  doc.text(right, y + 4, formatAmount(invoice.totalAmount), { size: 11, bold: true, align: 'right' });
+  y += 40;
+
+  doc.text(left, y, 'Tax is not payable on reverse charge basis.', { size: 8 });
+  doc.text(left, y + 11, 'This is a computer-generated invoice and does not need a signature.', { size: 8 });
+
+  return doc.toBuffer();
+};
+
+/**
+ * Download file name for a document, e.g. UPC-2627-000001.pdf
+ */
+const fileNameFor = (invoice) => `${invoice.number.replace(/\//g, '-')}.pdf`;
+
+const attachmentFor = (invoice) => ({
+  filename: fileNameFor(invoice),
+  content: renderPdf(invoice),
+  contentType: 'application/pdf'
+});
+
+/**
+ * Issue a purchase's invoice and email it to the buyer once
+ * @param {object} data - { paymentId }
+ */
+const sendPurchaseInvoice = async ({ paymentId }) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) return;
+
+  const invoice = await issuePurchaseInvoice(payment);
+  if (invoice.emailedAt) return;
+
+  const template = emailTemplates.purchaseInvoice(invoice.buyer.name, invoice);
+  const result = await sendEmail(invoice.buyer.email, { ...template, attachments: [attachmentFor(invoice)] });
+  if (!result.success) {
+    throw new Error(`Invoice email failed: ${result.error}`);
+  }
+
+  await Invoice.updateOne({ _id: invoice._id }, { $set: { emailedAt: new Date() } });
+};
+
+/**
+ * Issue a trainer's statement and fee invoice for a month and email them once
+ * @param {object} data - { trainerId, year, month }
+ */
+const sendMonthlyDocuments = async ({ trainerId, year, month }) => {
+  const { statement, feeInvoice } = await issueMonthlyDocuments(trainerId, year, month);
+  if (statement.emailedAt) return;
+
+  const attachments = [attachmentFor(statement)];
+  if (feeInvoice) attachments.push(attachmentFor(feeInvoice));
+
+  const template = emailTemplates.earningsStatement(statement.buyer.name, monthLabel(statement.period), statement, feeInvoice);
+  const result = await sendEmail(statement.buyer.email, { ...template, attachments });
+  if (!result.success) {
+    throw new Error(`Statement email failed: ${result.error}`);
+  }
+
+  const ids = [statement._id, feeInvoice && feeInvoice._id].filter(Boolean);
+  await Invoice.updateMany({ _id: { $in: ids } }, { $set: { emailedAt: new Date() } });
+};
+
+/**
+ * Queue statements for every trainer who earned anything in a month and
+ * does not have one yet
+ * @param {object} data - { year, month }
+ */
+const runMonthlyStatements = async ({ year, month }) => {
+  const period = monthPeriod(year, month);
+  const [trainerIds, done] = await Promise.all([
+    Transaction.distinct('user', {
+      category: 'lecture_enrollment',
+      type: 'credit',
+      createdAt: { $gte: period.start, $lte: period.end }
+    }),
+    Invoice.distinct('user', { type: 'earnings_statement', 'period.start': period.start })
+  ]);
+
+  const issued = new Set(done.map(String));
+  const pending = trainerIds.filter(id => !issued.has(String(id)));
+  pending.forEach(trainerId => {
+    jobQueue.enqueue('invoices:monthly', { trainerId, year, month }, {
+      key: `invoices:monthly:${trainerId}:${year}-${month}`
+    });
+  });
+
+  return { queued: pending.length };
+};
+
+// Last month a statement run was queued for by this process
+let queuedPeriod = null;
+
+/**
+ * Queue last month's statement run once the month is over
+ */
+const scanStatements = async (now = new Date()) => {
+  const previous = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const year = previous.getFullYear();
+  const month = previous.getMonth() + 1;
+  const key = `${year}-${month}`;
+  if (queuedPeriod === key) return;
+
+  queuedPeriod = key;
+  jobQueue.enqueue('invoices:monthly-run', { year, month }, { key: `invoices:monthly-run:${key}` });
+};
+
+const registerInvoiceJobs = () => {
+  jobQueue.registerHandler('invoices:purchase', sendPurchaseInvoice);
+  jobQueue.registerHandler('invoices:monthly', sendMonthlyDocuments);
+  jobQueue.registerHandler('invoices:monthly-run', runMonthlyStatements);
+  registerScanner('statements', scanStatements);
+};
+
+module.exports = {
+  InvoiceError,
+  financialYearOf,
+  monthPeriod,
+  splitGst,
+  issuePurchaseInvoice,
+  issueMonthlyDocuments,
+  renderPdf,
+  fileNameFor,
+  sendPurchaseInvoice,
+  sendMonthlyDocuments,
+  registerInvoiceJobs
+};
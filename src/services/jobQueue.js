@@ -0,0 +1,160 @@
+/**
+ * In-process Job Queue
+ * Runs background jobs one at a time, with delayed jobs, de-duplication by
+ * key and retries with backoff. Jobs live in memory only, so producers must
+ * be able to re-enqueue anything outstanding from the database after a restart.
+ */
+
+const handlers = new Map();
+const queue = [];
+const activeKeys = new Set();
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+let nextId = 1;
+let timer = null;
+let running = false;
+const stats = { completed: 0, failed: 0, retried: 0 };
+
+/**
+ * Register the function that processes jobs of a given name
+ * @param {string} name - Job name, e.g. 'lecture:auto-complete'
+ * @param {function} handler - async (data, job) => result
+ * @param {object} options - { maxAttempts }
+ */
+const registerHandler = (name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  handlers.set(name, { handler, maxAttempts });
+};
+
+/**
+ * Whether this process has a handler for a job name. Producers that also run
+ * outside the API server check this instead of catching enqueue errors.
+ */
+const hasHandler = (name) => handlers.has(name);
+
+/**
+ * Add a job to the queue
+ * @param {string} name - Registered job name
+ * @param {object} data - Passed to the handler
+ * @param {object} options - { runAt, key } where key skips the job if one with
+ *   the same key is already queued or running
+ * @returns {object|null} - The job, or null when it was a duplicate
+ */
+const enqueue = (name, data = {}, { runAt = new Date(), key } = {}) => {
+  if (!handlers.has(name)) {
+    throw new Error(`No handler registered for job "${name}"`);
+  }
+
+  if (key && activeKeys.has(key)) {
+    return null;
+  }
+
+  const job = {
+    id: nextId++,
+    name,
+    data,
+    key,
+    runAt: new Date(runAt),
+    attempts: 0,
+    maxAttempts: handlers.get(name).maxAttempts
+  };
+
+  if (key) activeKeys.add(key);
+  queue.push(job);
+  return job;
+};
+
+const takeDueJob = () => {
+  const now = Date.now();
+  let index = -1;
+  queue.forEach((job, i) => {
+    if (job.runAt.getTime() <= now && (index === -1 || job.runAt < queue[index].runAt)) {
+      index = i;
+    }
+  });
+  return index === -1 ? null : queue.splice(index, 1)[0];
+};
+
+const runJob = async (job) => {
+  const { handler } = handlers.get(job.name);
+  job.attempts += 1;
+
+  try {
+    await handler(job.data, job);
+    stats.completed += 1;
+    if (job.key) activeKeys.delete(job.key);
+  } catch (error) {
+    if (job.attempts < job.maxAttempts) {
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+      job.runAt = new Date(Date.now() + delay);
+      job.lastError = error.message;
+      queue.push(job);
+      stats.retried += 1;
+      console.warn(`Job ${job.name} #${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay / 1000}s:`, error.message);
+    } else {
+      stats.failed += 1;
+      if (job.key) activeKeys.delete(job.key);
+      console.error(`Job ${job.name} #${job.id} failed permanently:`, error.message);
+    }
+  }
+};
+
+// Drain every due job, one at a time
+const processQueue = async () => {
+  if (running) return;
+  running = true;
+  try {
+    let job = takeDueJob();
+    while (job) {
+      await runJob(job);
+      job = takeDueJob();
+    }
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start polling for due jobs
+ * @param {object} options - { pollIntervalMs }
+ */
+const start = ({ pollIntervalMs = 1000 } = {}) => {
+  if (timer) return;
+  timer = setInterval(processQueue, pollIntervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+/**
+ * Queue status for monitoring
+ */
+const getStats = () => ({
+  ...stats,
+  queued: queue.length,
+  running,
+  jobs: queue.map(job => ({
+    id: job.id,
+    name: job.name,
+    key: job.key,
+    runAt: job.runAt,
+    attempts: job.attempts,
+    lastError: job.lastError
+  }))
+});
+
+module.exports = {
+  registerHandler,
+  hasHandler,
+  enqueue,
+  processQueue,
+  start,
+  stop,
+  getStats
+};
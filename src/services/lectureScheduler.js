@@ -0,0 +1,141 @@
+/**
+ * Lecture Lifecycle Scheduler
+ * Periodically scans lectures and queues lifecycle jobs: live lectures that
+ * overran their slot are completed, and scheduled lectures the trainer never
+ * started are marked as no-shows, which closes them to enrollment until an
+ * admin reviews them.
+ */
+
+const Lecture = require('../models/Lecture');
+const jobQueue = require('./jobQueue');
+const { closeLecture: closeAttendance } = require('./attendanceService');
+const {
+  SCHEDULER_INTERVAL_SECONDS,
+  AUTO_COMPLETE_GRACE_MINUTES,
+  NO_SHOW_GRACE_MINUTES
+} = require('../config/scheduler');
+
+const MINUTE = 60 * 1000;
+
+let timer = null;
+// Extra scans that other features hook into (reminders, reconciliation, ...)
+const scanners = [];
+
+// Scheduled end of a lecture as a Mongo expression
+const endTimeExpr = { $add: ['$scheduledAt', { $multiply: ['$duration', MINUTE] }] };
+
+/**
+ * Complete a live lecture that ran past its slot
+ */
+const autoCompleteLecture = async ({ lectureId }) => {
+  const now = new Date();
+  const result = await Lecture.updateOne(
+    { _id: lectureId, status: 'live' },
+    { $set: { status: 'completed', completedAt: now, autoCompleted: true } }
+  );
+  if (result.modifiedCount === 0) return;
+
+  // Required lazily: the socket gateway is only loaded by the running server
+  const { closeMeeting } = require('../socket/meetingSocket');
+  closeMeeting(lectureId, 'Lecture time is over');
+  await closeAttendance(lectureId, now);
+
+  console.log(`Lecture ${lectureId} auto-completed after overrunning its slot`);
+};
+
+/**
+ * Mark a lecture the trainer never started as a no-show. The trainer can still
+ * start it late; otherwise an admin cancels or completes it.
+ */
+const flagNoShow = async ({ lectureId }) => {
+  const result = await Lecture.updateOne(
+    { _id: lectureId, status: 'scheduled', 'noShow.flaggedAt': null },
+    { $set: { status: 'no_show', 'noShow.flaggedAt': new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Lecture ${lectureId} flagged as trainer no-show`);
+  }
+};
+
+/**
+ * Find lectures that need a lifecycle transition and queue them
+ */
+const scanLectures = async (now = new Date()) => {
+  const overrunCutoff = new Date(now.getTime() - AUTO_COMPLETE_GRACE_MINUTES * MINUTE);
+  const overrun = await Lecture.find({
+    status: 'live',
+    $expr: { $lt: [endTimeExpr, overrunCutoff] }
+  }).select('_id');
+
+  overrun.forEach(lecture => {
+    jobQueue.enqueue('lecture:auto-complete', { lectureId: lecture._id }, {
+      key: `lecture:auto-complete:${lecture._id}`
+    });
+  });
+
+  const noShows = await Lecture.find({
+    status: 'scheduled',
+    scheduledAt: { $lt: new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * MINUTE) },
+    'noShow.flaggedAt': null
+  }).select('_id');
+
+  noShows.forEach(lecture => {
+    jobQueue.enqueue('lecture:flag-no-show', { lectureId: lecture._id }, {
+      key: `lecture:flag-no-show:${lecture._id}`
+    });
+  });
+
+  return { autoComplete: overrun.length, noShow: noShows.length };
+};
+
+/**
+ * Register another periodic scan, run on every scheduler tick
+ * @param {string} name - For logs
+ * @param {function} scan - async (now) => void; usually enqueues jobs
+ */
+const registerScanner = (name, scan) => {
+  scanners.push({ name, scan });
+};
+
+const tick = async () => {
+  const now = new Date();
+  for (const { name, scan } of [{ name: 'lectures', scan: scanLectures }, ...scanners]) {
+    try {
+      await scan(now);
+    } catch (error) {
+      console.error(`Scheduler scan "${name}" failed:`, error.message);
+    }
+  }
+};
+
+jobQueue.registerHandler('lecture:auto-complete', autoCompleteLecture);
+jobQueue.registerHandler('lecture:flag-no-show', flagNoShow);
+
+/**
+ * Start the scheduler and the job queue. Safe to call more than once.
+ */
+const startScheduler = () => {
+  if (timer) return;
+
+  jobQueue.start();
+  timer = setInterval(tick, SCHEDULER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  tick();
+
+  console.log(`Lecture scheduler started (every ${SCHEDULER_INTERVAL_SECONDS}s)`);
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  jobQueue.stop();
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  registerScanner,
+  scanLectures
+};
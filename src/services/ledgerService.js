@@ -0,0 +1,560 @@
+/**
+ * UpCoin Ledger Service
+ * Moves UpCoins between user wallets and platform accounts as balanced
+ * double-entry postings inside a single MongoDB transaction.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerAccount = require('../models/LedgerAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const EarningsHold = require('../models/EarningsHold');
+
+// Platform-side accounts. Wallet credits increase a balance and debits
+// decrease it, so source accounts (sales, promotions) run negative.
+const SYSTEM_ACCOUNTS = {
+  PLATFORM_FEES: 'platform_fees',
+  UPCOIN_SALES: 'upcoin_sales',
+  PROMOTIONS: 'promotions',
+  PAYOUTS: 'payouts',
+  TRAINER_RECEIVABLES: 'trainer_receivables',
+  EARNINGS_HELD: 'earnings_held'
+};
+
+const SYSTEM_ACCOUNT_NAMES = {
+  platform_fees: 'Platform fee revenue',
+  upcoin_sales: 'UpCoins sold for real money',
+  promotions: 'Bonuses and promotional UpCoins',
+  payouts: 'UpCoins withdrawn by trainers',
+  trainer_receivables: 'Refunds advanced on behalf of trainers',
+  earnings_held: 'Trainer earnings held until lectures settle'
+};
+
+// Lifetime counters on User that each category moves
+const USER_COUNTERS = {
+  lecture_enrollment: { debit: 'totalSpent', credit: 'totalEarned' },
+  upcoin_purchase: { credit: 'totalEarned' },
+  joining_bonus: { credit: 'totalEarned' }
+};
+
+class LedgerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Platform fee taken from a gross amount
+ * @param {number} amount - Gross UpCoin amount
+ * @param {number} percentage - Fee percentage
+ * @returns {number} - Fee in whole UpCoins
+ */
+const calculatePlatformFee = (amount, percentage) => {
+  return Math.floor((amount * percentage) / 100);
+};
+
+/**
+ * Run a function inside a MongoDB transaction
+ * @param {function} fn - Receives the session; its return value is passed through
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const applyUserLine = async (line, category, session) => {
+  const amount = Number(line.amount);
+  const counter = USER_COUNTERS[category] && USER_COUNTERS[category][line.type];
+
+  const inc = { walletBalance: line.type === 'credit' ? amount : -amount };
+  if (counter) {
+    inc[counter] = amount;
+  }
+
+  const filter = { _id: line.user };
+  if (line.type === 'debit') {
+    filter.walletBalance = { $gte: amount };
+  }
+
+  // updateOne-style write so legacy users without a mobile number still pass
+  const updated = await User.findOneAndUpdate(filter, { $inc: inc }, {
+    new: true,
+    session,
+    runValidators: false
+  }).select('walletBalance');
+
+  if (!updated) {
+    const exists = await User.exists({ _id: line.user }).session(session);
+    if (!exists) {
+      throw new LedgerError('USER_NOT_FOUND', 'User not found', { user: line.user });
+    }
+    const current = await User.findById(line.user).session(session).select('walletBalance');
+    throw new LedgerError(
+      'INSUFFICIENT_FUNDS',
+      `Insufficient UpCoins. Required: ${amount}, Current: ${current.walletBalance}`,
+      { required: amount, current: current.walletBalance }
+    );
+  }
+
+  const balanceAfter = updated.walletBalance;
+  const balanceBefore = line.type === 'credit' ? balanceAfter - amount : balanceAfter + amount;
+  return { balanceBefore, balanceAfter };
+};
+
+const applySystemLine = async (line, session) => {
+  const amount = Number(line.amount);
+  const updated = await LedgerAccount.findOneAndUpdate(
+    { code: line.account },
+    {
+      $inc: { balance: line.type === 'credit' ? amount : -amount },
+      $setOnInsert: { name: SYSTEM_ACCOUNT_NAMES[line.account] || line.account }
+    },
+    { new: true, upsert: true, session }
+  );
+
+  const balanceAfter = updated.balance;
+  const balanceBefore = line.type === 'credit' ? balanceAfter - amount : balanceAfter + amount;
+  return { balanceBefore, balanceAfter };
+};
+
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new LedgerError('INVALID_ENTRY', 'A ledger entry needs at least two lines');
+  }
+
+  let debits = 0;
+  let credits = 0;
+
+  lines.forEach(line => {
+    const amount = Number(line.amount);
+    if (!['credit', 'debit'].includes(line.type)) {
+      throw new LedgerError('INVALID_ENTRY', `Invalid line type: ${line.type}`);
+    }
+    if (isNaN(amount) || amount < 0) {
+      throw new LedgerError('INVALID_ENTRY', `Invalid line amount: ${line.amount}`);
+    }
+    if (!line.user === !line.account) {
+      throw new LedgerError('INVALID_ENTRY', 'Each line needs exactly one of user or account');
+    }
+    if (line.type === 'debit') {
+      debits += amount;
+    } else {
+      credits += amount;
+    }
+  });
+
+  if (debits !== credits) {
+    throw new LedgerError('UNBALANCED', `Ledger entry is unbalanced: debits ${debits}, credits ${credits}`);
+  }
+};
+
+const postInSession = async (posting, session) => {
+  const {
+    category,
+    description,
+    reference,
+    idempotencyKey,
+    relatedLecture,
+    metadata = {}
+  } = posting;
+
+  // Zero-amount lines (e.g. a 0% fee) carry no movement
+  const lines = posting.lines.filter(line => Number(line.amount) > 0);
+  validateLines(lines);
+
+  if (idempotencyKey) {
+    const existing = await LedgerEntry.findOne({ idempotencyKey }).session(session);
+    if (existing) {
+      const transactions = await Transaction.find({ ledgerEntry: existing._id }).session(session);
+      return { entry: existing, transactions, duplicate: true };
+    }
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  const appliedLines = [];
+  const transactionDocs = [];
+
+  // Debits first so an insufficient balance aborts before anything is credited
+  const ordered = [...lines].sort((a, b) => (a.type === b.type ? 0 : a.type === 'debit' ? -1 : 1));
+
+  for (const line of ordered) {
+    const balances = line.user
+      ? await applyUserLine(line, category, session)
+      : await applySystemLine(line, session);
+
+    const applied = {
+      user: line.user,
+      account: line.account,
+      type: line.type,
+      amount: Number(line.amount),
+      ...balances
+    };
+
+    if (line.user) {
+      const transaction = new Transaction({
+        user: line.user,
+        type: line.type,
+        amount: Number(line.amount),
+        realMoneyAmount: line.realMoneyAmount || 0,
+        currency: line.currency || 'INR',
+        description: line.description || description,
+        category: line.category || category,
+        status: line.status || 'completed',
+        paymentMethod: line.paymentMethod || 'wallet',
+        paymentReference: line.paymentReference,
+        reference: line.reference || reference,
+        relatedLecture: line.relatedLecture || relatedLecture,
+        ledgerEntry: entryId,
+        balanceBefore: balances.balanceBefore,
+        balanceAfter: balances.balanceAfter,
+        metadata: line.metadata || {}
+      });
+      applied.transaction = transaction._id;
+      transactionDocs.push(transaction);
+    }
+
+    appliedLines.push(applied);
+  }
+
+  const transactions = await Transaction.insertMany(transactionDocs, { session });
+
+  const [entry] = await LedgerEntry.create([{
+    _id: entryId,
+    category,
+    description,
+    reference,
+    idempotencyKey,
+    relatedLecture,
+    lines: appliedLines,
+    metadata
+  }], { session });
+
+  return { entry, transactions, duplicate: false };
+};
+
+/**
+ * Post a balanced set of lines to the ledger
+ * @param {object} posting - { category, description, reference, idempotencyKey, relatedLecture, metadata, lines }
+ *   Each line is { user | account, type: 'credit' | 'debit', amount } plus optional
+ *   Transaction overrides (description, status, paymentMethod, metadata, ...) for user lines.
+ * @param {object} options - { session } to join a caller's transaction
+ * @returns {object} - { entry, transactions, duplicate }
+ */
+const post = async (posting, options = {}) => {
+  if (options.session) {
+    return postInSession(posting, options.session);
+  }
+  return withTransaction(session => postInSession(posting, session));
+};
+
+/**
+ * Find the user-side transaction for a given user in a posting result
+ */
+const transactionFor = (result, userId) => {
+  return result.transactions.find(tx => tx.user.toString() === userId.toString());
+};
+
+/**
+ * Charge a student for a lecture and split the price between trainer and platform.
+ * A coupon discount is paid from the promotions account, so the trainer and
+ * the platform fee are still based on the full price. The trainer's share is
+ * held (see EarningsHold) until the lecture has settled; releaseEarnings()
+ * moves it into their wallet.
+ */
+const chargeEnrollment = async ({ student, lecture, amount, discount = 0, feePercentage, metadata = {} }, options = {}) => {
+  const price = amount !== undefined ? Number(amount) : Number(lecture.price);
+  const couponDiscount = Math.min(Number(discount), price);
+  const amountPaid = price - couponDiscount;
+  const trainerId = lecture.trainer._id || lecture.trainer;
+  const platformFee = calculatePlatformFee(price, feePercentage);
+  const trainerEarnings = price - platformFee;
+
+  const extra = couponDiscount > 0 ? { ...metadata, couponDiscount } : metadata;
+
+  const run = async (session) => {
+    const result = await post({
+      category: 'lecture_enrollment',
+      description: `Enrolled in "${lecture.title}"`,
+      reference: `enrollment_${lecture._id}`,
+      relatedLecture: lecture._id,
+      metadata: { studentId: student._id, trainerId, platformFee, trainerEarnings, ...extra },
+      lines: [
+        {
+          user: student._id,
+          type: 'debit',
+          amount: amountPaid,
+          metadata: {
+            lectureTitle: lecture.title,
+            trainerId,
+            platformFee,
+            ...extra
+          }
+        },
+        { account: SYSTEM_ACCOUNTS.PROMOTIONS, type: 'debit', amount: couponDiscount },
+        { account: SYSTEM_ACCOUNTS.EARNINGS_HELD, type: 'credit', amount: trainerEarnings },
+        { account: SYSTEM_ACCOUNTS.PLATFORM_FEES, type: 'credit', amount: platformFee }
+      ]
+    }, { session });
+
+    const studentTransaction = transactionFor(result, student._id);
+
+    let hold = null;
+    if (trainerEarnings > 0) {
+      [hold] = await EarningsHold.create([{
+        trainer: trainerId,
+        lecture: lecture._id,
+        student: student._id,
+        chargeTransaction: studentTransaction._id,
+        amount: trainerEarnings,
+        originalAmount: trainerEarnings,
+        grossAmount: price,
+        platformFee
+      }], { session });
+    }
+
+    return { ...result, studentTransaction, hold };
+  };
+
+  const result = options.session ? await run(options.session) : await withTransaction(run);
+
+  return {
+    ...result,
+    price,
+    amountPaid,
+    discount: couponDiscount,
+    platformFee,
+    trainerEarnings
+  };
+};
+
+/**
+ * Move a trainer's held earnings for one enrollment into their wallet
+ * @param {object} params - { hold, lectureTitle, studentName }
+ */
+const releaseEarnings = async ({ hold, lectureTitle, studentName }, options = {}) => {
+  const result = await post({
+    category: 'lecture_enrollment',
+    description: `Earnings from "${lectureTitle}" (${hold.platformFee} UC platform fee deducted)`,
+    reference: `earnings_${hold.lecture}`,
+    idempotencyKey: `earnings_release_${hold._id}`,
+    relatedLecture: hold.lecture,
+    metadata: { holdId: hold._id, trainerId: hold.trainer },
+    lines: [
+      { account: SYSTEM_ACCOUNTS.EARNINGS_HELD, type: 'debit', amount: hold.amount },
+      {
+        user: hold.trainer,
+        type: 'credit',
+        amount: hold.amount,
+        metadata: {
+          lectureTitle,
+          studentId: hold.student,
+          studentName,
+          platformFee: hold.platformFee,
+          grossAmount: hold.grossAmount,
+          netAmount: hold.amount,
+          refundedAmount: hold.refundedAmount,
+          holdId: hold._id,
+          heldSince: hold.createdAt
+        }
+      }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, hold.trainer) };
+};
+
+/**
+ * Credit the sign-up bonus to a new user
+ */
+const creditJoiningBonus = async (user, amount, options = {}) => {
+  const result = await post({
+    category: 'joining_bonus',
+    description: `Welcome bonus - ${amount} UpCoins`,
+    reference: `joining_bonus_${user._id}`,
+    idempotencyKey: `joining_bonus_${user._id}`,
+    lines: [
+      { account: SYSTEM_ACCOUNTS.PROMOTIONS, type: 'debit', amount },
+      {
+        user: user._id,
+        type: 'credit',
+        amount,
+        metadata: { bonusType: 'registration', userId: user._id }
+      }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, user._id) };
+};
+
+/**
+ * Credit UpCoins bought through a successful payment
+ */
+const creditPurchase = async ({ payment, totalCoins, bonusCoins, paymentMethod, razorpayPaymentId }, options = {}) => {
+  const description = bonusCoins > 0
+    ? `Purchased ${payment.upcoins} UpCoins + ${bonusCoins} bonus for ₹${payment.amount}`
+    : `Purchased ${totalCoins} UpCoins for ₹${payment.amount}`;
+
+  const allowedMethods = Transaction.schema.path('paymentMethod').enumValues;
+
+  const result = await post({
+    category: 'upcoin_purchase',
+    description,
+    reference: razorpayPaymentId,
+    idempotencyKey: `upcoin_purchase_${payment._id}`,
+    metadata: { paymentId: payment._id },
+    lines: [
+      { account: SYSTEM_ACCOUNTS.UPCOIN_SALES, type: 'debit', amount: totalCoins },
+      {
+        user: payment.user,
+        type: 'credit',
+        amount: totalCoins,
+        realMoneyAmount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: allowedMethods.includes(paymentMethod) ? paymentMethod : 'other',
+        paymentReference: razorpayPaymentId,
+        metadata: {
+          paymentId: payment._id,
+          razorpayPaymentId,
+          razorpayOrderId: payment.razorpayOrderId,
+          packageId: payment.packageId,
+          baseCoins: payment.upcoins,
+          bonusCoins,
+          totalCoins,
+          amountPaid: payment.amount,
+          currency: payment.currency,
+          ...(payment.coupon && payment.coupon.code ? { coupon: payment.coupon } : {})
+        }
+      }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, payment.user) };
+};
+
+/**
+ * Take back UpCoins for a purchase refunded through the payment gateway.
+ * Coins the user has already spent cannot be recovered; the caller passes
+ * only what is still in the wallet.
+ */
+const debitPurchaseRefund = async ({ payment, refundId, coins, refundAmount, metadata = {} }, options = {}) => {
+  const result = await post({
+    category: 'refund',
+    description: `UpCoins reversed for refunded purchase (₹${refundAmount})`,
+    reference: refundId,
+    idempotencyKey: `upcoin_refund_${refundId}`,
+    metadata: { paymentId: payment._id, refundId, ...metadata },
+    lines: [
+      {
+        user: payment.user,
+        type: 'debit',
+        amount: coins,
+        realMoneyAmount: refundAmount,
+        currency: payment.currency,
+        paymentMethod: 'other',
+        paymentReference: refundId,
+        metadata: {
+          paymentId: payment._id,
+          razorpayPaymentId: payment.razorpayPaymentId,
+          razorpayRefundId: refundId,
+          refundAmount,
+          ...metadata
+        }
+      },
+      { account: SYSTEM_ACCOUNTS.UPCOIN_SALES, type: 'credit', amount: coins }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, payment.user) };
+};
+
+/**
+ * Move a trainer's UpCoins out of their wallet for a pending withdrawal
+ */
+const requestWithdrawal = async ({ user, amount, paymentMethod, metadata }, options = {}) => {
+  const result = await post({
+    category: 'withdrawal',
+    description: `Withdrawal request for ₹${amount}`,
+    reference: `withdrawal_${Date.now()}`,
+    lines: [
+      {
+        user: user._id,
+        type: 'debit',
+        amount,
+        realMoneyAmount: amount, // 1 UpCoin = ₹1
+        status: 'pending', // Pending until admin approves
+        paymentMethod,
+        metadata
+      },
+      { account: SYSTEM_ACCOUNTS.PAYOUTS, type: 'credit', amount }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, user._id) };
+};
+
+/**
+ * Return a pending withdrawal to the trainer's wallet
+ */
+const refundWithdrawal = async ({ withdrawal, reason, metadata = {} }, options = {}) => {
+  const result = await post({
+    category: 'refund',
+    description: `Withdrawal refund - ${reason}`,
+    reference: `refund_${withdrawal._id}`,
+    idempotencyKey: `refund_${withdrawal._id}`,
+    lines: [
+      { account: SYSTEM_ACCOUNTS.PAYOUTS, type: 'debit', amount: withdrawal.amount },
+      {
+        user: withdrawal.user,
+        type: 'credit',
+        amount: withdrawal.amount,
+        metadata: {
+          originalWithdrawal: withdrawal._id,
+          reason,
+          ...metadata
+        }
+      }
+    ]
+  }, options);
+
+  return { ...result, transaction: transactionFor(result, withdrawal.user) };
+};
+
+/**
+ * Current balances of the platform accounts
+ */
+const getSystemBalances = async () => {
+  const accounts = await LedgerAccount.find().sort({ code: 1 });
+  return accounts.map(account => ({
+    code: account.code,
+    name: account.name,
+    balance: account.balance
+  }));
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  LedgerError,
+  calculatePlatformFee,
+  withTransaction,
+  post,
+  chargeEnrollment,
+  releaseEarnings,
+  creditJoiningBonus,
+  creditPurchase,
+  debitPurchaseRefund,
+  requestWithdrawal,
+  refundWithdrawal,
+  getSystemBalances
+};
@@ -0,0 +1,32 @@
+/**
+ * File mail transport for local development and tests
+ * Writes each message as an .eml file that any mail client can open, and
+ * logs who it was for. Nothing leaves the machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { MAIL_FILE_DIR } = require('../../config/mail');
+
+const send = async (message) => {
+  const messageId = `<${crypto.randomUUID()}@upscholar.local>`;
+
+  if (MAIL_FILE_DIR) {
+    const raw = await new MailComposer({ ...message, messageId }).compile().build();
+    await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const file = path.join(MAIL_FILE_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.promises.writeFile(file, raw);
+    console.log(`[mail:file] "${message.subject}" to ${message.to} -> ${file}`);
+  } else {
+    console.log(`[mail:file] "${message.subject}" to ${message.to}\n${message.text || ''}`);
+  }
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,25 @@
+const { MAIL_TRANSPORT } = require('../../config/mail');
+
+const transports = {
+  smtp: require('./smtp'),
+  ses: require('./ses'),
+  file: require('./file')
+};
+
+/**
+ * Mail transport by name, defaulting to MAIL_TRANSPORT. Every transport has
+ * send(message) -> { messageId }, where message is
+ * { from, to, subject, html, text, attachments }. Errors with
+ * permanent: true (e.g. a rejected address) are not worth retrying.
+ */
+const getMailTransport = (name = MAIL_TRANSPORT) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+module.exports = {
+  getMailTransport
+};
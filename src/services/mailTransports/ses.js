@@ -0,0 +1,88 @@
+/**
+ * Amazon SES mail transport
+ * Sends the composed MIME message through the SES v2 SendEmail API, signed
+ * with AWS Signature Version 4. SES_ENDPOINT points it at an SES-compatible
+ * service instead of AWS.
+ */
+
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { SES } = require('../../config/mail');
+
+const SEND_PATH = '/v2/email/outbound-emails';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Signature Version 4 headers for a JSON POST
+ */
+const signedHeaders = (url, body, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${SES.region}/ses/aws4_request`;
+
+  const headers = {
+    'content-type': 'application/json',
+    host: url.host,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(headers).sort();
+
+  const canonicalRequest = [
+    'POST',
+    url.pathname,
+    '',
+    ...headerNames.map(name => `${name}:${headers[name]}`),
+    '',
+    headerNames.join(';'),
+    sha256(body)
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['ses', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${SES.secretAccessKey}`, date), SES.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${SES.accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+};
+
+const send = async (message) => {
+  if (!SES.accessKeyId || !SES.secretAccessKey) {
+    const error = new Error('SES credentials are not configured');
+    error.permanent = true;
+    throw error;
+  }
+
+  const raw = await new MailComposer(message).compile().build();
+  const body = JSON.stringify({
+    FromEmailAddress: message.from,
+    Destination: { ToAddresses: String(message.to).split(',').map(address => address.trim()).filter(Boolean) },
+    Content: { Raw: { Data: raw.toString('base64') } },
+    ...(SES.configurationSet ? { ConfigurationSetName: SES.configurationSet } : {})
+  });
+
+  const url = new URL(SEND_PATH, SES.endpoint || `https://email.${SES.region}.amazonaws.com`);
+  const response = await fetch(url, { method: 'POST', headers: signedHeaders(url, body), body });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`SES error ${response.status}: ${data.message || data.Message || response.statusText}`);
+    // Throttling and server errors are worth another try; bad requests are not
+    error.permanent = response.status < 500 && response.status !== 429;
+    throw error;
+  }
+
+  return { messageId: data.MessageId };
+};
+
+module.exports = {
+  name: 'ses',
+  send,
+  signedHeaders
+};
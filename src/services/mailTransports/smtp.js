@@ -0,0 +1,36 @@
+/**
+ * SMTP mail transport (nodemailer)
+ */
+
+const nodemailer = require('nodemailer');
+const { SMTP } = require('../../config/mail');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined;
+    transporter = SMTP.host
+      ? nodemailer.createTransport({ host: SMTP.host, port: SMTP.port, secure: SMTP.secure, auth })
+      : nodemailer.createTransport({ service: SMTP.service, auth });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  try {
+    const result = await getTransporter().sendMail(message);
+    return { messageId: result.messageId };
+  } catch (error) {
+    // 5xx replies mean the server refused the message for good
+    if (error.responseCode >= 500) {
+      error.permanent = true;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,33 @@
+const { MESSAGING_PROVIDER } = require('../../config/otp');
+
+const providers = {
+  twilio: require('./twilio'),
+  stub: require('./stub')
+};
+
+/**
+ * SMS and WhatsApp provider by name, defaulting to MESSAGING_PROVIDER, or
+ * null when none is configured. Every provider has
+ * send({ channel, to, text, otp }) -> { messageId }, where channel is 'sms' or
+ * 'whatsapp' and to is an E.164 number. otp is passed separately for WhatsApp
+ * templates that take it as a variable.
+ */
+const getMessagingProvider = (name = MESSAGING_PROVIDER) => {
+  if (!name) {
+    return null;
+  }
+  // The stub reports success without sending, so users would get no code
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub messaging provider cannot be used in production');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown messaging provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getMessagingProvider
+};
@@ -0,0 +1,48 @@
+/**
+ * Stub messaging provider for local development and tests
+ * Nothing is sent: messages are kept in memory so a test can read the code
+ * back. Numbers ending in 0000 fail, to try the email fallback.
+ */
+
+const crypto = require('crypto');
+
+const MAX_KEPT = 50;
+const sent = [];
+
+const send = async ({ channel, to, text, otp }) => {
+  if (to.endsWith('0000')) {
+    throw new Error(`Stub ${channel} delivery failed for test number ${to}`);
+  }
+
+  const message = {
+    messageId: `stub_${crypto.randomBytes(7).toString('hex')}`,
+    channel,
+    to,
+    text,
+    otp,
+    sentAt: new Date()
+  };
+  sent.push(message);
+  if (sent.length > MAX_KEPT) sent.shift();
+
+  console.log(`[otp:stub] ${channel} message ${message.messageId} to ******${to.slice(-4)}`);
+  return { messageId: message.messageId };
+};
+
+/**
+ * Most recent message sent to a number, optionally on one channel
+ */
+const lastMessageTo = (to, channel) => [...sent].reverse().find(message =>
+  message.to === to && (!channel || message.channel === channel)
+) || null;
+
+const clearMessages = () => {
+  sent.length = 0;
+};
+
+module.exports = {
+  name: 'stub',
+  send,
+  lastMessageTo,
+  clearMessages
+};
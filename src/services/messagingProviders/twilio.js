@@ -0,0 +1,59 @@
+/**
+ * Twilio messaging provider
+ * Sends SMS and WhatsApp messages with the Messages API.
+ */
+
+const { TWILIO } = require('../../config/otp');
+
+const send = async ({ channel, to, text, otp }) => {
+  if (!TWILIO.accountSid || !TWILIO.authToken) {
+    throw new Error('Twilio credentials are not configured');
+  }
+
+  const params = new URLSearchParams();
+  if (channel === 'whatsapp') {
+    if (!TWILIO.whatsappFrom) {
+      throw new Error('TWILIO_WHATSAPP_FROM is not configured');
+    }
+    params.set('To', `whatsapp:${to}`);
+    params.set('From', `whatsapp:${TWILIO.whatsappFrom}`);
+    if (TWILIO.whatsappContentSid) {
+      params.set('ContentSid', TWILIO.whatsappContentSid);
+      params.set('ContentVariables', JSON.stringify({ 1: otp }));
+    } else {
+      params.set('Body', text);
+    }
+  } else {
+    params.set('To', to);
+    if (TWILIO.messagingServiceSid) {
+      params.set('MessagingServiceSid', TWILIO.messagingServiceSid);
+    } else {
+      params.set('From', TWILIO.smsFrom);
+    }
+    params.set('Body', text);
+  }
+
+  const credentials = Buffer.from(`${TWILIO.accountSid}:${TWILIO.authToken}`).toString('base64');
+  const response = await fetch(new URL(`/2010-04-01/Accounts/${TWILIO.accountSid}/Messages.json`, TWILIO.apiUrl), {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Twilio responded with ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { messageId: data.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
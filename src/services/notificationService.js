@@ -0,0 +1,206 @@
+/**
+ * Notification Service
+ * Creates notifications and delivers them on the channels the user has
+ * chosen for that type: in-app (stored and pushed live to the user's open
+ * sockets) and email.
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('./emailService');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES
+} = require('../config/notifications');
+
+class NotificationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+  }
+}
+
+// Every socket a user has open joins this room
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Emit to a user's open sockets. Outside the API server (scripts, jobs run
+ * by hand) there is no socket server and nothing is pushed.
+ */
+const pushToUser = (userId, event, payload) => {
+  try {
+    const { getIO } = require('../socket/meetingSocket');
+    getIO().to(userRoom(userId)).emit(event, payload);
+  } catch (error) {
+    // Socket.io not initialized
+  }
+};
+
+/**
+ * A user's channel settings for every notification type, with defaults
+ * filled in
+ * @returns {object} - { [type]: { label, in_app, email } }
+ */
+const getPreferences = (user) => {
+  const overrides = user.notificationPreferences || {};
+  const preferences = {};
+
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, { label, defaults }]) => {
+    preferences[type] = { label, ...defaults };
+    NOTIFICATION_CHANNELS.forEach(channel => {
+      if (overrides[type] && typeof overrides[type][channel] === 'boolean') {
+        preferences[type][channel] = overrides[type][channel];
+      }
+    });
+  });
+
+  return preferences;
+};
+
+/**
+ * Change some of a user's channel settings
+ * @param {object} user - User document
+ * @param {object} updates - { [type]: { [channel]: boolean } }
+ * @returns {object} - The resulting preferences
+ */
+const updatePreferences = async (user, updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new NotificationError('INVALID_PREFERENCES', 'Preferences must be an object of notification types');
+  }
+
+  const overrides = { ...(user.notificationPreferences || {}) };
+  for (const [type, channels] of Object.entries(updates)) {
+    if (!NOTIFICATION_TYPES[type]) {
+      throw new NotificationError('INVALID_PREFERENCES', `Unknown notification type: ${type}`);
+    }
+    if (!channels || typeof channels !== 'object') {
+      throw new NotificationError('INVALID_PREFERENCES', `Channels for ${type} must be an object`);
+    }
+
+    overrides[type] = { ...(overrides[type] || {}) };
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new NotificationError('INVALID_PREFERENCES', `Unknown channel: ${channel}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new NotificationError('INVALID_PREFERENCES', `${type}.${channel} must be true or false`);
+      }
+      overrides[type][channel] = enabled;
+    }
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { notificationPreferences: overrides } });
+  user.notificationPreferences = overrides;
+  return getPreferences(user);
+};
+
+const unreadCount = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+/**
+ * Notify one user
+ * @param {object|string} recipient - User document or id
+ * @param {object} notification - { type, title, body, link, data }
+ * @param {object} options - { email: template or (user) => template }
+ *   Without an email template the generic notification email is used.
+ * @returns {object} - { notification, emailed }
+ */
+const notify = async (recipient, { type, title, body, link, data }, options = {}) => {
+  if (!NOTIFICATION_TYPES[type]) {
+    throw new NotificationError('INVALID_TYPE', `Unknown notification type: ${type}`);
+  }
+
+  // Loaded fresh: callers often pass documents populated without the preferences
+  const user = await User.findById(recipient._id || recipient).select('firstname lastname email notificationPreferences');
+  if (!user) {
+    return { notification: null, emailed: false };
+  }
+
+  const channels = getPreferences(user)[type];
+  let notification = null;
+  let emailed = false;
+
+  if (channels.in_app) {
+    notification = await Notification.create({ user: user._id, type, title, body, link, data });
+    pushToUser(user._id, 'notification', {
+      notification,
+      unreadCount: await unreadCount(user._id)
+    });
+  }
+
+  if (channels.email && user.email) {
+    const template = typeof options.email === 'function'
+      ? options.email(user)
+      : options.email || emailTemplates.notification(user.firstname, { title, body, link });
+    const result = await sendEmail(user.email, template);
+    emailed = result.success;
+    if (!result.success) {
+      console.error(`Notification email (${type}) to user ${user._id} failed:`, result.error);
+    }
+  }
+
+  return { notification, emailed };
+};
+
+/**
+ * Notify several users. A failure for one user does not stop the others.
+ * @returns {number} - How many users were notified on at least one channel
+ */
+const notifyMany = async (recipients, notification, options = {}) => {
+  let notified = 0;
+  for (const recipient of recipients) {
+    try {
+      const result = await notify(recipient, notification, options);
+      if (result.notification || result.emailed) notified += 1;
+    } catch (error) {
+      console.error(`Error notifying user ${recipient._id || recipient} (${notification.type}):`, error.message);
+    }
+  }
+  return notified;
+};
+
+/**
+ * Fire-and-forget notify for request handlers; failures are only logged
+ */
+const notifyInBackground = (recipients, notification, options) => {
+  const list = Array.isArray(recipients) ? recipients : [recipients];
+  notifyMany(list, notification, options).catch(error => {
+    console.error(`Error sending ${notification.type} notifications:`, error.message);
+  });
+};
+
+/**
+ * Mark notifications read
+ * @param {string} userId
+ * @param {Array|string} ids - Notification ids, or 'all'
+ * @returns {number} - Unread notifications left
+ */
+const markRead = async (userId, ids) => {
+  const filter = { user: userId, readAt: null };
+  if (ids !== 'all') {
+    const valid = (Array.isArray(ids) ? ids : [ids]).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (valid.length === 0) {
+      throw new NotificationError('INVALID_IDS', 'No valid notification ids given');
+    }
+    filter._id = { $in: valid };
+  }
+
+  await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+
+  const count = await unreadCount(userId);
+  pushToUser(userId, 'notifications:unread-count', { unreadCount: count });
+  return count;
+};
+
+module.exports = {
+  NotificationError,
+  userRoom,
+  getPreferences,
+  updatePreferences,
+  unreadCount,
+  notify,
+  notifyMany,
+  notifyInBackground,
+  markRead
+};
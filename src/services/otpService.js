@@ -1,7 +1,33 @@
 const OTP = require('../models/OTP');
+const OTPThrottle = require('../models/OTPThrottle');
 const { sendEmail, emailTemplates } = require('./emailService');
+const { getMessagingProvider } = require('./messagingProviders');
+const {
+  OTP_CHANNELS,
+  OTP_DEFAULT_CHANNEL,
+  OTP_EMAIL_FALLBACK,
+  OTP_EXPIRY_MINUTES,
+  OTP_VERIFIED_TTL_MINUTES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_FAILED_VERIFICATIONS,
+  OTP_FAILURE_WINDOW_MINUTES,
+  OTP_MOBILE_COUNTRY_CODE
+} = require('../config/otp');
 const crypto = require('crypto');
 
+// What the code is called in SMS and WhatsApp messages
+const PURPOSE_LABELS = {
+  registration: 'verification code',
+  login: 'login code',
+  password_reset: 'password reset code'
+};
+
+const CHANNEL_LABELS = {
+  email: 'to your email',
+  sms: 'by SMS',
+  whatsapp: 'on WhatsApp'
+};
+
 /**
  * Generate a 6-digit OTP
  */
@@ -9,36 +35,122 @@ const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
 };
 
+const maskMobile = (mobile) => `******${String(mobile).slice(-4)}`;
+
+const failureWindowStart = () => new Date(Date.now() - OTP_FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+/**
+ * Whether too many wrong codes have been entered for an account and purpose
+ */
+const isVerificationLocked = async (email, purpose) => {
+  const throttle = await OTPThrottle.findOne({
+    email: email.toLowerCase(),
+    purpose,
+    windowStartedAt: { $gt: failureWindowStart() }
+  });
+  return !!throttle && throttle.failures >= OTP_MAX_FAILED_VERIFICATIONS;
+};
+
+/**
+ * Count a wrong code against an account, starting a new window when the last
+ * one is over
+ */
+const recordFailedVerification = async (email, purpose) => {
+  const now = new Date();
+  const window = {
+    windowStartedAt: now,
+    expiresAt: new Date(now.getTime() + OTP_FAILURE_WINDOW_MINUTES * 60 * 1000)
+  };
+
+  await OTPThrottle.updateOne(
+    { email: email.toLowerCase(), purpose, windowStartedAt: { $lte: failureWindowStart() } },
+    { $set: { failures: 0, ...window } }
+  );
+  await OTPThrottle.updateOne(
+    { email: email.toLowerCase(), purpose },
+    { $inc: { failures: 1 }, $setOnInsert: window },
+    { upsert: true }
+  );
+};
+
 /**
- * Send OTP to email
+ * Deliver a code on the requested channel. When SMS or WhatsApp fails, or no
+ * messaging provider is configured, the code goes by email instead unless
+ * OTP_EMAIL_FALLBACK is off.
+ * @returns {object} - { success, channel, fallback } where channel is the one used
  */
-const sendOTP = async (email, mobile, ipAddress, purpose = 'registration') => {
+const deliverOTP = async ({ channel, email, mobile, otp, purpose }) => {
+  if (channel !== 'email') {
+    try {
+      const provider = getMessagingProvider();
+      if (!provider) {
+        throw new Error('No messaging provider is configured');
+      }
+      await provider.send({
+        channel,
+        to: `${OTP_MOBILE_COUNTRY_CODE}${mobile}`,
+        text: `${otp} is your Upscholar ${PURPOSE_LABELS[purpose]}. It expires in ${OTP_EXPIRY_MINUTES} minutes. Do not share it with anyone.`,
+        otp
+      });
+      return { success: true, channel, fallback: false };
+    } catch (error) {
+      console.error(`OTP ${channel} delivery to ${maskMobile(mobile)} failed:`, error.message);
+      if (!OTP_EMAIL_FALLBACK) {
+        return { success: false, channel, fallback: false };
+      }
+    }
+  }
+
+  // Sent right away: the user is waiting for it and a late retry would
+  // deliver a code that may already be replaced
+  const emailResult = await sendEmail(email, emailTemplates.otpVerification(email, otp, purpose), { immediate: true });
+  return { success: emailResult.success, channel: 'email', fallback: channel !== 'email' };
+};
+
+/**
+ * Send an OTP by email, SMS or WhatsApp
+ * @param {object} options - { channel } defaulting to OTP_DEFAULT_CHANNEL;
+ *   sms and whatsapp need a mobile number
+ */
+const sendOTP = async (email, mobile, ipAddress, purpose = 'registration', { channel = OTP_DEFAULT_CHANNEL } = {}) => {
   try {
-    // Check if there's a recent unverified OTP for this email/IP
+    if (!OTP_CHANNELS.includes(channel)) {
+      return {
+        success: false,
+        message: `OTP channel must be one of: ${OTP_CHANNELS.join(', ')}`
+      };
+    }
+    if (channel !== 'email' && !mobile) {
+      return {
+        success: false,
+        message: `A mobile number is required to send the OTP ${CHANNEL_LABELS[channel]}`
+      };
+    }
+
+    // One code per account and purpose per cooldown, whichever IP asks
     const recentOTP = await OTP.findOne({
       email: email.toLowerCase(),
-      ipAddress,
-      verified: false,
-      expiresAt: { $gt: new Date() }
-    }).sort({ createdAt: -1 });
+      purpose,
+      createdAt: { $gt: new Date(Date.now() - OTP_RESEND_COOLDOWN_SECONDS * 1000) }
+    });
 
-    // If OTP was sent in last 60 seconds, prevent spam
-    if (recentOTP && (Date.now() - recentOTP.createdAt.getTime()) < 60000) {
+    if (recentOTP) {
       return {
         success: false,
-        message: 'Please wait 60 seconds before requesting a new OTP'
+        message: `Please wait ${OTP_RESEND_COOLDOWN_SECONDS} seconds before requesting a new OTP`
       };
     }
 
     // Generate new OTP
     const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    // Invalidate previous OTPs for this email/IP
+    // Invalidate previous OTPs for this email/IP and purpose
     await OTP.updateMany(
       {
         email: email.toLowerCase(),
         ipAddress,
+        purpose,
         verified: false
       },
       {
@@ -52,28 +164,42 @@ const sendOTP = async (email, mobile, ipAddress, purpose = 'registration') => {
       mobile: mobile || null,
       otp,
       purpose,
+      channel,
       ipAddress,
       expiresAt
     });
 
     await otpRecord.save();
 
-    // Send OTP via email
-    const emailTemplate = emailTemplates.otpVerification(email, otp);
-    const emailResult = await sendEmail(email, emailTemplate);
+    const delivery = await deliverOTP({ channel, email, mobile, otp, purpose });
 
-    if (!emailResult.success) {
+    if (!delivery.success) {
       await OTP.deleteOne({ _id: otpRecord._id });
       return {
         success: false,
-        message: 'Failed to send OTP email. Please try again.'
+        message: channel === 'email'
+          ? 'Failed to send OTP email. Please try again.'
+          : `Failed to send OTP ${CHANNEL_LABELS[channel]}. Please try again.`
       };
     }
 
+    if (delivery.fallback) {
+      await OTP.updateOne({ _id: otpRecord._id }, { $set: { channel: delivery.channel } });
+    }
+
+    let message = 'OTP sent successfully to your email';
+    if (delivery.fallback) {
+      message = `We couldn't send the OTP ${CHANNEL_LABELS[channel]}, so it was sent to your email`;
+    } else if (delivery.channel !== 'email') {
+      message = `OTP sent ${CHANNEL_LABELS[delivery.channel]} to ${maskMobile(mobile)}`;
+    }
+
     return {
       success: true,
-      message: 'OTP sent successfully to your email',
-      expiresIn: 10 * 60 // 10 minutes in seconds
+      message,
+      channel: delivery.channel,
+      fallback: delivery.fallback,
+      expiresIn: OTP_EXPIRY_MINUTES * 60
     };
   } catch (error) {
     console.error('Error sending OTP:', error);
@@ -89,6 +215,13 @@ const sendOTP = async (email, mobile, ipAddress, purpose = 'registration') => {
  */
 const verifyOTP = async (email, otp, ipAddress, purpose = 'registration') => {
   try {
+    if (await isVerificationLocked(email, purpose)) {
+      return {
+        success: false,
+        message: 'Too many incorrect codes. Please try again later.'
+      };
+    }
+
     const otpRecord = await OTP.findOne({
       email: email.toLowerCase(),
       ipAddress,
@@ -119,6 +252,7 @@ const verifyOTP = async (email, otp, ipAddress, purpose = 'registration') => {
     // Verify OTP
     if (otpRecord.otp !== otp) {
       await otpRecord.save();
+      await recordFailedVerification(email, purpose);
       const remainingAttempts = 5 - otpRecord.attempts;
       return {
         success: false,
@@ -126,13 +260,18 @@ const verifyOTP = async (email, otp, ipAddress, purpose = 'registration') => {
       };
     }
 
-    // Mark as verified
+    // Mark as verified; the record is kept a while for registration to use
     otpRecord.verified = true;
+    otpRecord.verifiedAt = new Date();
+    otpRecord.expiresAt = new Date(Date.now() + OTP_VERIFIED_TTL_MINUTES * 60 * 1000);
     await otpRecord.save();
+    await OTPThrottle.deleteOne({ email: email.toLowerCase(), purpose });
 
     return {
       success: true,
-      message: 'OTP verified successfully'
+      message: 'OTP verified successfully',
+      channel: otpRecord.channel,
+      mobile: otpRecord.mobile
     };
   } catch (error) {
     console.error('Error verifying OTP:', error);
@@ -143,6 +282,29 @@ const verifyOTP = async (email, otp, ipAddress, purpose = 'registration') => {
   }
 };
 
+/**
+ * Use up the latest verified, unused code for an email, so one verification
+ * backs one registration
+ * @returns {object|null} - { channel, mobile } of what the code proved: the
+ *   email for 'email', otherwise the mobile number it was sent to
+ */
+const consumeVerifiedOTP = async (email, ipAddress, purpose = 'registration') => {
+  const otpRecord = await OTP.findOneAndUpdate(
+    {
+      email: email.toLowerCase(),
+      ipAddress,
+      purpose,
+      verifiedAt: { $ne: null },
+      consumedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { consumedAt: new Date() } },
+    { sort: { verifiedAt: -1 }, new: true }
+  );
+
+  return otpRecord ? { channel: otpRecord.channel, mobile: otpRecord.mobile } : null;
+};
+
 /**
  * Check if IP address has already registered an account
  */
@@ -174,6 +336,7 @@ const getClientIP = (req) => {
 module.exports = {
   sendOTP,
   verifyOTP,
+  consumeVerifiedOTP,
   checkIPRegistration,
   getClientIP
 };
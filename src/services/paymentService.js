@@ -0,0 +1,279 @@
+/**
+ * UpCoin Payment Service
+ * Completes UpCoin purchases and processes Razorpay webhooks. Crediting is
+ * idempotent per payment, so the checkout callback (/verify) and the webhook
+ * can both run for the same purchase and the coins are credited (and the
+ * invoice sent) once.
+ */
+
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const ledger = require('./ledgerService');
+const jobQueue = require('./jobQueue');
+const { recordRedemption, redeemReservation, releaseReservation } = require('./couponService');
+const { findPackage } = require('./settingsService');
+const { verifySignature, processOnce } = require('./webhookService');
+
+class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Coins a payment buys: what the package offered when the order was created
+ * @returns {object} - { totalCoins, bonusCoins }
+ */
+const getPaymentCoins = async (payment) => {
+  const { totalCoins, bonusCoins } = payment.metadata || {};
+  if (totalCoins !== undefined) {
+    return { totalCoins, bonusCoins: bonusCoins || 0 };
+  }
+
+  const selectedPackage = await findPackage(payment.packageId);
+  return {
+    totalCoins: selectedPackage ? selectedPackage.totalCoins : payment.upcoins,
+    bonusCoins: selectedPackage ? selectedPackage.bonusCoins : 0
+  };
+};
+
+/**
+ * Mark a payment successful and credit its UpCoins (and coupon use) once
+ * @param {object} payment - Payment document
+ * @param {object} details - { razorpayOrderId, razorpayPaymentId, signature,
+ *   paymentMethod }. razorpayOrderId is the order Razorpay says was paid and
+ *   must be the payment's own order.
+ * @returns {object} - { credited, totalCoins, bonusCoins }; credited is false
+ *   when an earlier call already credited the payment
+ */
+const completePayment = async (payment, { razorpayOrderId, razorpayPaymentId, signature, paymentMethod }) => {
+  if (!razorpayOrderId || razorpayOrderId !== payment.razorpayOrderId) {
+    throw new PaymentError('ORDER_MISMATCH', 'Razorpay order does not belong to this payment');
+  }
+
+  if (['partially_refunded', 'refunded'].includes(payment.status)) {
+    return { credited: false, refunded: true, ...(await getPaymentCoins(payment)) };
+  }
+
+  const { totalCoins, bonusCoins } = await getPaymentCoins(payment);
+
+  let credit;
+  try {
+    credit = await ledger.withTransaction(async(session) => {
+      payment.status = 'success';
+      payment.razorpayPaymentId = razorpayPaymentId;
+      if (signature) payment.razorpaySignature = signature;
+      if (paymentMethod) payment.paymentMethod = paymentMethod;
+      payment.completedAt = payment.completedAt || new Date();
+      await payment.save({ session });
+
+      const result = await ledger.creditPurchase({
+        payment,
+        totalCoins,
+        bonusCoins,
+        paymentMethod: payment.paymentMethod,
+        razorpayPaymentId
+      }, { session });
+
+      // The use reserved at checkout becomes a redemption. Without one (the
+      // order expired before it was paid) the customer has still paid the
+      // discounted price, so the use counts even past the cap.
+      const transactionId = result.transaction && result.transaction._id;
+      const usedCoupon = payment.coupon && payment.coupon.code && !result.duplicate;
+      if (usedCoupon && !(await redeemReservation(payment._id, transactionId, { session }))) {
+        await recordRedemption({
+          coupon: { _id: payment.coupon.coupon, code: payment.coupon.code },
+          user: payment.user,
+          context: 'package',
+          payment: payment._id,
+          transaction: transactionId,
+          originalAmount: payment.coupon.originalAmount,
+          discount: payment.coupon.discount
+        }, { session, enforceLimit: false });
+      }
+
+      return result;
+    });
+  } catch (error) {
+    // The checkout callback and the webhook raced and the other one won
+    if (error.code === 11000) {
+      return { credited: false, totalCoins, bonusCoins };
+    }
+    throw error;
+  }
+
+  if (!credit.duplicate) {
+    // Issue and email the tax invoice; retried by the queue if mail is down.
+    // The coins are already credited, so a process without invoice jobs only
+    // logs the missing invoice instead of failing the payment.
+    if (jobQueue.hasHandler('invoices:purchase')) {
+      jobQueue.enqueue('invoices:purchase', { paymentId: payment._id }, {
+        key: `invoices:purchase:${payment._id}`
+      });
+    } else {
+      console.error(`Invoice jobs not registered; no invoice queued for payment ${payment._id}`);
+    }
+  }
+
+  return { credited: !credit.duplicate, totalCoins, bonusCoins };
+};
+
+/**
+ * Check a webhook body against the X-Razorpay-Signature header
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  return verifySignature(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET);
+};
+
+// payment.captured and order.paid: credit the order if /verify never ran
+const handlePaymentCaptured = async (event) => {
+  const entity = event.payload.payment && event.payload.payment.entity;
+  if (!entity || !entity.order_id) {
+    return { status: 'ignored', result: { reason: 'No payment entity' } };
+  }
+
+  const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+  if (!payment) {
+    return { status: 'ignored', result: { reason: 'Unknown order', orderId: entity.order_id } };
+  }
+
+  if (Number(entity.amount) !== Math.round(payment.amount * 100)) {
+    console.error(`Webhook amount mismatch for order ${entity.order_id}: got ${entity.amount} paise, expected ${payment.amount * 100}`);
+    return { status: 'failed', error: 'Captured amount does not match the order', result: { paymentId: payment._id } };
+  }
+
+  const outcome = await completePayment(payment, {
+    razorpayOrderId: entity.order_id,
+    razorpayPaymentId: entity.id,
+    paymentMethod: entity.method
+  });
+
+  if (outcome.credited) {
+    console.log(`Webhook credited ${outcome.totalCoins} UpCoins for payment ${payment._id}`);
+  }
+
+  return { status: 'processed', result: { paymentId: payment._id, ...outcome } };
+};
+
+const handlePaymentFailed = async (event) => {
+  const entity = event.payload.payment.entity;
+  const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+
+  // A failed attempt does not undo an order that was already paid
+  if (!payment || !['created', 'pending'].includes(payment.status)) {
+    return { status: 'ignored', result: { reason: payment ? `Payment is ${payment.status}` : 'Unknown order' } };
+  }
+
+  await payment.markAsFailed(entity.error_description || 'Payment failed');
+  await releaseReservation(payment._id);
+  return { status: 'processed', result: { paymentId: payment._id } };
+};
+
+// refund.processed: take back the coins the refund paid for
+const handleRefundProcessed = async (event) => {
+  const refund = event.payload.refund && event.payload.refund.entity;
+  if (!refund) {
+    return { status: 'ignored', result: { reason: 'No refund entity' } };
+  }
+
+  const payment = await Payment.findOne({ razorpayPaymentId: refund.payment_id });
+  if (!payment) {
+    return { status: 'ignored', result: { reason: 'Unknown payment', razorpayPaymentId: refund.payment_id } };
+  }
+
+  const refunds = (payment.metadata && payment.metadata.refunds) || [];
+  if (refunds.some(r => r.refundId === refund.id)) {
+    return { status: 'ignored', result: { reason: 'Refund already applied', paymentId: payment._id } };
+  }
+
+  const refundAmount = Number(refund.amount) / 100;
+  const { totalCoins } = await getPaymentCoins(payment);
+  const coinsToReverse = Math.min(totalCoins, Math.ceil((totalCoins * refundAmount) / payment.amount));
+  // Only refunds that add up to the whole amount make the payment refunded
+  const refundedTotal = refunds.reduce((sum, r) => sum + (r.amount || 0), 0) + refundAmount;
+  const status = refundedTotal >= payment.amount ? 'refunded' : 'partially_refunded';
+
+  const outcome = await ledger.withTransaction(async(session) => {
+    const user = await User.findById(payment.user).session(session).select('walletBalance');
+    const coins = Math.min(coinsToReverse, user ? user.walletBalance : 0);
+    const unrecovered = coinsToReverse - coins;
+
+    let duplicate = false;
+    if (coins > 0) {
+      const result = await ledger.debitPurchaseRefund({
+        payment,
+        refundId: refund.id,
+        coins,
+        refundAmount,
+        metadata: { unrecoveredCoins: unrecovered }
+      }, { session });
+      duplicate = result.duplicate;
+    }
+
+    if (!duplicate) {
+      await Payment.updateOne({ _id: payment._id }, {
+        $set: { status },
+        $push: {
+          'metadata.refunds': {
+            refundId: refund.id,
+            amount: refundAmount,
+            coinsReversed: coins,
+            unrecoveredCoins: unrecovered,
+            processedAt: new Date()
+          }
+        }
+      }, { session });
+    }
+
+    return { coins, unrecovered, duplicate };
+  });
+
+  if (outcome.unrecovered > 0) {
+    console.warn(`Refund ${refund.id} for payment ${payment._id}: ${outcome.unrecovered} UpCoins already spent and not recovered`);
+  }
+
+  return {
+    status: 'processed',
+    result: {
+      paymentId: payment._id,
+      coinsReversed: outcome.coins,
+      unrecoveredCoins: outcome.unrecovered,
+      duplicate: outcome.duplicate
+    }
+  };
+};
+
+const WEBHOOK_HANDLERS = {
+  'payment.captured': handlePaymentCaptured,
+  'order.paid': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed
+};
+
+/**
+ * Process a verified Razorpay webhook once per event id. Events that failed
+ * earlier are processed again when Razorpay retries them.
+ * @param {object} event - Parsed webhook body
+ * @param {string} eventId - X-Razorpay-Event-Id header
+ * @returns {object} - { duplicate, status, result }
+ */
+const handleWebhookEvent = (event, eventId) => {
+  const handler = WEBHOOK_HANDLERS[event.event];
+
+  return processOnce({
+    provider: 'razorpay',
+    eventId,
+    event: event.event,
+    payload: event.payload
+  }, handler ? () => handler(event) : null);
+};
+
+module.exports = {
+  PaymentError,
+  getPaymentCoins,
+  completePayment,
+  verifyWebhookSignature,
+  handleWebhookEvent
+};
@@ -0,0 +1,254 @@
+/**
+ * Payout Profile Service
+ * Trainers' saved payout details. Account numbers and UPI ids are encrypted
+ * at rest and only decrypted to hand them to the payout provider; everything
+ * else sees masked values.
+ */
+
+const PayoutProfile = require('../models/PayoutProfile');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { getPayoutProvider } = require('./payoutProviders');
+const { IFSC_LOOKUP_URL } = require('../config/payouts');
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+class PayoutProfileError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PayoutProfileError';
+    this.code = code;
+  }
+}
+
+const maskVpa = (vpa) => {
+  const [handle, bank] = vpa.split('@');
+  return `${handle.slice(0, 2)}${'*'.repeat(Math.max(handle.length - 2, 2))}@${bank}`;
+};
+
+/**
+ * Check an IFSC code's format and, when a directory is configured, that it exists
+ * @returns {object} - { ifscCode, checked, bankName, branch }; checked is false
+ *   when the directory is disabled or could not answer
+ */
+const validateIfsc = async (value) => {
+  const ifscCode = String(value || '').trim().toUpperCase();
+  if (!IFSC_PATTERN.test(ifscCode)) {
+    throw new PayoutProfileError('INVALID_IFSC', 'IFSC code must be 11 characters: 4 letters, 0, then 6 letters or digits');
+  }
+
+  if (!IFSC_LOOKUP_URL) {
+    return { ifscCode, checked: false };
+  }
+
+  let response;
+  try {
+    response = await fetch(new URL(`/${ifscCode}`, IFSC_LOOKUP_URL));
+  } catch (error) {
+    // The directory being down should not block trainers; the format is valid
+    console.error('IFSC lookup failed:', error.message);
+    return { ifscCode, checked: false };
+  }
+
+  if (response.status === 404) {
+    throw new PayoutProfileError('INVALID_IFSC', `IFSC code ${ifscCode} does not exist`);
+  }
+  if (!response.ok) {
+    console.error(`IFSC lookup for ${ifscCode} returned ${response.status}`);
+    return { ifscCode, checked: false };
+  }
+
+  const details = await response.json();
+  return { ifscCode, checked: true, bankName: details.BANK, branch: details.BRANCH };
+};
+
+const getProfile = (trainerId) => PayoutProfile.findOne({ trainer: trainerId });
+
+/**
+ * Create or update a trainer's payout profile. Details left out are kept;
+ * changing the bank account resets its verification.
+ * @param {object} trainer - User document
+ * @param {object} details - { preferredMethod, accountHolderName, bankAccount: { accountNumber, ifscCode }, upiId }
+ * @returns {object} - The saved profile
+ */
+const saveProfile = async (trainer, { preferredMethod, accountHolderName, bankAccount, upiId }) => {
+  const profile = await getProfile(trainer._id) || new PayoutProfile({ trainer: trainer._id });
+
+  if (accountHolderName !== undefined) {
+    profile.accountHolderName = String(accountHolderName).trim();
+  }
+
+  if (bankAccount) {
+    const accountNumber = String(bankAccount.accountNumber || '').replace(/\s/g, '');
+    if (!ACCOUNT_NUMBER_PATTERN.test(accountNumber)) {
+      throw new PayoutProfileError('INVALID_ACCOUNT_NUMBER', 'Account number must be 9 to 18 digits');
+    }
+    if (!profile.accountHolderName) {
+      throw new PayoutProfileError('MISSING_NAME', 'Account holder name is required for a bank account');
+    }
+
+    const ifsc = await validateIfsc(bankAccount.ifscCode);
+    profile.bankAccount = {
+      accountNumberEncrypted: encrypt(accountNumber),
+      last4: accountNumber.slice(-4),
+      ifscCode: ifsc.ifscCode,
+      bankName: ifsc.bankName,
+      branch: ifsc.branch,
+      ifscCheck: ifsc.checked ? 'verified' : 'unchecked'
+    };
+    profile.verification = { status: 'unverified' };
+  }
+
+  if (upiId !== undefined) {
+    const vpa = String(upiId).trim();
+    if (!VPA_PATTERN.test(vpa)) {
+      throw new PayoutProfileError('INVALID_UPI', 'UPI ID must look like name@bank');
+    }
+    profile.upi = { vpaEncrypted: encrypt(vpa), masked: maskVpa(vpa) };
+  }
+
+  if (preferredMethod) {
+    profile.preferredMethod = preferredMethod;
+  } else if (!profile.preferredMethod) {
+    profile.preferredMethod = profile.hasUpi() ? 'upi' : 'bank_account';
+  }
+
+  if (profile.preferredMethod === 'upi' && !profile.hasUpi()) {
+    throw new PayoutProfileError('MISSING_UPI', 'Add a UPI ID to use UPI payouts');
+  }
+  if (profile.preferredMethod === 'bank_account' && !profile.hasBankAccount()) {
+    throw new PayoutProfileError('MISSING_BANK_ACCOUNT', 'Add a bank account to use bank payouts');
+  }
+
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Apply a penny-drop result, from the provider's response or its webhook
+ * @param {object} profile - PayoutProfile document
+ * @param {object} validation - { status, accountStatus, nameAtBank }
+ */
+const applyVerificationResult = async (profile, { status, accountStatus, nameAtBank }) => {
+  if (status === 'completed') {
+    const active = accountStatus === 'active';
+    profile.verification.status = active ? 'verified' : 'failed';
+    profile.verification.nameAtBank = nameAtBank;
+    profile.verification.verifiedAt = active ? new Date() : undefined;
+    profile.verification.failureReason = active ? undefined : `Bank reported the account as ${accountStatus}`;
+  } else if (status === 'failed') {
+    profile.verification.status = 'failed';
+    profile.verification.failureReason = 'The bank could not be reached to verify the account';
+  } else {
+    profile.verification.status = 'pending';
+  }
+
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Start a penny-drop check of the profile's bank account
+ */
+const startVerification = async (profile, trainer) => {
+  if (!profile.hasBankAccount()) {
+    throw new PayoutProfileError('MISSING_BANK_ACCOUNT', 'Add a bank account before verifying it');
+  }
+  if (profile.verification.status === 'verified') {
+    throw new PayoutProfileError('ALREADY_VERIFIED', 'Bank account is already verified');
+  }
+  if (profile.verification.status === 'pending') {
+    throw new PayoutProfileError('VERIFICATION_PENDING', 'Verification is already in progress');
+  }
+
+  const provider = getPayoutProvider();
+  const result = await provider.validateAccount({
+    destination: {
+      accountNumber: decrypt(profile.bankAccount.accountNumberEncrypted),
+      ifscCode: profile.bankAccount.ifscCode,
+      accountHolderName: profile.accountHolderName
+    },
+    contact: {
+      id: trainer._id,
+      name: profile.accountHolderName,
+      email: trainer.email
+    }
+  });
+
+  profile.verification = {
+    status: 'pending',
+    provider: provider.name,
+    reference: result.reference,
+    requestedAt: new Date()
+  };
+
+  return applyVerificationResult(profile, result);
+};
+
+/**
+ * Apply a penny-drop webhook
+ * @returns {boolean} - Whether a profile was waiting for this result
+ */
+const handleVerificationUpdate = async (update) => {
+  const profile = await PayoutProfile.findOne({ 'verification.reference': update.reference });
+  if (!profile || profile.verification.status !== 'pending') {
+    return false;
+  }
+
+  await applyVerificationResult(profile, update);
+  return true;
+};
+
+/**
+ * Decrypted payout destination for the given method
+ * @returns {object} - { mode, destination }
+ */
+const resolveDestination = (profile, method = profile.preferredMethod) => {
+  if (method === 'upi' && profile.hasUpi()) {
+    return { mode: 'UPI', destination: { upiId: decrypt(profile.upi.vpaEncrypted) } };
+  }
+
+  if (method === 'bank_account' && profile.hasBankAccount()) {
+    return {
+      mode: 'IMPS',
+      destination: {
+        accountNumber: decrypt(profile.bankAccount.accountNumberEncrypted),
+        ifscCode: profile.bankAccount.ifscCode,
+        accountHolderName: profile.accountHolderName
+      }
+    };
+  }
+
+  throw new PayoutProfileError('NO_DESTINATION', `Payout profile has no ${method === 'upi' ? 'UPI ID' : 'bank account'}`);
+};
+
+/**
+ * Masked description of a destination, safe to store on a withdrawal
+ */
+const describeDestination = (profile, method = profile.preferredMethod) => {
+  if (method === 'upi') {
+    return { method, upiId: profile.upi.masked };
+  }
+
+  return {
+    method,
+    accountHolderName: profile.accountHolderName,
+    accountNumberLast4: profile.bankAccount.last4,
+    ifscCode: profile.bankAccount.ifscCode,
+    bankName: profile.bankAccount.bankName || 'Not provided',
+    ifscCheck: profile.bankAccount.ifscCheck || 'unchecked'
+  };
+};
+
+module.exports = {
+  PayoutProfileError,
+  maskVpa,
+  validateIfsc,
+  getProfile,
+  saveProfile,
+  startVerification,
+  handleVerificationUpdate,
+  resolveDestination,
+  describeDestination
+};
@@ -0,0 +1,29 @@
+const { PAYOUT_PROVIDER } = require('../../config/payouts');
+
+const providers = {
+  razorpayx: require('./razorpayx'),
+  mock: require('./mock')
+};
+
+/**
+ * Payout provider by name, defaulting to PAYOUT_PROVIDER. Throws rather than
+ * fall back to the mock, so a missing setting never marks withdrawals paid.
+ */
+const getPayoutProvider = (name = PAYOUT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYOUT_PROVIDER is not set');
+  }
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payout provider cannot be used in production');
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payout provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getPayoutProvider
+};
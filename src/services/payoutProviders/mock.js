@@ -0,0 +1,49 @@
+/**
+ * Mock payout provider for local testing
+ * Accepts every payout and reports the outcome a few seconds later through
+ * the same status path as real webhooks. Destinations containing "fail"
+ * (e.g. UPI id fail@upi) fail, everything else is processed. Penny drops
+ * complete at once; account numbers ending in 0000 are reported invalid.
+ * Webhooks in the RazorpayX format are accepted too, so the endpoint can be
+ * tried with curl.
+ */
+
+const crypto = require('crypto');
+const razorpayx = require('./razorpayx');
+
+// Idempotency key -> payout id, like the real provider
+const created = new Map();
+
+const createPayout = async ({ idempotencyKey }) => {
+  if (!created.has(idempotencyKey)) {
+    created.set(idempotencyKey, `pout_mock_${crypto.randomBytes(7).toString('hex')}`);
+  }
+  return { id: created.get(idempotencyKey), status: 'processing' };
+};
+
+const validateAccount = async ({ destination }) => ({
+  reference: `fav_mock_${crypto.randomBytes(7).toString('hex')}`,
+  status: 'completed',
+  accountStatus: destination.accountNumber.endsWith('0000') ? 'invalid' : 'active',
+  nameAtBank: destination.accountHolderName.toUpperCase()
+});
+
+/**
+ * The status update the mock will report for a payout
+ */
+const simulateOutcome = ({ destination }) => {
+  const target = destination.upiId || destination.accountNumber || '';
+  if (target.toLowerCase().includes('fail')) {
+    return { status: 'failed', failureReason: 'Mock payout failed for test destination' };
+  }
+  return { status: 'processed', utr: `MOCK${Date.now()}` };
+};
+
+module.exports = {
+  name: 'mock',
+  createPayout,
+  validateAccount,
+  simulateOutcome,
+  verifyWebhook: razorpayx.verifyWebhook,
+  parseWebhook: razorpayx.parseWebhook
+};
@@ -0,0 +1,144 @@
+/**
+ * RazorpayX payout provider
+ * Sends payouts with the composite Payouts API (contact and fund account are
+ * created inline), validates bank accounts with a penny drop and reads
+ * payout.* and fund_account.validation.* webhooks.
+ */
+
+const { verifySignature } = require('../webhookService');
+const {
+  RAZORPAYX_ACCOUNT_NUMBER,
+  RAZORPAYX_API_URL,
+  PAYOUT_WEBHOOK_SECRET
+} = require('../../config/payouts');
+
+const request = async (path, body, headers = {}) => {
+  const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+  const response = await fetch(new URL(path, RAZORPAYX_API_URL), {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error((data.error && data.error.description) || `RazorpayX responded with ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+  return data;
+};
+
+const toFundAccount = (destination, contact) => {
+  const razorpayContact = {
+    name: contact.name,
+    email: contact.email,
+    type: 'vendor',
+    reference_id: String(contact.id)
+  };
+
+  if (destination.upiId) {
+    return { account_type: 'vpa', vpa: { address: destination.upiId }, contact: razorpayContact };
+  }
+
+  return {
+    account_type: 'bank_account',
+    bank_account: {
+      name: destination.accountHolderName,
+      ifsc: destination.ifscCode,
+      account_number: destination.accountNumber
+    },
+    contact: razorpayContact
+  };
+};
+
+/**
+ * Create a payout
+ * @param {object} params - { amount (₹), mode, destination, contact, referenceId, idempotencyKey }
+ * @returns {object} - { id, status }
+ */
+const createPayout = async ({ amount, mode, destination, contact, referenceId, idempotencyKey }) => {
+  const payout = await request('/v1/payouts', {
+    account_number: RAZORPAYX_ACCOUNT_NUMBER,
+    amount: Math.round(amount * 100),
+    currency: 'INR',
+    mode,
+    purpose: 'payout',
+    fund_account: toFundAccount(destination, contact),
+    queue_if_low_balance: true,
+    reference_id: referenceId,
+    narration: 'UpScholar payout'
+  }, { 'X-Payout-Idempotency': idempotencyKey });
+
+  return { id: payout.id, status: payout.status };
+};
+
+const toValidation = (validation) => ({
+  reference: validation.id,
+  status: validation.status,
+  accountStatus: validation.results && validation.results.account_status,
+  nameAtBank: (validation.results && validation.results.registered_name) || undefined
+});
+
+/**
+ * Start a penny-drop validation of a bank account. The result usually arrives
+ * later through a fund_account.validation.* webhook.
+ * @param {object} params - { destination, contact }
+ * @returns {object} - { reference, status, accountStatus, nameAtBank }
+ */
+const validateAccount = async ({ destination, contact }) => {
+  const { contact: razorpayContact, ...fundAccount } = toFundAccount(destination, contact);
+  const createdContact = await request('/v1/contacts', razorpayContact);
+  const createdFundAccount = await request('/v1/fund_accounts', { ...fundAccount, contact_id: createdContact.id });
+
+  const validation = await request('/v1/fund_accounts/validations', {
+    account_number: RAZORPAYX_ACCOUNT_NUMBER,
+    fund_account: { id: createdFundAccount.id },
+    amount: 100,
+    currency: 'INR'
+  });
+
+  return toValidation(validation);
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  return verifySignature(rawBody, headers['x-razorpay-signature'], PAYOUT_WEBHOOK_SECRET);
+};
+
+/**
+ * Normalise a webhook body
+ * @returns {object|null} - { kind: 'payout', payoutId, referenceId, status, utr, failureReason }
+ *   or { kind: 'account_validation', reference, status, accountStatus, nameAtBank }
+ */
+const parseWebhook = (body) => {
+  const payload = body.payload || {};
+
+  const validation = payload['fund_account.validation'] && payload['fund_account.validation'].entity;
+  if (validation) {
+    return { kind: 'account_validation', ...toValidation(validation) };
+  }
+
+  const entity = payload.payout && payload.payout.entity;
+  if (!entity) return null;
+
+  return {
+    kind: 'payout',
+    payoutId: entity.id,
+    referenceId: entity.reference_id,
+    status: entity.status,
+    utr: entity.utr || undefined,
+    failureReason: entity.failure_reason || (entity.status_details && entity.status_details.description) || undefined
+  };
+};
+
+module.exports = {
+  name: 'razorpayx',
+  createPayout,
+  validateAccount,
+  verifyWebhook,
+  parseWebhook
+};
@@ -0,0 +1,329 @@
+/**
+ * Payout Service
+ * Sends approved trainer withdrawals through the payout provider and follows
+ * the payout to completion. Payouts that fail or are reversed return the
+ * amount to the trainer's wallet through the withdrawal refund.
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const PayoutProfile = require('../models/PayoutProfile');
+const jobQueue = require('./jobQueue');
+const ledger = require('./ledgerService');
+const { processOnce } = require('./webhookService');
+const { getPayoutProvider } = require('./payoutProviders');
+const { resolveDestination, handleVerificationUpdate } = require('./payoutProfileService');
+const { notifyInBackground } = require('./notificationService');
+const { MOCK_PAYOUT_DELAY_SECONDS } = require('../config/payouts');
+
+const FAILED_STATUSES = ['failed', 'reversed', 'rejected', 'cancelled'];
+
+class PayoutError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PayoutError';
+    this.code = code;
+  }
+}
+
+/**
+ * Where a withdrawal should be paid: the trainer's payout profile, or the
+ * details copied onto withdrawals requested before profiles existed
+ * @returns {object} - { mode, destination }
+ */
+const getDestination = async (withdrawal) => {
+  const metadata = withdrawal.metadata || {};
+
+  if (metadata.payoutProfile) {
+    const profile = await PayoutProfile.findById(metadata.payoutProfile);
+    if (!profile) {
+      throw new PayoutError('NO_DESTINATION', 'The payout profile for this withdrawal no longer exists');
+    }
+    return resolveDestination(profile, metadata.payoutMethod);
+  }
+
+  if (metadata.upiId) {
+    return { mode: 'UPI', destination: { upiId: metadata.upiId } };
+  }
+
+  if (metadata.bankDetails && metadata.bankDetails.accountNumber) {
+    const { accountNumber, ifscCode, accountHolderName } = metadata.bankDetails;
+    return { mode: 'IMPS', destination: { accountNumber, ifscCode, accountHolderName } };
+  }
+
+  throw new PayoutError('NO_DESTINATION', 'Withdrawal has no UPI ID or bank account to pay to');
+};
+
+// Whether a provider error means the payout was refused for good
+const isPermanentFailure = (error) => {
+  return error.statusCode >= 400 && error.statusCode < 500 && ![401, 409, 429].includes(error.statusCode);
+};
+
+/**
+ * Record a provider status on a payout and settle the withdrawal when the
+ * payout finishes. Stale or repeated updates are ignored.
+ * @param {object} payout - Payout document
+ * @param {object} update - { status, utr, failureReason }
+ * @param {string} source - 'api', 'webhook' or 'mock'
+ * @returns {boolean} - Whether anything changed
+ */
+const applyStatusUpdate = async (payout, { status, utr, failureReason }, source) => {
+  if (payout.status === status) return false;
+  if (FAILED_STATUSES.includes(payout.status)) return false;
+  // Only a reversal can follow a processed payout
+  if (payout.status === 'processed' && status !== 'reversed') return false;
+
+  payout.status = status;
+  payout.statusHistory.push({ status, source });
+  if (utr) payout.utr = utr;
+  if (failureReason) payout.failureReason = failureReason;
+
+  if (status === 'processed') {
+    payout.processedAt = new Date();
+    await payout.save();
+
+    await Transaction.updateOne({ _id: payout.withdrawal }, {
+      $set: {
+        status: 'completed',
+        'metadata.completedAt': payout.processedAt,
+        'metadata.utr': payout.utr
+      }
+    });
+
+    console.log(`Payout ${payout._id} processed for withdrawal ${payout.withdrawal}`);
+    notifyInBackground(payout.trainer, {
+      type: 'withdrawal_update',
+      title: 'Withdrawal paid',
+      body: `₹${payout.amount} has been sent to your account${payout.utr ? ` (UTR ${payout.utr})` : ''}.`,
+      link: '/trainer/wallet',
+      data: { withdrawalId: payout.withdrawal, status: 'completed' }
+    });
+    return true;
+  }
+
+  if (!FAILED_STATUSES.includes(status)) {
+    await payout.save();
+    return true;
+  }
+
+  // Failed, rejected or reversed: put the money back in the trainer's wallet
+  const reason = payout.failureReason || `Payout ${status}`;
+  await ledger.withTransaction(async(session) => {
+    const withdrawal = await Transaction.findById(payout.withdrawal).session(session);
+
+    withdrawal.status = 'failed';
+    withdrawal.metadata.payoutFailedAt = new Date();
+    withdrawal.metadata.payoutFailureReason = reason;
+    withdrawal.markModified('metadata');
+    await withdrawal.save({ session });
+
+    await ledger.refundWithdrawal({
+      withdrawal,
+      reason: `Payout ${status}: ${reason}`,
+      metadata: { payoutId: payout._id }
+    }, { session });
+
+    payout.refundedAt = new Date();
+    await payout.save({ session });
+  });
+
+  console.log(`Payout ${payout._id} ${status} (${reason}); withdrawal ${payout.withdrawal} refunded`);
+  notifyInBackground(payout.trainer, {
+    type: 'withdrawal_update',
+    title: 'Withdrawal failed',
+    body: `Your withdrawal of ₹${payout.amount} could not be paid (${reason}). The amount is back in your wallet.`,
+    link: '/trainer/wallet',
+    data: { withdrawalId: payout.withdrawal, status: 'failed' }
+  });
+  return true;
+};
+
+/**
+ * Send an approved withdrawal to the payout provider
+ * @param {object} withdrawal - Pending withdrawal Transaction
+ * @param {object} admin - Approving admin
+ * @returns {object} - The Payout document
+ */
+const startPayout = async (withdrawal, admin) => {
+  if (withdrawal.category !== 'withdrawal') {
+    throw new PayoutError('INVALID_TRANSACTION', 'Invalid transaction type');
+  }
+  if (withdrawal.status !== 'pending') {
+    throw new PayoutError('ALREADY_PROCESSED', 'Withdrawal already processed');
+  }
+
+  const provider = getPayoutProvider();
+  const { mode, destination } = await getDestination(withdrawal);
+
+  let payout = await Payout.findOne({ withdrawal: withdrawal._id });
+  if (payout && payout.status !== 'created') {
+    throw new PayoutError('ALREADY_STARTED', `Payout already ${payout.status}`);
+  }
+
+  if (!payout) {
+    try {
+      payout = await Payout.create({
+        withdrawal: withdrawal._id,
+        trainer: withdrawal.user,
+        provider: provider.name,
+        amount: withdrawal.realMoneyAmount || withdrawal.amount,
+        mode,
+        approvedBy: admin._id,
+        statusHistory: [{ status: 'created', source: 'api' }]
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new PayoutError('ALREADY_STARTED', 'Payout already started');
+      }
+      throw error;
+    }
+  }
+
+  let created;
+  try {
+    created = await provider.createPayout({
+      amount: payout.amount,
+      mode,
+      destination,
+      contact: {
+        id: withdrawal.user,
+        name: withdrawal.metadata.trainerName,
+        email: withdrawal.metadata.trainerEmail
+      },
+      referenceId: String(withdrawal._id),
+      // Same key on every retry, so the provider never pays twice
+      idempotencyKey: `payout_${withdrawal._id}`
+    });
+  } catch (error) {
+    if (isPermanentFailure(error)) {
+      payout.failureReason = error.message;
+      await applyStatusUpdate(payout, { status: 'rejected', failureReason: error.message }, 'api');
+      return payout;
+    }
+
+    payout.failureReason = error.message;
+    await payout.save();
+    throw new PayoutError('PROVIDER_UNAVAILABLE', `Payout provider unavailable: ${error.message}`);
+  }
+
+  await Transaction.updateOne({ _id: withdrawal._id }, {
+    $set: {
+      'metadata.payoutId': payout._id,
+      'metadata.approvedBy': admin._id,
+      'metadata.approvedAt': new Date()
+    }
+  });
+
+  try {
+    payout.providerPayoutId = created.id;
+    payout.approvedBy = admin._id;
+    payout.failureReason = undefined;
+    const changed = await applyStatusUpdate(payout, { status: created.status }, 'api');
+    if (!changed) await payout.save();
+  } catch (error) {
+    // A webhook got there first and already moved the payout on
+    if (error.name !== 'VersionError') throw error;
+    payout = await Payout.findById(payout._id);
+  }
+
+  if (provider.simulateOutcome) {
+    jobQueue.enqueue('payouts:mock-update', {
+      payoutId: payout._id,
+      update: provider.simulateOutcome({ destination })
+    }, {
+      runAt: new Date(Date.now() + MOCK_PAYOUT_DELAY_SECONDS * 1000),
+      key: `payouts:mock-update:${payout._id}`
+    });
+  }
+
+  return payout;
+};
+
+/**
+ * Drop a payout the provider never accepted, so the withdrawal can be rejected
+ */
+const cancelUnsentPayout = async (withdrawalId) => {
+  const payout = await Payout.findOne({ withdrawal: withdrawalId });
+  if (!payout) return;
+
+  if (payout.status !== 'created') {
+    throw new PayoutError('ALREADY_STARTED', `Payout already ${payout.status}`);
+  }
+
+  payout.status = 'cancelled';
+  payout.statusHistory.push({ status: 'cancelled', source: 'api' });
+  await payout.save();
+};
+
+const applyPayoutWebhook = async (provider, update) => {
+  // The webhook can arrive before the approval request has stored the payout id
+  const payout = await Payout.findOne({ providerPayoutId: update.payoutId }) ||
+    (update.referenceId && mongoose.Types.ObjectId.isValid(update.referenceId)
+      ? await Payout.findOne({ withdrawal: update.referenceId, provider: provider.name })
+      : null);
+  if (!payout) {
+    return { status: 'ignored', result: { reason: 'Unknown payout', payoutId: update.payoutId } };
+  }
+
+  if (!payout.providerPayoutId) {
+    payout.providerPayoutId = update.payoutId;
+  }
+  const changed = await applyStatusUpdate(payout, update, 'webhook');
+  return { status: changed ? 'processed' : 'ignored', result: { payoutId: payout._id, status: payout.status } };
+};
+
+const applyValidationWebhook = async (update) => {
+  const applied = await handleVerificationUpdate(update);
+  return {
+    status: applied ? 'processed' : 'ignored',
+    result: { reference: update.reference, status: update.status }
+  };
+};
+
+/**
+ * Process a verified payout provider webhook (payout status or penny-drop
+ * result) once per event id
+ * @param {object} body - Parsed webhook body
+ * @param {string} eventId - Provider event id header
+ * @returns {object} - { duplicate, status, result }
+ */
+const handlePayoutWebhook = (body, eventId) => {
+  const provider = getPayoutProvider();
+  const update = provider.parseWebhook(body);
+
+  let handler = null;
+  if (update && update.kind === 'payout') {
+    handler = () => applyPayoutWebhook(provider, update);
+  } else if (update && update.kind === 'account_validation') {
+    handler = () => applyValidationWebhook(update);
+  }
+
+  return processOnce({
+    provider: provider.name,
+    eventId,
+    event: body.event,
+    payload: body.payload
+  }, handler);
+};
+
+const applyMockUpdate = async ({ payoutId, update }) => {
+  const payout = await Payout.findById(payoutId);
+  if (payout) {
+    await applyStatusUpdate(payout, update, 'mock');
+  }
+};
+
+const registerPayoutJobs = () => {
+  jobQueue.registerHandler('payouts:mock-update', applyMockUpdate);
+};
+
+module.exports = {
+  PayoutError,
+  getDestination,
+  startPayout,
+  cancelUnsentPayout,
+  applyStatusUpdate,
+  handlePayoutWebhook,
+  registerPayoutJobs
+};
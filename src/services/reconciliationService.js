@@ -0,0 +1,257 @@
+/**
+ * Payment Reconciliation Service
+ * Checks UpCoin payments that never left created/pending against Razorpay:
+ * captured orders are credited, orders that were never paid are failed once
+ * they expire, and anything inconsistent is flagged for an admin.
+ */
+
+const Payment = require('../models/Payment');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const jobQueue = require('./jobQueue');
+const { registerScanner } = require('./lectureScheduler');
+const { completePayment } = require('./paymentService');
+const { releaseReservation } = require('./couponService');
+const { razorpayInstance } = require('../config/razorpay');
+const {
+  RECONCILE_AFTER_MINUTES,
+  RECONCILE_EXPIRE_HOURS,
+  RECONCILE_INTERVAL_MINUTES,
+  RECONCILE_BATCH_SIZE,
+  RAZORPAY_API_URL
+} = require('../config/reconciliation');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Razorpay client over plain HTTP, for a local stand-in that speaks the
+ * /v1/orders API (see scripts/razorpayStandIn.js)
+ */
+const createHttpGateway = (baseUrl, { keyId, keySecret } = {}) => {
+  const authorization = `Basic ${Buffer.from(`${keyId || ''}:${keySecret || ''}`).toString('base64')}`;
+
+  const request = async (path) => {
+    const response = await fetch(new URL(path, baseUrl), { headers: { Authorization: authorization } });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error((body.error && body.error.description) || `Razorpay responded with ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return body;
+  };
+
+  return {
+    fetchOrder: (orderId) => request(`/v1/orders/${orderId}`),
+    fetchOrderPayments: async (orderId) => (await request(`/v1/orders/${orderId}/payments`)).items || []
+  };
+};
+
+const getDefaultGateway = () => {
+  if (RAZORPAY_API_URL) {
+    return createHttpGateway(RAZORPAY_API_URL, {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+
+  return {
+    fetchOrder: (orderId) => razorpayInstance.orders.fetch(orderId),
+    fetchOrderPayments: async (orderId) => (await razorpayInstance.orders.fetchPayments(orderId)).items || []
+  };
+};
+
+/**
+ * What to do with a stale payment given what Razorpay reports
+ * @param {object} payment - Payment document
+ * @param {object} order - Razorpay order, or null when Razorpay does not know it
+ * @param {Array} attempts - Razorpay payments made against the order
+ * @param {Date} now
+ * @returns {object} - { outcome: settled|failed|mismatch|waiting, detail, razorpayPayment }
+ */
+const decide = (payment, order, attempts, now = new Date()) => {
+  if (!order) {
+    return { outcome: 'mismatch', detail: 'Order not found at Razorpay' };
+  }
+
+  const expected = Math.round(payment.amount * 100);
+  const captured = attempts.filter(attempt => attempt.status === 'captured');
+
+  if (captured.length > 1) {
+    return { outcome: 'mismatch', detail: `Order has ${captured.length} captured payments` };
+  }
+
+  if (captured.length === 1) {
+    if (Number(captured[0].amount) !== expected) {
+      return {
+        outcome: 'mismatch',
+        detail: `Captured ${captured[0].amount} paise, expected ${expected}`
+      };
+    }
+    return { outcome: 'settled', detail: `Captured as ${captured[0].id}`, razorpayPayment: captured[0] };
+  }
+
+  if (order.status === 'paid') {
+    return { outcome: 'mismatch', detail: 'Order is paid but has no captured payment' };
+  }
+
+  if (attempts.some(attempt => attempt.status === 'authorized')) {
+    return { outcome: 'waiting', detail: 'Payment authorized, awaiting capture' };
+  }
+
+  if (now - payment.createdAt >= RECONCILE_EXPIRE_HOURS * 60 * MINUTE) {
+    const lastFailure = attempts.filter(attempt => attempt.error_description).pop();
+    return {
+      outcome: 'failed',
+      detail: lastFailure ? lastFailure.error_description : 'Order was never paid'
+    };
+  }
+
+  return { outcome: 'waiting', detail: attempts.length > 0 ? 'Payment attempts failed so far' : 'Order not paid yet' };
+};
+
+const fetchFromGateway = async (gateway, orderId) => {
+  try {
+    const order = await gateway.fetchOrder(orderId);
+    const attempts = await gateway.fetchOrderPayments(orderId);
+    return { order, attempts };
+  } catch (error) {
+    // Razorpay answers 400 for ids it does not know
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return { order: null, attempts: [] };
+    }
+    throw error;
+  }
+};
+
+const applyDecision = async (payment, decision, order, now) => {
+  const previous = payment.reconciliation || {};
+  const reconciliation = {
+    'reconciliation.checkedAt': now,
+    'reconciliation.razorpayStatus': order ? order.status : 'missing',
+    'reconciliation.outcome': decision.outcome
+  };
+
+  if (decision.outcome === 'settled') {
+    await completePayment(payment, {
+      razorpayOrderId: decision.razorpayPayment.order_id,
+      razorpayPaymentId: decision.razorpayPayment.id,
+      paymentMethod: decision.razorpayPayment.method
+    });
+    await Payment.updateOne({ _id: payment._id }, { $set: reconciliation });
+    return;
+  }
+
+  if (decision.outcome === 'failed') {
+    const result = await Payment.updateOne(
+      { _id: payment._id, status: { $in: ['created', 'pending'] } },
+      { $set: { status: 'failed', failureReason: decision.detail, completedAt: now, ...reconciliation } }
+    );
+    if (result.modifiedCount > 0) {
+      await releaseReservation(payment._id);
+    }
+    return;
+  }
+
+  if (decision.outcome === 'mismatch') {
+    reconciliation['reconciliation.issue'] = decision.detail;
+    reconciliation['reconciliation.flaggedAt'] = previous.flaggedAt || now;
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { $set: reconciliation });
+};
+
+/**
+ * Reconcile stale payments against Razorpay
+ * @param {object} options - { trigger, triggeredBy, dryRun, gateway, now, olderThanMinutes, limit }
+ * @returns {object} - Run summary; dry runs report decisions without changing
+ *   anything and are not stored
+ */
+const reconcilePayments = async ({
+  trigger = 'schedule',
+  triggeredBy,
+  dryRun = false,
+  gateway = getDefaultGateway(),
+  now = new Date(),
+  olderThanMinutes = RECONCILE_AFTER_MINUTES,
+  limit = RECONCILE_BATCH_SIZE
+} = {}) => {
+  const run = new ReconciliationRun({ trigger, triggeredBy, dryRun, startedAt: now });
+
+  const payments = await Payment.find({
+    status: { $in: ['created', 'pending'] },
+    createdAt: { $lt: new Date(now.getTime() - olderThanMinutes * MINUTE) },
+    'reconciliation.reviewedAt': null
+  })
+    .sort({ 'reconciliation.checkedAt': 1, createdAt: 1 })
+    .limit(limit);
+
+  const counters = { settled: 'settled', failed: 'failed', mismatch: 'mismatched', waiting: 'waiting' };
+
+  for (const payment of payments) {
+    run.checked += 1;
+    try {
+      const { order, attempts } = await fetchFromGateway(gateway, payment.razorpayOrderId);
+      const decision = decide(payment, order, attempts, now);
+
+      if (!dryRun) {
+        await applyDecision(payment, decision, order, now);
+      }
+
+      run[counters[decision.outcome]] += 1;
+      run.results.push({
+        payment: payment._id,
+        orderId: payment.razorpayOrderId,
+        outcome: decision.outcome,
+        detail: decision.detail
+      });
+    } catch (error) {
+      run.errored += 1;
+      run.results.push({
+        payment: payment._id,
+        orderId: payment.razorpayOrderId,
+        outcome: 'error',
+        detail: error.message
+      });
+      console.error(`Reconciliation of payment ${payment._id} failed:`, error.message);
+    }
+  }
+
+  run.finishedAt = new Date();
+  if (!dryRun) {
+    await run.save();
+  }
+
+  if (run.checked > 0) {
+    console.log(`Payment reconciliation${dryRun ? ' (dry run)' : ''}: ${run.checked} checked, ${run.settled} settled, ${run.failed} failed, ${run.mismatched} mismatched, ${run.waiting} waiting, ${run.errored} errors`);
+  }
+
+  return run.toObject();
+};
+
+/**
+ * Queue a reconciliation when the last scheduled one is old enough
+ */
+const scanReconciliation = async (now = new Date()) => {
+  const last = await ReconciliationRun.findOne({ trigger: 'schedule' })
+    .sort({ startedAt: -1 })
+    .select('startedAt');
+
+  if (last && now - last.startedAt < RECONCILE_INTERVAL_MINUTES * MINUTE) {
+    return;
+  }
+
+  jobQueue.enqueue('payments:reconcile', {}, { key: 'payments:reconcile' });
+};
+
+const registerReconciliationJobs = () => {
+  jobQueue.registerHandler('payments:reconcile', () => reconcilePayments({ trigger: 'schedule' }), { maxAttempts: 1 });
+  registerScanner('reconciliation', scanReconciliation);
+};
+
+module.exports = {
+  createHttpGateway,
+  decide,
+  reconcilePayments,
+  scanReconciliation,
+  registerReconciliationJobs
+};
@@ -0,0 +1,179 @@
+/**
+ * Enrollment Refund Service
+ * Decides how much of an enrollment is refundable and reverses it through the
+ * ledger: the student is credited, the trainer's share and the platform fee
+ * are clawed back proportionally. A trainer share that is still on hold is
+ * taken from the hold; one already released comes out of their wallet.
+ */
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const EarningsHold = require('../models/EarningsHold');
+const ledger = require('./ledgerService');
+const {
+  FULL_REFUND_CUTOFF_HOURS,
+  PARTIAL_REFUND_TIERS,
+  FULL_REFUND_REASONS
+} = require('../config/refundPolicy');
+
+/**
+ * Work out the refund percentage for a lecture
+ * @param {object} lecture - Lecture document
+ * @param {object} options - { reason, now }
+ * @returns {object} - { percentage, hoursBefore, policy }
+ */
+const getRefundPolicy = (lecture, { reason = 'unenrolled', now = new Date() } = {}) => {
+  const hoursBefore = (new Date(lecture.scheduledAt).getTime() - now.getTime()) / (1000 * 3600);
+
+  if (FULL_REFUND_REASONS.includes(reason)) {
+    return { percentage: 100, hoursBefore, policy: reason };
+  }
+
+  if (hoursBefore >= FULL_REFUND_CUTOFF_HOURS) {
+    return { percentage: 100, hoursBefore, policy: 'before_cutoff' };
+  }
+
+  if (hoursBefore > 0) {
+    const tier = PARTIAL_REFUND_TIERS.find(t => hoursBefore >= t.minHoursBefore);
+    if (tier) {
+      return { percentage: tier.percentage, hoursBefore, policy: 'partial' };
+    }
+  }
+
+  return { percentage: 0, hoursBefore, policy: 'no_refund' };
+};
+
+/**
+ * Latest enrollment charge for a student that has not been refunded yet
+ */
+const findEnrollmentCharge = (lectureId, studentId, session) => {
+  return Transaction.findOne({
+    user: studentId,
+    relatedLecture: lectureId,
+    category: 'lecture_enrollment',
+    type: 'debit',
+    status: 'completed',
+    'metadata.refundedAt': { $exists: false }
+  }).sort({ createdAt: -1 }).session(session || null);
+};
+
+/**
+ * Refund one student's enrollment. Joins the caller's session when given.
+ * @param {object} params - { lecture, studentId, reason, percentage, note }
+ *   percentage overrides the policy (admin decisions, cancellations).
+ * @returns {object} - { refunded, refundAmount, percentage, policy, transaction }
+ */
+const refundEnrollment = async ({ lecture, studentId, reason = 'unenrolled', percentage, note }, options = {}) => {
+  const run = async (session) => {
+    const charge = await findEnrollmentCharge(lecture._id, studentId, session);
+    if (!charge) {
+      return { refunded: false, refundAmount: 0, percentage: 0, policy: 'no_charge' };
+    }
+
+    const decided = percentage !== undefined
+      ? { percentage, policy: reason }
+      : getRefundPolicy(lecture, { reason });
+
+    const refundAmount = Math.floor((charge.amount * decided.percentage) / 100);
+    if (refundAmount <= 0) {
+      return { refunded: false, refundAmount: 0, percentage: decided.percentage, policy: decided.policy };
+    }
+
+    const trainerId = charge.metadata.trainerId || lecture.trainer._id || lecture.trainer;
+    const originalFee = Number(charge.metadata.platformFee || 0);
+    const feeRefund = Math.floor((originalFee * decided.percentage) / 100);
+    // The trainer was paid on the full price, so a coupon's share goes back to promotions
+    const promotionRefund = Math.floor((Number(charge.metadata.couponDiscount || 0) * decided.percentage) / 100);
+    const trainerShare = refundAmount + promotionRefund - feeRefund;
+
+    // Earnings not yet released are reversed from the hold first
+    const hold = await EarningsHold.findOne({ chargeTransaction: charge._id, status: 'held' }).session(session);
+    const fromHold = hold ? Math.min(trainerShare, hold.amount) : 0;
+
+    // Claw back what the trainer still holds; the platform advances the rest
+    const trainer = await User.findById(trainerId).session(session).select('walletBalance');
+    const fromTrainer = Math.min(trainerShare - fromHold, trainer ? trainer.walletBalance : 0);
+    const advanced = trainerShare - fromHold - fromTrainer;
+
+    const result = await ledger.post({
+      category: 'refund',
+      description: `Refund for "${lecture.title}" (${decided.percentage}%)`,
+      reference: `refund_enrollment_${charge._id}`,
+      idempotencyKey: `refund_enrollment_${charge._id}`,
+      relatedLecture: lecture._id,
+      metadata: {
+        reason,
+        note,
+        percentage: decided.percentage,
+        originalTransaction: charge._id,
+        fromHeldEarnings: fromHold,
+        advancedForTrainer: advanced
+      },
+      lines: [
+        {
+          user: studentId,
+          type: 'credit',
+          amount: refundAmount,
+          metadata: {
+            lectureTitle: lecture.title,
+            originalTransaction: charge._id,
+            reason,
+            percentage: decided.percentage
+          }
+        },
+        trainer ? {
+          user: trainerId,
+          type: 'debit',
+          amount: fromTrainer,
+          description: `Refund clawback for "${lecture.title}"`,
+          metadata: {
+            lectureTitle: lecture.title,
+            studentId,
+            originalTransaction: charge._id,
+            reason
+          }
+        } : null,
+        { account: ledger.SYSTEM_ACCOUNTS.EARNINGS_HELD, type: 'debit', amount: fromHold },
+        { account: ledger.SYSTEM_ACCOUNTS.TRAINER_RECEIVABLES, type: 'debit', amount: advanced },
+        { account: ledger.SYSTEM_ACCOUNTS.PLATFORM_FEES, type: 'debit', amount: feeRefund },
+        { account: ledger.SYSTEM_ACCOUNTS.PROMOTIONS, type: 'credit', amount: promotionRefund }
+      ].filter(Boolean)
+    }, { session });
+
+    if (hold && fromHold > 0) {
+      hold.amount -= fromHold;
+      hold.refundedAmount += fromHold;
+      if (hold.amount === 0) hold.status = 'reversed';
+      await hold.save({ session });
+    }
+
+    await Transaction.updateOne({ _id: charge._id }, {
+      $set: {
+        'metadata.refundedAt': new Date(),
+        'metadata.refundedAmount': refundAmount,
+        'metadata.refundTransaction': result.entry._id
+      }
+    }, { session });
+
+    const transaction = result.transactions.find(tx => tx.user.toString() === studentId.toString());
+
+    return {
+      refunded: true,
+      refundAmount,
+      percentage: decided.percentage,
+      policy: decided.policy,
+      transaction
+    };
+  };
+
+  if (options.session) {
+    return run(options.session);
+  }
+  return ledger.withTransaction(run);
+};
+
+module.exports = {
+  getRefundPolicy,
+  findEnrollmentCharge,
+  refundEnrollment
+};
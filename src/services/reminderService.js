@@ -0,0 +1,178 @@
+/**
+ * Lecture Reminder Service
+ * Emails enrolled students and the trainer at configured offsets before a
+ * lecture starts, with a calendar invite and the join link. Every delivery is
+ * recorded so a restart never sends the same reminder twice.
+ */
+
+const Lecture = require('../models/Lecture');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const jobQueue = require('./jobQueue');
+const { registerScanner } = require('./lectureScheduler');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { createEvent } = require('../utils/ics');
+const { LECTURE_REMINDER_OFFSETS } = require('../config/reminders');
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * The reminder offset that applies right now: the smallest configured offset
+ * the lecture is already inside. Lectures created or enrolled in late only get
+ * the reminder that is currently due, not every one they missed.
+ */
+const getDueOffset = (lecture, now = new Date()) => {
+  const minutesLeft = (new Date(lecture.scheduledAt).getTime() - now.getTime()) / (60 * 1000);
+  if (minutesLeft <= 0) return null;
+  const offset = LECTURE_REMINDER_OFFSETS.find(o => minutesLeft <= o);
+  return offset === undefined ? null : offset;
+};
+
+const formatStartsIn = (minutes) => {
+  if (minutes >= 120) return `in about ${Math.round(minutes / 60)} hours`;
+  if (minutes >= 60) return 'in about an hour';
+  return `in ${Math.max(1, Math.round(minutes))} minutes`;
+};
+
+const buildInvite = (lecture, joinLink) => ({
+  filename: 'lecture.ics',
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+  content: createEvent({
+    uid: `lecture-${lecture._id}@upscholar.com`,
+    start: lecture.scheduledAt,
+    durationMinutes: lecture.duration,
+    title: lecture.title,
+    description: `${lecture.description}\n\nJoin: ${joinLink}`,
+    url: joinLink,
+    organizerName: `${lecture.trainer.firstname} ${lecture.trainer.lastname}`,
+    organizerEmail: lecture.trainer.email
+  })
+});
+
+/**
+ * Claim a delivery before sending it. Returns null when it was already sent
+ * or has used up its attempts.
+ */
+const claimDelivery = async (lectureId, recipientId, offsetMinutes) => {
+  try {
+    return await ReminderDelivery.findOneAndUpdate(
+      {
+        lecture: lectureId,
+        recipient: recipientId,
+        offsetMinutes,
+        status: { $ne: 'sent' },
+        attempts: { $lt: MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 }, $set: { status: 'pending' } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Duplicate key: the existing delivery did not match, so it is done
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Send one reminder round for a lecture to everyone who has not had it yet
+ * @param {object} data - { lectureId, offsetMinutes }
+ * @returns {object} - { sent, failed }
+ */
+const sendLectureReminders = async ({ lectureId, offsetMinutes }) => {
+  const lecture = await Lecture.findById(lectureId)
+    .populate('trainer', 'firstname lastname email')
+    .populate('enrolledStudents.student', 'firstname lastname email');
+
+  if (!lecture || lecture.status !== 'scheduled' || !lecture.trainer) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const done = await ReminderDelivery.find({
+    lecture: lecture._id,
+    offsetMinutes,
+    $or: [{ status: 'sent' }, { attempts: { $gte: MAX_ATTEMPTS } }]
+  }).distinct('recipient');
+  const doneIds = new Set(done.map(id => id.toString()));
+
+  const recipients = [
+    { user: lecture.trainer, isTrainer: true },
+    ...lecture.enrolledStudents
+      .filter(e => e.student)
+      .map(e => ({ user: e.student, isTrainer: false }))
+  ].filter(r => !doneIds.has(r.user._id.toString()));
+
+  if (recipients.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const joinLink = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/meeting/${lecture._id}`;
+  const minutesLeft = (lecture.scheduledAt.getTime() - Date.now()) / (60 * 1000);
+  const startsIn = formatStartsIn(minutesLeft);
+  const invite = buildInvite(lecture, joinLink);
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const { user, isTrainer } of recipients) {
+    const delivery = await claimDelivery(lecture._id, user._id, offsetMinutes);
+    if (!delivery) continue;
+
+    const template = emailTemplates.lectureReminder(user.firstname, lecture, { joinLink, startsIn, isTrainer });
+    const result = await sendEmail(user.email, { ...template, attachments: [invite] });
+
+    if (result.success) {
+      await ReminderDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'sent', sentAt: new Date() },
+        $unset: { error: 1 }
+      });
+      sent++;
+    } else {
+      await ReminderDelivery.updateOne({ _id: delivery._id }, {
+        $set: { status: 'failed', error: result.error }
+      });
+      failed++;
+    }
+  }
+
+  if (sent > 0 || failed > 0) {
+    console.log(`Reminders for lecture ${lecture._id} (${offsetMinutes} min): ${sent} sent, ${failed} failed`);
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Queue reminder jobs for lectures inside a reminder window
+ */
+const scanReminders = async (now = new Date()) => {
+  if (LECTURE_REMINDER_OFFSETS.length === 0) return;
+
+  const largestOffset = LECTURE_REMINDER_OFFSETS[LECTURE_REMINDER_OFFSETS.length - 1];
+  const lectures = await Lecture.find({
+    status: 'scheduled',
+    scheduledAt: { $gt: now, $lte: new Date(now.getTime() + largestOffset * 60 * 1000) }
+  }).select('_id scheduledAt');
+
+  lectures.forEach(lecture => {
+    const offsetMinutes = getDueOffset(lecture, now);
+    if (offsetMinutes === null) return;
+
+    jobQueue.enqueue('lecture:reminders', { lectureId: lecture._id, offsetMinutes }, {
+      key: `lecture:reminders:${lecture._id}:${offsetMinutes}`
+    });
+  });
+};
+
+/**
+ * Hook reminders into the lecture scheduler. Call before startScheduler().
+ */
+const registerReminderJobs = () => {
+  jobQueue.registerHandler('lecture:reminders', sendLectureReminders);
+  registerScanner('reminders', scanReminders);
+};
+
+module.exports = {
+  getDueOffset,
+  sendLectureReminders,
+  scanReminders,
+  registerReminderJobs
+};
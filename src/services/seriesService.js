@@ -0,0 +1,241 @@
+/**
+ * Lecture Series Service
+ * Generates the lectures of a recurring series, applies series-wide edits and
+ * cancellations to future occurrences, and enrolls students in every
+ * remaining occurrence at the prorated bundle price.
+ */
+
+const Lecture = require('../models/Lecture');
+const LectureSeries = require('../models/LectureSeries');
+const ledger = require('./ledgerService');
+const { countWaiting } = require('./waitlistService');
+const { cancelLecture, checkCanCancel } = require('./cancellationService');
+const { generateOccurrences, changeTimeOfDay } = require('../utils/recurrence');
+
+// Fields copied from the series onto each occurrence
+const SHARED_FIELDS = ['title', 'description', 'category', 'tags', 'price', 'duration', 'maxStudents', 'meetingLink'];
+
+class SeriesError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SeriesError';
+    this.code = code;
+  }
+}
+
+/**
+ * Occurrences that have not happened yet and can still change
+ */
+const findUpcomingLectures = (seriesId, now = new Date(), extra = {}) => {
+  return Lecture.find({
+    series: seriesId,
+    status: { $in: ['pending', 'scheduled'] },
+    scheduledAt: { $gt: now },
+    ...extra
+  }).sort({ scheduledAt: 1 });
+};
+
+/**
+ * Create a series and one pending lecture per occurrence
+ * @param {object} data - Series fields including recurrence (already validated)
+ * @param {object} trainer - User document
+ * @returns {object} - { series, lectures }
+ */
+const createSeries = async (data, trainer) => {
+  const now = new Date();
+  const dates = generateOccurrences(data.recurrence).filter(date => date > now);
+  if (dates.length === 0) {
+    throw new SeriesError('NO_OCCURRENCES', 'The recurrence rule has no occurrences in the future');
+  }
+
+  const series = new LectureSeries({
+    ...data,
+    trainer: trainer._id,
+    totalOccurrences: dates.length
+  });
+  await series.validate();
+
+  const lectureData = dates.map((scheduledAt, index) => {
+    const lecture = { trainer: trainer._id, series: series._id, seriesIndex: index + 1, scheduledAt };
+    SHARED_FIELDS.forEach(field => {
+      if (data[field] !== undefined) lecture[field] = data[field];
+    });
+    return lecture;
+  });
+
+  await ledger.withTransaction(async(session) => {
+    await series.save({ session });
+    await Lecture.insertMany(lectureData, { session });
+  });
+
+  const lectures = await Lecture.find({ series: series._id }).sort({ scheduledAt: 1 });
+  return { series, lectures };
+};
+
+/**
+ * Apply an edit to the series and every upcoming occurrence. A new `time`
+ * moves each occurrence to that time of day on its original date.
+ * @param {object} series - LectureSeries document
+ * @param {object} updates - Any of SHARED_FIELDS, bundlePrice and time
+ * @returns {number} - Number of occurrences updated
+ */
+const updateSeries = async (series, updates) => {
+  SHARED_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) series[field] = updates[field];
+  });
+  if (updates.bundlePrice !== undefined) series.bundlePrice = updates.bundlePrice;
+  if (updates.time) series.recurrence.time = updates.time;
+  await series.validate();
+
+  const now = new Date();
+  const lectures = await findUpcomingLectures(series._id, now);
+
+  for (const lecture of lectures) {
+    SHARED_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) lecture[field] = updates[field];
+    });
+    if (updates.time) {
+      lecture.scheduledAt = changeTimeOfDay(lecture.scheduledAt, updates.time, series.recurrence.utcOffset);
+      if (lecture.scheduledAt <= now) {
+        throw new SeriesError('INVALID_TIME', `Session ${lecture.seriesIndex} would move into the past`);
+      }
+    }
+  }
+
+  await ledger.withTransaction(async(session) => {
+    await series.save({ session });
+    for (const lecture of lectures) {
+      await lecture.save({ session });
+    }
+  });
+
+  return lectures.length;
+};
+
+/**
+ * Cancel the series and every upcoming occurrence the user may cancel.
+ * Occurrences inside the trainer's cancellation cutoff are left as they are.
+ * @returns {object} - { cancelled, skipped, refunds }
+ */
+const cancelSeries = async (series, { user, reason }) => {
+  const lectures = await findUpcomingLectures(series._id);
+
+  const cancelled = [];
+  const skipped = [];
+  const refunds = [];
+
+  for (const lecture of lectures) {
+    const check = checkCanCancel(lecture, user);
+    if (!check.allowed) {
+      skipped.push({ lectureId: lecture._id, scheduledAt: lecture.scheduledAt, reason: check.message });
+      continue;
+    }
+
+    const result = await cancelLecture(lecture, { cancelledBy: user._id, reason });
+    cancelled.push(lecture._id);
+    refunds.push(...result.refunds.map(refund => ({ lectureId: lecture._id, ...refund })));
+  }
+
+  series.status = 'cancelled';
+  series.cancelledAt = new Date();
+  series.cancelledBy = user._id;
+  series.cancellationReason = reason;
+  await series.save();
+
+  return { cancelled, skipped, refunds };
+};
+
+/**
+ * Split an amount across n parts as evenly as whole UpCoins allow
+ */
+const splitAmount = (amount, parts) => {
+  const base = Math.floor(amount / parts);
+  const remainder = amount - base * parts;
+  return Array.from({ length: parts }, (_, i) => base + (i < remainder ? 1 : 0));
+};
+
+/**
+ * What a student would pay to join the series now: the bundle price prorated
+ * over the occurrences that are still open, less any they already bought.
+ * @returns {object} - { lectures, amount, shares }
+ */
+const quoteEnrollment = async (series, studentId) => {
+  const open = await findUpcomingLectures(series._id, new Date(), { status: 'scheduled' });
+  const lectures = open.filter(lecture =>
+    !lecture.enrolledStudents.some(e => e.student && e.student.toString() === studentId.toString())
+  );
+
+  if (lectures.length === 0) {
+    return { lectures, amount: 0, shares: [] };
+  }
+
+  const amount = Math.round(series.bundlePrice * lectures.length / series.totalOccurrences);
+  return { lectures, amount, shares: splitAmount(amount, lectures.length) };
+};
+
+/**
+ * Enroll a student in every remaining occurrence. Each occurrence is charged
+ * its share of the bundle as a normal enrollment, so per-lecture refunds and
+ * cancellations keep working unchanged.
+ * @param {object} series - LectureSeries document
+ * @param {object} student - User document
+ * @param {object} options - { feePercentage }
+ * @returns {object} - { amount, lectures, walletBalance }
+ */
+const enrollInSeries = async (series, student, { feePercentage }) => {
+  const { lectures, amount, shares } = await quoteEnrollment(series, student._id);
+
+  if (lectures.length === 0) {
+    throw new SeriesError('NO_OCCURRENCES', 'There are no upcoming sessions left to enroll in');
+  }
+
+  // Seats that free up belong to each session's waitlist first
+  for (const lecture of lectures) {
+    const waiting = await countWaiting(lecture._id);
+    if (lecture.isFull || lecture.enrolledStudents.length + waiting >= lecture.maxStudents) {
+      throw new SeriesError('SESSION_FULL', `Session ${lecture.seriesIndex} of this series is full`);
+    }
+  }
+
+  let walletBalance = student.walletBalance;
+
+  await ledger.withTransaction(async(session) => {
+    for (let i = 0; i < lectures.length; i++) {
+      const lecture = lectures[i];
+
+      // A share can round down to nothing on a very cheap bundle
+      if (shares[i] > 0) {
+        const charge = await ledger.chargeEnrollment({
+          student,
+          lecture,
+          amount: shares[i],
+          feePercentage,
+          metadata: { seriesId: series._id, bundle: true }
+        }, { session });
+        walletBalance = charge.studentTransaction.balanceAfter;
+      }
+
+      // Another enrollment may have taken the last seat since the check above
+      const seated = await Lecture.takeSeat(lecture._id, student._id, { session });
+      if (!seated) {
+        throw new SeriesError('SESSION_FULL', `Session ${lecture.seriesIndex} of this series is no longer available`);
+      }
+    }
+
+    await LectureSeries.updateOne({ _id: series._id }, {
+      $push: { enrolledStudents: { student: student._id, enrolledAt: new Date(), amountPaid: amount } }
+    }, { session });
+  });
+
+  return { amount, lectures: lectures.map(lecture => lecture._id), walletBalance };
+};
+
+module.exports = {
+  SeriesError,
+  findUpcomingLectures,
+  createSeries,
+  updateSeries,
+  cancelSeries,
+  quoteEnrollment,
+  enrollInSeries
+};
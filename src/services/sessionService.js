@@ -0,0 +1,153 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens with a rotating refresh token per device,
+ * and revokes sessions on logout, password changes and suspension.
+ */
+
+const crypto = require('crypto');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const { generateToken, getAccountRestriction, ACCESS_TOKEN_TTL } = require('../middleware/auth');
+const { getClientIP } = require('./otpService');
+require('dotenv').config();
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const tokenResponse = (userId, session, secret) => ({
+  token: generateToken(userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+/**
+ * Start a session for a user on the requesting device
+ * @param {object} user - User document
+ * @param {object} req - Express request (user agent, IP, optional body.deviceName)
+ * @returns {object} - { token, refreshToken, expiresIn, sessionId }
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: req.body && req.body.deviceName,
+    userAgent: req.get('user-agent'),
+    ipAddress: getClientIP(req),
+    expiresAt: refreshExpiry()
+  });
+
+  return tokenResponse(user._id, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * A refresh token that was already rotated out revokes the whole session.
+ * @returns {object} - { success, status, message } or { success, tokens }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, status: 401, message: 'Invalid refresh token' };
+  }
+
+  const hash = hashToken(parsed.secret);
+  const secret = newSecret();
+  const session = await AuthSession.findOneAndUpdate({
+    _id: parsed.sessionId,
+    refreshTokenHash: hash,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }, {
+    $set: {
+      refreshTokenHash: hashToken(secret),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      ipAddress: getClientIP(req),
+      expiresAt: refreshExpiry()
+    }
+  }, { new: true });
+
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate({
+      _id: parsed.sessionId,
+      previousTokenHash: hash,
+      revokedAt: null
+    }, {
+      $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+    });
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+    }
+    return { success: false, status: 401, message: 'Session expired or revoked. Please log in again.' };
+  }
+
+  const user = await User.findById(session.user).select('status isApproved');
+  if (!user || getAccountRestriction(user)) {
+    await revokeSession(session._id, 'account_suspended');
+    return { success: false, status: 403, message: 'Your account is not active' };
+  }
+
+  return { success: true, tokens: tokenResponse(session.user, session, secret) };
+};
+
+/**
+ * Revoke one session
+ * @returns {boolean} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await AuthSession.updateOne(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const result = await AuthSession.updateMany({ user: userId, revokedAt: null }, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Active sessions of a user, newest first
+ */
+const listSessions = (userId) => {
+  return AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('deviceName userAgent ipAddress lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,204 @@
+/**
+ * Settings Service
+ * Runtime-editable pricing settings backed by the settings collection, with
+ * the constants in config/razorpay.js as defaults. Values are cached briefly;
+ * every change is recorded in the settings history.
+ */
+
+const Setting = require('../models/Setting');
+const SettingChange = require('../models/SettingChange');
+const { SETTING_DEFINITIONS, SETTINGS_CACHE_SECONDS } = require('../config/settings');
+
+const cache = new Map();
+
+class SettingsError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SettingsError';
+    this.code = code;
+  }
+}
+
+const cacheKey = (key, trainerId) => `${key}:${trainerId || ''}`;
+
+const getDefinition = (key) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw new SettingsError('UNKNOWN_SETTING', `Unknown setting "${key}"`);
+  }
+  return definition;
+};
+
+// Stored value for a key (and trainer), or undefined when none is stored
+const loadStored = async (key, trainerId = null) => {
+  const id = cacheKey(key, trainerId);
+  const cached = cache.get(id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const doc = await Setting.findOne({ key, trainer: trainerId || null }).lean();
+  const value = doc ? doc.value : undefined;
+  cache.set(id, { value, expiresAt: Date.now() + SETTINGS_CACHE_SECONDS * 1000 });
+  return value;
+};
+
+/**
+ * Current value of a setting. For overridable settings a trainer's own value
+ * wins over the platform-wide one.
+ * @param {string} key - Key from SETTING_DEFINITIONS
+ * @param {object} options - { trainerId }
+ */
+const getSetting = async (key, { trainerId } = {}) => {
+  const definition = getDefinition(key);
+
+  if (trainerId && definition.trainerOverride) {
+    const override = await loadStored(key, trainerId);
+    if (override !== undefined) return override;
+  }
+
+  const stored = await loadStored(key);
+  return stored !== undefined ? stored : definition.default;
+};
+
+// Fill in derived package fields so clients always get the same shape
+const normalizePackages = (packages) => packages.map(pkg => ({
+  discount: 0,
+  popular: false,
+  savings: pkg.bonusCoins || 0,
+  badge: null,
+  ...pkg,
+  bonusCoins: pkg.bonusCoins || 0,
+  totalCoins: pkg.upcoins + (pkg.bonusCoins || 0)
+}));
+
+const getUpcoinPackages = async () => normalizePackages(await getSetting('upcoin_packages'));
+
+const findPackage = async (packageId) => {
+  const packages = await getUpcoinPackages();
+  return packages.find(pkg => pkg.id === packageId) || null;
+};
+
+/**
+ * Platform fee for an enrollment in a trainer's lecture
+ */
+const getPlatformFeePercentage = (trainerId) => {
+  return getSetting('platform_fee_percentage', { trainerId: trainerId && (trainerId._id || trainerId) });
+};
+
+/**
+ * Store a new value and record the change
+ * @param {string} key - Key from SETTING_DEFINITIONS
+ * @param {*} value - New value
+ * @param {object} options - { changedBy, reason, trainerId }
+ * @returns {*} - The stored value
+ */
+const updateSetting = async (key, value, { changedBy, reason, trainerId = null }) => {
+  const definition = getDefinition(key);
+
+  if (trainerId && !definition.trainerOverride) {
+    throw new SettingsError('NO_OVERRIDE', `"${key}" cannot be set per trainer`);
+  }
+
+  const error = definition.validate(value);
+  if (error) {
+    throw new SettingsError('INVALID_VALUE', error);
+  }
+
+  if (key === 'upcoin_packages') {
+    value = normalizePackages(value);
+  }
+
+  const previous = await Setting.findOneAndUpdate(
+    { key, trainer: trainerId },
+    { $set: { value, updatedBy: changedBy } },
+    { upsert: true, new: false }
+  );
+
+  await SettingChange.create({
+    key,
+    trainer: trainerId,
+    oldValue: previous ? previous.value : null,
+    newValue: value,
+    changedBy,
+    reason
+  });
+
+  cache.delete(cacheKey(key, trainerId));
+  return value;
+};
+
+/**
+ * Remove a stored value so the default (or platform-wide value) applies again
+ * @returns {boolean} - Whether anything was stored
+ */
+const resetSetting = async (key, { changedBy, reason, trainerId = null }) => {
+  getDefinition(key);
+
+  const removed = await Setting.findOneAndDelete({ key, trainer: trainerId });
+  cache.delete(cacheKey(key, trainerId));
+  if (!removed) return false;
+
+  await SettingChange.create({
+    key,
+    trainer: trainerId,
+    oldValue: removed.value,
+    newValue: null,
+    changedBy,
+    reason
+  });
+
+  return true;
+};
+
+/**
+ * Every setting with its current value and any trainer overrides
+ */
+const listSettings = async () => {
+  const stored = await Setting.find().populate('trainer', 'firstname lastname email').lean();
+
+  return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+    const platform = stored.find(s => s.key === key && !s.trainer);
+    return {
+      key,
+      description: definition.description,
+      value: platform ? platform.value : definition.default,
+      isDefault: !platform,
+      default: definition.default,
+      updatedAt: platform ? platform.updatedAt : null,
+      ...(definition.trainerOverride ? {
+        trainerOverrides: stored
+          .filter(s => s.key === key && s.trainer)
+          .map(s => ({ trainer: s.trainer, value: s.value, updatedAt: s.updatedAt }))
+      } : {})
+    };
+  });
+};
+
+/**
+ * Change history for a setting, newest first
+ */
+const getHistory = async (key, { trainerId, limit = 50 } = {}) => {
+  getDefinition(key);
+
+  const query = { key };
+  if (trainerId) query.trainer = trainerId;
+
+  return SettingChange.find(query)
+    .populate('changedBy', 'firstname lastname email')
+    .populate('trainer', 'firstname lastname email')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = {
+  SettingsError,
+  getSetting,
+  getUpcoinPackages,
+  findPackage,
+  getPlatformFeePercentage,
+  updateSetting,
+  resetSetting,
+  listSettings,
+  getHistory
+};
@@ -0,0 +1,353 @@
+/**
+ * Wallet Statement Service
+ * Builds wallet statements for a date range, with opening and closing balances
+ * taken from the transactions' balanceBefore/balanceAfter, and exports them as
+ * CSV or PDF. Also builds the platform-wide transaction export for admins.
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { createDocument } = require('../utils/pdf');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const MAX_ROWS = 10000;
+const DEFAULT_RANGE_DAYS = 30;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class StatementError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'StatementError';
+    this.code = code;
+  }
+}
+
+/**
+ * Parse the from/to query values. A date without a time covers that whole
+ * day; the default is the last 30 days.
+ * @returns {object} - { from, to }
+ */
+const parseRange = ({ from, to }, now = new Date()) => {
+  const parse = (value, endOfDay) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new StatementError('INVALID_DATE', `Invalid date: ${value}`);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(date.getTime() + DAY - 1);
+    }
+    return date;
+  };
+
+  const end = to ? parse(to, true) : now;
+  const start = from ? parse(from, false) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY);
+
+  if (start > end) {
+    throw new StatementError('INVALID_RANGE', '"from" must be before "to"');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY) {
+    throw new StatementError('RANGE_TOO_LONG', `Statements cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: start, to: end };
+};
+
+// Filters shared by the user and platform statements; 'all' means no filter
+const buildFilter = ({ type, category, status }) => {
+  const filter = {};
+  if (type && type !== 'all') filter.type = type;
+  if (category && category !== 'all') filter.category = category;
+  if (status && status !== 'all') filter.status = status;
+  return filter;
+};
+
+const findRows = async (query, populateUser) => {
+  const total = await Transaction.countDocuments(query);
+  if (total > MAX_ROWS) {
+    throw new StatementError('TOO_MANY_ROWS', `The statement has ${total} transactions; narrow the range or filters to at most ${MAX_ROWS}`);
+  }
+
+  let rows = Transaction.find(query).sort({ createdAt: 1, _id: 1 });
+  if (populateUser) rows = rows.populate('user', 'firstname lastname email');
+  return rows;
+};
+
+/**
+ * Balance at the start and end of a range, across all of the user's
+ * transactions whatever the statement's filters
+ */
+const getBalances = async (userId, { from, to }) => {
+  const [first, before, last] = await Promise.all([
+    Transaction.findOne({ user: userId, createdAt: { $gte: from, $lte: to } })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('balanceBefore'),
+    Transaction.findOne({ user: userId, createdAt: { $lt: from } })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('balanceAfter'),
+    Transaction.findOne({ user: userId, createdAt: { $lte: to } })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('balanceAfter')
+  ]);
+
+  const openingBalance = first ? first.balanceBefore : (before ? before.balanceAfter : 0);
+  return {
+    openingBalance,
+    closingBalance: last ? last.balanceAfter : openingBalance
+  };
+};
+
+const totalsOf = (rows) => ({
+  totalCredits: rows.filter(tx => tx.type === 'credit').reduce((sum, tx) => sum + tx.amount, 0),
+  totalDebits: rows.filter(tx => tx.type === 'debit').reduce((sum, tx) => sum + tx.amount, 0),
+  count: rows.length
+});
+
+const toRow = (tx) => ({
+  id: tx._id,
+  date: tx.createdAt,
+  user: tx.user && tx.user.email ? {
+    id: tx.user._id,
+    name: `${tx.user.firstname} ${tx.user.lastname}`,
+    email: tx.user.email
+  } : undefined,
+  description: tx.description,
+  category: tx.category,
+  type: tx.type,
+  status: tx.status,
+  amount: tx.amount,
+  balanceBefore: tx.balanceBefore,
+  balanceAfter: tx.balanceAfter,
+  reference: tx.reference
+});
+
+/**
+ * A user's wallet statement
+ * @param {object} options - { userId, from, to, type, category, status }
+ * @returns {object} - { user, from, to, filters, openingBalance, closingBalance, totalCredits, totalDebits, count, transactions }
+ */
+const buildUserStatement = async ({ userId, from, to, type, category, status }) => {
+  const range = parseRange({ from, to });
+  const filters = buildFilter({ type, category, status });
+
+  const user = await User.findById(userId).select('firstname lastname email role');
+  if (!user) {
+    throw new StatementError('USER_NOT_FOUND', 'User not found');
+  }
+
+  const [rows, balances] = await Promise.all([
+    findRows({ user: user._id, createdAt: { $gte: range.from, $lte: range.to }, ...filters }, false),
+    getBalances(user._id, range)
+  ]);
+
+  return {
+    user: { id: user._id, name: `${user.firstname} ${user.lastname}`, email: user.email, role: user.role },
+    ...range,
+    filters,
+    ...balances,
+    ...totalsOf(rows),
+    transactions: rows.map(toRow)
+  };
+};
+
+/**
+ * Transactions across all users, for admins. Opening and closing balances are
+ * only given when the export is for a single user.
+ * @param {object} options - { user, from, to, type, category, status }
+ */
+const buildPlatformStatement = async ({ user, from, to, type, category, status }) => {
+  if (user && !mongoose.Types.ObjectId.isValid(user)) {
+    throw new StatementError('USER_NOT_FOUND', 'User not found');
+  }
+  if (user) {
+    return buildUserStatement({ userId: user, from, to, type, category, status });
+  }
+
+  const range = parseRange({ from, to });
+  const filters = buildFilter({ type, category, status });
+  const rows = await findRows({ createdAt: { $gte: range.from, $lte: range.to }, ...filters }, true);
+
+  return {
+    user: null,
+    ...range,
+    filters,
+    ...totalsOf(rows),
+    transactions: rows.map(toRow)
+  };
+};
+
+/**
+ * Quote a CSV field. Text that a spreadsheet would run as a formula is
+ * prefixed with an apostrophe.
+ */
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statement as CSV, with opening and closing balance rows when known
+ * @returns {string} - CSV text
+ */
+const toCsv = (statement) => {
+  const platform = !statement.user;
+  const header = [
+    'Date', 'Transaction ID',
+    ...(platform ? ['User', 'Email'] : []),
+    'Description', 'Category', 'Type', 'Status', 'Credit', 'Debit', 'Balance', 'Reference'
+  ];
+  const blank = header.map(() => '');
+  const balanceRow = (label, date, balance) => {
+    const row = [...blank];
+    row[0] = date.toISOString();
+    row[header.indexOf('Description')] = label;
+    row[header.indexOf('Balance')] = balance;
+    return row;
+  };
+
+  const rows = [header];
+  if (!platform) rows.push(balanceRow('Opening balance', statement.from, statement.openingBalance));
+
+  statement.transactions.forEach(tx => {
+    rows.push([
+      new Date(tx.date).toISOString(),
+      String(tx.id),
+      ...(platform ? [tx.user ? tx.user.name : '', tx.user ? tx.user.email : ''] : []),
+      tx.description,
+      tx.category,
+      tx.type,
+      tx.status,
+      tx.type === 'credit' ? tx.amount : '',
+      tx.type === 'debit' ? tx.amount : '',
+      tx.balanceAfter,
+      tx.reference
+    ]);
+  });
+
+  if (!platform) rows.push(balanceRow('Closing balance', statement.to, statement.closingBalance));
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')} ${MONTHS[d.getMonth()]} ${d.getFullYear()}`;
+};
+
+const formatCoins = (amount) => `${Number(amount).toLocaleString('en-IN')} UC`;
+
+/**
+ * Statement as PDF
+ * @returns {Buffer} - PDF file contents
+ */
+const toPdf = (statement) => {
+  const platform = !statement.user;
+  const doc = createDocument({ title: 'Wallet statement' });
+  const left = 40;
+  const right = doc.width - 40;
+  let y = 60;
+
+  doc.text(left, y, 'Upscholar', { size: 18, bold: true });
+  doc.text(right, y, platform ? 'TRANSACTION EXPORT' : 'WALLET STATEMENT', { size: 14, bold: true, align: 'right' });
+  y += 22;
+  doc.text(right, y, `${formatDate(statement.from)} - ${formatDate(statement.to)}`, { size: 9, align: 'right' });
+  y += 12;
+  doc.text(right, y, `Generated ${formatDate(new Date())}`, { size: 9, align: 'right' });
+
+  if (!platform) {
+    doc.text(left, y - 12, statement.user.name, { size: 10, bold: true });
+    doc.text(left, y, statement.user.email, { size: 9 });
+  }
+
+  const filterText = Object.entries(statement.filters).map(([key, value]) => `${key}: ${value}`).join(', ');
+  if (filterText) {
+    y += 14;
+    doc.text(left, y, `Filters - ${filterText}`, { size: 9 });
+  }
+
+  y += 18;
+  doc.line(left, y, right, y);
+  y += 18;
+
+  const summary = [
+    ...(platform ? [] : [['Opening balance', formatCoins(statement.openingBalance)]]),
+    [`Credits (${statement.transactions.filter(tx => tx.type === 'credit').length})`, formatCoins(statement.totalCredits)],
+    [`Debits (${statement.transactions.filter(tx => tx.type === 'debit').length})`, formatCoins(statement.totalDebits)],
+    ...(platform ? [] : [['Closing balance', formatCoins(statement.closingBalance)]])
+  ];
+  summary.forEach(([label, value]) => {
+    doc.text(left, y, label, { size: 10 });
+    doc.text(left + 250, y, value, { size: 10, bold: true, align: 'right' });
+    y += 15;
+  });
+
+  const columns = platform
+    ? { date: left, text: left + 62, category: left + 290, amount: right - 60, balance: right }
+    : { date: left, text: left + 62, category: left + 270, amount: right - 75, balance: right };
+
+  const tableHeader = () => {
+    doc.text(columns.date, y, 'Date', { size: 9, bold: true });
+    doc.text(columns.text, y, platform ? 'User / Description' : 'Description', { size: 9, bold: true });
+    doc.text(columns.category, y, 'Category / Status', { size: 9, bold: true });
+    doc.text(columns.amount, y, 'Amount', { size: 9, bold: true, align: 'right' });
+    doc.text(columns.balance, y, 'Balance', { size: 9, bold: true, align: 'right' });
+    y += 6;
+    doc.line(left, y, right, y);
+    y += 13;
+  };
+
+  y += 15;
+  tableHeader();
+
+  if (statement.transactions.length === 0) {
+    doc.text(left, y, 'No transactions in this period.', { size: 9 });
+  }
+
+  statement.transactions.forEach(tx => {
+    const height = platform ? 24 : 13;
+    if (y + height > doc.height - 50) {
+      doc.addPage();
+      y = 60;
+      tableHeader();
+    }
+
+    doc.text(columns.date, y, formatDate(tx.date), { size: 8 });
+    if (platform) {
+      doc.text(columns.text, y, tx.user ? `${tx.user.name} <${tx.user.email}>`.slice(0, 45) : '', { size: 8, bold: true });
+      doc.text(columns.text, y + 10, String(tx.description).slice(0, 45), { size: 8 });
+    } else {
+      doc.text(columns.text, y, String(tx.description).slice(0, 50), { size: 8 });
+    }
+    doc.text(columns.category, y, `${tx.category.replace(/_/g, ' ')} / ${tx.status}`, { size: 8 });
+    doc.text(columns.amount, y, `${tx.type === 'credit' ? '+' : '-'}${tx.amount}`, { size: 8, align: 'right' });
+    doc.text(columns.balance, y, String(tx.balanceAfter), { size: 8, align: 'right' });
+    y += height;
+  });
+
+  return doc.toBuffer();
+};
+
+/**
+ * Download file name, e.g. wallet-statement-2026-09-01-to-2026-09-30.csv
+ */
+const fileNameFor = (statement, extension) => {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const prefix = statement.user ? 'wallet-statement' : 'transactions';
+  return `${prefix}-${day(statement.from)}-to-${day(statement.to)}.${extension}`;
+};
+
+module.exports = {
+  StatementError,
+  parseRange,
+  buildUserStatement,
+  buildPlatformStatement,
+  toCsv,
+  toPdf,
+  fileNameFor
+};
@@ -0,0 +1,416 @@
+/**
+ * Support Service
+ * Support tickets from students and trainers: threaded messages with
+ * attachments, status and priority changes, assignment to support admins and
+ * SLA timers for the first reply and for resolution. Replies are emailed to
+ * the other side of the conversation.
+ */
+
+const mongoose = require('mongoose');
+const SupportTicket = require('../models/SupportTicket');
+const Lecture = require('../models/Lecture');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const jobQueue = require('./jobQueue');
+const { registerScanner } = require('./lectureScheduler');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const { SUPPORT_SLA_HOURS, SUPPORT_AUTO_CLOSE_DAYS, SUPPORT_EMAIL } = require('../config/support');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ACTIVE_STATUSES = ['open', 'in_progress'];
+const USER_PRIORITIES = ['low', 'normal', 'high'];
+
+class SupportError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SupportError';
+    this.code = code;
+  }
+}
+
+const isStaff = (user) => hasPermission(user, PERMISSIONS.SUPPORT_MANAGE);
+
+/**
+ * Recompute the SLA deadlines from the ticket's priority and paused time
+ */
+const applyDueDates = (ticket) => {
+  const hours = SUPPORT_SLA_HOURS[ticket.priority];
+  const openedAt = ticket.createdAt || new Date();
+  ticket.sla.firstResponseDueAt = new Date(openedAt.getTime() + hours.firstResponse * HOUR);
+  ticket.sla.resolutionDueAt = new Date(openedAt.getTime() + hours.resolution * HOUR + (ticket.sla.pausedMs || 0));
+};
+
+/**
+ * Move a ticket to a status, stopping the resolution clock while it waits on
+ * the user and restarting it otherwise
+ */
+const applyStatus = (ticket, status, now = new Date()) => {
+  if (status === 'waiting_on_user') {
+    if (!ticket.sla.pausedAt) ticket.sla.pausedAt = now;
+  } else if (ticket.sla.pausedAt) {
+    ticket.sla.pausedMs = (ticket.sla.pausedMs || 0) + (now - ticket.sla.pausedAt);
+    ticket.sla.pausedAt = undefined;
+    applyDueDates(ticket);
+  }
+
+  ticket.status = status;
+  ticket.resolvedAt = status === 'resolved' ? now : (status === 'closed' ? ticket.resolvedAt : undefined);
+  ticket.closedAt = status === 'closed' ? now : undefined;
+};
+
+/**
+ * Check that what a ticket refers to belongs to the user
+ * @returns {object} - Fields to set on the ticket
+ */
+const resolveRelated = async (user, { category, lectureId, paymentId, withdrawalId }) => {
+  const invalid = [lectureId, paymentId, withdrawalId].find(id => id && !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) {
+    throw new SupportError('INVALID_REFERENCE', `Invalid id: ${invalid}`);
+  }
+
+  const related = {};
+
+  if (lectureId) {
+    const lecture = await Lecture.findById(lectureId).select('trainer enrolledStudents.student');
+    const involved = lecture && (
+      lecture.trainer.equals(user._id) ||
+      lecture.enrolledStudents.some(e => e.student && e.student.equals(user._id)) ||
+      await Transaction.exists({ user: user._id, relatedLecture: lecture._id })
+    );
+    if (!involved) {
+      throw new SupportError('INVALID_REFERENCE', 'Lecture not found');
+    }
+    related.relatedLecture = lecture._id;
+  }
+
+  if (paymentId) {
+    const payment = await Payment.exists({ _id: paymentId, user: user._id });
+    if (!payment) {
+      throw new SupportError('INVALID_REFERENCE', 'Payment not found');
+    }
+    related.relatedPayment = paymentId;
+  }
+
+  if (withdrawalId) {
+    const withdrawal = await Transaction.exists({ _id: withdrawalId, user: user._id, category: 'withdrawal' });
+    if (!withdrawal) {
+      throw new SupportError('INVALID_REFERENCE', 'Withdrawal not found');
+    }
+    related.relatedWithdrawal = withdrawalId;
+  }
+
+  related.category = category ||
+    (related.relatedWithdrawal ? 'withdrawal' : related.relatedPayment ? 'payment' : related.relatedLecture ? 'lecture' : 'other');
+
+  return related;
+};
+
+const toAttachments = (files = []) => files.map(file => ({
+  filename: file.originalname,
+  storedName: file.filename,
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+const ticketLink = (ticket) => `${process.env.FRONTEND_URL || 'http://localhost:8080'}/support/tickets/${ticket._id}`;
+
+/**
+ * Email the other side of the conversation about a new message
+ */
+const notifyReply = async (ticket, message, author) => {
+  await ticket.populate([
+    { path: 'user', select: 'firstname lastname email' },
+    { path: 'assignedTo', select: 'firstname lastname email' }
+  ]);
+
+  let to;
+  let name;
+  if (message.fromStaff) {
+    to = ticket.user.email;
+    name = ticket.user.firstname;
+  } else if (ticket.assignedTo) {
+    to = ticket.assignedTo.email;
+    name = ticket.assignedTo.firstname;
+  } else {
+    to = SUPPORT_EMAIL;
+    name = 'Support team';
+  }
+
+  const template = emailTemplates.supportReply(name, ticket, message, {
+    authorName: `${author.firstname} ${author.lastname}`,
+    link: ticketLink(ticket)
+  });
+  const result = await sendEmail(to, template);
+  if (!result.success) {
+    console.error(`Support reply email for ticket ${ticket._id} failed:`, result.error);
+  }
+};
+
+/**
+ * Open a ticket with its first message
+ * @param {object} user - User document
+ * @param {object} details - { subject, body, category, priority, lectureId, paymentId, withdrawalId }
+ * @param {Array} files - Uploaded attachments
+ * @returns {object} - The ticket
+ */
+const openTicket = async (user, { subject, body, category, priority = 'normal', lectureId, paymentId, withdrawalId }, files) => {
+  if (!subject || !String(subject).trim() || !body || !String(body).trim()) {
+    throw new SupportError('MISSING_FIELDS', 'Subject and message are required');
+  }
+  if (!USER_PRIORITIES.includes(priority)) {
+    throw new SupportError('INVALID_PRIORITY', `Priority must be one of: ${USER_PRIORITIES.join(', ')}`);
+  }
+
+  const related = await resolveRelated(user, { category, lectureId, paymentId, withdrawalId });
+
+  const ticket = new SupportTicket({
+    user: user._id,
+    subject,
+    priority,
+    ...related,
+    messages: [{
+      author: user._id,
+      body,
+      attachments: toAttachments(files)
+    }],
+    sla: {}
+  });
+  applyDueDates(ticket);
+  await ticket.save();
+
+  console.log(`Support ticket ${ticket.reference} opened by ${user.email}: ${ticket.subject}`);
+  return ticket;
+};
+
+/**
+ * Load a ticket the user may see: their own, or any ticket for support staff
+ */
+const getTicket = async (ticketId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+    throw new SupportError('NOT_FOUND', 'Ticket not found');
+  }
+
+  const ticket = await SupportTicket.findById(ticketId);
+  if (!ticket || (!ticket.user.equals(user._id) && !isStaff(user))) {
+    throw new SupportError('NOT_FOUND', 'Ticket not found');
+  }
+  return ticket;
+};
+
+/**
+ * A ticket as the user may see it; internal notes are for staff only
+ */
+const viewFor = (ticket, user) => {
+  const view = ticket.toJSON();
+  if (!isStaff(user)) {
+    view.messages = view.messages.filter(message => !message.internal);
+  }
+  view.messages.forEach(message => {
+    message.attachments = message.attachments.map(({ storedName, ...attachment }) => attachment);
+  });
+  return view;
+};
+
+/**
+ * Add a message to a ticket's thread
+ * @param {object} ticket - SupportTicket document
+ * @param {object} author - User document
+ * @param {object} details - { body, internal } (internal notes are staff only)
+ * @param {Array} files - Uploaded attachments
+ */
+const addMessage = async (ticket, author, { body, internal = false }, files) => {
+  if (!body || !String(body).trim()) {
+    throw new SupportError('MISSING_FIELDS', 'Message is required');
+  }
+  if (ticket.status === 'closed') {
+    throw new SupportError('TICKET_CLOSED', 'This ticket is closed; open a new one');
+  }
+
+  const fromStaff = !ticket.user.equals(author._id) && isStaff(author);
+  if (!fromStaff && !ticket.user.equals(author._id)) {
+    throw new SupportError('NOT_FOUND', 'Ticket not found');
+  }
+
+  const now = new Date();
+  const isInternal = fromStaff && (internal === true || internal === 'true');
+  ticket.messages.push({
+    author: author._id,
+    fromStaff,
+    body,
+    internal: isInternal,
+    attachments: toAttachments(files)
+  });
+
+  if (!isInternal) {
+    ticket.lastMessageAt = now;
+    if (fromStaff) {
+      if (!ticket.sla.firstRespondedAt) ticket.sla.firstRespondedAt = now;
+      if (!ticket.assignedTo) {
+        ticket.assignedTo = author._id;
+        ticket.assignedAt = now;
+      }
+      applyStatus(ticket, 'waiting_on_user', now);
+    } else if (ticket.status !== 'open' && ticket.status !== 'in_progress') {
+      // The user answered or reopened a resolved ticket
+      applyStatus(ticket, ticket.assignedTo ? 'in_progress' : 'open', now);
+    }
+  }
+
+  await ticket.save();
+
+  const message = ticket.messages[ticket.messages.length - 1];
+  if (!isInternal) {
+    notifyReply(ticket, message, author).catch(err => {
+      console.error(`Error notifying about ticket ${ticket._id}:`, err.message);
+    });
+  }
+  return message;
+};
+
+/**
+ * Change a ticket's status. Users can only close their own tickets.
+ */
+const setStatus = async (ticket, actor, status) => {
+  if (!SupportTicket.schema.path('status').enumValues.includes(status)) {
+    throw new SupportError('INVALID_STATUS', 'Invalid status');
+  }
+  if (!isStaff(actor) && status !== 'closed') {
+    throw new SupportError('FORBIDDEN', 'You can only close your own tickets');
+  }
+  if (ticket.status === status) {
+    return ticket;
+  }
+
+  applyStatus(ticket, status);
+  await ticket.save();
+  return ticket;
+};
+
+/**
+ * Assign a ticket to a support admin, or unassign it with null
+ */
+const assignTicket = async (ticket, assigneeId) => {
+  if (!assigneeId) {
+    ticket.assignedTo = undefined;
+    ticket.assignedAt = undefined;
+    if (ticket.status === 'in_progress') applyStatus(ticket, 'open');
+    await ticket.save();
+    return ticket;
+  }
+
+  const assignee = mongoose.Types.ObjectId.isValid(assigneeId) ? await User.findById(assigneeId) : null;
+  if (!assignee || !isStaff(assignee)) {
+    throw new SupportError('INVALID_ASSIGNEE', 'Tickets can only be assigned to admins with support access');
+  }
+
+  ticket.assignedTo = assignee._id;
+  ticket.assignedAt = new Date();
+  if (ticket.status === 'open') applyStatus(ticket, 'in_progress');
+  await ticket.save();
+  return ticket;
+};
+
+/**
+ * Change a ticket's priority; the SLA deadlines follow
+ */
+const setPriority = async (ticket, priority) => {
+  if (!SUPPORT_SLA_HOURS[priority]) {
+    throw new SupportError('INVALID_PRIORITY', 'Invalid priority');
+  }
+
+  ticket.priority = priority;
+  applyDueDates(ticket);
+  await ticket.save();
+  return ticket;
+};
+
+/**
+ * Find an attachment the user may download
+ * @returns {object} - The attachment subdocument
+ */
+const findAttachment = (ticket, user, messageId, attachmentId) => {
+  const message = ticket.messages.id(messageId);
+  if (!message || (message.internal && !isStaff(user))) {
+    throw new SupportError('NOT_FOUND', 'Attachment not found');
+  }
+
+  const attachment = message.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new SupportError('NOT_FOUND', 'Attachment not found');
+  }
+  return attachment;
+};
+
+const sendBreachNotice = async ({ ticketId, kind }) => {
+  const ticket = await SupportTicket.findById(ticketId).populate('assignedTo', 'email');
+  if (!ticket) return;
+
+  const template = emailTemplates.supportSlaBreach(ticket, kind, ticketLink(ticket));
+  const recipients = [SUPPORT_EMAIL, ticket.assignedTo && ticket.assignedTo.email].filter(Boolean);
+  const result = await sendEmail(recipients.join(', '), template);
+  if (!result.success) {
+    throw new Error(`SLA breach email failed: ${result.error}`);
+  }
+};
+
+/**
+ * Flag tickets that missed an SLA deadline and close resolved tickets the
+ * user did not come back to
+ */
+const scanSupport = async (now = new Date()) => {
+  const breaches = [
+    {
+      kind: 'first_response',
+      field: 'sla.firstResponseBreachedAt',
+      filter: { 'sla.firstRespondedAt': null, 'sla.firstResponseDueAt': { $lte: now } }
+    },
+    {
+      kind: 'resolution',
+      field: 'sla.resolutionBreachedAt',
+      filter: { 'sla.resolutionDueAt': { $lte: now } }
+    }
+  ];
+
+  for (const { kind, field, filter } of breaches) {
+    const tickets = await SupportTicket.find({
+      status: { $in: ACTIVE_STATUSES },
+      [field]: null,
+      ...filter
+    }).select('_id');
+
+    for (const { _id } of tickets) {
+      const flagged = await SupportTicket.updateOne({ _id, [field]: null }, { $set: { [field]: now } });
+      if (flagged.modifiedCount > 0) {
+        jobQueue.enqueue('support:sla-breach', { ticketId: _id, kind }, { key: `support:sla-breach:${_id}:${kind}` });
+      }
+    }
+  }
+
+  await SupportTicket.updateMany(
+    { status: 'resolved', resolvedAt: { $lte: new Date(now.getTime() - SUPPORT_AUTO_CLOSE_DAYS * DAY) } },
+    { $set: { status: 'closed', closedAt: now } }
+  );
+};
+
+const registerSupportJobs = () => {
+  jobQueue.registerHandler('support:sla-breach', sendBreachNotice);
+  registerScanner('support', scanSupport);
+};
+
+module.exports = {
+  SupportError,
+  isStaff,
+  openTicket,
+  getTicket,
+  viewFor,
+  addMessage,
+  setStatus,
+  assignTicket,
+  setPriority,
+  findAttachment,
+  scanSupport,
+  registerSupportJobs
+};
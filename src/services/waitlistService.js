@@ -0,0 +1,252 @@
+/**
+ * Lecture Waitlist Service
+ * Queues students for full lectures and promotes them, oldest first, when a
+ * seat frees up. A promotion charges the student's wallet like a normal
+ * enrollment; students who cannot be charged are skipped with a reason and
+ * the next in line gets the seat.
+ */
+
+const Lecture = require('../models/Lecture');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ledger = require('./ledgerService');
+const jobQueue = require('./jobQueue');
+const { registerScanner } = require('./lectureScheduler');
+const { sendEmail, emailTemplates } = require('./emailService');
+const { notifyInBackground } = require('./notificationService');
+const { getAccountRestriction } = require('../middleware/auth');
+const { getPlatformFeePercentage } = require('./settingsService');
+
+class WaitlistError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.code = code;
+  }
+}
+
+const isEnrolled = (lecture, studentId) => {
+  return lecture.enrolledStudents.some(e => e.student && e.student.toString() === studentId.toString());
+};
+
+/**
+ * Number of students waiting for a lecture
+ */
+const countWaiting = (lectureId) => {
+  return WaitlistEntry.countDocuments({ lecture: lectureId, status: 'waiting' });
+};
+
+/**
+ * 1-based place in the queue for a waiting entry
+ */
+const getPosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    lecture: entry.lecture,
+    status: 'waiting',
+    joinedAt: { $lt: entry.joinedAt }
+  });
+  return ahead + 1;
+};
+
+/**
+ * Put a student on the waitlist of a full lecture
+ * @returns {object} - { entry, position }
+ */
+const joinWaitlist = async (lecture, student) => {
+  if (lecture.status !== 'scheduled' || lecture.scheduledAt <= new Date()) {
+    throw new WaitlistError('UNAVAILABLE', 'Lecture is not available for enrollment');
+  }
+  if (isEnrolled(lecture, student._id)) {
+    throw new WaitlistError('ALREADY_ENROLLED', 'Already enrolled in this lecture');
+  }
+
+  const waiting = await countWaiting(lecture._id);
+  if (lecture.enrolledStudents.length + waiting < lecture.maxStudents) {
+    throw new WaitlistError('NOT_FULL', 'Lecture has seats available, enroll directly instead');
+  }
+
+  try {
+    const entry = await WaitlistEntry.create({ lecture: lecture._id, student: student._id });
+    return { entry, position: await getPosition(entry) };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new WaitlistError('ALREADY_WAITING', 'Already on the waitlist for this lecture');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take a student off a lecture's waitlist
+ * @returns {boolean} - Whether they were waiting
+ */
+const leaveWaitlist = async (lectureId, studentId) => {
+  const result = await WaitlistEntry.updateOne(
+    { lecture: lectureId, student: studentId, status: 'waiting' },
+    { $set: { status: 'left' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const skipEntry = async (entry, lecture, skipReason, note) => {
+  await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, {
+    $set: { status: 'skipped', skippedAt: new Date(), skipReason, note }
+  });
+
+  if (entry.student && entry.student.email) {
+    const template = emailTemplates.waitlistSkipped(entry.student.firstname, lecture, note);
+    await sendEmail(entry.student.email, template);
+  }
+
+  return { entryId: entry._id, studentId: entry.student && entry.student._id, promoted: false, skipReason, note };
+};
+
+/**
+ * Promote one waiting student: charge them and take the seat together, or
+ * skip them when they cannot pay.
+ */
+const promoteEntry = async (lecture, entry) => {
+  const student = entry.student;
+
+  if (!student) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'expired', note: 'Account no longer exists' } });
+    return { entryId: entry._id, promoted: false, note: 'Account no longer exists' };
+  }
+
+  const restriction = getAccountRestriction(student);
+  if (restriction) {
+    return skipEntry(entry, lecture, 'account_restricted', restriction);
+  }
+
+  if (isEnrolled(lecture, student._id)) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, {
+      $set: { status: 'skipped', skippedAt: new Date(), skipReason: 'already_enrolled', note: 'Already enrolled' }
+    });
+    return { entryId: entry._id, studentId: student._id, promoted: false, skipReason: 'already_enrolled' };
+  }
+
+  try {
+    const feePercentage = await getPlatformFeePercentage(lecture.trainer);
+    const charge = await ledger.withTransaction(async(session) => {
+      const result = await ledger.chargeEnrollment({
+        student,
+        lecture,
+        feePercentage,
+        metadata: { waitlistEntryId: entry._id }
+      }, { session });
+
+      // Only take the seat if it is still free
+      if (!await Lecture.takeSeat(lecture._id, student._id, { session })) {
+        throw new WaitlistError('NO_SEAT', 'The seat was taken before the promotion finished');
+      }
+
+      await WaitlistEntry.updateOne({ _id: entry._id }, {
+        $set: { status: 'promoted', promotedAt: new Date(), amountCharged: result.price }
+      }, { session });
+
+      return result;
+    });
+
+    console.log(`Waitlisted student ${student.email} promoted into "${lecture.title}". Paid: ${charge.price} UC`);
+
+    notifyInBackground(student, {
+      type: 'waitlist_promoted',
+      title: 'You got a seat',
+      body: `A seat opened up in "${lecture.title}" and you've been enrolled from the waitlist. ${charge.price} UpCoins were paid from your wallet.`,
+      link: `/lectures/${lecture._id}`,
+      data: { lectureId: lecture._id }
+    }, {
+      email: emailTemplates.waitlistPromoted(student.firstname, lecture, charge.price)
+    });
+    notifyInBackground(lecture.trainer, {
+      type: 'new_enrollment',
+      title: 'New enrollment',
+      body: `${student.firstname} ${student.lastname} was enrolled in "${lecture.title}" from the waitlist.`,
+      link: '/trainer/manage-lectures',
+      data: { lectureId: lecture._id, studentId: student._id }
+    });
+
+    return { entryId: entry._id, studentId: student._id, promoted: true, amountCharged: charge.price };
+  } catch (error) {
+    if (error instanceof ledger.LedgerError && error.code === 'INSUFFICIENT_FUNDS') {
+      const note = `Insufficient UpCoins when a seat opened up. Required: ${error.details.required}, available: ${error.details.current}`;
+      return skipEntry(entry, lecture, 'insufficient_funds', note);
+    }
+    // Someone enrolled first; the student keeps their place in the queue
+    if (error instanceof WaitlistError && error.code === 'NO_SEAT') {
+      return { entryId: entry._id, studentId: student._id, promoted: false, seatTaken: true, note: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fill free seats in a lecture from its waitlist. Waiting entries are expired
+ * once the lecture can no longer be joined.
+ * @param {object} data - { lectureId }
+ * @returns {Array} - One result per entry handled
+ */
+const promoteFromWaitlist = async ({ lectureId }) => {
+  const results = [];
+
+  let lecture = await Lecture.findById(lectureId);
+  if (!lecture) return results;
+
+  if (lecture.status !== 'scheduled' || lecture.scheduledAt <= new Date()) {
+    await WaitlistEntry.updateMany(
+      { lecture: lecture._id, status: 'waiting' },
+      { $set: { status: 'expired', note: 'The lecture is no longer open for enrollment' } }
+    );
+    return results;
+  }
+
+  while (lecture && lecture.status === 'scheduled' && !lecture.isFull) {
+    const entry = await WaitlistEntry.findOne({ lecture: lecture._id, status: 'waiting' })
+      .sort({ joinedAt: 1 })
+      .populate('student', 'firstname lastname email walletBalance status isApproved');
+    if (!entry) break;
+
+    const result = await promoteEntry(lecture, entry);
+    results.push(result);
+    if (result.seatTaken) break;
+
+    lecture = await Lecture.findById(lectureId);
+  }
+
+  return results;
+};
+
+/**
+ * Queue a promotion run for a lecture, e.g. after an unenrollment or a
+ * maxStudents increase
+ */
+const schedulePromotion = (lectureId) => {
+  jobQueue.enqueue('lecture:waitlist', { lectureId }, { key: `lecture:waitlist:${lectureId}` });
+};
+
+/**
+ * Catch seats that freed up without a trigger (and lectures that closed with
+ * students still waiting)
+ */
+const scanWaitlists = async () => {
+  const lectureIds = await WaitlistEntry.distinct('lecture', { status: 'waiting' });
+  lectureIds.forEach(schedulePromotion);
+};
+
+/**
+ * Hook waitlist promotion into the lecture scheduler. Call before startScheduler().
+ */
+const registerWaitlistJobs = () => {
+  jobQueue.registerHandler('lecture:waitlist', promoteFromWaitlist);
+  registerScanner('waitlist', scanWaitlists);
+};
+
+module.exports = {
+  WaitlistError,
+  countWaiting,
+  getPosition,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteFromWaitlist,
+  schedulePromotion,
+  registerWaitlistJobs
+};
@@ -0,0 +1,92 @@
+/**
+ * Webhook Service
+ * Shared plumbing for provider webhooks: signature checks and processing each
+ * delivery once per provider event id, with failed deliveries retried when
+ * the provider sends them again.
+ */
+
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Check a raw webhook body against a hex HMAC-SHA256 signature header
+ */
+const verifySignature = (rawBody, signature, secret) => {
+  if (!signature || !secret) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Run a webhook handler once per provider event id
+ * @param {object} delivery - { provider, eventId, event, payload }; without an
+ *   event id the payload hash is used
+ * @param {function} handler - async () => { status, result, error }, or null
+ *   when the event type is not handled
+ * @returns {object} - { duplicate, status, result }
+ */
+const processOnce = async ({ provider, eventId, event, payload }, handler) => {
+  const id = eventId || crypto.createHash('sha256').update(JSON.stringify({ event, payload })).digest('hex');
+
+  let record;
+  try {
+    record = await WebhookEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId: id,
+        $or: [
+          { status: 'failed' },
+          // A delivery that crashed mid-way is retried once it looks abandoned
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    ) || await WebhookEvent.create({
+      provider,
+      eventId: id,
+      event,
+      payload,
+      attempts: 1
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { duplicate: true };
+    }
+    throw error;
+  }
+
+  if (!handler) {
+    await WebhookEvent.updateOne({ _id: record._id }, {
+      $set: { status: 'ignored', processedAt: new Date(), result: { reason: 'Unhandled event' } }
+    });
+    return { duplicate: false, status: 'ignored' };
+  }
+
+  try {
+    const { status, result, error } = await handler();
+    await WebhookEvent.updateOne({ _id: record._id }, {
+      $set: { status, result, error, processedAt: new Date() }
+    });
+    return { duplicate: false, status, result };
+  } catch (error) {
+    await WebhookEvent.updateOne({ _id: record._id }, {
+      $set: { status: 'failed', error: error.message }
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  verifySignature,
+  processOnce
+};
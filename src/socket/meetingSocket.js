@@ -1,9 +1,173 @@
+/**
+ * Meeting Gateway
+ * Socket.IO server for live lectures: WebRTC signaling, whiteboard and chat,
+ * plus live delivery of the user's notifications.
+ * Every connection is authenticated with the user's access token, and a user
+ * can only join a lecture they teach or are enrolled in. Host rights come
+ * from Lecture.trainer, never from what the client claims.
+ */
+
 const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Lecture = require('../models/Lecture');
+const { verifyAccessToken, getAccountRestriction } = require('../middleware/auth');
+const attendance = require('../services/attendanceService');
+const { userRoom } = require('../services/notificationService');
 
 let io;
 
 // Store active meetings and participants
 const meetings = new Map();
+const MAX_MEETING_DURATION = 4 * 60 * 60 * 1000; // 4 hours
+const MEETING_IDLE_TIMEOUT = 60 * 60 * 1000; // 1 hour without activity
+const MEETING_CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const MAX_CHAT_MESSAGES = 100;
+const MAX_WHITEBOARD_ACTIONS = 500;
+
+/**
+ * Authenticate the handshake. The token comes from the client's auth payload
+ * or the x-auth-token header, the same token the REST API uses.
+ */
+const authenticate = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth.token || socket.handshake.headers['x-auth-token'];
+        if (!token) {
+            return next(new Error('Authentication error: No token provided'));
+        }
+
+        const { decoded, error } = await verifyAccessToken(token);
+        if (error) {
+            return next(new Error(`Authentication error: ${error.message}`));
+        }
+
+        const user = await User.findById(decoded.user.id).select('firstname lastname role status isApproved');
+        if (!user) {
+            return next(new Error('Authentication error: User not found'));
+        }
+
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            return next(new Error(`Authentication error: ${restriction}`));
+        }
+
+        socket.data.user = {
+            id: user._id.toString(),
+            name: `${user.firstname} ${user.lastname}`,
+            role: user.role
+        };
+        next();
+    } catch (err) {
+        console.error('Socket authentication failed:', err.message);
+        next(new Error('Authentication error: Invalid token'));
+    }
+};
+
+/**
+ * Decide whether a user may join a lecture's meeting
+ * @returns {object} - { allowed, isHost, message }
+ */
+const authorizeJoin = async (lectureId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(lectureId)) {
+        return { allowed: false, message: 'Lecture not found' };
+    }
+
+    const lecture = await Lecture.findById(lectureId).select('trainer enrolledStudents status startedAt');
+    if (!lecture) {
+        return { allowed: false, message: 'Lecture not found' };
+    }
+
+    if (['cancelled', 'completed'].includes(lecture.status)) {
+        return { allowed: false, message: `This lecture is ${lecture.status}` };
+    }
+
+    const isLive = lecture.status === 'live';
+    const startedAt = lecture.startedAt;
+
+    if (lecture.isOwnedBy(userId)) {
+        return { allowed: true, isHost: true, isLive, startedAt };
+    }
+
+    const enrolled = lecture.enrolledStudents.some(e => e.student && e.student.toString() === userId);
+    if (!enrolled) {
+        return { allowed: false, message: 'You are not enrolled in this lecture' };
+    }
+
+    return { allowed: true, isHost: false, isLive, startedAt };
+};
+
+const logAttendanceError = (action) => (err) => {
+    console.error(`Error recording attendance ${action}:`, err.message);
+};
+
+/**
+ * Start counting attendance for every student in the meeting who is not
+ * counted yet. Called whenever the lecture is seen to be live, so students
+ * who joined the room before it went live are counted from the moment it did.
+ * @param {Array} participants - [socketId, participant] entries
+ * @returns {Promise} - Resolves once their joins are recorded
+ */
+const trackStudents = (meetingId, participants, startedAt) => {
+    const recorded = [];
+    participants.forEach(([socketId, participant]) => {
+        if (participant.isHost || participant.tracked) return;
+
+        participant.tracked = true;
+        const since = startedAt && startedAt > participant.joinedAt ? startedAt : participant.joinedAt;
+        participant.trackedJoin = attendance.recordJoin(meetingId, participant.userId, socketId, since)
+            .catch(logAttendanceError('join'));
+        recorded.push(participant.trackedJoin);
+    });
+    return Promise.all(recorded);
+};
+
+/**
+ * Look the lecture up again and track students if it has gone live
+ * since they joined
+ */
+const refreshTracking = async (meetingId, participants) => {
+    const lecture = await Lecture.findById(meetingId).select('status startedAt');
+    if (lecture && lecture.status === 'live') {
+        await trackStudents(meetingId, participants, lecture.startedAt);
+    }
+};
+
+// Close a counted student's interval once their join has been recorded
+const recordParticipantLeave = (meetingId, socketId, participant, at = new Date()) => {
+    if (!participant.tracked) return;
+    Promise.resolve(participant.trackedJoin)
+        .then(() => attendance.recordLeave(meetingId, participant.userId, socketId, at))
+        .catch(logAttendanceError('leave'));
+};
+
+// Meetings this socket has joined
+const joinedMeetings = (socket) => {
+    if (!socket.data.meetings) {
+        socket.data.meetings = new Set();
+    }
+    return socket.data.meetings;
+};
+
+// The meeting for an event, only if this socket is a participant in it
+const participantMeeting = (socket, meetingId) => {
+    const meeting = meetings.get(meetingId);
+    if (!meeting || !meeting.participants.has(socket.id)) {
+        return null;
+    }
+    meeting.lastActivity = new Date();
+    return meeting;
+};
+
+// Signaling is only relayed between sockets in the same meeting
+const sharesMeeting = (socket, otherSocketId) => {
+    for (const meetingId of joinedMeetings(socket)) {
+        const meeting = meetings.get(meetingId);
+        if (meeting && meeting.participants.has(otherSocketId)) {
+            return true;
+        }
+    }
+    return false;
+};
 
 const initializeSocket = (server) => {
     const allowedOrigins = [
@@ -25,64 +189,112 @@ const initializeSocket = (server) => {
         transports: ['websocket', 'polling'], // Enable both transports
         allowEIO3: true, // Allow Engine.IO v3 compatibility
         pingTimeout: 60000,
-        pingInterval: 25000
+        pingInterval: 25000,
+        maxHttpBufferSize: 1e6 // 1MB
     });
 
+    io.use(authenticate);
+
     io.on('connection', (socket) => {
-        console.log('User connected:', socket.id);
-
-        // Join meeting room
-        socket.on('join-meeting', ({ meetingId, userId, userName, userRole }) => {
-            socket.join(meetingId);
-
-            // Initialize meeting if it doesn't exist
-            if (!meetings.has(meetingId)) {
-                meetings.set(meetingId, {
-                    participants: new Map(),
-                    host: userRole === 'trainer' ? socket.id : null,
-                    whiteboard: [],
-                    chat: []
-                });
-            }
+        const user = socket.data.user;
+        console.log('User connected:', socket.id, user.name);
+
+        // Personal room for live notifications
+        socket.join(userRoom(user.id));
+
+        // Join meeting room. The meeting id is the lecture id.
+        socket.on('join-meeting', async({ meetingId, lectureId } = {}) => {
+            const id = meetingId || lectureId;
+            try {
+                if (!id) {
+                    socket.emit('meeting-error', { message: 'Meeting ID is required' });
+                    return;
+                }
 
-            const meeting = meetings.get(meetingId);
+                const access = await authorizeJoin(id, user.id);
+                if (!access.allowed) {
+                    socket.emit('meeting-error', { message: access.message });
+                    return;
+                }
 
-            // Add participant
-            meeting.participants.set(socket.id, {
-                userId,
-                userName,
-                userRole,
-                video: true,
-                audio: true,
-                screen: false
-            });
+                // Initialize meeting if it doesn't exist
+                if (!meetings.has(id)) {
+                    meetings.set(id, {
+                        participants: new Map(),
+                        hostUserId: null,
+                        whiteboard: [],
+                        chat: [],
+                        createdAt: new Date(),
+                        lastActivity: new Date()
+                    });
+                }
 
-            // Notify others in the room
-            socket.to(meetingId).emit('user-joined', {
-                socketId: socket.id,
-                userId,
-                userName,
-                userRole
-            });
+                const meeting = meetings.get(id);
+                if (access.isHost) {
+                    meeting.hostUserId = user.id;
+                }
 
-            // Send current participants to the new user
-            const participants = Array.from(meeting.participants.entries()).map(([id, data]) => ({
-                socketId: id,
-                ...data
-            }));
-
-            socket.emit('meeting-joined', {
-                participants: participants.filter(p => p.socketId !== socket.id),
-                whiteboard: meeting.whiteboard,
-                chat: meeting.chat,
-                isHost: socket.id === meeting.host
-            });
+                socket.join(id);
+                joinedMeetings(socket).add(id);
+                meeting.lastActivity = new Date();
+
+                // Add participant
+                meeting.participants.set(socket.id, {
+                    userId: user.id,
+                    userName: user.name,
+                    userRole: user.role,
+                    isHost: access.isHost,
+                    video: true,
+                    audio: true,
+                    screen: false,
+                    joinedAt: new Date(),
+                    // Students' presence counts towards attendance once the lecture is live
+                    tracked: false
+                });
 
-            console.log(`User ${userName} joined meeting ${meetingId}`);
+                if (access.isLive) {
+                    trackStudents(id, Array.from(meeting.participants.entries()), access.startedAt);
+                }
+
+                // Notify others in the room
+                socket.to(id).emit('user-joined', {
+                    socketId: socket.id,
+                    userId: user.id,
+                    userName: user.name,
+                    userRole: user.role,
+                    isHost: access.isHost
+                });
+
+                // Send current participants to the new user, without the attendance bookkeeping
+                const participants = Array.from(meeting.participants.entries()).map(([socketId, data]) => ({
+                    socketId,
+                    userId: data.userId,
+                    userName: data.userName,
+                    userRole: data.userRole,
+                    isHost: data.isHost,
+                    video: data.video,
+                    audio: data.audio,
+                    screen: data.screen,
+                    joinedAt: data.joinedAt
+                }));
+
+                socket.emit('meeting-joined', {
+                    participants: participants.filter(p => p.socketId !== socket.id),
+                    whiteboard: meeting.whiteboard,
+                    chat: meeting.chat,
+                    isHost: access.isHost
+                });
+
+                console.log(`User ${user.name} joined meeting ${id}${access.isHost ? ' as host' : ''}`);
+            } catch (error) {
+                console.error('Error joining meeting:', error.message);
+                socket.emit('meeting-error', { message: 'Failed to join meeting' });
+            }
         });
 
         // WebRTC signaling
         socket.on('offer', ({ to, offer }) => {
+            if (!sharesMeeting(socket, to)) return;
             socket.to(to).emit('offer', {
                 from: socket.id,
                 offer
@@ -90,6 +302,7 @@ const initializeSocket = (server) => {
         });
 
         socket.on('answer', ({ to, answer }) => {
+            if (!sharesMeeting(socket, to)) return;
             socket.to(to).emit('answer', {
                 from: socket.id,
                 answer
@@ -97,6 +310,7 @@ const initializeSocket = (server) => {
         });
 
         socket.on('ice-candidate', ({ to, candidate }) => {
+            if (!sharesMeeting(socket, to)) return;
             socket.to(to).emit('ice-candidate', {
                 from: socket.id,
                 candidate
@@ -104,47 +318,31 @@ const initializeSocket = (server) => {
         });
 
         // Media controls
-        socket.on('toggle-video', ({ meetingId, enabled }) => {
-            const meeting = meetings.get(meetingId);
-            if (meeting && meeting.participants.has(socket.id)) {
-                meeting.participants.get(socket.id).video = enabled;
-                socket.to(meetingId).emit('user-video-toggle', {
-                    socketId: socket.id,
-                    enabled
-                });
-            }
-        });
-
-        socket.on('toggle-audio', ({ meetingId, enabled }) => {
-            const meeting = meetings.get(meetingId);
-            if (meeting && meeting.participants.has(socket.id)) {
-                meeting.participants.get(socket.id).audio = enabled;
-                socket.to(meetingId).emit('user-audio-toggle', {
+        const mediaToggle = (field, event) => ({ meetingId, enabled }) => {
+            const meeting = participantMeeting(socket, meetingId);
+            if (meeting) {
+                meeting.participants.get(socket.id)[field] = enabled;
+                socket.to(meetingId).emit(event, {
                     socketId: socket.id,
                     enabled
                 });
             }
-        });
+        };
 
-        socket.on('toggle-screen', ({ meetingId, enabled }) => {
-            const meeting = meetings.get(meetingId);
-            if (meeting && meeting.participants.has(socket.id)) {
-                meeting.participants.get(socket.id).screen = enabled;
-                socket.to(meetingId).emit('user-screen-toggle', {
-                    socketId: socket.id,
-                    enabled
-                });
-            }
-        });
+        socket.on('toggle-video', mediaToggle('video', 'user-video-toggle'));
+        socket.on('toggle-audio', mediaToggle('audio', 'user-audio-toggle'));
+        socket.on('toggle-screen', mediaToggle('screen', 'user-screen-toggle'));
 
         // Screen sharing
         socket.on('start-screen-share', ({ meetingId }) => {
+            if (!participantMeeting(socket, meetingId)) return;
             socket.to(meetingId).emit('user-started-screen-share', {
                 socketId: socket.id
             });
         });
 
         socket.on('stop-screen-share', ({ meetingId }) => {
+            if (!participantMeeting(socket, meetingId)) return;
             socket.to(meetingId).emit('user-stopped-screen-share', {
                 socketId: socket.id
             });
@@ -152,15 +350,18 @@ const initializeSocket = (server) => {
 
         // Whiteboard
         socket.on('whiteboard-draw', ({ meetingId, data }) => {
-            const meeting = meetings.get(meetingId);
+            const meeting = participantMeeting(socket, meetingId);
             if (meeting) {
                 meeting.whiteboard.push(data);
+                if (meeting.whiteboard.length > MAX_WHITEBOARD_ACTIONS) {
+                    meeting.whiteboard = meeting.whiteboard.slice(-MAX_WHITEBOARD_ACTIONS);
+                }
                 socket.to(meetingId).emit('whiteboard-draw', data);
             }
         });
 
         socket.on('whiteboard-clear', ({ meetingId }) => {
-            const meeting = meetings.get(meetingId);
+            const meeting = participantMeeting(socket, meetingId);
             if (meeting) {
                 meeting.whiteboard = [];
                 socket.to(meetingId).emit('whiteboard-clear');
@@ -168,34 +369,37 @@ const initializeSocket = (server) => {
         });
 
         socket.on('whiteboard-undo', ({ meetingId }) => {
-            const meeting = meetings.get(meetingId);
+            const meeting = participantMeeting(socket, meetingId);
             if (meeting && meeting.whiteboard.length > 0) {
                 meeting.whiteboard.pop();
                 io.to(meetingId).emit('whiteboard-sync', meeting.whiteboard);
             }
         });
 
-        // Chat
-        socket.on('send-message', ({ meetingId, message, userName }) => {
-            const meeting = meetings.get(meetingId);
-            if (meeting) {
+        // Chat - the sender's name comes from their account, not the client
+        socket.on('send-message', ({ meetingId, message }) => {
+            const meeting = participantMeeting(socket, meetingId);
+            if (meeting && typeof message === 'string' && message.trim()) {
                 const chatMessage = {
                     id: Date.now(),
-                    userName,
-                    message,
+                    userId: user.id,
+                    userName: user.name,
+                    message: message.slice(0, 1000), // Limit message length
                     timestamp: new Date().toISOString()
                 };
                 meeting.chat.push(chatMessage);
+                if (meeting.chat.length > MAX_CHAT_MESSAGES) {
+                    meeting.chat = meeting.chat.slice(-MAX_CHAT_MESSAGES);
+                }
                 io.to(meetingId).emit('new-message', chatMessage);
             }
         });
 
         // End meeting (host only)
         socket.on('end-meeting', ({ meetingId }) => {
-            const meeting = meetings.get(meetingId);
-            if (meeting && socket.id === meeting.host) {
-                io.to(meetingId).emit('meeting-ended');
-                meetings.delete(meetingId);
+            const meeting = participantMeeting(socket, meetingId);
+            if (meeting && meeting.hostUserId === user.id) {
+                endMeeting(meetingId, 'Meeting ended by host');
                 console.log(`Meeting ${meetingId} ended by host`);
             }
         });
@@ -207,47 +411,135 @@ const initializeSocket = (server) => {
 
         // Disconnect
         socket.on('disconnect', () => {
-            console.log('User disconnected:', socket.id);
+            console.log('User disconnected:', socket.id, user.name);
 
-            // Find and remove user from all meetings
-            meetings.forEach((meeting, meetingId) => {
-                if (meeting.participants.has(socket.id)) {
-                    handleUserLeave(socket, meetingId);
-                }
+            // Remove user from every meeting they joined
+            Array.from(joinedMeetings(socket)).forEach(meetingId => {
+                handleUserLeave(socket, meetingId);
             });
         });
     });
 
+    // Periodic cleanup of expired meetings
+    setInterval(() => {
+        let cleanedCount = 0;
+        meetings.forEach((meeting, meetingId) => {
+            if (isMeetingExpired(meeting)) {
+                endMeeting(meetingId, 'Meeting expired');
+                cleanedCount++;
+            }
+        });
+
+        if (cleanedCount > 0) {
+            console.log(`Cleaned up ${cleanedCount} expired meetings`);
+        }
+    }, MEETING_CLEANUP_INTERVAL).unref();
+
     return io;
 };
 
-const handleUserLeave = (socket, meetingId) => {
+/**
+ * Close the meeting room. Attendance stays open: the lecture may still be
+ * live (a host refresh or dropped connection ends the room too), and it is
+ * closed when the lecture completes.
+ */
+const endMeeting = (meetingId, reason) => {
     const meeting = meetings.get(meetingId);
     if (meeting) {
-        const participant = meeting.participants.get(socket.id);
-        meeting.participants.delete(socket.id);
-
-        socket.to(meetingId).emit('user-left', {
-            socketId: socket.id
+        const now = new Date();
+        meeting.participants.forEach((participant, socketId) => {
+            recordParticipantLeave(meetingId, socketId, participant, now);
         });
+    }
 
-        socket.leave(meetingId);
-
-        // If host left, end meeting
-        if (socket.id === meeting.host) {
-            socket.to(meetingId).emit('meeting-ended');
-            meetings.delete(meetingId);
-            console.log(`Meeting ${meetingId} ended (host left)`);
-        } else if (meeting.participants.size === 0) {
-            // Clean up empty meetings
-            meetings.delete(meetingId);
-            console.log(`Meeting ${meetingId} cleaned up (no participants)`);
-        }
+    io.to(meetingId).emit('meeting-ended', { reason });
+    io.in(meetingId).socketsLeave(meetingId);
+    meetings.delete(meetingId);
+};
 
-        if (participant) {
-            console.log(`User ${participant.userName} left meeting ${meetingId}`);
-        }
+const handleUserLeave = (socket, meetingId) => {
+    const meeting = meetings.get(meetingId);
+    joinedMeetings(socket).delete(meetingId);
+    socket.leave(meetingId);
+
+    if (!meeting || !meeting.participants.has(socket.id)) {
+        return;
+    }
+
+    const participant = meeting.participants.get(socket.id);
+    const leftAt = new Date();
+
+    // The lecture may have gone live since this student (or the others) joined;
+    // the leaving student is counted up to now in that case
+    refreshTracking(meetingId, Array.from(meeting.participants.entries()))
+        .catch(logAttendanceError('join'))
+        .then(() => recordParticipantLeave(meetingId, socket.id, participant, leftAt));
+    meeting.participants.delete(socket.id);
+
+    socket.to(meetingId).emit('user-left', {
+        socketId: socket.id,
+        userId: participant.userId
+    });
+
+    // The meeting ends when the trainer has no connection left in it
+    const hostStillPresent = Array.from(meeting.participants.values()).some(p => p.isHost);
+    if (participant.isHost && !hostStillPresent) {
+        endMeeting(meetingId, 'Host left the meeting');
+        console.log(`Meeting ${meetingId} ended (host left)`);
+    } else if (meeting.participants.size === 0) {
+        // Clean up empty meetings
+        meetings.delete(meetingId);
+        console.log(`Meeting ${meetingId} cleaned up (no participants)`);
+    }
+
+    console.log(`User ${participant.userName} left meeting ${meetingId}`);
+};
+
+/**
+ * End a lecture's meeting from outside the gateway (e.g. auto-completion)
+ * @returns {boolean} - Whether a meeting was running
+ */
+const closeMeeting = (lectureId, reason) => {
+    const id = lectureId.toString();
+    if (!io || !meetings.has(id)) {
+        return false;
     }
+    endMeeting(id, reason);
+    return true;
+};
+
+/**
+ * Start attendance for students already waiting in a lecture's meeting, once
+ * the lecture has gone live
+ */
+const startMeetingAttendance = async (lectureId) => {
+    const id = lectureId.toString();
+    const meeting = meetings.get(id);
+    if (!meeting) return;
+    await refreshTracking(id, Array.from(meeting.participants.entries()));
+};
+
+/**
+ * Check if meeting has expired
+ */
+const isMeetingExpired = (meeting) => {
+    const now = new Date();
+    return now - meeting.createdAt > MAX_MEETING_DURATION ||
+        now - meeting.lastActivity > MEETING_IDLE_TIMEOUT;
+};
+
+/**
+ * Get current meetings (for debugging/admin)
+ */
+const getMeetings = () => {
+    return Array.from(meetings.entries()).map(([id, meeting]) => ({
+        id,
+        hostUserId: meeting.hostUserId,
+        participantCount: meeting.participants.size,
+        createdAt: meeting.createdAt,
+        lastActivity: meeting.lastActivity,
+        isExpired: isMeetingExpired(meeting)
+    }));
 };
 
 const getIO = () => {
@@ -259,5 +551,8 @@ const getIO = () => {
 
 module.exports = {
     initializeSocket,
-    getIO
-};
\ No newline at end of file
+    getIO,
+    getMeetings,
+    closeMeeting,
+    startMeetingAttendance
+};
@@ -0,0 +1,196 @@
+// Students dispute an enrollment after the lecture; while the dispute is open
+// the trainer's held share cannot be released, and the admin's decision
+// either refunds the student (clawed back from the trainer) or lets the share
+// be paid out.
+// Run with: node --test src/tests/disputes.test.js
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, startServer, signIn } = require('./helpers');
+
+const Dispute = require('../models/Dispute');
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const EarningsHold = require('../models/EarningsHold');
+const lectureRoutes = require('../routes/lectures');
+const jobQueue = require('../services/jobQueue');
+const { registerEarningsJobs, releaseLectureEarnings } = require('../services/earningsService');
+const {
+  fileDispute,
+  respondToDispute,
+  withdrawDispute,
+  resolveDispute,
+  scanDisputes
+} = require('../services/disputeService');
+const { EARNINGS_DISPUTE_WINDOW_HOURS } = require('../config/earnings');
+const { DISPUTE_RESPONSE_HOURS } = require('../config/disputes');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Withdrawn and rejected disputes queue the release of the unfrozen share
+registerEarningsJobs();
+
+let db;
+let server;
+let trainer;
+let student;
+let admin;
+let lecture;
+
+const walletOf = async (user) => (await User.findById(user._id)).walletBalance;
+const holdOf = () => db.findOne(EarningsHold, { lecture: lecture._id });
+
+const completedHoursAgo = (hours) => Lecture.updateOne({ _id: lecture._id }, {
+  status: 'completed',
+  scheduledAt: new Date(Date.now() - (hours + 1) * HOUR),
+  completedAt: new Date(Date.now() - hours * HOUR)
+});
+
+const file = () => fileDispute(student, {
+  lectureId: lecture._id,
+  reason: 'poor_quality',
+  description: 'The trainer read from the slides for an hour'
+});
+
+// Move the lecture past its release time, as if the dispute had been open a while
+const passReleaseTime = () => completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS + 1);
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  trainer = db.insert(User, { firstname: 'Test', lastname: 'Trainer', email: 'trainer@example.com', role: 'trainer', isApproved: true, walletBalance: 0 });
+  student = db.insert(User, { firstname: 'Test', lastname: 'Student', email: 'student@example.com', role: 'student', walletBalance: 500 });
+  admin = db.insert(User, { firstname: 'Test', lastname: 'Admin', email: 'admin@example.com', role: 'admin' });
+  lecture = db.insert(Lecture, {
+    title: 'Disputed Lecture',
+    description: 'Not what was promised',
+    category: 'Business',
+    trainer: trainer._id,
+    price: 100,
+    duration: 60,
+    scheduledAt: new Date(Date.now() + 7 * DAY),
+    maxStudents: 10,
+    status: 'scheduled'
+  });
+  server = await startServer({ '/api/lectures': lectureRoutes });
+
+  const res = await fetch(`${server.baseUrl}/api/lectures/${lecture._id}/enroll`, {
+    method: 'POST',
+    headers: await signIn(student),
+    body: '{}'
+  });
+  assert.strictEqual(res.status, 200);
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+test('a dispute can only be filed once, after the lecture starts and within the window', async () => {
+  await assert.rejects(file(), { code: 'NOT_DISPUTABLE' });
+
+  await completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS + 1);
+  await assert.rejects(file(), { code: 'WINDOW_CLOSED' });
+
+  await completedHoursAgo(1);
+  const dispute = await file();
+  assert.strictEqual(dispute.status, 'awaiting_trainer');
+  assert.strictEqual(dispute.amountPaid, 100);
+
+  await assert.rejects(file(), { code: 'ALREADY_DISPUTED' });
+  assert.strictEqual(db.find(Dispute).length, 1);
+});
+
+test('an open dispute freezes the trainer\'s share until it is withdrawn', async () => {
+  await completedHoursAgo(1);
+  const dispute = await file();
+  assert.strictEqual(holdOf().dispute.toString(), dispute._id.toString());
+
+  await passReleaseTime();
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+  assert.strictEqual(holdOf().status, 'held');
+  assert.strictEqual(await walletOf(trainer), 0);
+
+  await assert.rejects(withdrawDispute(dispute, trainer), { code: 'FORBIDDEN' });
+  await withdrawDispute(dispute, student);
+  await jobQueue.processQueue();
+
+  assert.strictEqual(db.findOne(Dispute).status, 'withdrawn');
+  assert.strictEqual(holdOf().status, 'released');
+  assert.strictEqual(await walletOf(trainer), 90);
+  assert.strictEqual(await walletOf(student), 400);
+});
+
+test('a full refund pays the student back out of the trainer\'s share', async () => {
+  await completedHoursAgo(1);
+  const dispute = await file();
+
+  const { refund } = await resolveDispute(dispute, admin, { decision: 'full_refund', note: 'Confirmed by recording' });
+
+  assert.strictEqual(refund.refundAmount, 100);
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(await walletOf(trainer), 0);
+  assert.strictEqual(holdOf().status, 'released');
+
+  const stored = db.findOne(Dispute);
+  assert.strictEqual(stored.status, 'refunded');
+  assert.strictEqual(stored.resolution.refundAmount, 100);
+
+  // It cannot be decided again, nor its share released twice
+  await assert.rejects(resolveDispute(dispute, admin, { decision: 'full_refund' }), { code: 'DISPUTE_CLOSED' });
+  await passReleaseTime();
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(await walletOf(trainer), 0);
+});
+
+test('a partial refund needs a percentage and returns that share', async () => {
+  await completedHoursAgo(1);
+  const dispute = await file();
+
+  await assert.rejects(resolveDispute(dispute, admin, { decision: 'partial_refund', percentage: 100 }), { code: 'INVALID_PERCENTAGE' });
+
+  const { refund } = await resolveDispute(dispute, admin, { decision: 'partial_refund', percentage: 40 });
+
+  assert.strictEqual(refund.refundAmount, 40);
+  assert.strictEqual(await walletOf(student), 440);
+  assert.strictEqual(db.findOne(Dispute).status, 'partially_refunded');
+  // The trainer keeps their 90% of the 60 that was not refunded
+  assert.strictEqual(await walletOf(trainer), 54);
+});
+
+test('a rejected dispute lets the share be released', async () => {
+  await completedHoursAgo(1);
+  const dispute = await file();
+  await passReleaseTime();
+
+  const { refund } = await resolveDispute(dispute, admin, { decision: 'rejected', note: 'Lecture ran as described' });
+  await jobQueue.processQueue();
+
+  assert.strictEqual(refund, null);
+  assert.strictEqual(db.findOne(Dispute).status, 'rejected');
+  assert.strictEqual(holdOf().status, 'released');
+  assert.strictEqual(await walletOf(trainer), 90);
+  assert.strictEqual(await walletOf(student), 400);
+});
+
+test('a dispute goes to review when the trainer responds or misses the deadline', async () => {
+  await completedHoursAgo(1);
+  const dispute = await file();
+
+  await assert.rejects(respondToDispute(dispute, student, { body: 'Not me' }), { code: 'FORBIDDEN' });
+
+  // Not overdue yet
+  await scanDisputes();
+  assert.strictEqual(db.findOne(Dispute).status, 'awaiting_trainer');
+
+  await scanDisputes(new Date(Date.now() + (DISPUTE_RESPONSE_HOURS + 1) * HOUR));
+  const overdue = db.findOne(Dispute);
+  assert.strictEqual(overdue.status, 'under_review');
+  assert.ok(overdue.trainerResponse.missedAt);
+
+  // The trainer can still give their side while it is under review
+  const responded = await respondToDispute(await Dispute.findById(dispute._id), trainer, { body: 'The lecture ran in full' });
+  assert.strictEqual(responded.status, 'under_review');
+  assert.strictEqual(db.findOne(Dispute).trainerResponse.body, 'The lecture ran in full');
+});
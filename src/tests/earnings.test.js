@@ -0,0 +1,151 @@
+// A trainer's share of each enrollment is held until the lecture has been
+// completed and the dispute window has passed; refunds claw it back from the
+// hold first and from the trainer's wallet once it has been released.
+// Run with: node --test src/tests/earnings.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, startServer, signIn } = require('./helpers');
+
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const EarningsHold = require('../models/EarningsHold');
+const LedgerEntry = require('../models/LedgerEntry');
+const lectureRoutes = require('../routes/lectures');
+const { releaseLectureEarnings } = require('../services/earningsService');
+const { refundEnrollment } = require('../services/refundService');
+const { EARNINGS_DISPUTE_WINDOW_HOURS } = require('../config/earnings');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let db;
+let server;
+let trainer;
+let student;
+let lecture;
+
+const request = async (method, path, user) => fetch(`${server.baseUrl}/api/lectures/${lecture._id}${path}`, {
+  method,
+  headers: await signIn(user),
+  body: method === 'GET' ? undefined : '{}'
+});
+
+const walletOf = async (user) => (await User.findById(user._id)).walletBalance;
+const holdOf = () => db.findOne(EarningsHold, { lecture: lecture._id });
+
+// Enroll the student, then move the lecture to its start so it can run
+const enrollAndGoLive = async () => {
+  const res = await request('POST', '/enroll', student);
+  assert.strictEqual(res.status, 200);
+  await Lecture.updateOne({ _id: lecture._id }, {
+    status: 'live',
+    scheduledAt: new Date(Date.now() - HOUR / 2),
+    startedAt: new Date()
+  });
+};
+
+const completedHoursAgo = (hours) => Lecture.updateOne({ _id: lecture._id }, {
+  status: 'completed',
+  completedAt: new Date(Date.now() - hours * HOUR)
+});
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  trainer = db.insert(User, { firstname: 'Test', lastname: 'Trainer', email: 'trainer@example.com', role: 'trainer', isApproved: true, walletBalance: 0 });
+  student = db.insert(User, { firstname: 'Test', lastname: 'Student', email: 'student@example.com', role: 'student', walletBalance: 500 });
+  lecture = db.insert(Lecture, {
+    title: 'Held Earnings',
+    description: 'Money on hold',
+    category: 'Business',
+    trainer: trainer._id,
+    price: 100,
+    duration: 60,
+    scheduledAt: new Date(Date.now() + 7 * DAY),
+    maxStudents: 10,
+    status: 'scheduled'
+  });
+  server = await startServer({ '/api/lectures': lectureRoutes });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('a lecture cannot be completed before it has started', async () => {
+  const res = await request('PATCH', '/complete', trainer);
+
+  assert.strictEqual(res.status, 400);
+  const stored = db.findOne(Lecture, { _id: lecture._id });
+  assert.strictEqual(stored.status, 'scheduled');
+  assert.strictEqual(stored.completedAt, undefined);
+});
+
+test('a scheduled lecture whose time is over can be completed', async () => {
+  await Lecture.updateOne({ _id: lecture._id }, { scheduledAt: new Date(Date.now() - 2 * HOUR) });
+
+  const res = await request('PATCH', '/complete', trainer);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(db.findOne(Lecture, { _id: lecture._id }).status, 'completed');
+});
+
+test('held earnings are released only after the dispute window from completion', async () => {
+  await enrollAndGoLive();
+  assert.strictEqual(holdOf().amount, 90);
+
+  const res = await request('PATCH', '/complete', trainer);
+  assert.strictEqual(res.status, 200);
+
+  // Just completed: everything stays on hold
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+  await completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS - 1);
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+  assert.strictEqual(holdOf().status, 'held');
+  assert.strictEqual(await walletOf(trainer), 0);
+
+  await completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS + 1);
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 1, amount: 90 });
+  assert.strictEqual(holdOf().status, 'released');
+  assert.strictEqual(await walletOf(trainer), 90);
+
+  // Releasing again pays nothing more
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+  assert.strictEqual(await walletOf(trainer), 90);
+});
+
+test('a refund before release is taken from the hold', async () => {
+  await enrollAndGoLive();
+
+  const result = await refundEnrollment({ lecture, studentId: student._id, reason: 'admin_decision', percentage: 100 });
+
+  assert.strictEqual(result.refundAmount, 100);
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(holdOf().status, 'reversed');
+  assert.strictEqual(holdOf().amount, 0);
+  assert.strictEqual(await walletOf(trainer), 0);
+
+  // Nothing is left to release
+  await completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS + 1);
+  assert.deepStrictEqual(await releaseLectureEarnings({ lectureId: lecture._id }), { released: 0, amount: 0 });
+});
+
+test('a refund after release is clawed back from the trainer and the platform advances the rest', async () => {
+  await enrollAndGoLive();
+  await completedHoursAgo(EARNINGS_DISPUTE_WINDOW_HOURS + 1);
+  await releaseLectureEarnings({ lectureId: lecture._id });
+
+  // The trainer has already spent part of the released earnings
+  await User.updateOne({ _id: trainer._id }, { walletBalance: 40 });
+
+  const result = await refundEnrollment({ lecture, studentId: student._id, reason: 'admin_decision', percentage: 100 });
+
+  assert.strictEqual(result.refunded, true);
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(await walletOf(trainer), 0);
+
+  const entry = db.findOne(LedgerEntry, { category: 'refund' });
+  assert.strictEqual(entry.metadata.fromHeldEarnings, 0);
+  assert.strictEqual(entry.metadata.advancedForTrainer, 50);
+});
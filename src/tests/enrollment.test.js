@@ -0,0 +1,184 @@
+// Concurrent enrollments must never charge twice or overbook a lecture, and
+// a lecture that has started is closed to enrollment.
+// Run with: node --test src/tests/enrollment.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, startServer, signIn } = require('./helpers');
+
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const EarningsHold = require('../models/EarningsHold');
+const LectureSeries = require('../models/LectureSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const lectureRoutes = require('../routes/lectures');
+const jobQueue = require('../services/jobQueue');
+const { scanLectures } = require('../services/lectureScheduler');
+const { enrollInSeries } = require('../services/seriesService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+let db;
+let server;
+let trainer;
+let lecture;
+
+const makeStudent = (email) => db.insert(User, {
+  firstname: 'Test',
+  lastname: 'Student',
+  email,
+  role: 'student',
+  walletBalance: 500
+});
+
+const enroll = async (student) => fetch(`${server.baseUrl}/api/lectures/${lecture._id}/enroll`, {
+  method: 'POST',
+  headers: await signIn(student),
+  body: '{}'
+});
+
+const walletOf = async (user) => (await User.findById(user._id)).walletBalance;
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  trainer = db.insert(User, { firstname: 'Test', lastname: 'Trainer', email: 'trainer@example.com', role: 'trainer' });
+  lecture = db.insert(Lecture, {
+    title: 'Concurrency 101',
+    description: 'Seats and races',
+    category: 'Programming',
+    trainer: trainer._id,
+    price: 100,
+    duration: 60,
+    scheduledAt: new Date(Date.now() + 7 * DAY),
+    maxStudents: 1,
+    status: 'scheduled'
+  });
+  server = await startServer({ '/api/lectures': lectureRoutes });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('takeSeat refuses a duplicate student and a full lecture', async () => {
+  const first = makeStudent('first@example.com');
+  const second = makeStudent('second@example.com');
+  await Lecture.updateOne({ _id: lecture._id }, { maxStudents: 2 });
+
+  assert.strictEqual(await Lecture.takeSeat(lecture._id, first._id), true);
+  assert.strictEqual(await Lecture.takeSeat(lecture._id, first._id), false);
+  assert.strictEqual(await Lecture.takeSeat(lecture._id, second._id), true);
+  assert.strictEqual(await Lecture.takeSeat(lecture._id, makeStudent('third@example.com')._id), false);
+
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 2);
+});
+
+test('the same student enrolling twice at once is charged once', async () => {
+  await Lecture.updateOne({ _id: lecture._id }, { maxStudents: 5 });
+  const student = makeStudent('twice@example.com');
+
+  const responses = await Promise.all([enroll(student), enroll(student)]);
+  const statuses = responses.map(res => res.status).sort();
+
+  assert.deepStrictEqual(statuses, [200, 409]);
+  assert.strictEqual(await walletOf(student), 400);
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 1);
+  assert.strictEqual(db.find(EarningsHold).length, 1);
+});
+
+test('two students racing for the last seat do not overbook it', async () => {
+  const first = makeStudent('first@example.com');
+  const second = makeStudent('second@example.com');
+
+  const responses = await Promise.all([enroll(first), enroll(second)]);
+  const statuses = responses.map(res => res.status).sort();
+
+  assert.deepStrictEqual(statuses, [200, 409]);
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 1);
+  assert.deepStrictEqual([await walletOf(first), await walletOf(second)].sort(), [400, 500]);
+
+  const refused = await responses.find(res => res.status === 409).json();
+  assert.strictEqual(refused.code, 'NO_SEAT');
+});
+
+test('a lecture that has started cannot be enrolled in', async () => {
+  const student = makeStudent('late@example.com');
+  await Lecture.updateOne({ _id: lecture._id }, { scheduledAt: new Date(Date.now() - MINUTE) });
+
+  const res = await enroll(student);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(await Lecture.takeSeat(lecture._id, student._id), false);
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 0);
+});
+
+test('a lecture the trainer never started is marked as a no-show', async () => {
+  await Lecture.updateOne({ _id: lecture._id }, { scheduledAt: new Date(Date.now() - 20 * MINUTE) });
+
+  const found = await scanLectures();
+  await jobQueue.processQueue();
+
+  assert.strictEqual(found.noShow, 1);
+  const stored = db.findOne(Lecture);
+  assert.strictEqual(stored.status, 'no_show');
+  assert.ok(stored.noShow.flaggedAt);
+  assert.strictEqual((await enroll(makeStudent('late@example.com'))).status, 400);
+});
+
+// A two-session series with one seat per session, 200 UC for the bundle
+const makeSeries = async () => {
+  const series = db.insert(LectureSeries, {
+    title: 'Concurrency Series',
+    trainer: trainer._id,
+    bundlePrice: 200,
+    totalOccurrences: 2,
+    status: 'active'
+  });
+  await Lecture.updateOne({ _id: lecture._id }, { series: series._id, seriesIndex: 1 });
+  db.insert(Lecture, {
+    title: 'Concurrency 102',
+    description: 'More seats and races',
+    category: 'Programming',
+    trainer: trainer._id,
+    series: series._id,
+    seriesIndex: 2,
+    price: 100,
+    duration: 60,
+    scheduledAt: new Date(Date.now() + 14 * DAY),
+    maxStudents: 1,
+    status: 'scheduled'
+  });
+  return series;
+};
+
+test('a series enrollment does not take a seat kept for the waitlist', async () => {
+  const series = await makeSeries();
+  const waiting = makeStudent('waiting@example.com');
+  const student = makeStudent('series@example.com');
+  db.insert(WaitlistEntry, { lecture: lecture._id, student: waiting._id, status: 'waiting', joinedAt: new Date() });
+
+  await assert.rejects(enrollInSeries(series, student, { feePercentage: 10 }), { code: 'SESSION_FULL' });
+
+  assert.strictEqual(await walletOf(student), 500);
+  assert.ok(db.find(Lecture).every(stored => stored.enrolledStudents.length === 0));
+});
+
+test('two students racing for a series with one seat left are not both enrolled', async () => {
+  const series = await makeSeries();
+  const first = makeStudent('first@example.com');
+  const second = makeStudent('second@example.com');
+
+  const results = await Promise.allSettled([
+    enrollInSeries(series, first, { feePercentage: 10 }),
+    enrollInSeries(series, second, { feePercentage: 10 })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'SESSION_FULL');
+  assert.deepStrictEqual([await walletOf(first), await walletOf(second)].sort(), [300, 500]);
+  assert.ok(db.find(Lecture).every(stored => stored.enrolledStudents.length === 1));
+  assert.strictEqual(db.find(EarningsHold).length, 2);
+});
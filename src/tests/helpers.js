@@ -0,0 +1,709 @@
+/**
+ * Shared test setup
+ * useMemoryDb() backs every registered model with an in-memory collection at
+ * the driver level, so services and routes run their real queries, hooks,
+ * validation and ledger transactions without a MongoDB server. Only the query
+ * and update operators the services use are implemented; anything else throws
+ * rather than silently matching.
+ */
+
+const { mock } = require('node:test');
+const express = require('express');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const { generateToken } = require('../middleware/auth');
+const { getMailTransport } = require('../services/mailTransports');
+
+// Anything the memory collections miss fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { ObjectId } = mongoose.Types;
+const MAX_TRANSACTION_ATTEMPTS = 20;
+
+// Every operation yields first, so concurrent requests interleave as they would against a server
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+// Deep copy of a value as the driver would store it
+const clone = (value) => {
+  if (value === null || value === undefined) return value;
+  if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value.toBSON === 'function') return clone(value.toBSON());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return comparable(a) === comparable(b);
+};
+
+// NaN when the values cannot be ordered, so every range check fails
+const compare = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === null || x === undefined || y === null || y === undefined || typeof x !== typeof y) return NaN;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  objectId: value => value instanceof ObjectId,
+  null: value => value === null
+};
+
+// Every value a dotted path reaches, stepping into arrays like MongoDB does
+const valuesAt = (value, parts) => {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) return valuesAt(value[Number(parts[0])], parts.slice(1));
+    return value.flatMap(item => valuesAt(item, parts));
+  }
+  if (!isPlainObject(value)) return [undefined];
+  return valuesAt(value[parts[0]], parts.slice(1));
+};
+
+// What a condition on the path is tested against: the values and the elements of arrays
+const candidatesAt = (doc, path) => valuesAt(doc, path.split('.'))
+  .flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+let matches;
+
+const matchesCondition = (candidates, condition) => {
+  if (!isOperatorObject(condition)) {
+    return candidates.some(value => isEqual(value, condition));
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$eq': return candidates.some(value => isEqual(value, operand));
+      case '$ne': return !candidates.some(value => isEqual(value, operand));
+      case '$in': return candidates.some(value => operand.some(item => isEqual(value, item)));
+      case '$nin': return !candidates.some(value => operand.some(item => isEqual(value, item)));
+      case '$gt': return candidates.some(value => compare(value, operand) > 0);
+      case '$gte': return candidates.some(value => compare(value, operand) >= 0);
+      case '$lt': return candidates.some(value => compare(value, operand) < 0);
+      case '$lte': return candidates.some(value => compare(value, operand) <= 0);
+      case '$exists': return operand
+        ? candidates.some(value => value !== undefined)
+        : candidates.every(value => value === undefined);
+      case '$size': return candidates.some(value => Array.isArray(value) && value.length === operand);
+      case '$type': return candidates.some(value => TYPES[operand] && TYPES[operand](value));
+      case '$not': return !matchesCondition(candidates, operand);
+      case '$elemMatch': return candidates.some(value => Array.isArray(value) && value.some(item =>
+        (isOperatorObject(operand) ? matchesCondition([item], operand) : matches(item, operand))));
+      default: throw new Error(`Memory collection does not support query operator ${op}`);
+    }
+  });
+};
+
+const EXPRESSIONS = {
+  $size: ([value]) => (Array.isArray(value) ? value.length : 0),
+  $lt: ([a, b]) => compare(a, b) < 0,
+  $lte: ([a, b]) => compare(a, b) <= 0,
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $eq: ([a, b]) => isEqual(a, b),
+  $ne: ([a, b]) => !isEqual(a, b),
+  $and: values => values.every(Boolean),
+  $or: values => values.some(Boolean),
+  $add: values => values.reduce((sum, value) => sum + comparable(value), 0),
+  $subtract: ([a, b]) => comparable(a) - comparable(b),
+  $multiply: values => values.reduce((product, value) => product * comparable(value), 1)
+};
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return valuesAt(doc, expression.slice(1).split('.'))[0];
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(doc, item));
+  }
+  if (isOperatorObject(expression)) {
+    const [[op, args]] = Object.entries(expression);
+    if (!EXPRESSIONS[op]) {
+      throw new Error(`Memory collection does not support expression ${op}`);
+    }
+    return EXPRESSIONS[op]((Array.isArray(args) ? args : [args]).map(arg => evaluate(doc, arg)));
+  }
+  return expression;
+};
+
+matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$and': return condition.every(part => matches(doc, part));
+    case '$or': return condition.some(part => matches(doc, part));
+    case '$nor': return !condition.some(part => matches(doc, part));
+    case '$expr': return Boolean(evaluate(doc, condition));
+    default:
+      if (key.startsWith('$')) {
+        throw new Error(`Memory collection does not support query operator ${key}`);
+      }
+      return matchesCondition(candidatesAt(doc, key), condition);
+  }
+});
+
+const getValue = (doc, parts) => parts.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), doc);
+
+const setValue = (doc, parts, value) => {
+  const parent = parts.slice(0, -1).reduce((target, part) => {
+    if (target[part] === null || target[part] === undefined) target[part] = {};
+    return target[part];
+  }, doc);
+  parent[parts[parts.length - 1]] = value;
+};
+
+const unsetValue = (doc, parts) => {
+  const parent = getValue(doc, parts.slice(0, -1));
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+};
+
+// Whether an array element is picked by a positional ($, $[], $[name]) update path
+const isSelected = (part, arrayPath, element, { filter, arrayFilters = [] }) => {
+  if (part === '$[]') return true;
+
+  if (part === '$') {
+    const prefix = `${arrayPath}.`;
+    const conditions = Object.entries(filter)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, condition]) => [key.slice(prefix.length), condition]);
+    const elemMatch = filter[arrayPath] && filter[arrayPath].$elemMatch;
+    return matches(element, Object.fromEntries(conditions)) && (!elemMatch || matches(element, elemMatch));
+  }
+
+  const name = part.slice(2, -1);
+  return arrayFilters.flatMap(arrayFilter => Object.entries(arrayFilter)).every(([key, condition]) => {
+    if (key === name) return matchesCondition([element], condition);
+    if (!key.startsWith(`${name}.`)) return true;
+    return matches(element, { [key.slice(name.length + 1)]: condition });
+  });
+};
+
+// Concrete paths for an update path, resolving positional operators
+const expandPath = (doc, path, context) => {
+  let paths = [[]];
+  path.split('.').forEach(part => {
+    if (!part.startsWith('$')) {
+      paths = paths.map(prefix => [...prefix, part]);
+      return;
+    }
+    paths = paths.flatMap(prefix => {
+      const array = getValue(doc, prefix);
+      if (!Array.isArray(array)) return [];
+      const arrayPath = prefix.filter(segment => !/^\d+$/.test(segment)).join('.');
+      const picked = array
+        .map((element, index) => (isSelected(part, arrayPath, element, context) ? [...prefix, String(index)] : null))
+        .filter(Boolean);
+      return part === '$' ? picked.slice(0, 1) : picked;
+    });
+  });
+  return paths;
+};
+
+const UPDATES = {
+  $set: (doc, parts, value) => setValue(doc, parts, clone(value)),
+  $setOnInsert: (doc, parts, value, { inserting }) => inserting && setValue(doc, parts, clone(value)),
+  $unset: (doc, parts) => unsetValue(doc, parts),
+  $inc: (doc, parts, value) => setValue(doc, parts, (getValue(doc, parts) || 0) + value),
+  $min: (doc, parts, value) => {
+    const current = getValue(doc, parts);
+    if (current === undefined || compare(value, current) < 0) setValue(doc, parts, clone(value));
+  },
+  $max: (doc, parts, value) => {
+    const current = getValue(doc, parts);
+    if (current === undefined || compare(value, current) > 0) setValue(doc, parts, clone(value));
+  },
+  $push: (doc, parts, value) => {
+    const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+    setValue(doc, parts, [...(getValue(doc, parts) || []), ...items.map(clone)]);
+  },
+  $addToSet: (doc, parts, value) => {
+    const array = [...(getValue(doc, parts) || [])];
+    const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+    items.forEach(item => {
+      if (!array.some(existing => isEqual(existing, item))) array.push(clone(item));
+    });
+    setValue(doc, parts, array);
+  },
+  $pull: (doc, parts, condition) => {
+    const array = getValue(doc, parts) || [];
+    setValue(doc, parts, array.filter(item => {
+      if (isOperatorObject(condition)) return !matchesCondition([item], condition);
+      if (isPlainObject(condition) && isPlainObject(item)) return !matches(item, condition);
+      return !isEqual(item, condition);
+    }));
+  },
+  $pullAll: (doc, parts, values) => {
+    const array = getValue(doc, parts) || [];
+    setValue(doc, parts, array.filter(item => !values.some(value => isEqual(item, value))));
+  }
+};
+
+const applyUpdate = (doc, update, context) => {
+  Object.entries(update).forEach(([op, fields]) => {
+    if (!UPDATES[op]) {
+      throw new Error(`Memory collection does not support update operator ${op}`);
+    }
+    Object.entries(fields).forEach(([path, value]) => {
+      expandPath(doc, path, context).forEach(parts => UPDATES[op](doc, parts, value, context));
+    });
+  });
+  return doc;
+};
+
+// The document an upsert starts from: the filter's equality conditions
+const seedFromFilter = (filter) => {
+  const doc = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key.startsWith('$')) return;
+    if (!isOperatorObject(condition)) {
+      setValue(doc, key.split('.'), clone(condition));
+    } else if ('$eq' in condition) {
+      setValue(doc, key.split('.'), clone(condition.$eq));
+    }
+  });
+  return doc;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const x = comparable(valuesAt(a, path.split('.'))[0]);
+      const y = comparable(valuesAt(b, path.split('.'))[0]);
+      if (x === y) continue;
+      if (x === undefined || x === null) return -direction;
+      if (y === undefined || y === null) return direction;
+      return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (name, keyValue) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${name} dup key: ${JSON.stringify(keyValue)}`),
+  { name: 'MongoServerError', code: 11000, keyValue }
+);
+
+const writeConflictError = () => Object.assign(
+  new Error('WriteConflict: the document was changed by another transaction'),
+  {
+    name: 'MongoServerError',
+    code: 112,
+    errorLabels: ['TransientTransactionError'],
+    hasErrorLabel(label) { return this.errorLabels.includes(label); }
+  }
+);
+
+class MemoryCollection {
+  constructor(db, Model) {
+    this.db = db;
+    this.name = Model.collection.collectionName;
+    this.docs = new Map();
+    this.uniqueIndexes = Model.schema.indexes()
+      .filter(([, options]) => options && options.unique)
+      .map(([fields, options]) => ({
+        paths: Object.keys(fields),
+        sparse: Boolean(options.sparse),
+        partial: options.partialFilterExpression
+      }));
+  }
+
+  list(filter, { sort, skip = 0, limit } = {}) {
+    const found = sortDocs([...this.docs.values()].filter(doc => matches(doc, filter)), sort);
+    return found.slice(skip, limit ? skip + limit : undefined);
+  }
+
+  checkUnique(doc) {
+    const others = [...this.docs.values()].filter(other => !isEqual(other._id, doc._id));
+
+    this.uniqueIndexes.forEach(({ paths, sparse, partial }) => {
+      const key = paths.map(path => valuesAt(doc, path.split('.'))[0]);
+      if (sparse && key.every(value => value === undefined)) return;
+      if (partial && !matches(doc, partial)) return;
+
+      const clash = others.find(other => (!partial || matches(other, partial)) &&
+        paths.every((path, i) => isEqual(valuesAt(other, path.split('.'))[0], key[i])));
+      if (clash) {
+        throw duplicateKeyError(this.name, Object.fromEntries(paths.map((path, i) => [path, key[i]])));
+      }
+    });
+  }
+
+  // Every write goes through here so transactions can detect conflicts and roll back
+  write(id, doc, session) {
+    this.db.track(this, String(id), session);
+    if (doc) {
+      this.checkUnique(doc);
+      this.docs.set(String(id), doc);
+    } else {
+      this.docs.delete(String(id));
+    }
+  }
+
+  insert(doc, session) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    if (this.docs.has(String(stored._id))) {
+      throw duplicateKeyError(this.name, { _id: stored._id });
+    }
+    this.write(stored._id, stored, session);
+    return stored;
+  }
+
+  update(filter, update, options, { many = false } = {}) {
+    const targets = this.list(filter, { sort: options.sort, limit: many ? undefined : 1 });
+    const context = { filter, arrayFilters: options.arrayFilters, inserting: false };
+
+    if (targets.length === 0 && options.upsert) {
+      const seeded = applyUpdate(seedFromFilter(filter), update, { ...context, inserting: true });
+      const inserted = this.insert(seeded, options.session);
+      return { matched: [], modified: [], upserted: inserted };
+    }
+
+    const modified = [];
+    targets.forEach(target => {
+      const next = applyUpdate(clone(target), update, context);
+      if (!isEqual(next, target)) {
+        this.write(target._id, next, options.session);
+        modified.push({ before: target, after: next });
+      }
+    });
+    return { matched: targets, modified, upserted: null };
+  }
+
+  // Driver collection API, as called by mongoose
+
+  async findOne(filter = {}, options = {}) {
+    await tick();
+    const [doc] = this.list(filter, { sort: options.sort, skip: options.skip, limit: 1 });
+    return doc ? clone(doc) : null;
+  }
+
+  find(filter = {}, options = {}) {
+    const docs = async () => {
+      await tick();
+      return this.list(filter, options).map(clone);
+    };
+    return { toArray: docs };
+  }
+
+  async countDocuments(filter = {}) {
+    await tick();
+    return this.list(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    await tick();
+    const values = this.list(filter).flatMap(doc => candidatesAt(doc, field)).filter(value => value !== undefined && !Array.isArray(value));
+    return values.filter((value, i) => values.findIndex(other => isEqual(other, value)) === i);
+  }
+
+  async insertOne(doc, options = {}) {
+    await tick();
+    const stored = this.insert(doc, options.session);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs, options = {}) {
+    await tick();
+    const stored = docs.map(doc => this.insert(doc, options.session));
+    return {
+      acknowledged: true,
+      insertedCount: stored.length,
+      insertedIds: Object.fromEntries(stored.map((doc, i) => [i, doc._id]))
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    await tick();
+    const { matched, modified, upserted } = this.update(filter, update, options);
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: modified.length,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    await tick();
+    const { matched, modified, upserted } = this.update(filter, update, options, { many: true });
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: modified.length,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null
+    };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await tick();
+    const { matched, modified, upserted } = this.update(filter, update, options);
+    const after = options.returnDocument === 'after' || options.returnOriginal === false;
+
+    let value = null;
+    if (upserted) {
+      value = after ? upserted : null;
+    } else if (matched.length > 0) {
+      const change = modified[0];
+      value = after ? (change ? change.after : matched[0]) : matched[0];
+    }
+
+    value = value ? clone(value) : null;
+    return options.includeResultMetadata ? { value, ok: 1, lastErrorObject: { n: value ? 1 : 0 } } : value;
+  }
+
+  async deleteOne(filter, options = {}) {
+    await tick();
+    const [doc] = this.list(filter, { limit: 1 });
+    if (doc) this.write(doc._id, null, options.session);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter, options = {}) {
+    await tick();
+    const docs = this.list(filter);
+    docs.forEach(doc => this.write(doc._id, null, options.session));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    await tick();
+    const [doc] = this.list(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.write(doc._id, null, options.session);
+    const value = doc ? clone(doc) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  aggregate() {
+    throw new Error(`Memory collection ${this.name} does not support aggregate`);
+  }
+
+  bulkWrite() {
+    throw new Error(`Memory collection ${this.name} does not support bulkWrite`);
+  }
+}
+
+const DRIVER_METHODS = [
+  'findOne', 'find', 'countDocuments', 'distinct', 'insertOne', 'insertMany', 'updateOne',
+  'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'aggregate', 'bulkWrite'
+];
+
+// A client session. A class rather than a plain object, so mongoose passes it
+// to the driver as it is instead of copying it with the query options.
+class MemorySession {
+  constructor(db) {
+    this.db = db;
+    this.id = new ObjectId();
+    this.active = false;
+    this.hasEnded = false;
+    this.journal = [];
+  }
+
+  inTransaction() {
+    return this.active;
+  }
+
+  finish(rollback) {
+    if (rollback) {
+      [...this.journal].reverse().forEach(({ collection, id, before }) => {
+        if (before) collection.docs.set(id, before);
+        else collection.docs.delete(id);
+      });
+    }
+    this.journal.forEach(({ key }) => {
+      if (this.db.locks.get(key) === this) this.db.locks.delete(key);
+    });
+    this.journal = [];
+    this.active = false;
+  }
+
+  // Retries on write conflicts like the driver's withTransaction
+  async withTransaction(fn) {
+    for (let attempt = 1; ; attempt++) {
+      this.active = true;
+      try {
+        const result = await fn(this);
+        this.finish(false);
+        return result;
+      } catch (error) {
+        this.finish(true);
+        const transient = error.errorLabels && error.errorLabels.includes('TransientTransactionError');
+        if (!transient || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+        await tick();
+      }
+    }
+  }
+
+  async endSession() {
+    this.hasEnded = true;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+    // Document key -> session of the open transaction that last wrote it
+    this.locks = new Map();
+  }
+
+  collection(Model) {
+    return this.collections.get(Model.modelName);
+  }
+
+  // Record a write so its transaction can be rolled back, and refuse writes
+  // to documents another open transaction has changed
+  track(collection, id, session) {
+    if (!session || !session.active) return;
+
+    const key = `${collection.name}:${id}`;
+    const owner = this.locks.get(key);
+    if (owner && owner !== session && owner.active) {
+      throw writeConflictError();
+    }
+    if (owner !== session) {
+      this.locks.set(key, session);
+      session.journal.push({ collection, id, key, before: collection.docs.get(id) });
+    }
+  }
+
+  startSession() {
+    return new MemorySession(this);
+  }
+
+  /**
+   * Store a document as it is, without validation (e.g. a lecture already in
+   * the past). Returns it hydrated.
+   */
+  insert(Model, data) {
+    const doc = new Model(data);
+    const now = new Date();
+    if (Model.schema.options.timestamps) {
+      if (!doc.createdAt) doc.set('createdAt', now);
+      if (!doc.updatedAt) doc.set('updatedAt', now);
+    }
+    return Model.hydrate(this.collection(Model).insert(doc.toObject({ depopulate: true })));
+  }
+
+  /**
+   * Stored documents matching a filter, as plain objects
+   */
+  find(Model, filter = {}) {
+    return this.collection(Model).list(filter).map(clone);
+  }
+
+  findOne(Model, filter = {}) {
+    return this.find(Model, filter)[0] || null;
+  }
+}
+
+/**
+ * Back every registered model with a fresh in-memory collection. Call from
+ * beforeEach after the models are required; mock.restoreAll() undoes it.
+ * @returns {MemoryDb}
+ */
+const useMemoryDb = () => {
+  const db = new MemoryDb();
+
+  mongoose.modelNames().forEach(name => {
+    const Model = mongoose.model(name);
+    const collection = new MemoryCollection(db, Model);
+    db.collections.set(name, collection);
+    DRIVER_METHODS.forEach(method => {
+      mock.method(Model.collection, method, (...args) => collection[method](...args));
+    });
+  });
+
+  mock.method(mongoose, 'startSession', async () => db.startSession());
+  return db;
+};
+
+/**
+ * Keep mail from leaving the machine, whatever MAIL_TRANSPORT is
+ * @returns {Array} - Messages handed to the transport, in order
+ */
+const captureMail = () => {
+  const sent = [];
+  ['smtp', 'ses', 'file'].forEach(name => {
+    mock.method(getMailTransport(name), 'send', async (message) => {
+      sent.push(message);
+      return { messageId: `<${sent.length}@upscholar.test>` };
+    });
+  });
+  return sent;
+};
+
+/**
+ * Serve routers on a free port
+ * @param {object} routes - { mountPath: router }
+ * @returns {object} - { baseUrl, close }
+ */
+const startServer = async (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Request headers for a user with an active session
+ */
+const signIn = async (user) => {
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: 'test',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  return {
+    'content-type': 'application/json',
+    'x-auth-token': generateToken(user._id, session._id)
+  };
+};
+
+module.exports = {
+  useMemoryDb,
+  captureMail,
+  startServer,
+  signIn,
+  tick
+};
@@ -0,0 +1,172 @@
+// OTPs go out on the channel asked for, and by email when that channel fails
+// or is unavailable, and are limited per account however many IP addresses
+// ask. SMS and WhatsApp use the stub messaging provider.
+// Run with: node --test src/tests/otp.test.js
+
+process.env.NODE_ENV = 'test';
+process.env.MESSAGING_PROVIDER = 'stub';
+process.env.OTP_EMAIL_FALLBACK = 'true';
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, captureMail, startServer } = require('./helpers');
+
+const OTP = require('../models/OTP');
+const User = require('../models/User');
+const stubProvider = require('../services/messagingProviders/stub');
+const { getMessagingProvider } = require('../services/messagingProviders');
+const { sendOTP, verifyOTP } = require('../services/otpService');
+const { OTP_MAX_FAILED_VERIFICATIONS } = require('../config/otp');
+const authRoutes = require('../routes/auth');
+
+const email = 'learner@example.com';
+const ip = '203.0.113.7';
+
+let db;
+let mails;
+
+beforeEach(() => {
+  db = useMemoryDb();
+  mails = captureMail();
+  stubProvider.clearMessages();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  process.env.NODE_ENV = 'test';
+});
+
+test('an SMS code goes through the messaging provider', async () => {
+  const result = await sendOTP(email, '9876543210', ip, 'registration', { channel: 'sms' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.channel, 'sms');
+  assert.strictEqual(result.fallback, false);
+  assert.match(result.message, /by SMS to \*+3210/);
+
+  const stored = db.findOne(OTP, { email });
+  assert.strictEqual(stored.channel, 'sms');
+  assert.strictEqual(stubProvider.lastMessageTo('+919876543210', 'sms').otp, stored.otp);
+  assert.strictEqual(mails.length, 0);
+});
+
+test('a WhatsApp code that cannot be delivered is sent by email', async () => {
+  const result = await sendOTP(email, '9876540000', ip, 'registration', { channel: 'whatsapp' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.channel, 'email');
+  assert.strictEqual(result.fallback, true);
+  assert.strictEqual(stubProvider.lastMessageTo('+919876540000'), null);
+
+  // The stored code records where it actually went
+  const stored = db.findOne(OTP, { email });
+  assert.strictEqual(stored.channel, 'email');
+  assert.strictEqual(mails.length, 1);
+  assert.strictEqual(mails[0].to, email);
+  assert.ok(mails[0].html.includes(stored.otp));
+});
+
+test('the stub provider is refused in production and the code goes by email', async () => {
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => getMessagingProvider('stub'), /cannot be used in production/);
+
+  const result = await sendOTP(email, '9876543210', ip, 'login', { channel: 'sms' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.channel, 'email');
+  assert.strictEqual(result.fallback, true);
+  assert.strictEqual(stubProvider.lastMessageTo('+919876543210'), null);
+  assert.strictEqual(mails.length, 1);
+});
+
+test('without a messaging provider there is no SMS or WhatsApp channel', () => {
+  assert.strictEqual(getMessagingProvider(null), null);
+});
+
+test('email codes never touch the messaging provider', async () => {
+  const result = await sendOTP(email, null, ip, 'registration', { channel: 'email' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.channel, 'email');
+  assert.strictEqual(result.fallback, false);
+  assert.strictEqual(mails.length, 1);
+  assert.strictEqual(db.findOne(OTP, { email }).channel, 'email');
+});
+
+test('SMS without a mobile number is rejected before anything is stored', async () => {
+  const result = await sendOTP(email, null, ip, 'registration', { channel: 'sms' });
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /mobile number is required/);
+  assert.strictEqual(db.find(OTP).length, 0);
+  assert.strictEqual(mails.length, 0);
+});
+
+// Lets the next code be sent without waiting for the cooldown
+const expireCooldown = () => OTP.updateMany({}, { $set: { createdAt: new Date(Date.now() - 5 * 60 * 1000) } });
+
+test('the resend cooldown is per account and purpose, whichever IP asks', async () => {
+  assert.strictEqual((await sendOTP(email, null, ip, 'login', { channel: 'email' })).success, true);
+
+  const otherIp = await sendOTP(email, null, '198.51.100.9', 'login', { channel: 'email' });
+  assert.strictEqual(otherIp.success, false);
+  assert.match(otherIp.message, /Please wait/);
+
+  const otherPurpose = await sendOTP(email, null, '198.51.100.9', 'password_reset', { channel: 'email' });
+  assert.strictEqual(otherPurpose.success, true);
+  assert.strictEqual(mails.length, 2);
+});
+
+test('too many wrong codes for an account lock verification, even with a new code', async () => {
+  let failures = 0;
+  while (failures < OTP_MAX_FAILED_VERIFICATIONS) {
+    await expireCooldown();
+    await sendOTP(email, null, ip, 'login', { channel: 'email' });
+    // Each code takes at most four wrong guesses here, so none is used up
+    for (let i = 0; i < 4 && failures < OTP_MAX_FAILED_VERIFICATIONS; i++, failures++) {
+      assert.strictEqual((await verifyOTP(email, '000000', ip, 'login')).success, false);
+    }
+  }
+
+  await expireCooldown();
+  await sendOTP(email, null, ip, 'login', { channel: 'email' });
+  const { otp } = db.findOne(OTP, { email, verified: false });
+
+  const locked = await verifyOTP(email, otp, ip, 'login');
+  assert.strictEqual(locked.success, false);
+  assert.match(locked.message, /Too many incorrect codes/);
+
+  // Other purposes are not affected
+  await sendOTP(email, null, ip, 'registration', { channel: 'email' });
+  const registration = db.findOne(OTP, { email, purpose: 'registration' });
+  assert.strictEqual((await verifyOTP(email, registration.otp, ip, 'registration')).success, true);
+});
+
+test('login and reset codes get the same answer whether or not they went out', async () => {
+  db.insert(User, { firstname: 'Test', lastname: 'Learner', email, role: 'student', mobile: '9876543210' });
+  const server = await startServer({ '/api/auth': authRoutes });
+  const post = async (path, body) => {
+    const res = await fetch(`${server.baseUrl}/api/auth${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    for (const [path, body] of [['/login/send-otp', {}], ['/forgot-password', { channel: 'sms' }]]) {
+      const unknown = await post(path, { ...body, email: 'nobody@example.com' });
+      const sent = await post(path, { ...body, email });
+      // The second request is refused by the cooldown, but that is not revealed
+      const refused = await post(path, { ...body, email });
+
+      assert.strictEqual(unknown.status, 200);
+      assert.deepStrictEqual(sent, unknown);
+      assert.deepStrictEqual(refused, unknown);
+    }
+    assert.strictEqual(db.find(OTP, { email }).length, 2);
+  } finally {
+    await server.close();
+  }
+});
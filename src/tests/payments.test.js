@@ -0,0 +1,133 @@
+// UpCoin purchases: a package coupon is reserved against its cap when the
+// order is created, redeemed when the payment completes and given back when
+// it fails, and a refund only marks the payment refunded once the refunds
+// cover what was paid. Razorpay's order API is replaced with a stand-in.
+// Run with: node --test src/tests/payments.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, startServer, signIn } = require('./helpers');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const paymentRoutes = require('../routes/payment');
+const { razorpayInstance } = require('../config/razorpay');
+const { completePayment, handleWebhookEvent } = require('../services/paymentService');
+
+let db;
+let server;
+let coupon;
+let orderCount;
+
+const makeStudent = (email) => db.insert(User, { firstname: 'Test', lastname: 'Buyer', email, role: 'student', walletBalance: 0 });
+
+const createOrder = async (user) => {
+  const res = await fetch(`${server.baseUrl}/api/payment/create-order`, {
+    method: 'POST',
+    headers: await signIn(user),
+    body: JSON.stringify({ packageId: 'package_250', couponCode: 'LAUNCH' })
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const usedCount = () => db.findOne(Coupon, { _id: coupon._id }).usedCount;
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  orderCount = 0;
+  mock.method(razorpayInstance.orders, 'create', async (options) => {
+    orderCount += 1;
+    return { id: `order_test_${orderCount}`, amount: options.amount, currency: options.currency };
+  });
+
+  // One use left in total
+  coupon = db.insert(Coupon, {
+    code: 'LAUNCH',
+    discountType: 'flat',
+    discountValue: 50,
+    appliesTo: 'package',
+    usageLimit: 1,
+    perUserLimit: 1,
+    usedCount: 0,
+    isActive: true
+  });
+  server = await startServer({ '/api/payment': paymentRoutes });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('the coupon is reserved at checkout, so its cap counts unpaid orders', async () => {
+  const first = await createOrder(makeStudent('first@example.com'));
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.order.coupon.discount, 50);
+  assert.strictEqual(usedCount(), 1);
+  const reservation = db.findOne(CouponRedemption);
+  assert.strictEqual(reservation.status, 'reserved');
+  assert.strictEqual(reservation.payment.toString(), db.findOne(Payment)._id.toString());
+
+  const second = await createOrder(makeStudent('second@example.com'));
+
+  assert.strictEqual(second.status, 400);
+  assert.strictEqual(second.body.code, 'USAGE_LIMIT');
+  assert.strictEqual(db.find(Payment).length, 1);
+  assert.strictEqual(db.find(CouponRedemption).length, 1);
+});
+
+test('a failed payment gives its coupon use back', async () => {
+  await createOrder(makeStudent('first@example.com'));
+
+  await handleWebhookEvent({
+    event: 'payment.failed',
+    payload: { payment: { entity: { order_id: 'order_test_1', error_description: 'Card declined' } } }
+  }, 'evt_failed_1');
+
+  assert.strictEqual(db.findOne(Payment).status, 'failed');
+  assert.strictEqual(usedCount(), 0);
+  assert.strictEqual(db.find(CouponRedemption).length, 0);
+  assert.strictEqual((await createOrder(makeStudent('second@example.com'))).status, 200);
+});
+
+test('completing the order redeems its reservation once', async () => {
+  const student = makeStudent('first@example.com');
+  await createOrder(student);
+  const payment = await Payment.findOne({ razorpayOrderId: 'order_test_1' });
+
+  const details = { razorpayOrderId: 'order_test_1', razorpayPaymentId: 'pay_1' };
+  assert.strictEqual((await completePayment(payment, details)).credited, true);
+  assert.strictEqual((await completePayment(await Payment.findById(payment._id), details)).credited, false);
+
+  const redemptions = db.find(CouponRedemption);
+  assert.strictEqual(redemptions.length, 1);
+  assert.strictEqual(redemptions[0].status, 'redeemed');
+  assert.ok(redemptions[0].transaction);
+  assert.strictEqual(usedCount(), 1);
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 275);
+});
+
+test('a payment is refunded only once its refunds cover the full amount', async () => {
+  const student = makeStudent('first@example.com');
+  await createOrder(student);
+  const payment = await Payment.findOne({ razorpayOrderId: 'order_test_1' });
+  await completePayment(payment, { razorpayOrderId: 'order_test_1', razorpayPaymentId: 'pay_1' });
+  assert.strictEqual(payment.amount, 200);
+
+  const refund = (id, rupees) => handleWebhookEvent({
+    event: 'refund.processed',
+    payload: { refund: { entity: { id, payment_id: 'pay_1', amount: rupees * 100 } } }
+  }, `evt_${id}`);
+
+  await refund('rfnd_1', 100);
+  assert.strictEqual(db.findOne(Payment).status, 'partially_refunded');
+
+  await refund('rfnd_2', 100);
+  const stored = db.findOne(Payment);
+  assert.strictEqual(stored.status, 'refunded');
+  assert.strictEqual(stored.metadata.refunds.length, 2);
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 0);
+});
@@ -0,0 +1,141 @@
+// Approved withdrawals are paid through the payout provider; a payout that
+// fails, is refused or is reversed puts the amount back in the trainer's
+// wallet exactly once. Uses the mock payout provider.
+// Run with: node --test src/tests/payouts.test.js
+
+process.env.NODE_ENV = 'test';
+process.env.PAYOUT_PROVIDER = 'mock';
+process.env.MOCK_PAYOUT_DELAY_SECONDS = '0';
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb } = require('./helpers');
+
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const jobQueue = require('../services/jobQueue');
+const ledger = require('../services/ledgerService');
+const mockProvider = require('../services/payoutProviders/mock');
+const { startPayout, handlePayoutWebhook, registerPayoutJobs } = require('../services/payoutService');
+
+// The mock provider reports each payout's outcome through a queued job
+registerPayoutJobs();
+
+let db;
+let trainer;
+let admin;
+
+const walletOf = async (user) => (await User.findById(user._id)).walletBalance;
+
+// A pending withdrawal of 200 to the given UPI ID
+const requestWithdrawal = async (upiId) => {
+  const { transaction } = await ledger.requestWithdrawal({
+    user: trainer,
+    amount: 200,
+    paymentMethod: 'upi',
+    metadata: { upiId, trainerName: 'Test Trainer', trainerEmail: trainer.email }
+  });
+  return transaction;
+};
+
+const payoutWebhook = (payout, status, eventId, extra = {}) => handlePayoutWebhook({
+  event: `payout.${status}`,
+  payload: {
+    payout: {
+      entity: { id: payout.providerPayoutId, reference_id: String(payout.withdrawal), status, ...extra }
+    }
+  }
+}, eventId);
+
+beforeEach(() => {
+  db = useMemoryDb();
+  trainer = db.insert(User, { firstname: 'Test', lastname: 'Trainer', email: 'trainer@example.com', role: 'trainer', isApproved: true, walletBalance: 500 });
+  admin = db.insert(User, { firstname: 'Test', lastname: 'Admin', email: 'admin@example.com', role: 'admin' });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('an approved withdrawal is paid and completed', async () => {
+  const withdrawal = await requestWithdrawal('trainer@upi');
+  assert.strictEqual(await walletOf(trainer), 300);
+
+  const payout = await startPayout(withdrawal, admin);
+  assert.strictEqual(payout.status, 'processing');
+  assert.ok(payout.providerPayoutId);
+
+  await jobQueue.processQueue();
+
+  const stored = db.findOne(Payout);
+  assert.strictEqual(stored.status, 'processed');
+  assert.match(stored.utr, /^MOCK/);
+  assert.strictEqual(db.findOne(Transaction, { _id: withdrawal._id }).status, 'completed');
+  assert.strictEqual(await walletOf(trainer), 300);
+});
+
+test('a withdrawal cannot be paid out twice', async () => {
+  const withdrawal = await requestWithdrawal('trainer@upi');
+  await startPayout(withdrawal, admin);
+
+  await assert.rejects(startPayout(await Transaction.findById(withdrawal._id), admin), { code: 'ALREADY_STARTED' });
+  assert.strictEqual(db.find(Payout).length, 1);
+});
+
+test('a failed payout refunds the trainer once', async () => {
+  const withdrawal = await requestWithdrawal('fail@upi');
+  const payout = await startPayout(withdrawal, admin);
+
+  await jobQueue.processQueue();
+
+  assert.strictEqual(db.findOne(Payout).status, 'failed');
+  assert.strictEqual(db.findOne(Transaction, { _id: withdrawal._id }).status, 'failed');
+  assert.strictEqual(await walletOf(trainer), 500);
+
+  // A late webhook for the same failure changes nothing
+  const late = await payoutWebhook(payout, 'reversed', 'evt_late_reversal');
+  assert.strictEqual(late.status, 'ignored');
+  assert.strictEqual(await walletOf(trainer), 500);
+});
+
+test('a payout the provider refuses outright is refunded at once', async () => {
+  mock.method(mockProvider, 'createPayout', async () => {
+    throw Object.assign(new Error('Invalid VPA'), { statusCode: 400 });
+  });
+  const withdrawal = await requestWithdrawal('trainer@upi');
+
+  const payout = await startPayout(withdrawal, admin);
+
+  assert.strictEqual(payout.status, 'rejected');
+  assert.strictEqual(payout.failureReason, 'Invalid VPA');
+  assert.strictEqual(db.findOne(Transaction, { _id: withdrawal._id }).status, 'failed');
+  assert.strictEqual(await walletOf(trainer), 500);
+});
+
+test('payout webhooks complete, then reverse, a payout once per event', async () => {
+  const withdrawal = await requestWithdrawal('trainer@upi');
+  const payout = await startPayout(withdrawal, admin);
+
+  const processed = await payoutWebhook(payout, 'processed', 'evt_processed', { utr: 'UTR123' });
+  assert.strictEqual(processed.status, 'processed');
+  assert.strictEqual(db.findOne(Payout).utr, 'UTR123');
+  assert.strictEqual(db.findOne(Transaction, { _id: withdrawal._id }).status, 'completed');
+
+  // A stale status cannot move a processed payout back
+  assert.strictEqual((await payoutWebhook(payout, 'processing', 'evt_stale')).status, 'ignored');
+  assert.strictEqual(db.findOne(Payout).status, 'processed');
+
+  const reversed = await payoutWebhook(payout, 'reversed', 'evt_reversed', { failure_reason: 'Beneficiary bank declined' });
+  assert.strictEqual(reversed.status, 'processed');
+  assert.strictEqual(await walletOf(trainer), 500);
+
+  // Redelivering the reversal does not refund again
+  assert.strictEqual((await payoutWebhook(payout, 'reversed', 'evt_reversed')).duplicate, true);
+  assert.strictEqual(await walletOf(trainer), 500);
+
+  // The mock's own report arrives after the webhooks and is ignored
+  await jobQueue.processQueue();
+  assert.strictEqual(db.findOne(Payout).status, 'reversed');
+  assert.strictEqual(await walletOf(trainer), 500);
+});
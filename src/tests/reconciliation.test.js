@@ -0,0 +1,160 @@
+// Reconciliation settles stale payments from what Razorpay reports, once.
+// Razorpay is the local stand-in from scripts/razorpayStandIn.js.
+// Run with: node --test src/tests/reconciliation.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb } = require('./helpers');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const jobQueue = require('../services/jobQueue');
+const { createHttpGateway, reconcilePayments } = require('../services/reconciliationService');
+const { createStandIn } = require('../../scripts/razorpayStandIn');
+
+const HOUR = 60 * 60 * 1000;
+
+let db;
+let orders;
+let invoices;
+let server;
+let gateway;
+let student;
+
+const makePayment = (razorpayOrderId, { amount = 250, age = HOUR } = {}) => db.insert(Payment, {
+  user: student._id,
+  orderId: `order_${razorpayOrderId}`,
+  razorpayOrderId,
+  packageId: 'package_250',
+  upcoins: 250,
+  amount,
+  status: 'created',
+  metadata: { totalCoins: 275, bonusCoins: 25 },
+  createdAt: new Date(Date.now() - age)
+});
+
+const reconcile = () => reconcilePayments({ trigger: 'script', gateway });
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  orders = {};
+  invoices = [];
+  student = db.insert(User, { firstname: 'Test', lastname: 'Buyer', email: 'buyer@example.com', role: 'student', walletBalance: 0 });
+
+  jobQueue.registerHandler('invoices:purchase', async ({ paymentId }) => {
+    invoices.push(paymentId.toString());
+  });
+
+  server = createStandIn(() => orders).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  gateway = createHttpGateway(`http://127.0.0.1:${server.address().port}`);
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+test('a payment captured at Razorpay is settled, credited and invoiced', async () => {
+  const payment = makePayment('order_paid');
+  orders.order_paid = {
+    status: 'paid',
+    amount: 25000,
+    payments: [{ id: 'pay_1', status: 'captured', amount: 25000, method: 'upi' }]
+  };
+
+  const run = await reconcile();
+  await jobQueue.processQueue();
+
+  assert.strictEqual(run.settled, 1);
+  const settled = db.findOne(Payment, { _id: payment._id });
+  assert.strictEqual(settled.status, 'success');
+  assert.strictEqual(settled.razorpayPaymentId, 'pay_1');
+  assert.strictEqual(settled.paymentMethod, 'upi');
+  assert.strictEqual(settled.reconciliation.outcome, 'settled');
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 275);
+  assert.deepStrictEqual(invoices, [payment._id.toString()]);
+  assert.strictEqual(db.find(ReconciliationRun).length, 1);
+
+  // A second pass no longer sees the payment and credits nothing more
+  const again = await reconcile();
+  assert.strictEqual(again.checked, 0);
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 275);
+});
+
+test('an order never paid within the expiry window is marked failed', async () => {
+  const payment = makePayment('order_unpaid', { age: 25 * HOUR });
+  orders.order_unpaid = {
+    status: 'attempted',
+    amount: 25000,
+    payments: [{ id: 'pay_2', status: 'failed', amount: 25000, error_description: 'Card declined' }]
+  };
+
+  const run = await reconcile();
+
+  assert.strictEqual(run.failed, 1);
+  const failed = db.findOne(Payment, { _id: payment._id });
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.failureReason, 'Card declined');
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 0);
+});
+
+test('an expired order gives back the coupon use it reserved', async () => {
+  const coupon = db.insert(Coupon, {
+    code: 'LAUNCH',
+    discountType: 'flat',
+    discountValue: 50,
+    appliesTo: 'package',
+    usageLimit: 1,
+    usedCount: 1
+  });
+  const payment = makePayment('order_coupon', { age: 25 * HOUR });
+  db.insert(CouponRedemption, {
+    coupon: coupon._id,
+    code: 'LAUNCH',
+    user: student._id,
+    context: 'package',
+    payment: payment._id,
+    originalAmount: 300,
+    discount: 50,
+    finalAmount: 250,
+    status: 'reserved'
+  });
+  orders.order_coupon = { status: 'created', amount: 25000, payments: [] };
+
+  await reconcile();
+
+  assert.strictEqual(db.findOne(Payment, { _id: payment._id }).status, 'failed');
+  assert.strictEqual(db.find(CouponRedemption).length, 0);
+  assert.strictEqual(db.findOne(Coupon).usedCount, 0);
+});
+
+test('a capture for the wrong amount is flagged, not credited', async () => {
+  const payment = makePayment('order_short');
+  orders.order_short = {
+    status: 'paid',
+    amount: 25000,
+    payments: [{ id: 'pay_3', status: 'captured', amount: 10000, method: 'card' }]
+  };
+
+  const run = await reconcile();
+
+  assert.strictEqual(run.mismatched, 1);
+  const flagged = db.findOne(Payment, { _id: payment._id });
+  assert.strictEqual(flagged.status, 'created');
+  assert.strictEqual(flagged.reconciliation.outcome, 'mismatch');
+  assert.match(flagged.reconciliation.issue, /expected 25000/);
+  assert.strictEqual((await User.findById(student._id)).walletBalance, 0);
+});
+
+test('an order Razorpay does not know is flagged as a mismatch', async () => {
+  const payment = makePayment('order_missing');
+
+  const run = await reconcile();
+
+  assert.strictEqual(run.mismatched, 1);
+  assert.strictEqual(db.findOne(Payment, { _id: payment._id }).reconciliation.razorpayStatus, 'missing');
+});
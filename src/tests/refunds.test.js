@@ -0,0 +1,175 @@
+// Students get their UpCoins back when they unenroll in time or the lecture is
+// cancelled, a failed refund is retried until it goes through, and a cancelled
+// lecture cannot be reopened for free.
+// Run with: node --test src/tests/refunds.test.js
+
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { useMemoryDb, startServer, signIn } = require('./helpers');
+
+const Lecture = require('../models/Lecture');
+const User = require('../models/User');
+const EarningsHold = require('../models/EarningsHold');
+const EmailMessage = require('../models/EmailMessage');
+const lectureRoutes = require('../routes/lectures');
+const jobQueue = require('../services/jobQueue');
+const ledger = require('../services/ledgerService');
+const { registerWaitlistJobs } = require('../services/waitlistService');
+const { registerCancellationJobs, scanCancellationRefunds } = require('../services/cancellationService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Unenrolling offers the freed seat to the waitlist; failed cancellation
+// refunds are retried in the background
+registerWaitlistJobs();
+registerCancellationJobs();
+
+let db;
+let server;
+let trainer;
+let lecture;
+
+const makeStudent = (email) => db.insert(User, {
+  firstname: 'Test',
+  lastname: 'Student',
+  email,
+  role: 'student',
+  walletBalance: 500
+});
+
+const request = async (method, path, user, body = {}) => fetch(`${server.baseUrl}/api/lectures/${lecture._id}${path}`, {
+  method,
+  headers: await signIn(user),
+  body: JSON.stringify(body)
+});
+
+const enroll = async (student) => {
+  const res = await request('POST', '/enroll', student);
+  assert.strictEqual(res.status, 200);
+};
+
+const walletOf = async (user) => (await User.findById(user._id)).walletBalance;
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  trainer = db.insert(User, { firstname: 'Test', lastname: 'Trainer', email: 'trainer@example.com', role: 'trainer', isApproved: true, walletBalance: 0 });
+  lecture = db.insert(Lecture, {
+    title: 'Refunds 101',
+    description: 'Getting your money back',
+    category: 'Business',
+    trainer: trainer._id,
+    price: 100,
+    duration: 60,
+    scheduledAt: new Date(Date.now() + 7 * DAY),
+    maxStudents: 10,
+    status: 'scheduled'
+  });
+  server = await startServer({ '/api/lectures': lectureRoutes });
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('unenrolling before the cutoff refunds in full and frees the seat', async () => {
+  const student = makeStudent('leaving@example.com');
+  await enroll(student);
+  assert.strictEqual(await walletOf(student), 400);
+
+  const res = await request('DELETE', '/enroll', student);
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.refund.amount, 100);
+  assert.strictEqual(await walletOf(student), 500);
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 0);
+  assert.strictEqual(db.findOne(EarningsHold).status, 'reversed');
+});
+
+test('unenrolling inside the cutoff is refused and keeps the seat', async () => {
+  const student = makeStudent('late@example.com');
+  await enroll(student);
+  await Lecture.updateOne({ _id: lecture._id }, { scheduledAt: new Date(Date.now() + HOUR) });
+
+  const res = await request('DELETE', '/enroll', student);
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(await walletOf(student), 400);
+  assert.strictEqual(db.findOne(Lecture).enrolledStudents.length, 1);
+  assert.strictEqual(db.findOne(EarningsHold).status, 'held');
+});
+
+test('cancelling a lecture refunds every student in full', async () => {
+  const first = makeStudent('first@example.com');
+  const second = makeStudent('second@example.com');
+  await enroll(first);
+  await enroll(second);
+
+  const res = await request('POST', '/cancel', trainer, { reason: 'Trainer is unwell' });
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.refunds.map(refund => refund.refundAmount), [100, 100]);
+  assert.strictEqual(db.findOne(Lecture).status, 'cancelled');
+  assert.strictEqual(await walletOf(first), 500);
+  assert.strictEqual(await walletOf(second), 500);
+  assert.ok(db.find(EarningsHold).every(hold => hold.status === 'reversed'));
+  assert.strictEqual(await walletOf(trainer), 0);
+});
+
+test('a cancelled lecture cannot be put back on the schedule', async () => {
+  const student = makeStudent('refunded@example.com');
+  await enroll(student);
+  await request('POST', '/cancel', trainer, { reason: 'Double booked' });
+
+  const res = await request('PUT', '', trainer, { status: 'scheduled' });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(db.findOne(Lecture).status, 'cancelled');
+  assert.strictEqual(await walletOf(student), 500);
+});
+
+test('a cancellation refund that fails is retried and only then emailed', async () => {
+  const first = makeStudent('first@example.com');
+  const second = makeStudent('second@example.com');
+  await enroll(first);
+  await enroll(second);
+
+  // The ledger refuses the second student's refund once
+  const post = ledger.post;
+  let failures = 1;
+  mock.method(ledger, 'post', async (params, options) => {
+    if (params.category === 'refund' && params.lines[0].user.toString() === second._id.toString() && failures > 0) {
+      failures -= 1;
+      throw new Error('Ledger unavailable');
+    }
+    return post(params, options);
+  });
+  const cancellationEmails = () => db.find(EmailMessage, { template: 'lectureCancelled' }).map(message => message.to).sort();
+
+  const res = await request('POST', '/cancel', trainer, { reason: 'Trainer is unwell' });
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.pendingRefunds, 1);
+  assert.strictEqual(await walletOf(first), 500);
+  assert.strictEqual(await walletOf(second), 400);
+  assert.deepStrictEqual(db.findOne(Lecture).pendingRefunds.map(String), [second._id.toString()]);
+  assert.deepStrictEqual(cancellationEmails(), ['first@example.com']);
+
+  await scanCancellationRefunds();
+  await jobQueue.processQueue();
+
+  assert.strictEqual(await walletOf(second), 500);
+  assert.deepStrictEqual(db.findOne(Lecture).pendingRefunds, []);
+  assert.deepStrictEqual(cancellationEmails(), ['first@example.com', 'second@example.com']);
+
+  // Nothing is refunded or sent twice
+  await scanCancellationRefunds();
+  await jobQueue.processQueue();
+  assert.strictEqual(await walletOf(first), 500);
+  assert.strictEqual(await walletOf(second), 500);
+  assert.strictEqual(cancellationEmails().length, 2);
+});
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * The field encryption key: 32 bytes given as 64 hex characters in
+ * FIELD_ENCRYPTION_KEY. Read on use so a missing key only breaks the
+ * features that need it.
+ */
+const getKey = () => {
+  const key = process.env.FIELD_ENCRYPTION_KEY || '';
+  if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('FIELD_ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+/**
+ * Encrypt a string for storage
+ * @param {string} plaintext
+ * @returns {string} - "v1:<iv>:<tag>:<ciphertext>", base64 parts
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value
+ * @returns {string} - The plaintext
+ */
+const decrypt = (value) => {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
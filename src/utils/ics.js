@@ -0,0 +1,74 @@
+/**
+ * Escape text for an iCalendar property value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Format a date as a UTC iCalendar timestamp, e.g. 20250101T093000Z
+ */
+const formatDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Fold lines longer than 75 characters as the spec requires
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ' ' + rest.slice(75);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a single-event calendar file
+ * @param {object} event - { uid, start, durationMinutes, title, description, url, organizerName, organizerEmail }
+ * @returns {string} - .ics file contents
+ */
+const createEvent = ({ uid, start, durationMinutes, title, description, url, organizerName, organizerEmail }) => {
+  const end = new Date(new Date(start).getTime() + durationMinutes * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Upscholar//Lectures//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(title)}`,
+    `DESCRIPTION:${escapeText(description)}`
+  ];
+
+  if (url) {
+    lines.push(`URL:${url}`);
+    lines.push(`LOCATION:${escapeText(url)}`);
+  }
+
+  if (organizerEmail) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizerName || organizerEmail)}:mailto:${organizerEmail}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  createEvent
+};
@@ -0,0 +1,130 @@
+/**
+ * Minimal PDF writer for server-generated documents (invoices, statements).
+ * Supports text in the standard Helvetica fonts, lines and multiple A4 pages;
+ * coordinates are in points from the top-left corner.
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Helvetica glyph widths (per 1000 units) for the characters right-aligned
+// columns use; everything else is approximated
+const GLYPH_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, '/': 278, '(': 333, ')': 333, '%': 889,
+  0: 556, 1: 556, 2: 556, 3: 556, 4: 556, 5: 556, 6: 556, 7: 556, 8: 556, 9: 556
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+/**
+ * Keep text within the WinAnsi range the standard fonts can show
+ */
+const toWinAnsi = (value = '') => {
+  return String(value)
+    .replace(/₹/g, 'Rs.')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\xff]/g, '?');
+};
+
+/**
+ * Escape text for a PDF string literal
+ */
+const escapeText = (value) => {
+  return toWinAnsi(value).replace(/([\\()])/g, '\\$1');
+};
+
+/**
+ * Approximate width of a string in points
+ */
+const textWidth = (value, size) => {
+  const units = [...toWinAnsi(value)].reduce((sum, ch) => sum + (GLYPH_WIDTHS[ch] || DEFAULT_GLYPH_WIDTH), 0);
+  return (units * size) / 1000;
+};
+
+const formatNumber = (n) => Number(n.toFixed(2)).toString();
+
+/**
+ * Start a new document
+ * @returns {object} - { width, height, addPage, text, line, toBuffer }
+ */
+const createDocument = ({ title } = {}) => {
+  const pages = [];
+  let ops = null;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+  };
+  addPage();
+
+  /**
+   * Draw text with its baseline at y
+   * @param {object} options - { size, bold, align: 'left' | 'right' | 'center' }
+   */
+  const text = (x, y, value, { size = 10, bold = false, align = 'left' } = {}) => {
+    let left = x;
+    if (align === 'right') left = x - textWidth(value, size);
+    if (align === 'center') left = x - textWidth(value, size) / 2;
+
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+    ops.push(`${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`);
+  };
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} - PDF file contents
+   */
+  const toBuffer = () => {
+    // 1: catalog, 2: page tree, 3-4: fonts, 5: info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Producer (Upscholar)${title ? ` /Title (${escapeText(title)})` : ''} >>`;
+
+    pages.forEach((pageOps, i) => {
+      const pageId = pageIds[i];
+      const stream = pageOps.join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(body, 'latin1');
+      body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+  };
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    addPage,
+    text,
+    line,
+    toBuffer
+  };
+};
+
+module.exports = {
+  createDocument,
+  textWidth
+};
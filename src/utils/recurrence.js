@@ -0,0 +1,102 @@
+const MAX_OCCURRENCES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a UTC offset such as "+05:30" into minutes
+ * @param {string} offset - "+HH:MM" or "-HH:MM"
+ * @returns {number|null} - Minutes east of UTC, or null when invalid
+ */
+const parseUtcOffset = (offset) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(offset || '');
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Check a recurrence rule and return a list of problems (empty when valid)
+ * @param {object} rule - { daysOfWeek, time, utcOffset, startDate, weeks, occurrences }
+ * @returns {Array} - Error messages
+ */
+const validateRule = (rule) => {
+  const errors = [];
+  const { daysOfWeek, time, utcOffset, startDate, weeks, occurrences } = rule || {};
+
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+    daysOfWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    errors.push('daysOfWeek must be a non-empty list of days (0 = Sunday ... 6 = Saturday)');
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+    errors.push('time must be in HH:MM (24-hour) format');
+  }
+  if (parseUtcOffset(utcOffset) === null) {
+    errors.push('utcOffset must look like +05:30');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || isNaN(new Date(startDate).getTime())) {
+    errors.push('startDate must be a date in YYYY-MM-DD format');
+  }
+  if (!weeks && !occurrences) {
+    errors.push('Provide either weeks or occurrences');
+  }
+  if (weeks && (!Number.isInteger(weeks) || weeks < 1 || weeks > 52)) {
+    errors.push('weeks must be between 1 and 52');
+  }
+  if (occurrences && (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_OCCURRENCES)) {
+    errors.push(`occurrences must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Start time of an occurrence on a local calendar date
+ */
+const occurrenceAt = (localDayUtcMs, time, offsetMinutes) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(localDayUtcMs + (hours * 60 + minutes - offsetMinutes) * 60 * 1000);
+};
+
+/**
+ * Expand a recurrence rule into start times.
+ * e.g. { daysOfWeek: [1, 3, 5], time: '18:00', utcOffset: '+05:30', startDate: '2025-01-06', weeks: 8 }
+ * is every Mon/Wed/Fri at 6pm IST for 8 weeks.
+ * @param {object} rule - A rule that passes validateRule
+ * @returns {Array<Date>} - Occurrence start times in order (capped at MAX_OCCURRENCES)
+ */
+const generateOccurrences = (rule) => {
+  const { daysOfWeek, time, utcOffset, startDate, weeks, occurrences } = rule;
+  const offsetMinutes = parseUtcOffset(utcOffset);
+  const days = new Set(daysOfWeek);
+
+  const [year, month, day] = startDate.split('-').map(Number);
+  const firstDay = Date.UTC(year, month - 1, day);
+  const lastDay = weeks ? firstDay + weeks * 7 * DAY_MS : Infinity;
+  const limit = Math.min(occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const result = [];
+  for (let current = firstDay; current < lastDay && result.length < limit; current += DAY_MS) {
+    if (days.has(new Date(current).getUTCDay())) {
+      result.push(occurrenceAt(current, time, offsetMinutes));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Move an occurrence to a new time of day, keeping its local date
+ */
+const changeTimeOfDay = (date, time, utcOffset) => {
+  const offsetMinutes = parseUtcOffset(utcOffset);
+  const local = new Date(new Date(date).getTime() + offsetMinutes * 60 * 1000);
+  const localDay = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  return occurrenceAt(localDay, time, offsetMinutes);
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseUtcOffset,
+  validateRule,
+  generateOccurrences,
+  changeTimeOfDay
+};
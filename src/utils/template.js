@@ -0,0 +1,126 @@
+/**
+ * Minimal template renderer for email templates
+ *
+ *   {{name}}            value, HTML-escaped in .html templates
+ *   {{{name}}}          value, unescaped
+ *   {{#name}}...{{/name}} block shown when name is truthy (non-empty for arrays)
+ *   {{^name}}...{{/name}} block shown when name is falsy
+ *
+ * Names can be dotted paths (lecture.title). Values are inserted once and
+ * never re-parsed, so user text containing braces is safe.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+const TAG = '{{(\\{)?\\s*([#^/])?\\s*([\\w.]+)\\s*\\}?}}';
+
+const cache = new Map();
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const lookup = (view, key) => key.split('.').reduce(
+  (value, part) => (value === null || value === undefined ? undefined : value[part]),
+  view
+);
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * Render a template string
+ * @param {string} source - Template text
+ * @param {object} view - Values
+ * @param {object} options - { escape: false } for plain text
+ */
+const render = (source, view, { escape = true } = {}) => {
+  const tag = new RegExp(TAG, 'g');
+  let output = '';
+  let index = 0;
+  let match;
+
+  while ((match = tag.exec(source)) !== null) {
+    const [whole, triple, kind, key] = match;
+    output += source.slice(index, match.index);
+    index = match.index + whole.length;
+
+    if (kind === '#' || kind === '^') {
+      const close = `{{/${key}}}`;
+      const end = source.indexOf(close, index);
+      if (end === -1) {
+        throw new Error(`Unclosed section {{${kind}${key}}}`);
+      }
+      if (isTruthy(lookup(view, key)) === (kind === '#')) {
+        output += render(source.slice(index, end), view, { escape });
+      }
+      index = end + close.length;
+      tag.lastIndex = index;
+    } else if (kind !== '/') {
+      const value = toText(lookup(view, key));
+      output += escape && !triple ? escapeHtml(value) : value;
+    }
+  }
+
+  return output + source.slice(index);
+};
+
+const readTemplate = (file) => {
+  if (!cache.has(file)) {
+    const full = path.join(TEMPLATE_DIR, file);
+    cache.set(file, fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null);
+  }
+  return cache.get(file);
+};
+
+/**
+ * Plain-text version of an HTML email, for templates without a .txt file
+ */
+const htmlToText = (html = '') => html
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (m, href, label) => `${label.trim()} (${href})`)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render templates/email/<name>.html and its .txt companion. Without a .txt
+ * file the text part is derived from the HTML.
+ * @returns {object} - { html, text }
+ */
+const renderEmail = (name, view) => {
+  const htmlSource = readTemplate(`${name}.html`);
+  if (htmlSource === null) {
+    throw new Error(`Email template "${name}" not found`);
+  }
+
+  const html = render(htmlSource, view);
+  const textSource = readTemplate(`${name}.txt`);
+  const text = textSource !== null ? render(textSource, view, { escape: false }).trim() : htmlToText(html);
+
+  return { html, text };
+};
+
+module.exports = {
+  escapeHtml,
+  render,
+  renderEmail,
+  htmlToText
+};